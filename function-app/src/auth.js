@@ -0,0 +1,212 @@
+// Authentication Middleware Module
+// Validates bearer tokens (Entra ID JWT or GitHub OAuth user token) on incoming requests
+
+const crypto = require('crypto');
+const { createRemoteJWKSet, jwtVerify } = require('jose');
+const { Octokit } = require('@octokit/rest');
+const { getSecret } = require('./keyvault-client');
+
+// How long a validated GitHub token is trusted before it is checked with GitHub again
+const GITHUB_TOKEN_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Validated GitHub tokens, keyed by token hash, so every request does not cost a GitHub API call
+const githubTokenCache = new Map();
+
+// Remote JWKS per tenant; jose caches the signing keys and refreshes them on rotation
+const entraKeySets = new Map();
+
+/**
+ * Get the list of enabled authentication providers from AUTH_PROVIDERS
+ * @returns {Array<string>} Enabled providers ('entra' and/or 'github')
+ */
+function getEnabledProviders() {
+    return (process.env.AUTH_PROVIDERS || '')
+        .split(',')
+        .map(p => p.trim().toLowerCase())
+        .filter(p => p === 'entra' || p === 'github');
+}
+
+/**
+ * Check whether workflow statuses may be read without signing in
+ * Controlled by ALLOW_ANONYMOUS_READ (default: true)
+ * @returns {boolean} True if anonymous read access is allowed
+ */
+function isAnonymousReadAllowed() {
+    return (process.env.ALLOW_ANONYMOUS_READ || 'true').toLowerCase() !== 'false';
+}
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {HttpRequest} request - Incoming HTTP request
+ * @returns {string|null} Bearer token or null if not present
+ */
+function getBearerToken(request) {
+    const header = request.headers.get('authorization');
+    if (!header) {
+        return null;
+    }
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * Check whether a token looks like a JWT (three base64url segments)
+ * @param {string} token - Bearer token
+ * @returns {boolean} True if the token has JWT shape
+ */
+function isJwt(token) {
+    return /^[\w-]+\.[\w-]+\.[\w-]*$/.test(token);
+}
+
+/**
+ * Validate an Entra ID access token
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object>} Authenticated user
+ */
+async function validateEntraToken(token) {
+    const tenantId = process.env.ENTRA_TENANT_ID;
+    const clientId = process.env.ENTRA_CLIENT_ID;
+    if (!tenantId || !clientId) {
+        throw new Error('Entra ID authentication is not configured');
+    }
+
+    if (!entraKeySets.has(tenantId)) {
+        entraKeySets.set(tenantId, createRemoteJWKSet(
+            new URL(`https://login.microsoftonline.com/${tenantId}/discovery/v2.0/keys`)
+        ));
+    }
+
+    const { payload } = await jwtVerify(token, entraKeySets.get(tenantId), {
+        // v2.0 and v1.0 access tokens use different issuers
+        issuer: [
+            `https://login.microsoftonline.com/${tenantId}/v2.0`,
+            `https://sts.windows.net/${tenantId}/`
+        ],
+        audience: [clientId, `api://${clientId}`]
+    });
+
+    return {
+        id: `entra:${payload.oid || payload.sub}`,
+        name: payload.name || payload.preferred_username || payload.upn || payload.oid,
+        provider: 'entra'
+    };
+}
+
+/**
+ * Validate a GitHub OAuth user token
+ * The token is checked against the dashboard's OAuth app, so tokens issued to other apps are rejected
+ * @param {string} token - GitHub OAuth access token
+ * @returns {Promise<Object>} Authenticated user
+ */
+async function validateGitHubToken(token) {
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    const cached = githubTokenCache.get(tokenHash);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.user;
+    }
+
+    const clientId = process.env.GITHUB_OAUTH_CLIENT_ID;
+    const keyVaultUrl = process.env.KEY_VAULT_URL;
+    if (!clientId || !keyVaultUrl) {
+        throw new Error('GitHub OAuth authentication is not configured');
+    }
+    const clientSecret = await getSecret(keyVaultUrl, 'github-oauth-client-secret');
+
+    const octokit = new Octokit();
+    const { data } = await octokit.rest.apps.checkToken({
+        client_id: clientId,
+        access_token: token,
+        headers: {
+            authorization: `basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
+        }
+    });
+
+    const user = {
+        id: `github:${data.user.id}`,
+        name: data.user.login,
+        provider: 'github'
+    };
+
+    githubTokenCache.set(tokenHash, { user, expiresAt: Date.now() + GITHUB_TOKEN_CACHE_TTL_MS });
+    return user;
+}
+
+/**
+ * Build a 401 response asking the caller to sign in
+ * @param {string} message - Error message
+ * @returns {Object} HTTP response
+ */
+function unauthorizedResponse(message) {
+    return {
+        status: 401,
+        headers: {
+            'Content-Type': 'application/json',
+            'WWW-Authenticate': 'Bearer'
+        },
+        jsonBody: {
+            error: 'Unauthorized',
+            message
+        }
+    };
+}
+
+/**
+ * Authenticate an incoming request
+ *
+ * Usage in a handler:
+ *   const auth = await authenticateRequest(request, context);
+ *   if (auth.response) return auth.response;
+ *
+ * @param {HttpRequest} request - Incoming HTTP request
+ * @param {InvocationContext} context - Function invocation context
+ * @param {Object} options - Options
+ * @param {boolean} options.allowAnonymous - Allow requests without a token (user will be null)
+ * @returns {Promise<Object>} { user } on success, or { response } with the HTTP response to return
+ */
+async function authenticateRequest(request, context, { allowAnonymous = false } = {}) {
+    const providers = getEnabledProviders();
+    const token = getBearerToken(request);
+
+    if (!token) {
+        if (allowAnonymous) {
+            return { user: null };
+        }
+        if (providers.length === 0) {
+            // Fail closed: management endpoints must not be reachable without an identity provider
+            context.log('AUTH_PROVIDERS is not configured; rejecting request');
+            return {
+                response: {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Authentication is not configured'
+                    }
+                }
+            };
+        }
+        return { response: unauthorizedResponse('Sign in is required for this operation') };
+    }
+
+    // JWTs come from Entra ID; anything else is treated as a GitHub OAuth token
+    const provider = isJwt(token) ? 'entra' : 'github';
+    if (!providers.includes(provider)) {
+        return { response: unauthorizedResponse('Unsupported token type') };
+    }
+
+    try {
+        const user = provider === 'entra'
+            ? await validateEntraToken(token)
+            : await validateGitHubToken(token);
+        context.log(`Authenticated ${user.provider} user ${user.id}`);
+        return { user };
+    } catch (error) {
+        context.log('Token validation failed:', error.message);
+        return { response: unauthorizedResponse('Invalid or expired token') };
+    }
+}
+
+module.exports = {
+    authenticateRequest,
+    getEnabledProviders,
+    isAnonymousReadAllowed,
+};
@@ -0,0 +1,105 @@
+// Configuration History Module
+// Works out which dashboards a configuration save changed and what differs between two versions of a dashboard
+
+const crypto = require('crypto');
+const { getWorkflowIdentity } = require('./workflow-rules');
+
+// Version IDs: the save time with ':' and '.' replaced (so they sort chronologically) and a random suffix
+const VERSION_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-[0-9a-f]{6}$/;
+
+/**
+ * Create a version ID for a snapshot
+ * @param {Date} date - Time of the save
+ * @returns {string} Version ID, e.g. '2024-05-01T12-00-00-000Z-1a2b3c'
+ */
+function createVersionId(date) {
+    return `${date.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Check whether a value is a well-formed version ID
+ * @param {*} version - Value to check
+ * @returns {boolean} True if the value is a version ID
+ */
+function isVersionId(version) {
+    return typeof version === 'string' && VERSION_ID_PATTERN.test(version);
+}
+
+/**
+ * Find the dashboards that differ between two configurations
+ * @param {Object} before - Configuration as read
+ * @param {Object} after - Configuration as saved
+ * @returns {Array<Object>} Changes: { id, before, after } (before is undefined for created dashboards, after for deleted ones)
+ */
+function findChangedDashboards(before, after) {
+    const beforeById = new Map((before.dashboards || []).map(d => [d.id, d]));
+    const afterById = new Map((after.dashboards || []).map(d => [d.id, d]));
+    const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+
+    return [...ids]
+        .filter(id => JSON.stringify(beforeById.get(id)) !== JSON.stringify(afterById.get(id)))
+        .map(id => ({ id, before: beforeById.get(id), after: afterById.get(id) }));
+}
+
+/**
+ * Compare two lists of entries by key
+ * @param {Array<Object>} fromEntries - Entries of the older version
+ * @param {Array<Object>} toEntries - Entries of the newer version
+ * @param {Function} keyOf - Function returning an entry's identity
+ * @param {Function} valueOf - Function returning the part of an entry compared for changes
+ * @returns {Object} { added, removed, changed: [{ from, to }] }
+ */
+function diffEntries(fromEntries, toEntries, keyOf, valueOf) {
+    const fromByKey = new Map(fromEntries.map(entry => [keyOf(entry), entry]));
+    const toByKey = new Map(toEntries.map(entry => [keyOf(entry), entry]));
+
+    return {
+        added: toEntries.filter(entry => !fromByKey.has(keyOf(entry))),
+        removed: fromEntries.filter(entry => !toByKey.has(keyOf(entry))),
+        changed: toEntries
+            .filter(entry => fromByKey.has(keyOf(entry)) &&
+                JSON.stringify(valueOf(fromByKey.get(keyOf(entry)))) !== JSON.stringify(valueOf(entry)))
+            .map(entry => ({ from: fromByKey.get(keyOf(entry)), to: entry }))
+    };
+}
+
+/**
+ * Describe what changed between two versions of a dashboard
+ * @param {Object} from - Older version of the dashboard
+ * @param {Object} to - Newer version of the dashboard
+ * @param {Object} options - { includeMembers: compare members too (only shown to owners) }
+ * @returns {Object} { name?, workflows: { added, removed, changed, reordered }, rules: { added, removed }, members? }
+ */
+function diffDashboards(from, to, { includeMembers = false } = {}) {
+    // Order is reported once for the whole list rather than as a change to every moved workflow
+    const withoutOrder = ({ order, ...workflow }) => workflow;
+    const fromWorkflows = from.workflows || [];
+    const toWorkflows = to.workflows || [];
+    const workflows = diffEntries(fromWorkflows, toWorkflows, getWorkflowIdentity, withoutOrder);
+
+    const sortedKeys = list => [...list]
+        .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity))
+        .map(getWorkflowIdentity);
+    const toKeys = new Set(toWorkflows.map(getWorkflowIdentity));
+    const fromKeys = new Set(fromWorkflows.map(getWorkflowIdentity));
+    workflows.reordered = JSON.stringify(sortedKeys(fromWorkflows).filter(key => toKeys.has(key))) !==
+        JSON.stringify(sortedKeys(toWorkflows).filter(key => fromKeys.has(key)));
+
+    const rules = diffEntries(from.rules || [], to.rules || [], rule => JSON.stringify(rule), rule => rule);
+
+    return {
+        ...(from.name !== to.name && { name: { from: from.name, to: to.name } }),
+        workflows,
+        rules: { added: rules.added, removed: rules.removed },
+        ...(includeMembers && {
+            members: diffEntries(from.members || [], to.members || [], m => m.id, m => m.role)
+        })
+    };
+}
+
+module.exports = {
+    createVersionId,
+    diffDashboards,
+    findChangedDashboards,
+    isVersionId,
+};
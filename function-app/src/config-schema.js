@@ -0,0 +1,202 @@
+// Configuration Schema Module
+// Migrates workflows.json to the current schema version and validates it against workflows.schema.json
+
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const CONFIG_SCHEMA = require('./workflows.schema.json');
+
+// Name the schema is registered under, so its definitions can be validated on their own
+const SCHEMA_KEY = 'workflows';
+
+/**
+ * Ordered migrations; MIGRATIONS[n] turns a version n + 1 document into a version n + 2 document.
+ * Append a migration (and raise the schema's schemaVersion const) whenever the format changes.
+ */
+const MIGRATIONS = [
+    // 1 -> 2: a single list of workflows (or a raw array of them) becomes the first of many dashboards
+    (document) => {
+        const { dashboardId = crypto.randomUUID(), workflows } = Array.isArray(document) ? { workflows: document } : document;
+        return {
+            dashboards: [
+                {
+                    id: dashboardId,
+                    name: 'Main Dashboard',
+                    workflows
+                }
+            ],
+            activeDashboardId: dashboardId
+        };
+    },
+    // 2 -> 3: documents carry their schemaVersion and always name an active dashboard
+    (document) => ({
+        ...document,
+        activeDashboardId: document.activeDashboardId || document.dashboards[0]?.id
+    }),
+    // 3 -> 4: workflows and rules may name the GitHub Enterprise host they live on; existing ones stay on the default host
+    (document) => document
+];
+
+// Version written by this code; MIGRATIONS must lead up to it
+const CONFIG_SCHEMA_VERSION = CONFIG_SCHEMA.properties.schemaVersion.const;
+
+const ajv = new Ajv({ allErrors: true });
+ajv.addSchema(CONFIG_SCHEMA, SCHEMA_KEY);
+
+/**
+ * Error raised when workflows.json, or a change to it, does not match the schema
+ * stored is true when the document read from storage was refused, and false when a change was.
+ */
+class ConfigValidationError extends Error {
+    constructor(message, errors = [], stored = false) {
+        super(message);
+        this.name = 'ConfigValidationError';
+        this.errors = errors;
+        this.stored = stored;
+    }
+}
+
+/**
+ * Describe schema errors as "<path> <message>" lines
+ * @param {Array<Object>} errors - Errors reported by Ajv
+ * @returns {Array<string>} Error descriptions
+ */
+function describeSchemaErrors(errors) {
+    return (errors || [])
+        // The branch an if/then/else failed on is reported on its own, so the summary is noise
+        .filter(error => error.keyword !== 'if')
+        .map(error => {
+            const path = error.instancePath || '/';
+            const detail = error.keyword === 'additionalProperties' ? ` (${error.params.additionalProperty})` : '';
+            return `${path} ${error.message}${detail}`;
+        });
+}
+
+/**
+ * Work out the schema version of a stored document
+ * Documents from before schemaVersion existed are recognized by their shape.
+ * @param {*} document - Parsed workflows.json
+ * @returns {number|null} Schema version, or null if the document is not a known format
+ */
+function getSchemaVersion(document) {
+    if (Array.isArray(document)) {
+        return 1;
+    }
+    if (!document || typeof document !== 'object') {
+        return null;
+    }
+    if (document.schemaVersion !== undefined) {
+        return Number.isInteger(document.schemaVersion) && document.schemaVersion >= 1 ? document.schemaVersion : null;
+    }
+    if (Array.isArray(document.dashboards)) {
+        return 2;
+    }
+    if (Array.isArray(document.workflows)) {
+        return 1;
+    }
+    return null;
+}
+
+/**
+ * Validate a configuration against the current schema
+ * Also checks what the schema cannot express: dashboard IDs are unique and the active dashboard exists.
+ * @param {Object} config - Configuration object
+ * @returns {Object} Validation result with isValid and errors
+ */
+function validateConfig(config) {
+    const validate = ajv.getSchema(SCHEMA_KEY);
+    if (!validate(config)) {
+        return { isValid: false, errors: describeSchemaErrors(validate.errors) };
+    }
+
+    const errors = [];
+    const ids = new Set();
+    config.dashboards.forEach((dashboard, index) => {
+        if (ids.has(dashboard.id)) {
+            errors.push(`/dashboards/${index}/id "${dashboard.id}" is used by another dashboard`);
+        }
+        ids.add(dashboard.id);
+    });
+    if (!ids.has(config.activeDashboardId)) {
+        errors.push('/activeDashboardId must be the ID of one of the dashboards');
+    }
+
+    return errors.length > 0 ? { isValid: false, errors } : { isValid: true, errors: [] };
+}
+
+/**
+ * Validate a value against one of the schema's definitions
+ * Handlers use this for request fields that end up in the configuration, so they are checked the same way.
+ * @param {string} definition - Definition name, such as 'workflowReference'
+ * @param {*} value - Value to validate
+ * @returns {Object} Validation result with isValid and errors
+ */
+function validateDefinition(definition, value) {
+    const validate = ajv.getSchema(`${SCHEMA_KEY}#/definitions/${definition}`);
+    return validate(value)
+        ? { isValid: true, errors: [] }
+        : { isValid: false, errors: describeSchemaErrors(validate.errors) };
+}
+
+/**
+ * Migrate a stored document to the current schema version and validate it
+ * Unknown or invalid documents are refused rather than replaced, so a save can never wipe them.
+ * @param {*} document - Parsed workflows.json
+ * @returns {Object} Configuration in the current format
+ * @throws {ConfigValidationError} When the document has an unknown shape or version, or does not match the schema
+ */
+function migrateConfig(document) {
+    const version = getSchemaVersion(document);
+    if (version === null) {
+        throw new ConfigValidationError('workflows.json is not in a known format', [], true);
+    }
+    if (version > CONFIG_SCHEMA_VERSION) {
+        throw new ConfigValidationError(
+            `workflows.json has schema version ${version}, but this function app only supports up to ${CONFIG_SCHEMA_VERSION}. Deploy a newer version of the function app.`,
+            [],
+            true
+        );
+    }
+
+    let config = document;
+    for (let from = version; from < CONFIG_SCHEMA_VERSION; from++) {
+        // schemaVersion is kept first so it is the first thing seen when reading the file
+        const { schemaVersion, ...migrated } = MIGRATIONS[from - 1](config);
+        config = { schemaVersion: from + 1, ...migrated };
+    }
+
+    const validation = validateConfig(config);
+    if (!validation.isValid) {
+        throw new ConfigValidationError(
+            `workflows.json does not match schema version ${CONFIG_SCHEMA_VERSION}: ${validation.errors.join('; ')}`,
+            validation.errors,
+            true
+        );
+    }
+    return config;
+}
+
+/**
+ * Build the response for a refused configuration
+ * @param {ConfigValidationError} error - Error raised while reading or saving the configuration
+ * @returns {Object} HTTP response: 500 when the stored document is invalid, 400 when a change would make it invalid
+ */
+function invalidConfigResponse(error) {
+    return {
+        status: error.stored ? 500 : 400,
+        jsonBody: {
+            error: error.stored ? 'Invalid configuration' : 'Validation error',
+            message: error.message,
+            errors: error.errors
+        }
+    };
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    CONFIG_SCHEMA_VERSION,
+    ConfigValidationError,
+    invalidConfigResponse,
+    migrateConfig,
+    validateConfig,
+    validateDefinition,
+};
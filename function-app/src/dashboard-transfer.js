@@ -0,0 +1,147 @@
+// Dashboard Transfer Module
+// Converts dashboards to and from the JSON and YAML documents used to export and import them
+
+const YAML = require('yaml');
+const { validateRule } = require('./workflow-rules');
+const { validateWorkflowEntry, workflowExists } = require('./workflow-validation');
+
+// Version of the export document format
+const TRANSFER_VERSION = 1;
+
+// Supported document formats and their content types
+const TRANSFER_FORMATS = {
+    json: 'application/json',
+    yaml: 'application/yaml'
+};
+
+// Largest document accepted for import, in characters
+const MAX_IMPORT_LENGTH = 1024 * 1024;
+
+// Fields of an auto-track rule that are kept on import (besides the host, which is kept as validated)
+const RULE_FIELDS = ['org', 'repo', 'topic', 'workflow', 'label', 'branch', 'event', 'actor'];
+
+/**
+ * Build an export document for dashboards
+ * Members are left out: they are specific to the environment the dashboard lives in.
+ * @param {Array<Object>} dashboards - Dashboards from the configuration
+ * @returns {Object} Export document: { version, exportedAt, dashboards }
+ */
+function buildExportDocument(dashboards) {
+    return {
+        version: TRANSFER_VERSION,
+        exportedAt: new Date().toISOString(),
+        dashboards: dashboards.map(dashboard => ({
+            id: dashboard.id,
+            name: dashboard.name,
+            workflows: dashboard.workflows || [],
+            ...(Array.isArray(dashboard.rules) && dashboard.rules.length > 0 && { rules: dashboard.rules })
+        }))
+    };
+}
+
+/**
+ * Serialize a document as JSON or YAML
+ * @param {Object} document - Export document
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {string} Document text
+ */
+function serializeDocument(document, format) {
+    return format === 'yaml' ? YAML.stringify(document) : `${JSON.stringify(document, null, 2)}\n`;
+}
+
+/**
+ * Parse a JSON or YAML document
+ * @param {string} content - Document text
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {*} Parsed document
+ * @throws {Error} When the text is not valid in the given format
+ */
+function parseDocument(content, format) {
+    return format === 'yaml' ? YAML.parse(content) : JSON.parse(content);
+}
+
+/**
+ * Validate an import document
+ * Every problem is reported, prefixed with the path of the value it concerns.
+ * @param {*} document - Parsed document
+ * @returns {Object} Validation result with isValid, errors, and the normalized dashboards
+ */
+function validateImportDocument(document) {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        return { isValid: false, errors: ['Document must be an object with a dashboards list'] };
+    }
+
+    if (document.version !== undefined && document.version !== TRANSFER_VERSION) {
+        return { isValid: false, errors: [`version ${document.version} is not supported (expected ${TRANSFER_VERSION})`] };
+    }
+
+    if (!Array.isArray(document.dashboards) || document.dashboards.length === 0) {
+        return { isValid: false, errors: ['dashboards must be a non-empty list'] };
+    }
+
+    const errors = [];
+    const names = new Set();
+    const dashboards = document.dashboards.map((dashboard, index) => {
+        const path = `dashboards[${index}]`;
+        if (!dashboard || typeof dashboard !== 'object' || Array.isArray(dashboard)) {
+            errors.push(`${path}: dashboard must be an object`);
+            return null;
+        }
+
+        if (dashboard.id !== undefined && (typeof dashboard.id !== 'string' || !dashboard.id.trim())) {
+            errors.push(`${path}.id: must be a non-empty string when provided`);
+        }
+
+        const name = typeof dashboard.name === 'string' ? dashboard.name.trim() : '';
+        if (!name) {
+            errors.push(`${path}.name: is required and must be a non-empty string`);
+        } else if (names.has(name)) {
+            errors.push(`${path}.name: "${name}" appears more than once`);
+        }
+        names.add(name);
+
+        const workflows = [];
+        if (dashboard.workflows !== undefined && !Array.isArray(dashboard.workflows)) {
+            errors.push(`${path}.workflows: must be a list`);
+        }
+        (Array.isArray(dashboard.workflows) ? dashboard.workflows : []).forEach((workflow, workflowIndex) => {
+            const validation = validateWorkflowEntry(workflow);
+            if (!validation.isValid) {
+                errors.push(`${path}.workflows[${workflowIndex}]: ${validation.error}`);
+            } else if (workflowExists(workflows, validation.entry.owner, validation.entry.repo, validation.entry.workflow, validation.entry.host)) {
+                errors.push(`${path}.workflows[${workflowIndex}]: workflow is listed more than once`);
+            } else {
+                workflows.push(validation.entry);
+            }
+        });
+
+        const rules = [];
+        if (dashboard.rules !== undefined && !Array.isArray(dashboard.rules)) {
+            errors.push(`${path}.rules: must be a list`);
+        }
+        (Array.isArray(dashboard.rules) ? dashboard.rules : []).forEach((rule, ruleIndex) => {
+            const validation = validateRule(rule);
+            if (!validation.isValid) {
+                errors.push(`${path}.rules[${ruleIndex}]: ${validation.error}`);
+            } else {
+                rules.push({
+                    ...(validation.rule.host && { host: validation.rule.host }),
+                    ...Object.fromEntries(RULE_FIELDS.filter(field => rule[field] !== undefined).map(field => [field, rule[field]]))
+                });
+            }
+        });
+
+        return { id: typeof dashboard.id === 'string' ? dashboard.id.trim() : undefined, name, workflows, rules };
+    });
+
+    return errors.length > 0 ? { isValid: false, errors } : { isValid: true, dashboards };
+}
+
+module.exports = {
+    MAX_IMPORT_LENGTH,
+    TRANSFER_FORMATS,
+    buildExportDocument,
+    parseDocument,
+    serializeDocument,
+    validateImportDocument,
+};
@@ -2,156 +2,25 @@
 // HTTP-triggered function that adds a new workflow to the dashboard configuration
 
 const { app } = require('@azure/functions');
-const { getWorkflowConfigurations, saveWorkflowConfigurations } = require('../storage-client');
-const { getSecret } = require('../keyvault-client');
-const { createInstallationClient, getAppInstallations } = require('../github-auth');
+const { authenticateRequest } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { ROLES, forbiddenResponse, hasRole } = require('../permissions');
+const {
+    ConfigConflictError,
+    findTargetDashboard,
+    getWorkflowConfigurations,
+    updateWorkflowConfigurations
+} = require('../storage-client');
+const { getGitHubHost, getHostCredentials } = require('../github-hosts');
+const { validateWorkflow, verifyWorkflowAccess, workflowExists } = require('../workflow-validation');
 const crypto = require('crypto');
 
-/**
- * Validate workflow input
- * @param {Object} workflow - Workflow object to validate
- * @returns {Object} Validation result with isValid, error, and parsed values
- */
-function validateWorkflow(workflow) {
-    if (!workflow || typeof workflow !== 'object') {
-        return { isValid: false, error: 'Workflow must be an object' };
-    }
-
-    // Validate repo field (should be in org/repo format)
-    if (!workflow.repo || typeof workflow.repo !== 'string') {
-        return { isValid: false, error: 'repo field is required and must be a string' };
-    }
-
-    // Parse repo into owner and repo
-    const repoParts = workflow.repo.split('/');
-    if (repoParts.length !== 2 || !repoParts[0] || !repoParts[1]) {
-        return { isValid: false, error: 'repo must be in the format "owner/repo"' };
-    }
-
-    // Validate workflow field
-    if (!workflow.workflow || typeof workflow.workflow !== 'string') {
-        return { isValid: false, error: 'workflow field is required and must be a string' };
-    }
-
-    // Validate workflow: either a file with .yml/.yaml extension or a numeric ID
-    const workflowValue = workflow.workflow.trim();
-    const isNumeric = /^\d+$/.test(workflowValue);
-    const hasYamlExtension = workflowValue.endsWith('.yml') || workflowValue.endsWith('.yaml');
-
-    if (!isNumeric && !hasYamlExtension) {
-        return { isValid: false, error: 'workflow must be a .yml or .yaml file, or a numeric workflow ID' };
-    }
-
-    // Validate label field
-    if (!workflow.label || typeof workflow.label !== 'string') {
-        return { isValid: false, error: 'label field is required and must be a string' };
-    }
-
-    // Return validated and parsed values
-    return { 
-        isValid: true,
-        owner: repoParts[0],
-        repo: repoParts[1],
-        workflow: workflowValue,
-        label: workflow.label
-    };
-}
-
-/**
- * Verify that the workflow exists in GitHub and the app has access
- * @param {string} appId - GitHub App ID
- * @param {string} privateKey - GitHub App private key
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} workflowIdOrFile - Workflow file name or ID
- * @returns {Promise<Object>} Verification result with success, error, and statusCode
- */
-async function verifyWorkflowAccess(appId, privateKey, owner, repo, workflowIdOrFile) {
-    try {
-        // Get all installations to find the one for this repo
-        const installations = await getAppInstallations(appId, privateKey);
-        
-        // Find installation for the repository owner
-        const installation = installations.find(
-            inst => inst.account.login.toLowerCase() === owner.toLowerCase()
-        );
-        
-        if (!installation) {
-            return {
-                success: false,
-                statusCode: 404,
-                error: 'GitHub App is not installed on the specified organization or user account'
-            };
-        }
-        
-        // Create installation-specific client
-        const octokit = await createInstallationClient(appId, privateKey, installation.id);
-        
-        // Try to get the workflow to verify it exists and we have access
-        // workflow_id can be either a file name or numeric ID
-        try {
-            await octokit.rest.actions.getWorkflow({
-                owner,
-                repo,
-                workflow_id: workflowIdOrFile
-            });
-            
-            return { success: true };
-        } catch (error) {
-            if (error.status === 404) {
-                return {
-                    success: false,
-                    statusCode: 404,
-                    error: 'Workflow not found in the specified repository. Please verify the workflow file name or ID.'
-                };
-            } else if (error.status === 403) {
-                return {
-                    success: false,
-                    statusCode: 403,
-                    error: 'GitHub App does not have permission to access this repository or workflow'
-                };
-            } else {
-                return {
-                    success: false,
-                    statusCode: 502,
-                    error: 'Failed to verify workflow with GitHub API'
-                };
-            }
-        }
-    } catch (error) {
-        return {
-            success: false,
-            statusCode: 502,
-            error: 'Failed to communicate with GitHub API'
-        };
-    }
-}
-
-/**
- * Check if workflow already exists
- * @param {Array} workflows - Existing workflows
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} workflowIdOrFile - Workflow file name or ID
- * @returns {boolean} True if workflow exists
- */
-function workflowExists(workflows, owner, repo, workflowIdOrFile) {
-    return workflows.some(w => 
-        w.owner === owner && 
-        w.repo === repo && 
-        w.workflow === workflowIdOrFile
-    );
-}
-
 /**
  * HTTP trigger function to add a workflow
  * 
  * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
- * Security is provided by CORS configuration which restricts allowed origins.
- * For production, consider:
- * - Restricting CORS origins to specific domains
- * - Implementing rate limiting via Azure API Management
- * - Adding function key authentication
+ * Callers must present a valid bearer token (see auth.js). CORS additionally
+ * restricts allowed origins.
  */
 app.http('add-workflow', {
     methods: ['POST'],
@@ -160,6 +29,12 @@ app.http('add-workflow', {
         context.log('Processing request to add workflow');
 
         try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
             // Get configuration from environment variables
             const keyVaultUrl = process.env.KEY_VAULT_URL;
             const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
@@ -208,19 +83,38 @@ app.http('add-workflow', {
             }
 
             // Use validated and parsed values from validation
+            const host = validation.host;
             const owner = validation.owner;
             const repo = validation.repo;
             const workflowIdOrFile = validation.workflow;
             const label = validation.label;
+            const dashboardId = validation.dashboardId;
+            const filters = validation.filters;
+
+            // Check access before calling GitHub; the check is repeated when saving
+            const currentConfig = await getWorkflowConfigurations(storageAccountUrl, workflowConfigContainer);
+            const currentDashboard = findTargetDashboard(currentConfig, dashboardId);
+            if (!currentDashboard || !hasRole(currentDashboard, auth.user, ROLES.VIEWER)) {
+                context.log('Target dashboard not found');
+                return {
+                    status: 404,
+                    jsonBody: dashboardId
+                        ? { error: 'Not found', message: 'Dashboard not found' }
+                        : { error: 'No active dashboard', message: 'No active dashboard found. Please create a dashboard first.' }
+                };
+            }
+
+            if (!hasRole(currentDashboard, auth.user, ROLES.EDITOR)) {
+                context.log('Caller is not an editor of the target dashboard');
+                return forbiddenResponse('You need editor access to add workflows on this dashboard');
+            }
 
             // Get GitHub App credentials from Key Vault
             context.log('Retrieving GitHub App credentials from Key Vault');
+            const githubHost = getGitHubHost(host);
             let appId, privateKey;
             try {
-                [appId, privateKey] = await Promise.all([
-                    getSecret(keyVaultUrl, 'github-app-id'),
-                    getSecret(keyVaultUrl, 'github-app-private-key')
-                ]);
+                ({ appId, privateKey } = await getHostCredentials(keyVaultUrl, githubHost));
             } catch (error) {
                 context.log('Failed to retrieve GitHub App credentials:', error);
                 return {
@@ -234,7 +128,7 @@ app.http('add-workflow', {
 
             // Verify workflow exists and app has access
             context.log('Verifying workflow access');
-            const verification = await verifyWorkflowAccess(appId, privateKey, owner, repo, workflowIdOrFile);
+            const verification = await verifyWorkflowAccess(appId, privateKey, owner, repo, workflowIdOrFile, githubHost.apiUrl);
             if (!verification.success) {
                 context.log('Workflow verification failed');
                 return {
@@ -246,79 +140,104 @@ app.http('add-workflow', {
                 };
             }
 
-            // Get existing workflow configuration from Azure Storage
-            context.log('Retrieving workflow configuration from Storage');
-            let config = await getWorkflowConfigurations(
-                storageAccountUrl,
-                workflowConfigContainer
-            );
+            // Add the workflow using an ETag-conditioned read-modify-write
+            context.log('Updating workflow configuration in Storage');
+            return await updateWorkflowConfigurations(storageAccountUrl, workflowConfigContainer, (config) => {
+                // Configuration is already migrated by storage client
+                // Find the requested dashboard, or the active one when none was given
+                const targetDashboard = findTargetDashboard(config, dashboardId);
+
+                if (!targetDashboard) {
+                    context.log('Target dashboard not found');
+                    return {
+                        save: false,
+                        result: {
+                            status: 404,
+                            jsonBody: dashboardId
+                                ? { error: 'Not found', message: 'Dashboard not found' }
+                                : { error: 'No active dashboard', message: 'No active dashboard found. Please create a dashboard first.' }
+                        }
+                    };
+                }
+
+                // Only editors and owners may change workflows
+                if (!hasRole(targetDashboard, auth.user, ROLES.EDITOR)) {
+                    context.log('Caller is not an editor of the target dashboard');
+                    return {
+                        save: false,
+                        result: forbiddenResponse('You need editor access to add workflows on this dashboard')
+                    };
+                }
 
-            // Configuration is already migrated by storage client
-            // Find the active dashboard
-            const activeDashboard = config.dashboards?.find(d => d.id === config.activeDashboardId);
+                const workflows = targetDashboard.workflows || [];
+
+                // Check if workflow already exists
+                if (workflowExists(workflows, owner, repo, workflowIdOrFile, host)) {
+                    context.log('Workflow already exists in configuration');
+                    return {
+                        save: false,
+                        result: {
+                            status: 409,
+                            jsonBody: {
+                                error: 'Conflict',
+                                message: 'Workflow already exists in the dashboard'
+                            }
+                        }
+                    };
+                }
+
+                // Create new workflow entry (no id field per workflow)
+                const newWorkflow = {
+                    ...(host && { host }),
+                    owner,
+                    repo,
+                    workflow: workflowIdOrFile,
+                    label,
+                    ...filters
+                };
+
+                // Add to workflows array
+                workflows.push(newWorkflow);
+                targetDashboard.workflows = workflows;
+
+                context.log('Saving updated workflow configuration to Storage');
 
-            if (!activeDashboard) {
-                context.log('No active dashboard found');
                 return {
-                    status: 404,
-                    jsonBody: {
-                        error: 'No active dashboard',
-                        message: 'No active dashboard found. Please create a dashboard first.'
+                    save: true,
+                    change: { user: auth.user, action: 'add-workflow', summary: `Added ${host ? `${host}/` : ''}${owner}/${repo}/${workflowIdOrFile} as "${label}"` },
+                    result: {
+                        status: 201,
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        jsonBody: {
+                            success: true,
+                            message: 'Workflow added successfully',
+                            dashboardId: targetDashboard.id,
+                            dashboardName: targetDashboard.name,
+                            workflow: newWorkflow
+                        }
                     }
                 };
-            }
-
-            const workflows = activeDashboard.workflows || [];
+            });
 
-            // Check if workflow already exists
-            if (workflowExists(workflows, owner, repo, workflowIdOrFile)) {
-                context.log('Workflow already exists in configuration');
+        } catch (error) {
+            if (error instanceof ConfigConflictError) {
+                context.log('Configuration update conflicted with concurrent edits');
                 return {
                     status: 409,
                     jsonBody: {
                         error: 'Conflict',
-                        message: 'Workflow already exists in the dashboard'
+                        message: error.message
                     }
                 };
             }
 
-            // Create new workflow entry (no id field per workflow)
-            const newWorkflow = {
-                owner,
-                repo,
-                workflow: workflowIdOrFile,
-                label
-            };
-
-            // Add to workflows array
-            workflows.push(newWorkflow);
-            activeDashboard.workflows = workflows;
-
-            // Save updated configuration back to Storage
-            context.log('Saving updated workflow configuration to Storage');
-            await saveWorkflowConfigurations(
-                storageAccountUrl,
-                workflowConfigContainer,
-                config
-            );
-
-            context.log('Successfully added workflow to configuration');
-
-            return {
-                status: 201,
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                jsonBody: {
-                    success: true,
-                    message: 'Workflow added successfully',
-                    dashboardId: activeDashboard.id,
-                    dashboardName: activeDashboard.name,
-                    workflow: newWorkflow
-                }
-            };
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
 
-        } catch (error) {
             context.log('Error processing request:', error);
             return {
                 status: 500,
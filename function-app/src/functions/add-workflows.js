@@ -0,0 +1,471 @@
+// Azure Function: Add Workflows
+// HTTP-triggered function that adds many workflows to a dashboard in a single configuration write
+
+const { app } = require('@azure/functions');
+const { authenticateRequest } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { ROLES, forbiddenResponse, hasRole } = require('../permissions');
+const {
+    ConfigConflictError,
+    findTargetDashboard,
+    getWorkflowConfigurations,
+    updateWorkflowConfigurations
+} = require('../storage-client');
+const { createInstallationClient, getRepositoryInstallationId } = require('../github-auth');
+const { getGitHubHost, getHostCredentials } = require('../github-hosts');
+const { globToRegExp, listOwnerRepositories, listRepositoryWorkflows, mapWithConcurrency } = require('../repository-catalog');
+const {
+    validateHost,
+    validateRunFilters,
+    validateWorkflow,
+    verifyWorkflowInRepository,
+    workflowExists
+} = require('../workflow-validation');
+
+// Most workflows one request may add
+const MAX_BULK_WORKFLOWS = 200;
+
+// GitHub API calls made at the same time while verifying or listing workflows
+const BULK_CONCURRENCY = 8;
+
+/**
+ * Validate bulk add input
+ * Exactly one source is allowed: a list of workflows, a repository, or an organization.
+ * A repository or organization may name its host; listed workflows each name their own.
+ * @param {Object} request - Request object to validate
+ * @returns {Object} Validation result with isValid, error, and parsed values
+ */
+function validateBulkRequest(request) {
+    if (!request || typeof request !== 'object') {
+        return { isValid: false, error: 'Request must be an object' };
+    }
+
+    const sources = ['workflows', 'repo', 'org'].filter(name => request[name] !== undefined);
+    if (sources.length !== 1) {
+        return { isValid: false, error: 'Exactly one of workflows, repo or org is required' };
+    }
+
+    // Validate optional dashboardId field
+    if (request.dashboardId !== undefined && (typeof request.dashboardId !== 'string' || !request.dashboardId.trim())) {
+        return { isValid: false, error: 'dashboardId must be a non-empty string when provided' };
+    }
+
+    if (request.workflows !== undefined) {
+        if (!Array.isArray(request.workflows) || request.workflows.length === 0) {
+            return { isValid: false, error: 'workflows must be a non-empty array' };
+        }
+        if (request.workflows.length > MAX_BULK_WORKFLOWS) {
+            return { isValid: false, error: `workflows may list at most ${MAX_BULK_WORKFLOWS} entries` };
+        }
+        return { isValid: true, workflows: request.workflows, dashboardId: request.dashboardId };
+    }
+
+    // Validate repo or org field
+    let owner, repo = null;
+    if (request.repo !== undefined) {
+        const repoParts = typeof request.repo === 'string' ? request.repo.split('/') : [];
+        if (repoParts.length !== 2 || !repoParts[0] || !repoParts[1]) {
+            return { isValid: false, error: 'repo must be in the format "owner/repo"' };
+        }
+        [owner, repo] = repoParts;
+    } else {
+        if (typeof request.org !== 'string' || !/^[A-Za-z0-9-]{1,39}$/.test(request.org)) {
+            return { isValid: false, error: 'org must be an organization or user login' };
+        }
+        owner = request.org;
+    }
+
+    // Validate include and exclude patterns
+    const patterns = {};
+    for (const name of ['include', 'exclude']) {
+        const value = request[name] ?? [];
+        if (!Array.isArray(value) || !value.every(pattern => typeof pattern === 'string' && pattern.trim())) {
+            return { isValid: false, error: `${name} must be an array of glob patterns` };
+        }
+        patterns[name] = value.map(pattern => pattern.trim());
+    }
+
+    // Validate run filters applied to every workflow found
+    const filterValidation = validateRunFilters(request);
+    if (!filterValidation.isValid) {
+        return filterValidation;
+    }
+
+    const hostValidation = validateHost(request.host);
+    if (!hostValidation.isValid) {
+        return hostValidation;
+    }
+
+    return {
+        isValid: true,
+        host: hostValidation.hostName,
+        owner,
+        repo,
+        include: patterns.include,
+        exclude: patterns.exclude,
+        filters: filterValidation.filters,
+        dashboardId: request.dashboardId
+    };
+}
+
+/**
+ * Compile an include or exclude pattern
+ * Patterns with a `/` are matched against `repo/file`, others against the workflow file name alone.
+ * @param {string} pattern - Glob pattern
+ * @returns {Object} { regex, qualified }
+ */
+function compilePattern(pattern) {
+    return { regex: globToRegExp(pattern), qualified: pattern.includes('/') };
+}
+
+/**
+ * Check a workflow against include and exclude patterns
+ * @param {string} repo - Repository name
+ * @param {Object} workflow - Workflow from listRepositoryWorkflows
+ * @param {Array<Object>} include - Compiled include patterns (empty includes everything)
+ * @param {Array<Object>} exclude - Compiled exclude patterns
+ * @returns {boolean} True if the workflow is selected
+ */
+function matchesPatterns(repo, workflow, include, exclude) {
+    const file = workflow.path.split('/').pop();
+    const matches = ({ regex, qualified }) => regex.test(qualified ? `${repo}/${file}` : file);
+    return (include.length === 0 || include.some(matches)) && !exclude.some(matches);
+}
+
+/**
+ * HTTP trigger function to add many workflows at once
+ *
+ * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
+ * Callers must present a valid bearer token (see auth.js) and be an editor of the
+ * target dashboard. CORS additionally restricts allowed origins.
+ */
+app.http('add-workflows', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        context.log('Processing request to add workflows in bulk');
+
+        try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
+            // Get configuration from environment variables
+            const keyVaultUrl = process.env.KEY_VAULT_URL;
+            const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
+            const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
+
+            // Validate all environment variables are set, are strings, and are non-empty
+            if (!keyVaultUrl || typeof keyVaultUrl !== 'string' || keyVaultUrl.trim().length === 0 ||
+                !storageAccountUrl || typeof storageAccountUrl !== 'string' || storageAccountUrl.trim().length === 0 ||
+                !workflowConfigContainer || typeof workflowConfigContainer !== 'string' || workflowConfigContainer.trim().length === 0) {
+                context.log('Missing or invalid required environment variables');
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Required environment variables are not properly configured'
+                    }
+                };
+            }
+
+            // Parse request body
+            let requestBody;
+            try {
+                requestBody = await request.json();
+            } catch (error) {
+                context.log('Failed to parse request body:', error);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Invalid request',
+                        message: 'Request body must be valid JSON'
+                    }
+                };
+            }
+
+            // Validate input
+            const validation = validateBulkRequest(requestBody);
+            if (!validation.isValid) {
+                context.log('Validation failed:', validation.error);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: validation.error
+                    }
+                };
+            }
+
+            // Check access before calling GitHub; the check is repeated when saving
+            const currentConfig = await getWorkflowConfigurations(storageAccountUrl, workflowConfigContainer);
+            const currentDashboard = findTargetDashboard(currentConfig, validation.dashboardId);
+            if (!currentDashboard || !hasRole(currentDashboard, auth.user, ROLES.VIEWER)) {
+                context.log('Target dashboard not found');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'Dashboard not found'
+                    }
+                };
+            }
+
+            if (!hasRole(currentDashboard, auth.user, ROLES.EDITOR)) {
+                context.log('Caller is not an editor of the target dashboard');
+                return forbiddenResponse('You need editor access to add workflows on this dashboard');
+            }
+
+            // Get GitHub App credentials once for every host the request refers to
+            context.log('Retrieving GitHub App credentials from Key Vault');
+            const hostNames = validation.workflows
+                ? [...new Set(validation.workflows.map(validateWorkflow).filter(v => v.isValid).map(v => v.host))]
+                : [validation.host];
+            const credentials = new Map();
+            try {
+                await Promise.all(hostNames.map(async (hostName) => {
+                    const host = getGitHubHost(hostName);
+                    credentials.set(host.name, { host, ...await getHostCredentials(keyVaultUrl, host) });
+                }));
+            } catch (error) {
+                context.log('Failed to retrieve GitHub App credentials:', error.message);
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Failed to retrieve GitHub App credentials'
+                    }
+                };
+            }
+
+            // One client per installation, shared by all workflows it covers
+            const clients = new Map();
+            const getClient = async (hostName, owner, repo) => {
+                const { host, appId, privateKey } = credentials.get(getGitHubHost(hostName).name);
+                const installationId = await getRepositoryInstallationId(appId, privateKey, owner, repo, host.apiUrl);
+                if (!installationId) {
+                    return null;
+                }
+                const key = `${host.name}:${installationId}`;
+                if (!clients.has(key)) {
+                    clients.set(key, createInstallationClient(appId, privateKey, installationId, host.apiUrl));
+                }
+                return clients.get(key);
+            };
+
+            // Resolve the request into results; candidates carry the workflow entry to add
+            let results;
+            if (validation.workflows) {
+                context.log(`Verifying ${validation.workflows.length} workflows`);
+                results = await mapWithConcurrency(validation.workflows, BULK_CONCURRENCY, async (item) => {
+                    const itemValidation = validateWorkflow(item);
+                    if (!itemValidation.isValid) {
+                        return {
+                            repo: typeof item?.repo === 'string' ? item.repo : null,
+                            workflow: typeof item?.workflow === 'string' ? item.workflow : null,
+                            status: 'failed',
+                            statusCode: 400,
+                            error: itemValidation.error
+                        };
+                    }
+
+                    const { host, owner, repo, workflow, label, filters } = itemValidation;
+                    const result = { ...(host && { host }), repo: `${owner}/${repo}`, workflow, label };
+                    let client;
+                    try {
+                        client = await getClient(host, owner, repo);
+                    } catch (error) {
+                        return { ...result, status: 'failed', statusCode: 502, error: 'Failed to find the GitHub App installation' };
+                    }
+                    const verification = client
+                        ? await verifyWorkflowInRepository(client, owner, repo, workflow)
+                        : { success: false, statusCode: 404, error: 'GitHub App is not installed on the specified repository, or cannot access it' };
+                    if (!verification.success) {
+                        return { ...result, status: 'failed', statusCode: verification.statusCode, error: verification.error };
+                    }
+                    return { ...result, entry: { ...(host && { host }), owner, repo, workflow, label, ...filters } };
+                });
+            } else {
+                const { host, owner, include, exclude, filters } = validation;
+                let octokit;
+                try {
+                    octokit = await getClient(host, owner, validation.repo);
+                } catch (error) {
+                    context.log('Failed to find installation:', error.message);
+                    return {
+                        status: 502,
+                        jsonBody: {
+                            error: 'GitHub API error',
+                            message: 'Failed to find the GitHub App installation'
+                        }
+                    };
+                }
+                if (!octokit) {
+                    context.log('No installation found for owner');
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            error: 'Not found',
+                            message: validation.repo
+                                ? 'GitHub App is not installed on the specified repository, or cannot access it'
+                                : 'GitHub App is not installed on the specified organization or user account'
+                        }
+                    };
+                }
+
+                // List the repository, or every non-archived repository of the owner the app can see
+                let repos;
+                try {
+                    repos = validation.repo
+                        ? [validation.repo]
+                        : (await listOwnerRepositories(octokit, owner)).filter(r => !r.archived).map(r => r.name);
+                } catch (error) {
+                    context.log('Failed to list repositories:', error.message);
+                    return {
+                        status: 502,
+                        jsonBody: {
+                            error: 'GitHub API error',
+                            message: 'Failed to list repositories from GitHub API'
+                        }
+                    };
+                }
+
+                context.log(`Listing workflows in ${repos.length} repositories`);
+                const includePatterns = include.map(compilePattern);
+                const excludePatterns = exclude.map(compilePattern);
+                const listings = await mapWithConcurrency(repos, BULK_CONCURRENCY, async (repo) => {
+                    try {
+                        const workflows = await listRepositoryWorkflows(octokit, owner, repo);
+                        return workflows
+                            .filter(w => w.state === 'active' && matchesPatterns(repo, w, includePatterns, excludePatterns))
+                            .map(w => ({
+                                ...(host && { host }),
+                                repo: `${owner}/${repo}`,
+                                workflow: w.workflow,
+                                label: w.name,
+                                entry: { ...(host && { host }), owner, repo, workflow: w.workflow, label: w.name, ...filters }
+                            }));
+                    } catch (error) {
+                        return [{
+                            ...(host && { host }),
+                            repo: `${owner}/${repo}`,
+                            workflow: null,
+                            status: 'failed',
+                            statusCode: error.status === 404 ? 404 : 502,
+                            error: error.status === 404
+                                ? 'Repository not found or not accessible to the GitHub App'
+                                : 'Failed to list workflows from GitHub API'
+                        }];
+                    }
+                });
+                results = listings.flat();
+
+                if (results.length > MAX_BULK_WORKFLOWS) {
+                    context.log(`Too many workflows matched: ${results.length}`);
+                    return {
+                        status: 400,
+                        jsonBody: {
+                            error: 'Validation error',
+                            message: `${results.length} workflows matched; narrow the include and exclude patterns to at most ${MAX_BULK_WORKFLOWS}`
+                        }
+                    };
+                }
+            }
+
+            // Add every verified workflow using one ETag-conditioned read-modify-write
+            context.log('Updating workflow configuration in Storage');
+            return await updateWorkflowConfigurations(storageAccountUrl, workflowConfigContainer, (config) => {
+                const targetDashboard = findTargetDashboard(config, validation.dashboardId);
+                if (!targetDashboard || !hasRole(targetDashboard, auth.user, ROLES.VIEWER)) {
+                    context.log('Target dashboard not found');
+                    return {
+                        save: false,
+                        result: {
+                            status: 404,
+                            jsonBody: { error: 'Not found', message: 'Dashboard not found' }
+                        }
+                    };
+                }
+
+                if (!hasRole(targetDashboard, auth.user, ROLES.EDITOR)) {
+                    context.log('Caller is not an editor of the target dashboard');
+                    return {
+                        save: false,
+                        result: forbiddenResponse('You need editor access to add workflows on this dashboard')
+                    };
+                }
+
+                const workflows = targetDashboard.workflows || [];
+                const report = results.map(({ entry, ...result }) => {
+                    if (!entry) {
+                        return result;
+                    }
+                    // Duplicates within the request are caught too, since added entries are pushed right away
+                    if (workflowExists(workflows, entry.owner, entry.repo, entry.workflow, entry.host)) {
+                        return { ...result, status: 'skipped', statusCode: 409, error: 'Workflow already exists in the dashboard' };
+                    }
+                    workflows.push(entry);
+                    return { ...result, status: 'added' };
+                });
+                targetDashboard.workflows = workflows;
+
+                const added = report.filter(r => r.status === 'added').length;
+                const skipped = report.filter(r => r.status === 'skipped').length;
+                const failed = report.filter(r => r.status === 'failed').length;
+                context.log(`Bulk add: ${added} added, ${skipped} skipped, ${failed} failed`);
+
+                return {
+                    save: added > 0,
+                    change: { user: auth.user, action: 'add-workflows', summary: `Added ${added} workflows` },
+                    result: {
+                        status: 200,
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        jsonBody: {
+                            success: failed === 0,
+                            message: `Added ${added} of ${report.length} workflows`,
+                            dashboardId: targetDashboard.id,
+                            dashboardName: targetDashboard.name,
+                            added,
+                            skipped,
+                            failed,
+                            results: report
+                        }
+                    }
+                };
+            });
+
+        } catch (error) {
+            if (error instanceof ConfigConflictError) {
+                context.log('Configuration update conflicted with concurrent edits');
+                return {
+                    status: 409,
+                    jsonBody: {
+                        error: 'Conflict',
+                        message: error.message
+                    }
+                };
+            }
+
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
+
+            context.log('Error processing request:', error);
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: 'An error occurred while adding workflows. Please try again later.'
+                }
+            };
+        }
+    }
+});
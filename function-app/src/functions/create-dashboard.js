@@ -3,13 +3,17 @@
 
 const crypto = require('crypto');
 const { app } = require('@azure/functions');
-const { getWorkflowConfigurations, saveWorkflowConfigurations } = require('../storage-client');
+const { authenticateRequest } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { ROLES } = require('../permissions');
+const { ConfigConflictError, updateWorkflowConfigurations } = require('../storage-client');
 
 /**
  * HTTP trigger function to create a new dashboard
  * 
  * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
- * Security is provided by CORS configuration which restricts allowed origins.
+ * Callers must present a valid bearer token (see auth.js). CORS additionally
+ * restricts allowed origins.
  */
 app.http('create-dashboard', {
     methods: ['POST'],
@@ -18,6 +22,12 @@ app.http('create-dashboard', {
         context.log('Processing request to create dashboard');
 
         try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
             // Get configuration from environment variables
             const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
             const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
@@ -62,67 +72,82 @@ app.http('create-dashboard', {
                 };
             }
 
-            // Get workflow configuration
-            context.log('Retrieving workflow configuration from Storage');
-            const config = await getWorkflowConfigurations(
-                storageAccountUrl,
-                workflowConfigContainer
-            );
+            // Create the dashboard using an ETag-conditioned read-modify-write
+            context.log('Updating workflow configuration in Storage');
+            return await updateWorkflowConfigurations(storageAccountUrl, workflowConfigContainer, (config) => {
+                // Check if a dashboard with the same name exists
+                const existingDashboard = config.dashboards?.find(d => d.name === name.trim());
+                if (existingDashboard) {
+                    return {
+                        save: false,
+                        result: {
+                            status: 409,
+                            jsonBody: {
+                                error: 'Conflict',
+                                message: 'A dashboard with this name already exists'
+                            }
+                        }
+                    };
+                }
+
+                // Create new dashboard; the creator becomes its owner
+                const newDashboard = {
+                    id: crypto.randomUUID(),
+                    name: name.trim(),
+                    workflows: [],
+                    members: [
+                        { id: auth.user.id, name: auth.user.name, role: ROLES.OWNER }
+                    ]
+                };
+
+                // Add to dashboards array
+                config.dashboards.push(newDashboard);
+
+                // Set as active if requested or if it's the only dashboard
+                if (requestBody.setAsActive || config.dashboards.length === 1) {
+                    config.activeDashboardId = newDashboard.id;
+                }
+
+                context.log('Saving updated configuration to Storage');
 
-            // Check if a dashboard with the same name exists
-            const existingDashboard = config.dashboards?.find(d => d.name === name.trim());
-            if (existingDashboard) {
+                return {
+                    save: true,
+                    change: { user: auth.user, action: 'create-dashboard', summary: `Created dashboard "${newDashboard.name}"` },
+                    result: {
+                        status: 201,
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        jsonBody: {
+                            success: true,
+                            message: 'Dashboard created successfully',
+                            dashboard: {
+                                id: newDashboard.id,
+                                name: newDashboard.name
+                            },
+                            isActive: config.activeDashboardId === newDashboard.id
+                        }
+                    }
+                };
+            });
+
+        } catch (error) {
+            if (error instanceof ConfigConflictError) {
+                context.log('Configuration update conflicted with concurrent edits');
                 return {
                     status: 409,
                     jsonBody: {
                         error: 'Conflict',
-                        message: 'A dashboard with this name already exists'
+                        message: error.message
                     }
                 };
             }
 
-            // Create new dashboard
-            const newDashboard = {
-                id: crypto.randomUUID(),
-                name: name.trim(),
-                workflows: []
-            };
-
-            // Add to dashboards array
-            config.dashboards.push(newDashboard);
-
-            // Set as active if requested or if it's the only dashboard
-            if (requestBody.setAsActive || config.dashboards.length === 1) {
-                config.activeDashboardId = newDashboard.id;
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
             }
 
-            // Save configuration
-            context.log('Saving updated configuration to Storage');
-            await saveWorkflowConfigurations(
-                storageAccountUrl,
-                workflowConfigContainer,
-                config
-            );
-
-            context.log('Successfully created dashboard');
-
-            return {
-                status: 201,
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                jsonBody: {
-                    success: true,
-                    message: 'Dashboard created successfully',
-                    dashboard: {
-                        id: newDashboard.id,
-                        name: newDashboard.name
-                    },
-                    isActive: config.activeDashboardId === newDashboard.id
-                }
-            };
-
-        } catch (error) {
             context.log('Error processing request:', error);
             return {
                 status: 500,
@@ -1,14 +1,20 @@
 // Azure Function: Delete Dashboard
-// HTTP-triggered function that deletes a dashboard
+// HTTP-triggered function that moves a dashboard to the trash
 
 const { app } = require('@azure/functions');
-const { getWorkflowConfigurations, saveWorkflowConfigurations } = require('../storage-client');
+const { authenticateRequest } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { ROLES, forbiddenResponse, hasRole } = require('../permissions');
+const { ConfigConflictError, updateWorkflowConfigurations } = require('../storage-client');
+const { getTrashRetentionDays, moveToTrash } = require('../trash');
 
 /**
  * HTTP trigger function to delete a dashboard
- * 
+ * The dashboard is kept in the trash for TRASH_RETENTION_DAYS, so it can be restored.
+ *
  * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
- * Security is provided by CORS configuration which restricts allowed origins.
+ * Callers must present a valid bearer token (see auth.js). CORS additionally
+ * restricts allowed origins.
  */
 app.http('delete-dashboard', {
     methods: ['POST', 'DELETE'],
@@ -17,6 +23,12 @@ app.http('delete-dashboard', {
         context.log('Processing request to delete dashboard');
 
         try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
             // Get configuration from environment variables
             const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
             const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
@@ -61,74 +73,105 @@ app.http('delete-dashboard', {
                 };
             }
 
-            // Get workflow configuration
-            context.log('Retrieving workflow configuration from Storage');
-            const config = await getWorkflowConfigurations(
-                storageAccountUrl,
-                workflowConfigContainer
-            );
+            // Delete the dashboard using an ETag-conditioned read-modify-write
+            context.log('Updating workflow configuration in Storage');
+            return await updateWorkflowConfigurations(storageAccountUrl, workflowConfigContainer, (config) => {
+                // Prevent deleting the last dashboard
+                if (config.dashboards.length === 1) {
+                    return {
+                        save: false,
+                        result: {
+                            status: 400,
+                            jsonBody: {
+                                error: 'Cannot delete',
+                                message: 'Cannot delete the last dashboard. At least one dashboard must exist.'
+                            }
+                        }
+                    };
+                }
+
+                // Find the dashboard to delete
+                const dashboardIndex = config.dashboards?.findIndex(d => d.id === dashboardId);
+                if (dashboardIndex === -1) {
+                    context.log('Dashboard not found');
+                    return {
+                        save: false,
+                        result: {
+                            status: 404,
+                            jsonBody: {
+                                error: 'Not found',
+                                message: 'Dashboard not found'
+                            }
+                        }
+                    };
+                }
+
+                const deletedDashboard = config.dashboards[dashboardIndex];
+
+                // Only owners may delete a dashboard
+                if (!hasRole(deletedDashboard, auth.user, ROLES.OWNER)) {
+                    context.log('Caller is not an owner of the dashboard');
+                    return {
+                        save: false,
+                        result: forbiddenResponse('Only dashboard owners can delete this dashboard')
+                    };
+                }
+
+                // Remove the dashboard, keeping it in the trash so it can be restored
+                config.dashboards.splice(dashboardIndex, 1);
+                const trashItem = moveToTrash(config, {
+                    type: 'dashboard',
+                    dashboard: deletedDashboard,
+                    position: dashboardIndex
+                }, auth.user);
+
+                // If this was the active dashboard, set a new active dashboard
+                if (config.activeDashboardId === dashboardId) {
+                    config.activeDashboardId = config.dashboards[0].id;
+                }
+
+                context.log('Saving updated configuration to Storage');
 
-            // Prevent deleting the last dashboard
-            if (config.dashboards.length === 1) {
                 return {
-                    status: 400,
-                    jsonBody: {
-                        error: 'Cannot delete',
-                        message: 'Cannot delete the last dashboard. At least one dashboard must exist.'
+                    save: true,
+                    change: { user: auth.user, action: 'delete-dashboard', summary: `Deleted dashboard "${deletedDashboard.name}"` },
+                    result: {
+                        status: 200,
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        jsonBody: {
+                            success: true,
+                            message: 'Dashboard deleted successfully',
+                            deletedDashboard: {
+                                id: deletedDashboard.id,
+                                name: deletedDashboard.name
+                            },
+                            newActiveDashboardId: config.activeDashboardId,
+                            trashId: trashItem.id,
+                            retentionDays: getTrashRetentionDays()
+                        }
                     }
                 };
-            }
+            });
 
-            // Find the dashboard to delete
-            const dashboardIndex = config.dashboards?.findIndex(d => d.id === dashboardId);
-            if (dashboardIndex === -1) {
-                context.log('Dashboard not found');
+        } catch (error) {
+            if (error instanceof ConfigConflictError) {
+                context.log('Configuration update conflicted with concurrent edits');
                 return {
-                    status: 404,
+                    status: 409,
                     jsonBody: {
-                        error: 'Not found',
-                        message: 'Dashboard not found'
+                        error: 'Conflict',
+                        message: error.message
                     }
                 };
             }
 
-            const deletedDashboard = config.dashboards[dashboardIndex];
-
-            // Remove the dashboard
-            config.dashboards.splice(dashboardIndex, 1);
-
-            // If this was the active dashboard, set a new active dashboard
-            if (config.activeDashboardId === dashboardId) {
-                config.activeDashboardId = config.dashboards[0].id;
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
             }
 
-            // Save configuration
-            context.log('Saving updated configuration to Storage');
-            await saveWorkflowConfigurations(
-                storageAccountUrl,
-                workflowConfigContainer,
-                config
-            );
-
-            context.log('Successfully deleted dashboard');
-
-            return {
-                status: 200,
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                jsonBody: {
-                    success: true,
-                    message: 'Dashboard deleted successfully',
-                    deletedDashboard: {
-                        id: deletedDashboard.id,
-                        name: deletedDashboard.name
-                    },
-                    newActiveDashboardId: config.activeDashboardId
-                }
-            };
-
-        } catch (error) {
             context.log('Error processing request:', error);
             return {
                 status: 500,
@@ -0,0 +1,288 @@
+// Azure Function: Dispatch Workflow
+// HTTP-triggered function that starts a tracked workflow through its workflow_dispatch trigger
+
+const { app } = require('@azure/functions');
+const { authenticateRequest } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { isSameHost } = require('../github-hosts');
+const { ROLES, forbiddenResponse, hasRole } = require('../permissions');
+const { findTargetDashboard, getWorkflowConfigurations } = require('../storage-client');
+const { getWorkflowDefinition, isValidRef, validateDispatchInputs } = require('../workflow-definition');
+const { getDashboardWorkflows } = require('../workflow-rules');
+const { createRepositoryClient } = require('../workflow-status');
+const { validateHost } = require('../workflow-validation');
+
+/**
+ * Validate dispatch input
+ * @param {Object} request - Request object to validate
+ * @returns {Object} Validation result with isValid, error, and parsed values
+ */
+function validateDispatchRequest(request) {
+    if (!request || typeof request !== 'object') {
+        return { isValid: false, error: 'Request must be an object' };
+    }
+
+    // Validate repo field (should be in org/repo format)
+    if (!request.repo || typeof request.repo !== 'string') {
+        return { isValid: false, error: 'repo field is required and must be a string' };
+    }
+
+    // Parse repo into owner and repo
+    const repoParts = request.repo.split('/');
+    if (repoParts.length !== 2 || !repoParts[0] || !repoParts[1]) {
+        return { isValid: false, error: 'repo must be in the format "owner/repo"' };
+    }
+
+    // Validate workflow field
+    if (!request.workflow || typeof request.workflow !== 'string') {
+        return { isValid: false, error: 'workflow field is required and must be a string' };
+    }
+
+    // Validate ref field
+    if (!isValidRef(request.ref)) {
+        return { isValid: false, error: 'ref field is required and must be a branch or tag name' };
+    }
+
+    // Validate optional dashboardId field
+    if (request.dashboardId !== undefined && (typeof request.dashboardId !== 'string' || !request.dashboardId.trim())) {
+        return { isValid: false, error: 'dashboardId must be a non-empty string when provided' };
+    }
+
+    // Validate optional host (empty means the default host)
+    const hostValidation = validateHost(request.host);
+    if (!hostValidation.isValid) {
+        return hostValidation;
+    }
+
+    // Return validated and parsed values
+    return {
+        isValid: true,
+        host: hostValidation.host,
+        owner: repoParts[0],
+        repo: repoParts[1],
+        workflow: request.workflow,
+        ref: request.ref,
+        inputs: request.inputs,
+        dashboardId: request.dashboardId
+    };
+}
+
+/**
+ * HTTP trigger function to dispatch a workflow
+ *
+ * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
+ * Callers must present a valid bearer token (see auth.js) and be an editor of the
+ * dashboard tracking the workflow. CORS additionally restricts allowed origins.
+ */
+app.http('dispatch-workflow', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        context.log('Processing request to dispatch workflow');
+
+        try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
+            // Get configuration from environment variables
+            const keyVaultUrl = process.env.KEY_VAULT_URL;
+            const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
+            const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
+
+            // Validate all environment variables are set, are strings, and are non-empty
+            if (!keyVaultUrl || typeof keyVaultUrl !== 'string' || keyVaultUrl.trim().length === 0 ||
+                !storageAccountUrl || typeof storageAccountUrl !== 'string' || storageAccountUrl.trim().length === 0 ||
+                !workflowConfigContainer || typeof workflowConfigContainer !== 'string' || workflowConfigContainer.trim().length === 0) {
+                context.log('Missing or invalid required environment variables');
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Required environment variables are not properly configured'
+                    }
+                };
+            }
+
+            // Parse request body
+            let requestBody;
+            try {
+                requestBody = await request.json();
+            } catch (error) {
+                context.log('Failed to parse request body:', error);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Invalid request',
+                        message: 'Request body must be valid JSON'
+                    }
+                };
+            }
+
+            // Validate input
+            const validation = validateDispatchRequest(requestBody);
+            if (!validation.isValid) {
+                context.log('Validation failed:', validation.error);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: validation.error
+                    }
+                };
+            }
+
+            const { owner, repo, ref } = validation;
+
+            // The workflow must be tracked on a dashboard the caller can edit
+            const config = await getWorkflowConfigurations(storageAccountUrl, workflowConfigContainer);
+            const dashboard = findTargetDashboard(config, validation.dashboardId);
+            if (!dashboard || !hasRole(dashboard, auth.user, ROLES.VIEWER)) {
+                context.log('Target dashboard not found');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'Dashboard not found'
+                    }
+                };
+            }
+
+            if (!hasRole(dashboard, auth.user, ROLES.EDITOR)) {
+                context.log('Caller is not an editor of the target dashboard');
+                return forbiddenResponse('You need editor access to run workflows on this dashboard');
+            }
+
+            const tracked = (await getDashboardWorkflows(keyVaultUrl, dashboard, context)).some(w =>
+                isSameHost(w.host, validation.host.name) &&
+                w.owner === owner &&
+                w.repo === repo &&
+                w.workflow === validation.workflow
+            );
+            if (!tracked) {
+                context.log('Workflow not found in dashboard');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'Workflow not found in the dashboard'
+                    }
+                };
+            }
+
+            const octokit = await createRepositoryClient(keyVaultUrl, owner, repo, validation.host);
+            if (!octokit) {
+                context.log('No installation found for repository');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'GitHub App is not installed on the repository, or cannot access it'
+                    }
+                };
+            }
+
+            try {
+                // Check the inputs against the ones declared on the ref the run will use, so mistakes get a clear message
+                const definition = await getWorkflowDefinition(octokit, owner, repo, validation.workflow, ref);
+                if (!definition.dispatchable) {
+                    context.log('Workflow has no workflow_dispatch trigger');
+                    return {
+                        status: 400,
+                        jsonBody: {
+                            error: 'Validation error',
+                            message: `Workflow does not have a workflow_dispatch trigger on ${ref}`
+                        }
+                    };
+                }
+
+                const inputs = validateDispatchInputs(definition.inputs, validation.inputs);
+                if (!inputs.isValid) {
+                    context.log('Input validation failed:', inputs.error);
+                    return {
+                        status: 400,
+                        jsonBody: {
+                            error: 'Validation error',
+                            message: inputs.error
+                        }
+                    };
+                }
+
+                context.log(`Dispatching workflow on ${ref}`);
+                await octokit.rest.actions.createWorkflowDispatch({
+                    owner,
+                    repo,
+                    workflow_id: validation.workflow,
+                    ref,
+                    inputs: inputs.inputs
+                });
+            } catch (error) {
+                context.log('GitHub rejected the dispatch:', error.message);
+                if (error.status === 422) {
+                    return {
+                        status: 400,
+                        jsonBody: {
+                            error: 'Validation error',
+                            message: error.response?.data?.message || 'GitHub rejected the ref or inputs'
+                        }
+                    };
+                } else if (error.status === 403) {
+                    return {
+                        status: 403,
+                        jsonBody: {
+                            error: 'Forbidden',
+                            message: 'GitHub App does not have permission to run this workflow (Actions: Read and write is required)'
+                        }
+                    };
+                } else if (error.status === 404) {
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            error: 'Not found',
+                            message: 'Workflow not found in the repository'
+                        }
+                    };
+                }
+                return {
+                    status: 502,
+                    jsonBody: {
+                        error: 'GitHub API error',
+                        message: 'Failed to dispatch the workflow through the GitHub API'
+                    }
+                };
+            }
+
+            return {
+                status: 202,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    success: true,
+                    message: 'Workflow run requested',
+                    ref
+                }
+            };
+
+        } catch (error) {
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
+
+            context.log('Error processing request:', error);
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: 'An error occurred while dispatching the workflow. Please try again later.'
+                }
+            };
+        }
+    }
+});
@@ -0,0 +1,114 @@
+// Azure Function: Export Dashboards
+// HTTP-triggered function that downloads one dashboard, or all of them, as JSON or YAML
+
+const { app } = require('@azure/functions');
+const { authenticateRequest } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { ROLES, hasRole } = require('../permissions');
+const { TRANSFER_FORMATS, buildExportDocument, serializeDocument } = require('../dashboard-transfer');
+const { getWorkflowConfigurations } = require('../storage-client');
+
+/**
+ * HTTP trigger function to export dashboards
+ * Query parameters: dashboardId (optional; exports every dashboard the caller can view when omitted),
+ * format ('json' or 'yaml', default 'json')
+ *
+ * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
+ * Callers must present a valid bearer token (see auth.js) and can only export dashboards
+ * they are a viewer of. CORS additionally restricts allowed origins.
+ */
+app.http('export-dashboards', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        context.log('Processing request to export dashboards');
+
+        try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
+            // Get configuration from environment variables
+            const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
+            const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
+
+            // Validate environment variables
+            if (!storageAccountUrl || typeof storageAccountUrl !== 'string' || storageAccountUrl.trim().length === 0 ||
+                !workflowConfigContainer || typeof workflowConfigContainer !== 'string' || workflowConfigContainer.trim().length === 0) {
+                context.log('Missing or invalid required environment variables');
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Required environment variables are not properly configured'
+                    }
+                };
+            }
+
+            // Validate input
+            const format = request.query.get('format') || 'json';
+            if (!Object.prototype.hasOwnProperty.call(TRANSFER_FORMATS, format)) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: 'format must be "json" or "yaml"'
+                    }
+                };
+            }
+
+            const config = await getWorkflowConfigurations(storageAccountUrl, workflowConfigContainer);
+            const visibleDashboards = (config.dashboards || []).filter(d => hasRole(d, auth.user, ROLES.VIEWER));
+
+            const dashboardId = request.query.get('dashboardId');
+            const dashboards = dashboardId ? visibleDashboards.filter(d => d.id === dashboardId) : visibleDashboards;
+            if (dashboardId && dashboards.length === 0) {
+                context.log('Dashboard not found or not visible');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'Dashboard not found'
+                    }
+                };
+            }
+
+            // Name the download after the dashboard, or after the date for a full export
+            const baseName = dashboardId
+                ? dashboards[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'dashboard'
+                : `dashboards-${new Date().toISOString().slice(0, 10)}`;
+            const fileName = `${baseName}.${format === 'yaml' ? 'yaml' : 'json'}`;
+
+            context.log(`Exporting ${dashboards.length} dashboards as ${format}`);
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': TRANSFER_FORMATS[format],
+                    'Content-Disposition': `attachment; filename="${fileName}"`,
+                    'Cache-Control': 'no-store'
+                },
+                body: serializeDocument(buildExportDocument(dashboards), format)
+            };
+
+        } catch (error) {
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
+
+            context.log('Error processing request:', error);
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: 'An error occurred while exporting dashboards. Please try again later.'
+                }
+            };
+        }
+    }
+});
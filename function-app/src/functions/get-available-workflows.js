@@ -0,0 +1,198 @@
+// Azure Function: Get Available Workflows
+// HTTP-triggered function that lists the repositories the GitHub App can see, or the workflows in one of them
+
+const { app } = require('@azure/functions');
+const { authenticateRequest } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { isSameHost } = require('../github-hosts');
+const { ROLES, forbiddenResponse, hasRole } = require('../permissions');
+const { listInstallationRepositories, listRepositoryWorkflows } = require('../repository-catalog');
+const { findTargetDashboard, getWorkflowConfigurations } = require('../storage-client');
+const { createRepositoryClient } = require('../workflow-status');
+const { validateHost } = require('../workflow-validation');
+
+/**
+ * HTTP trigger function to browse repositories and workflows for the Add Workflow picker
+ * Query parameters: repo (optional owner/repo; lists its workflows instead of the repositories),
+ * host (optional; the repository's GitHub host), dashboardId (optional; defaults to the active dashboard)
+ *
+ * Repositories are listed from every configured GitHub host, each with its host when it is not the default one.
+ *
+ * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
+ * Callers must present a valid bearer token (see auth.js) and be an editor of the
+ * target dashboard, since the listing is only used to add workflows to it.
+ * CORS additionally restricts allowed origins.
+ */
+app.http('get-available-workflows', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        context.log('Processing request for available workflows');
+
+        try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
+            // Get configuration from environment variables
+            const keyVaultUrl = process.env.KEY_VAULT_URL;
+            const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
+            const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
+
+            // Validate all environment variables are set, are strings, and are non-empty
+            if (!keyVaultUrl || typeof keyVaultUrl !== 'string' || keyVaultUrl.trim().length === 0 ||
+                !storageAccountUrl || typeof storageAccountUrl !== 'string' || storageAccountUrl.trim().length === 0 ||
+                !workflowConfigContainer || typeof workflowConfigContainer !== 'string' || workflowConfigContainer.trim().length === 0) {
+                context.log('Missing or invalid required environment variables');
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Required environment variables are not properly configured'
+                    }
+                };
+            }
+
+            // Validate input
+            const repoParam = request.query.get('repo');
+            const repoParts = repoParam ? repoParam.split('/') : null;
+            if (repoParts && (repoParts.length !== 2 || !repoParts[0] || !repoParts[1])) {
+                context.log('Validation failed: invalid repo');
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: 'repo must be in the format "owner/repo"'
+                    }
+                };
+            }
+
+            const hostValidation = validateHost(request.query.get('host'));
+            if (!hostValidation.isValid) {
+                context.log('Validation failed:', hostValidation.error);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: hostValidation.error
+                    }
+                };
+            }
+            const { host, hostName } = hostValidation;
+
+            // Only editors of the target dashboard may browse what can be added to it
+            const config = await getWorkflowConfigurations(storageAccountUrl, workflowConfigContainer);
+            const dashboard = findTargetDashboard(config, request.query.get('dashboardId'));
+            if (!dashboard || !hasRole(dashboard, auth.user, ROLES.VIEWER)) {
+                context.log('Target dashboard not found');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'Dashboard not found'
+                    }
+                };
+            }
+
+            if (!hasRole(dashboard, auth.user, ROLES.EDITOR)) {
+                context.log('Caller is not an editor of the target dashboard');
+                return forbiddenResponse('You need editor access to add workflows on this dashboard');
+            }
+
+            if (!repoParts) {
+                context.log('Listing installation repositories');
+                let repositories;
+                try {
+                    repositories = await listInstallationRepositories(keyVaultUrl);
+                } catch (error) {
+                    context.log('Failed to list repositories:', error.message);
+                    return {
+                        status: 502,
+                        jsonBody: {
+                            error: 'GitHub API error',
+                            message: 'Failed to list repositories from GitHub API'
+                        }
+                    };
+                }
+
+                context.log(`Found ${repositories.length} repositories`);
+                return {
+                    status: 200,
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    jsonBody: {
+                        repositories,
+                        count: repositories.length
+                    }
+                };
+            }
+
+            const [owner, repo] = repoParts;
+            const octokit = await createRepositoryClient(keyVaultUrl, owner, repo, host);
+            if (!octokit) {
+                context.log('No installation found for repository');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'GitHub App is not installed on the repository, or cannot access it'
+                    }
+                };
+            }
+
+            context.log('Listing repository workflows');
+            let workflows;
+            try {
+                workflows = await listRepositoryWorkflows(octokit, owner, repo);
+            } catch (error) {
+                context.log('Failed to list workflows:', error.message);
+                return {
+                    status: error.status === 404 ? 404 : 502,
+                    jsonBody: error.status === 404
+                        ? { error: 'Not found', message: 'Repository not found or not accessible to the GitHub App' }
+                        : { error: 'GitHub API error', message: 'Failed to list workflows from GitHub API' }
+                };
+            }
+
+            // Mark workflows that are already on the dashboard so the picker can skip them
+            const tracked = (dashboard.workflows || []).filter(w => isSameHost(w.host, hostName) && w.owner === owner && w.repo === repo);
+            context.log(`Found ${workflows.length} workflows`);
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    ...(hostName && { host: hostName }),
+                    repository: `${owner}/${repo}`,
+                    workflows: workflows.map(workflow => ({
+                        ...workflow,
+                        tracked: tracked.some(w => w.workflow === workflow.workflow || w.workflow === String(workflow.id))
+                    })),
+                    count: workflows.length
+                }
+            };
+
+        } catch (error) {
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
+
+            context.log('Error processing request:', error);
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: 'An error occurred while listing workflows. Please try again later.'
+                }
+            };
+        }
+    }
+});
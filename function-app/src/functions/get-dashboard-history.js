@@ -0,0 +1,231 @@
+// Azure Function: Get Dashboard History
+// HTTP-triggered function that lists the recorded versions of a dashboard and compares two of them
+
+const { app } = require('@azure/functions');
+const { authenticateRequest } = require('../auth');
+const { diffDashboards, isVersionId } = require('../config-history');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { ROLES, hasRole } = require('../permissions');
+const {
+    getDashboardVersion,
+    getWorkflowConfigurations,
+    listDashboardHistory,
+    listHistoryDashboardIds
+} = require('../storage-client');
+
+/**
+ * Build a 404 response for a dashboard or version the caller cannot see
+ * @param {string} message - Error message
+ * @returns {Object} HTTP response
+ */
+function notFoundResponse(message) {
+    return {
+        status: 404,
+        jsonBody: {
+            error: 'Not found',
+            message
+        }
+    };
+}
+
+/**
+ * Find a dashboard as it is now, or as it was when it was deleted
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @param {Object} config - Current configuration
+ * @param {string} dashboardId - Dashboard ID
+ * @returns {Promise<Object|null>} { dashboard, deleted, versions }, or null if the dashboard never existed
+ */
+async function resolveDashboard(storageAccountUrl, containerName, config, dashboardId) {
+    const versions = await listDashboardHistory(storageAccountUrl, containerName, dashboardId);
+    const current = config.dashboards?.find(d => d.id === dashboardId);
+    if (current) {
+        return { dashboard: current, deleted: false, versions };
+    }
+
+    // A dashboard missing from the configuration was deleted; its last snapshot holds it as it was
+    if (versions.length === 0 || !versions[0].deleted) {
+        return null;
+    }
+    const snapshot = await getDashboardVersion(storageAccountUrl, containerName, dashboardId, versions[0].version);
+    return snapshot ? { dashboard: snapshot.dashboard, deleted: true, versions } : null;
+}
+
+/**
+ * HTTP trigger function to get dashboard history
+ * Query parameters:
+ * - none: lists the deleted dashboards the caller was a viewer of
+ * - dashboardId: lists the versions of that dashboard, newest first
+ * - dashboardId, from, to (optional): compares two versions; to defaults to the dashboard as it is now
+ *
+ * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
+ * Callers must present a valid bearer token (see auth.js) and be a viewer of the dashboard
+ * (of its last version, for deleted dashboards). CORS additionally restricts allowed origins.
+ */
+app.http('get-dashboard-history', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        context.log('Processing request to get dashboard history');
+
+        try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
+            // Get configuration from environment variables
+            const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
+            const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
+
+            // Validate environment variables
+            if (!storageAccountUrl || typeof storageAccountUrl !== 'string' || storageAccountUrl.trim().length === 0 ||
+                !workflowConfigContainer || typeof workflowConfigContainer !== 'string' || workflowConfigContainer.trim().length === 0) {
+                context.log('Missing or invalid required environment variables');
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Required environment variables are not properly configured'
+                    }
+                };
+            }
+
+            // Validate input
+            const dashboardId = request.query.get('dashboardId');
+            const from = request.query.get('from');
+            const to = request.query.get('to');
+            if ((from !== null && !isVersionId(from)) || (to !== null && !isVersionId(to))) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: 'from and to must be version IDs from the dashboard history'
+                    }
+                };
+            }
+            if (from !== null && !dashboardId) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: 'dashboardId is required to compare versions'
+                    }
+                };
+            }
+
+            const config = await getWorkflowConfigurations(storageAccountUrl, workflowConfigContainer);
+
+            if (!dashboardId) {
+                // Deleted dashboards are the ones with history that are no longer in the configuration;
+                // the ones still in the trash are listed by get-trash instead
+                const existingIds = new Set([
+                    ...(config.dashboards || []).map(d => d.id),
+                    ...(config.trash || []).filter(item => item.type === 'dashboard').map(item => item.dashboard.id)
+                ]);
+                const deletedIds = (await listHistoryDashboardIds(storageAccountUrl, workflowConfigContainer))
+                    .filter(id => !existingIds.has(id));
+                const resolved = await Promise.all(deletedIds.map(async (id) => ({
+                    id,
+                    ...await resolveDashboard(storageAccountUrl, workflowConfigContainer, config, id)
+                })));
+
+                const deletedDashboards = resolved
+                    .filter(r => r.dashboard && hasRole(r.dashboard, auth.user, ROLES.VIEWER))
+                    .map(r => ({
+                        id: r.id,
+                        name: r.dashboard.name,
+                        deletedAt: r.versions[0].savedAt,
+                        deletedBy: r.versions[0].user,
+                        canRestore: hasRole(r.dashboard, auth.user, ROLES.OWNER)
+                    }))
+                    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+                context.log(`Found ${deletedDashboards.length} deleted dashboards visible to the caller`);
+                return {
+                    status: 200,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Cache-Control': 'no-store'
+                    },
+                    jsonBody: { deletedDashboards }
+                };
+            }
+
+            const resolved = await resolveDashboard(storageAccountUrl, workflowConfigContainer, config, dashboardId);
+            if (!resolved || !hasRole(resolved.dashboard, auth.user, ROLES.VIEWER)) {
+                context.log('Dashboard not found or not visible');
+                return notFoundResponse('Dashboard not found');
+            }
+
+            const canRestore = hasRole(resolved.dashboard, auth.user, ROLES.OWNER);
+
+            if (from === null) {
+                // Member changes name the member, and members are only shown to owners
+                const versions = resolved.versions.map(v => !canRestore && v.action === 'update-dashboard-member'
+                    ? { ...v, summary: 'Changed the members' }
+                    : v);
+                return {
+                    status: 200,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Cache-Control': 'no-store'
+                    },
+                    jsonBody: {
+                        dashboardId,
+                        name: resolved.dashboard.name,
+                        deleted: resolved.deleted,
+                        canRestore,
+                        versions
+                    }
+                };
+            }
+
+            const [fromSnapshot, toSnapshot] = await Promise.all([
+                getDashboardVersion(storageAccountUrl, workflowConfigContainer, dashboardId, from),
+                to !== null ? getDashboardVersion(storageAccountUrl, workflowConfigContainer, dashboardId, to) : null
+            ]);
+            if (!fromSnapshot || (to !== null && !toSnapshot)) {
+                return notFoundResponse('Version not found');
+            }
+
+            // Without a second version, compare with the dashboard as it is now (or as it was deleted)
+            const toDashboard = toSnapshot ? toSnapshot.dashboard : resolved.dashboard;
+            const describeVersion = ({ dashboard, ...version }) => version;
+
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                },
+                jsonBody: {
+                    dashboardId,
+                    from: describeVersion(fromSnapshot),
+                    to: toSnapshot ? describeVersion(toSnapshot) : null,
+                    // Members are only compared for owners, who are the ones allowed to see them
+                    diff: diffDashboards(fromSnapshot.dashboard, toDashboard, { includeMembers: canRestore })
+                }
+            };
+
+        } catch (error) {
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
+
+            context.log('Error processing request:', error);
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: 'An error occurred while getting the dashboard history. Please try again later.'
+                }
+            };
+        }
+    }
+});
@@ -0,0 +1,99 @@
+// Azure Function: Get Trash
+// HTTP-triggered function that lists the deleted dashboards and workflows the caller can see
+
+const { app } = require('@azure/functions');
+const { authenticateRequest } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { ROLES, hasRole } = require('../permissions');
+const { getWorkflowConfigurations } = require('../storage-client');
+const { describeTrashItem, findTrashItem, getTrashItemDashboard, getTrashRetentionDays } = require('../trash');
+
+/**
+ * HTTP trigger function to get the trash
+ * Deleted dashboards are listed to their viewers, deleted workflows to viewers of the dashboard
+ * they were removed from. canRestore tells whether the caller may restore or purge an item:
+ * owners for dashboards, editors for workflows.
+ *
+ * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
+ * Callers must present a valid bearer token (see auth.js). CORS additionally
+ * restricts allowed origins.
+ */
+app.http('get-trash', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        context.log('Processing request to get trash');
+
+        try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
+            // Get configuration from environment variables
+            const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
+            const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
+
+            // Validate environment variables
+            if (!storageAccountUrl || typeof storageAccountUrl !== 'string' || storageAccountUrl.trim().length === 0 ||
+                !workflowConfigContainer || typeof workflowConfigContainer !== 'string' || workflowConfigContainer.trim().length === 0) {
+                context.log('Missing or invalid required environment variables');
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Required environment variables are not properly configured'
+                    }
+                };
+            }
+
+            const config = await getWorkflowConfigurations(storageAccountUrl, workflowConfigContainer);
+
+            // Expired items are left out here and removed on the next delete
+            const items = (config.trash || [])
+                .filter(item => findTrashItem(config, item.id))
+                .filter(item => {
+                    const dashboard = getTrashItemDashboard(config, item);
+                    return dashboard && hasRole(dashboard, auth.user, ROLES.VIEWER);
+                })
+                .map(item => ({
+                    ...describeTrashItem(config, item),
+                    canRestore: hasRole(getTrashItemDashboard(config, item), auth.user,
+                        item.type === 'dashboard' ? ROLES.OWNER : ROLES.EDITOR)
+                }))
+                .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+            context.log(`Found ${items.length} trash items visible to the caller`);
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                },
+                jsonBody: {
+                    retentionDays: getTrashRetentionDays(),
+                    items
+                }
+            };
+
+        } catch (error) {
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
+
+            context.log('Error processing request:', error);
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: 'An error occurred while getting the trash. Please try again later.'
+                }
+            };
+        }
+    }
+});
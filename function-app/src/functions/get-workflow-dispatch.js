@@ -0,0 +1,181 @@
+// Azure Function: Get Workflow Dispatch
+// HTTP-triggered function that returns the workflow_dispatch inputs a tracked workflow declares
+
+const { app } = require('@azure/functions');
+const { authenticateRequest } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { isSameHost } = require('../github-hosts');
+const { ROLES, forbiddenResponse, hasRole } = require('../permissions');
+const { findTargetDashboard, getWorkflowConfigurations } = require('../storage-client');
+const { getWorkflowDefinition } = require('../workflow-definition');
+const { getDashboardWorkflows } = require('../workflow-rules');
+const { createRepositoryClient } = require('../workflow-status');
+const { validateHost } = require('../workflow-validation');
+
+/**
+ * HTTP trigger function to describe how a workflow can be dispatched
+ * Query parameters: repo (owner/repo), workflow (file name or ID, as tracked on the dashboard),
+ * host (optional; defaults to the default GitHub host), dashboardId (optional; defaults to the active dashboard)
+ *
+ * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
+ * Callers must present a valid bearer token (see auth.js) and be an editor of the
+ * dashboard tracking the workflow, since the result is only used to dispatch it.
+ * CORS additionally restricts allowed origins.
+ */
+app.http('get-workflow-dispatch', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        context.log('Processing request for workflow dispatch inputs');
+
+        try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
+            // Get configuration from environment variables
+            const keyVaultUrl = process.env.KEY_VAULT_URL;
+            const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
+            const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
+
+            // Validate all environment variables are set, are strings, and are non-empty
+            if (!keyVaultUrl || typeof keyVaultUrl !== 'string' || keyVaultUrl.trim().length === 0 ||
+                !storageAccountUrl || typeof storageAccountUrl !== 'string' || storageAccountUrl.trim().length === 0 ||
+                !workflowConfigContainer || typeof workflowConfigContainer !== 'string' || workflowConfigContainer.trim().length === 0) {
+                context.log('Missing or invalid required environment variables');
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Required environment variables are not properly configured'
+                    }
+                };
+            }
+
+            // Validate input
+            const repoParts = (request.query.get('repo') || '').split('/');
+            const workflowIdOrFile = request.query.get('workflow');
+            if (repoParts.length !== 2 || !repoParts[0] || !repoParts[1] || !workflowIdOrFile) {
+                context.log('Validation failed: repo or workflow missing');
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: 'repo (owner/repo) and workflow parameters are required'
+                    }
+                };
+            }
+            const [owner, repo] = repoParts;
+
+            const hostValidation = validateHost(request.query.get('host'));
+            if (!hostValidation.isValid) {
+                context.log('Validation failed:', hostValidation.error);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: hostValidation.error
+                    }
+                };
+            }
+            const { host } = hostValidation;
+
+            // The workflow must be tracked on a dashboard the caller can edit
+            const config = await getWorkflowConfigurations(storageAccountUrl, workflowConfigContainer);
+            const dashboard = findTargetDashboard(config, request.query.get('dashboardId'));
+            if (!dashboard || !hasRole(dashboard, auth.user, ROLES.VIEWER)) {
+                context.log('Target dashboard not found');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'Dashboard not found'
+                    }
+                };
+            }
+
+            if (!hasRole(dashboard, auth.user, ROLES.EDITOR)) {
+                context.log('Caller is not an editor of the target dashboard');
+                return forbiddenResponse('You need editor access to run workflows on this dashboard');
+            }
+
+            const tracked = (await getDashboardWorkflows(keyVaultUrl, dashboard, context)).some(w =>
+                isSameHost(w.host, host.name) &&
+                w.owner === owner &&
+                w.repo === repo &&
+                w.workflow === workflowIdOrFile
+            );
+            if (!tracked) {
+                context.log('Workflow not found in dashboard');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'Workflow not found in the dashboard'
+                    }
+                };
+            }
+
+            const octokit = await createRepositoryClient(keyVaultUrl, owner, repo, host);
+            if (!octokit) {
+                context.log('No installation found for repository');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'GitHub App is not installed on the repository, or cannot access it'
+                    }
+                };
+            }
+
+            let definition, repository;
+            try {
+                [definition, { data: repository }] = await Promise.all([
+                    getWorkflowDefinition(octokit, owner, repo, workflowIdOrFile),
+                    octokit.rest.repos.get({ owner, repo })
+                ]);
+            } catch (error) {
+                context.log('Failed to read workflow definition:', error.message);
+                return {
+                    status: error.status === 404 ? 404 : 502,
+                    jsonBody: error.status === 404
+                        ? { error: 'Not found', message: 'Workflow not found in the repository' }
+                        : { error: 'GitHub API error', message: 'Failed to read the workflow from the GitHub API' }
+                };
+            }
+
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    dispatchable: definition.dispatchable,
+                    path: definition.path,
+                    defaultBranch: repository.default_branch,
+                    inputs: definition.inputs
+                }
+            };
+
+        } catch (error) {
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
+
+            context.log('Error processing request:', error);
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: 'An error occurred while reading the workflow. Please try again later.'
+                }
+            };
+        }
+    }
+});
@@ -0,0 +1,243 @@
+// Azure Function: Get Workflow Jobs
+// HTTP-triggered function that returns the jobs and steps of one run of a tracked workflow
+
+const { app } = require('@azure/functions');
+const { authenticateRequest, isAnonymousReadAllowed } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { isSameHost } = require('../github-hosts');
+const { ROLES, hasRole } = require('../permissions');
+const { findTargetDashboard, getWorkflowConfigurations } = require('../storage-client');
+const { getDashboardWorkflows } = require('../workflow-rules');
+const { createRepositoryClient, isRunOfWorkflow, summarizeJob } = require('../workflow-status');
+const { validateHost } = require('../workflow-validation');
+
+/**
+ * Validate get workflow jobs query parameters
+ * @param {URLSearchParams} query - Request query parameters
+ * @returns {Object} Validation result with isValid, error, and parsed values
+ */
+function validateJobsRequest(query) {
+    // Validate repo parameter (should be in org/repo format)
+    const repoParam = query.get('repo');
+    if (!repoParam) {
+        return { isValid: false, error: 'repo parameter is required' };
+    }
+
+    // Parse repo into owner and repo
+    const repoParts = repoParam.split('/');
+    if (repoParts.length !== 2 || !repoParts[0] || !repoParts[1]) {
+        return { isValid: false, error: 'repo must be in the format "owner/repo"' };
+    }
+
+    // Validate workflow parameter
+    const workflow = query.get('workflow');
+    if (!workflow) {
+        return { isValid: false, error: 'workflow parameter is required' };
+    }
+
+    // Validate runId parameter
+    const runId = query.get('runId');
+    if (!runId || !/^\d+$/.test(runId)) {
+        return { isValid: false, error: 'runId parameter is required and must be a numeric run ID' };
+    }
+
+    // Validate optional host (empty means the default host)
+    const hostValidation = validateHost(query.get('host'));
+    if (!hostValidation.isValid) {
+        return hostValidation;
+    }
+
+    // Return validated and parsed values
+    return {
+        isValid: true,
+        host: hostValidation.host,
+        owner: repoParts[0],
+        repo: repoParts[1],
+        workflow,
+        runId: Number(runId),
+        dashboardId: query.get('dashboardId')
+    };
+}
+
+/**
+ * HTTP trigger function to get the jobs of a workflow run
+ * Query parameters: repo (owner/repo), workflow (file name or ID, as tracked on the dashboard),
+ * runId, host (optional; defaults to the default GitHub host),
+ * dashboardId (optional; defaults to the shared default dashboard)
+ *
+ * Only runs of workflows tracked on a dashboard the caller can view are returned, so the
+ * endpoint cannot be used to read other repositories the GitHub App is installed on.
+ *
+ * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
+ * Callers are identified by a bearer token (see auth.js); anonymous access follows
+ * ALLOW_ANONYMOUS_READ like get-workflow-statuses. CORS additionally restricts allowed origins.
+ */
+app.http('get-workflow-jobs', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        context.log('Processing request for workflow jobs');
+
+        try {
+            // Authenticate the caller (reading statuses may be anonymous)
+            const auth = await authenticateRequest(request, context, { allowAnonymous: isAnonymousReadAllowed() });
+            if (auth.response) {
+                return auth.response;
+            }
+
+            // Get configuration from environment variables
+            const keyVaultUrl = process.env.KEY_VAULT_URL;
+            const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
+            const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
+
+            // Validate all environment variables are set, are strings, and are non-empty
+            if (!keyVaultUrl || typeof keyVaultUrl !== 'string' || keyVaultUrl.trim().length === 0 ||
+                !storageAccountUrl || typeof storageAccountUrl !== 'string' || storageAccountUrl.trim().length === 0 ||
+                !workflowConfigContainer || typeof workflowConfigContainer !== 'string' || workflowConfigContainer.trim().length === 0) {
+                context.log('Missing or invalid required environment variables');
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Required environment variables are not properly configured'
+                    }
+                };
+            }
+
+            // Validate input
+            const validation = validateJobsRequest(request.query);
+            if (!validation.isValid) {
+                context.log('Validation failed:', validation.error);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: validation.error
+                    }
+                };
+            }
+
+            const { owner, repo, runId } = validation;
+
+            // The workflow must be tracked on a dashboard the caller can view
+            const config = await getWorkflowConfigurations(storageAccountUrl, workflowConfigContainer);
+            const dashboard = findTargetDashboard(config, validation.dashboardId);
+            const workflow = dashboard && (isAnonymousReadAllowed() || hasRole(dashboard, auth.user, ROLES.VIEWER))
+                ? (await getDashboardWorkflows(keyVaultUrl, dashboard, context)).find(w =>
+                    isSameHost(w.host, validation.host.name) &&
+                    w.owner === owner &&
+                    w.repo === repo &&
+                    w.workflow === validation.workflow
+                )
+                : null;
+
+            if (!workflow) {
+                context.log('Workflow not found on a visible dashboard');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'Workflow not found in the dashboard'
+                    }
+                };
+            }
+
+            const octokit = await createRepositoryClient(keyVaultUrl, owner, repo, validation.host);
+            if (!octokit) {
+                context.log('No installation found for repository');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'GitHub App is not installed on the repository, or cannot access it'
+                    }
+                };
+            }
+
+            // Fetch the run first so a run ID from another workflow is rejected
+            context.log('Fetching workflow run and jobs from GitHub');
+            let run, jobs;
+            try {
+                ({ data: run } = await octokit.rest.actions.getWorkflowRun({ owner, repo, run_id: runId }));
+                if (!isRunOfWorkflow(workflow, run)) {
+                    run = null;
+                } else {
+                    jobs = await octokit.paginate(octokit.rest.actions.listJobsForWorkflowRun, {
+                        owner,
+                        repo,
+                        run_id: runId,
+                        per_page: 100
+                    });
+                }
+            } catch (error) {
+                if (error.status !== 404) {
+                    context.log('Failed to fetch workflow jobs:', error.message);
+                    return {
+                        status: 502,
+                        jsonBody: {
+                            error: 'GitHub API error',
+                            message: 'Failed to fetch workflow jobs from GitHub API'
+                        }
+                    };
+                }
+                run = null;
+            }
+
+            if (!run) {
+                context.log('Workflow run not found');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'Workflow run not found'
+                    }
+                };
+            }
+
+            context.log(`Successfully retrieved ${jobs.length} jobs`);
+
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                },
+                jsonBody: {
+                    run: {
+                        runId: run.id,
+                        name: run.name,
+                        title: run.display_title,
+                        runNumber: run.run_number,
+                        runAttempt: run.run_attempt,
+                        status: run.status,
+                        conclusion: run.conclusion,
+                        branch: run.head_branch,
+                        event: run.event,
+                        actor: run.triggering_actor?.login || run.actor?.login || null,
+                        createdAt: run.created_at,
+                        url: run.html_url
+                    },
+                    jobs: jobs.map(summarizeJob)
+                }
+            };
+
+        } catch (error) {
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
+
+            context.log('Error processing request:', error);
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: 'An error occurred while fetching workflow jobs. Please try again later.'
+                }
+            };
+        }
+    }
+});
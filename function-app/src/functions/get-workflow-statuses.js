@@ -3,78 +3,43 @@
 
 const crypto = require('crypto');
 const { app } = require('@azure/functions');
-const { getSecret } = require('../keyvault-client');
+const { authenticateRequest, isAnonymousReadAllowed } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { getRateLimitHealth } = require('../github-auth');
+const { ROLES, describePermissions, hasRole } = require('../permissions');
+const { getCacheTtlSeconds, getCachedWorkflowStatuses } = require('../status-cache');
 const { getWorkflowConfigurations, saveWorkflowConfigurations } = require('../storage-client');
-const { createInstallationClient, getAppInstallations } = require('../github-auth');
+const { expandDashboardRules } = require('../workflow-rules');
+const {
+    buildUnavailableWorkflowResult,
+    buildWorkflowResult,
+    fetchWorkflowStatuses,
+    parseHistorySize
+} = require('../workflow-status');
 
 /**
- * Get the latest workflow run for a specific workflow
- * @param {Octokit} octokit - Authenticated Octokit instance
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} workflowFile - Workflow file name
- * @returns {Promise<Object>} Workflow run data
+ * Summarize a dashboard for the response, including what the caller may do with it
+ * Members are only included for owners, who are the ones allowed to manage them
+ * @param {Object} dashboard - Dashboard from the configuration
+ * @param {Object|null} user - Authenticated user (null when anonymous)
+ * @returns {Object} Dashboard summary
  */
-async function getLatestWorkflowRun(octokit, owner, repo, workflowFile) {
-    try {
-        const { data } = await octokit.rest.actions.listWorkflowRuns({
-            owner,
-            repo,
-            workflow_id: workflowFile,
-            per_page: 1,
-            page: 1
-        });
-
-        if (data.workflow_runs && data.workflow_runs.length > 0) {
-            const run = data.workflow_runs[0];
-            return {
-                conclusion: run.conclusion,
-                status: run.status,
-                url: run.html_url,
-                updatedAt: run.updated_at
-            };
-        }
-
-        return {
-            conclusion: 'unknown',
-            status: 'unknown',
-            url: `https://github.com/${owner}/${repo}/actions/workflows/${workflowFile}`
-        };
-    } catch (error) {
-        console.error('Failed to get workflow runs:', error);
-        return {
-            conclusion: 'error',
-            status: 'error',
-            url: `https://github.com/${owner}/${repo}/actions/workflows/${workflowFile}`,
-            error: error.message
-        };
-    }
-}
-
-/**
- * Find the installation ID for a specific repository
- * @param {Array} installations - List of GitHub App installations
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @returns {number|null} Installation ID or null if not found
- */
-function findInstallationForRepo(installations, owner, repo) {
-    for (const installation of installations) {
-        if (installation.account.login.toLowerCase() === owner.toLowerCase()) {
-            return installation.id;
-        }
-    }
-    return null;
+function summarizeDashboard(dashboard, user) {
+    const permissions = describePermissions(dashboard, user);
+    return {
+        id: dashboard.id,
+        name: dashboard.name,
+        ...permissions,
+        ...(permissions.canManage && { members: dashboard.members || [] })
+    };
 }
 
 /**
  * HTTP trigger function to get workflow statuses
  * 
  * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
- * Security is provided by CORS configuration which restricts allowed origins.
- * For production, consider:
- * - Restricting CORS origins to specific domains
- * - Implementing rate limiting via Azure API Management
+ * Callers are identified by a bearer token (see auth.js); anonymous reads are allowed
+ * unless ALLOW_ANONYMOUS_READ is 'false'. CORS additionally restricts allowed origins.
  */
 app.http('get-workflow-statuses', {
     methods: ['GET', 'POST'],
@@ -83,6 +48,12 @@ app.http('get-workflow-statuses', {
         context.log('Processing request for workflow statuses');
 
         try {
+            // Authenticate the caller (reading statuses may be anonymous)
+            const auth = await authenticateRequest(request, context, { allowAnonymous: isAnonymousReadAllowed() });
+            if (auth.response) {
+                return auth.response;
+            }
+
             // Get configuration from environment variables
             const keyVaultUrl = process.env.KEY_VAULT_URL;
             const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
@@ -102,13 +73,6 @@ app.http('get-workflow-statuses', {
                 };
             }
 
-            // Get GitHub App credentials from Key Vault
-            context.log('Retrieving GitHub App credentials from Key Vault');
-            const [appId, privateKey] = await Promise.all([
-                getSecret(keyVaultUrl, 'github-app-id'),
-                getSecret(keyVaultUrl, 'github-app-private-key')
-            ]);
-
             // Get workflow configuration from Azure Storage
             context.log('Retrieving workflow configuration from Storage');
             let config = await getWorkflowConfigurations(
@@ -117,9 +81,23 @@ app.http('get-workflow-statuses', {
             );
 
             // Configuration is already migrated by storage client
-            // Find the active dashboard
-            const activeDashboard = config.dashboards?.find(d => d.id === config.activeDashboardId) 
-                || config.dashboards?.[0];
+            // Only dashboards the caller may view are listed (everything, when anonymous reads are allowed)
+            const anonymousRead = isAnonymousReadAllowed();
+            const visibleDashboards = (config.dashboards || []).filter(d =>
+                anonymousRead || hasRole(d, auth.user, ROLES.VIEWER)
+            );
+            const dashboardSummaries = visibleDashboards.map(d => summarizeDashboard(d, auth.user));
+            const user = auth.user ? { id: auth.user.id, name: auth.user.name } : null;
+
+            // Use the dashboard the viewer asked for, falling back to the shared default
+            const requestedDashboardId = request.query.get('dashboardId');
+            const activeDashboard = (requestedDashboardId && visibleDashboards.find(d => d.id === requestedDashboardId))
+                || visibleDashboards.find(d => d.id === config.activeDashboardId)
+                || visibleDashboards[0];
+
+            if (requestedDashboardId && activeDashboard?.id !== requestedDashboardId) {
+                context.log('Requested dashboard not found or not visible, falling back to default dashboard');
+            }
 
             if (!activeDashboard) {
                 context.log('No active dashboard found');
@@ -129,45 +107,29 @@ app.http('get-workflow-statuses', {
                         'Content-Type': 'application/json'
                     },
                     jsonBody: {
-                        dashboards: config.dashboards || [],
-                        activeDashboardId: config.activeDashboardId,
+                        dashboards: dashboardSummaries,
+                        user,
+                        activeDashboardId: null,
+                        defaultDashboardId: config.activeDashboardId,
                         workflows: [],
                         message: 'No active dashboard'
                     }
                 };
             }
 
-            const workflows = activeDashboard.workflows || [];
+            const listedWorkflows = activeDashboard.workflows || [];
 
             // Sort workflows by order field (if present)
-            workflows.sort((a, b) => {
+            listedWorkflows.sort((a, b) => {
                 const orderA = typeof a.order === 'number' ? a.order : Number.MAX_SAFE_INTEGER;
                 const orderB = typeof b.order === 'number' ? b.order : Number.MAX_SAFE_INTEGER;
                 return orderA - orderB;
             });
 
-            // Validate workflow structure
-            const validWorkflows = workflows.filter(workflow => {
-                if (!workflow || typeof workflow !== 'object') {
-                    context.log('Invalid workflow object:', workflow);
-                    return false;
-                }
-                if (typeof workflow.owner !== 'string' || !workflow.owner) {
-                    context.log('Invalid or missing owner in workflow:', workflow);
-                    return false;
-                }
-                if (typeof workflow.repo !== 'string' || !workflow.repo) {
-                    context.log('Invalid or missing repo in workflow:', workflow);
-                    return false;
-                }
-                if (typeof workflow.workflow !== 'string' || !workflow.workflow) {
-                    context.log('Invalid or missing workflow in workflow:', workflow);
-                    return false;
-                }
-                return true;
-            });
+            // Workflows matched by the dashboard's auto-track rules follow the ones it lists
+            const workflows = [...listedWorkflows, ...await expandDashboardRules(keyVaultUrl, activeDashboard, context)];
 
-            if (!validWorkflows || validWorkflows.length === 0) {
+            if (workflows.length === 0) {
                 context.log('No workflows configured');
                 return {
                     status: 200,
@@ -175,84 +137,36 @@ app.http('get-workflow-statuses', {
                         'Content-Type': 'application/json'
                     },
                     jsonBody: {
-                        dashboards: config.dashboards || [],
-                        activeDashboardId: config.activeDashboardId,
+                        dashboards: dashboardSummaries,
+                        user,
+                        activeDashboardId: activeDashboard.id,
+                        defaultDashboardId: config.activeDashboardId,
                         workflows: [],
                         message: 'No workflows configured'
                     }
                 };
             }
 
-            // Get GitHub App installations
-            context.log('Getting GitHub App installations');
-            const installations = await getAppInstallations(appId, privateKey);
-
-            // Group workflows by installation
-            const workflowsByInstallation = {};
-            for (const workflow of validWorkflows) {
-                const installationId = findInstallationForRepo(
-                    installations,
-                    workflow.owner,
-                    workflow.repo
-                );
-
-                if (!installationId) {
-                    context.log('No installation found for repository');
-                    continue;
-                }
-
-                if (!workflowsByInstallation[installationId]) {
-                    workflowsByInstallation[installationId] = [];
-                }
-                workflowsByInstallation[installationId].push(workflow);
-            }
-
-            // Fetch statuses for all workflows
+            // Fetch statuses, calling GitHub only for workflows whose cached status has expired
             context.log('Fetching workflow statuses');
-            const results = [];
-
-            for (const [installationId, instWorkflows] of Object.entries(workflowsByInstallation)) {
-                // Create installation-specific client
-                const octokit = await createInstallationClient(
-                    appId,
-                    privateKey,
-                    parseInt(installationId)
-                );
-
-                // Fetch statuses in parallel for this installation
-                const statusPromises = instWorkflows.map(workflow =>
-                    getLatestWorkflowRun(
-                        octokit,
-                        workflow.owner,
-                        workflow.repo,
-                        workflow.workflow
-                    )
-                );
-
-                const statuses = await Promise.allSettled(statusPromises);
-
-                // Combine workflows with their statuses
-                statuses.forEach((result, index) => {
-                    const workflow = instWorkflows[index];
-                    const status = result.status === 'fulfilled'
-                        ? result.value
-                        : {
-                            conclusion: 'error',
-                            status: 'error',
-                            url: `https://github.com/${workflow.owner}/${workflow.repo}/actions/workflows/${workflow.workflow}`,
-                            error: result.reason?.message || 'Unknown error'
-                        };
+            const entries = await getCachedWorkflowStatuses(
+                storageAccountUrl,
+                workflowConfigContainer,
+                workflows,
+                (staleWorkflows, dispatchChecks) => fetchWorkflowStatuses(keyVaultUrl, staleWorkflows, context, dispatchChecks),
+                context
+            );
 
-                    results.push({
-                        owner: workflow.owner,
-                        repo: workflow.repo,
-                        workflow: workflow.workflow,
-                        label: workflow.label,
-                        order: workflow.order,
-                        ...status
-                    });
-                });
-            }
+            // Recent runs are only sent when asked for, to keep the default response small
+            const historySize = parseHistorySize(request.query.get('history'));
+            const now = Date.now();
+            const results = [];
+            workflows.forEach((workflow, index) => {
+                const entry = entries[index];
+                results.push(entry?.status
+                    ? buildWorkflowResult(workflow, entry, now, historySize)
+                    : buildUnavailableWorkflowResult(workflow));
+            });
 
             context.log(`Successfully retrieved ${results.length} workflow statuses`);
 
@@ -261,18 +175,31 @@ app.http('get-workflow-statuses', {
                 status: 200,
                 headers: {
                     'Content-Type': 'application/json',
-                    'Cache-Control': 'public, max-age=60'
+                    // Responses to signed-in callers must not be stored by shared caches
+                    'Cache-Control': auth.user ? 'private, max-age=60' : 'public, max-age=60'
                 },
                 jsonBody: {
-                    dashboards: config.dashboards.map(d => ({ id: d.id, name: d.name })),
-                    activeDashboardId: config.activeDashboardId,
+                    dashboards: dashboardSummaries,
+                    user,
+                    activeDashboardId: activeDashboard.id,
+                    defaultDashboardId: config.activeDashboardId,
                     workflows: results,
                     timestamp: new Date().toISOString(),
-                    count: results.length
+                    cacheTtlSeconds: getCacheTtlSeconds(),
+                    count: results.length,
+                    // Lets the dashboard warn and poll less often when GitHub's rate limit runs low
+                    health: {
+                        rateLimit: getRateLimitHealth()
+                    }
                 }
             };
 
         } catch (error) {
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
+
             context.log('Error processing request:', error);
             return {
                 status: 500,
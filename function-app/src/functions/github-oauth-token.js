@@ -0,0 +1,126 @@
+// Azure Function: GitHub OAuth Token
+// HTTP-triggered function that exchanges a GitHub OAuth authorization code for a user access token
+
+const { app } = require('@azure/functions');
+const { getSecret } = require('../keyvault-client');
+const { getEnabledProviders } = require('../auth');
+
+/**
+ * HTTP trigger function to complete the GitHub OAuth login flow
+ * Request body: { code: string, redirectUri: string }
+ *
+ * The OAuth client secret cannot live in the static Pages site, so the browser sends the
+ * authorization code here and receives the user access token back.
+ *
+ * Security Note: authLevel is 'anonymous' because this is the sign-in step itself.
+ * The code is single-use and only valid for the configured OAuth app.
+ */
+app.http('github-oauth-token', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        context.log('Processing GitHub OAuth token exchange');
+
+        try {
+            // Get configuration from environment variables
+            const keyVaultUrl = process.env.KEY_VAULT_URL;
+            const clientId = process.env.GITHUB_OAUTH_CLIENT_ID;
+
+            if (!getEnabledProviders().includes('github') ||
+                !keyVaultUrl || typeof keyVaultUrl !== 'string' || keyVaultUrl.trim().length === 0 ||
+                !clientId || typeof clientId !== 'string' || clientId.trim().length === 0) {
+                context.log('GitHub OAuth is not enabled or not configured');
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'GitHub OAuth sign-in is not configured'
+                    }
+                };
+            }
+
+            // Parse request body
+            let requestBody;
+            try {
+                requestBody = await request.json();
+            } catch (error) {
+                context.log('Failed to parse request body:', error);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Invalid request',
+                        message: 'Request body must be valid JSON'
+                    }
+                };
+            }
+
+            const { code, redirectUri } = requestBody || {};
+            if (!code || typeof code !== 'string' || !redirectUri || typeof redirectUri !== 'string') {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: 'code and redirectUri are required and must be strings'
+                    }
+                };
+            }
+
+            const clientSecret = await getSecret(keyVaultUrl, 'github-oauth-client-secret');
+
+            // Exchange the code for a user access token
+            const response = await fetch('https://github.com/login/oauth/access_token', {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    client_id: clientId,
+                    client_secret: clientSecret,
+                    code,
+                    redirect_uri: redirectUri
+                })
+            });
+            const data = await response.json();
+
+            // GitHub reports exchange failures with a 200 status and an error field
+            if (!response.ok || data.error || !data.access_token) {
+                context.log('GitHub OAuth code exchange failed:', data.error || response.status);
+                return {
+                    status: 401,
+                    jsonBody: {
+                        error: 'Unauthorized',
+                        message: data.error_description || 'GitHub sign-in failed. Please try again.'
+                    }
+                };
+            }
+
+            context.log('Successfully exchanged GitHub OAuth code');
+
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                },
+                jsonBody: {
+                    accessToken: data.access_token,
+                    expiresIn: data.expires_in || null
+                }
+            };
+
+        } catch (error) {
+            context.log('Error processing request:', error);
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: 'An error occurred during GitHub sign-in. Please try again later.'
+                }
+            };
+        }
+    }
+});
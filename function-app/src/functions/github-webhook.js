@@ -0,0 +1,205 @@
+// Azure Function: GitHub Webhook
+// HTTP-triggered function that receives workflow_run and workflow_job webhooks from the GitHub App
+// and stores the reported statuses so get-workflow-statuses does not need to poll for them
+
+const crypto = require('crypto');
+const { app } = require('@azure/functions');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { getGitHubHost, isSameHost, normalizeHostName } = require('../github-hosts');
+const { getSecret } = require('../keyvault-client');
+const { recordWorkflowJobActivity, recordWorkflowRunStatus } = require('../status-cache');
+const { getWorkflowConfigurations } = require('../storage-client');
+const { getExpandedRuleWorkflows } = require('../workflow-rules');
+const { isRunOfWorkflow, matchesRunFilters, summarizeRun } = require('../workflow-status');
+
+/**
+ * Verify the X-Hub-Signature-256 header of a delivery
+ * @param {string} secret - Webhook secret configured on the GitHub App
+ * @param {string} body - Raw request body
+ * @param {string|null} signature - Value of the X-Hub-Signature-256 header
+ * @returns {boolean} True if the signature matches the body
+ */
+function verifySignature(secret, body, signature) {
+    if (!signature || !signature.startsWith('sha256=')) {
+        return false;
+    }
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`);
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Find the tracked workflows a workflow_run delivery counts for
+ * Workflows matched by auto-track rules count when this instance has expanded the rules recently.
+ * @param {Object} config - Configuration object with dashboards structure
+ * @param {Object} payload - workflow_run payload
+ * @param {string|undefined} host - Host the delivery came from; empty for the default host
+ * @returns {Array<Object>} Workflows with owner, repo and workflow fields whose run filters match the run (empty if no dashboard tracks it)
+ */
+function findTrackedWorkflows(config, payload, host) {
+    const owner = payload.repository?.owner?.login?.toLowerCase();
+    const repo = payload.repository?.name?.toLowerCase();
+    if (!owner || !repo) {
+        return [];
+    }
+
+    // Tracked workflows may name the workflow file or its numeric ID; isRunOfWorkflow handles both
+    return (config.dashboards || [])
+        .flatMap(dashboard => [...(dashboard.workflows || []), ...getExpandedRuleWorkflows(dashboard)])
+        .filter(w => w?.owner && w?.repo && w?.workflow &&
+            isSameHost(w.host, host) &&
+            w.owner.toLowerCase() === owner &&
+            w.repo.toLowerCase() === repo &&
+            isRunOfWorkflow(w, payload.workflow_run) &&
+            matchesRunFilters(w, payload.workflow_run));
+}
+
+/**
+ * HTTP trigger function for GitHub App webhooks
+ *
+ * Query parameters: host (optional; set in the webhook URL of the GitHub App on a GitHub Enterprise host)
+ *
+ * Security Note: authLevel is 'anonymous' because GitHub cannot send a function key.
+ * Every delivery must carry a valid X-Hub-Signature-256 HMAC made with the webhook
+ * secret stored in Key Vault for its host; unsigned or mis-signed deliveries are rejected.
+ */
+app.http('github-webhook', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const event = request.headers.get('x-github-event');
+        const deliveryId = request.headers.get('x-github-delivery');
+        context.log(`Processing GitHub webhook delivery ${deliveryId} (${event})`);
+
+        try {
+            // Get configuration from environment variables
+            const keyVaultUrl = process.env.KEY_VAULT_URL;
+            const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
+            const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
+
+            // Validate environment variables
+            if (!keyVaultUrl || typeof keyVaultUrl !== 'string' || keyVaultUrl.trim().length === 0 ||
+                !storageAccountUrl || typeof storageAccountUrl !== 'string' || storageAccountUrl.trim().length === 0 ||
+                !workflowConfigContainer || typeof workflowConfigContainer !== 'string' || workflowConfigContainer.trim().length === 0) {
+                context.log('Missing or invalid required environment variables');
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Required environment variables are not properly configured'
+                    }
+                };
+            }
+
+            // Each host's GitHub App has its own webhook secret
+            const host = getGitHubHost(request.query.get('host'));
+            if (!host) {
+                context.log('Webhook delivery for an unknown host');
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: 'host must be one of the configured GitHub hosts'
+                    }
+                };
+            }
+            const hostName = normalizeHostName(host.name);
+
+            // Verify the signature against the raw body before trusting anything in it
+            const body = await request.text();
+            const secret = await getSecret(keyVaultUrl, `github-webhook-secret${host.secretSuffix}`);
+            if (!verifySignature(secret, body, request.headers.get('x-hub-signature-256'))) {
+                context.log('Webhook signature verification failed');
+                return {
+                    status: 401,
+                    jsonBody: {
+                        error: 'Unauthorized',
+                        message: 'Invalid webhook signature'
+                    }
+                };
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(body);
+            } catch (error) {
+                context.log('Failed to parse webhook payload:', error);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Invalid request',
+                        message: 'Request body must be valid JSON'
+                    }
+                };
+            }
+
+            let updated = false;
+
+            if (event === 'workflow_run' && payload.workflow_run) {
+                const config = await getWorkflowConfigurations(storageAccountUrl, workflowConfigContainer);
+                const workflows = findTrackedWorkflows(config, payload, hostName);
+
+                if (workflows.length === 0) {
+                    context.log('Workflow run is not tracked by any dashboard, ignoring');
+                } else {
+                    const run = payload.workflow_run;
+                    updated = await recordWorkflowRunStatus(storageAccountUrl, workflowConfigContainer, workflows, {
+                        conclusion: run.conclusion,
+                        status: run.status,
+                        url: run.html_url,
+                        updatedAt: run.updated_at,
+                        runId: run.id,
+                        createdAt: run.created_at,
+                        history: [summarizeRun(run)]
+                    });
+                }
+            } else if (event === 'workflow_job' && payload.workflow_job) {
+                // A queued or running job means its run is active; completion is reported by workflow_run
+                if (payload.action === 'queued' || payload.action === 'in_progress') {
+                    const job = payload.workflow_job;
+                    updated = await recordWorkflowJobActivity(
+                        storageAccountUrl,
+                        workflowConfigContainer,
+                        job.run_id,
+                        job.started_at || job.created_at,
+                        hostName
+                    );
+                }
+            } else {
+                context.log(`Ignoring ${event} event`);
+            }
+
+            context.log(updated ? 'Stored workflow status from webhook' : 'No stored workflow status changed');
+
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    success: true,
+                    event,
+                    updated
+                }
+            };
+
+        } catch (error) {
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
+
+            context.log('Error processing webhook:', error);
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: 'An error occurred while processing the webhook.'
+                }
+            };
+        }
+    }
+});
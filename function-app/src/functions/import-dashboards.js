@@ -0,0 +1,322 @@
+// Azure Function: Import Dashboards
+// HTTP-triggered function that creates or updates dashboards from an exported JSON or YAML document
+
+const crypto = require('crypto');
+const { app } = require('@azure/functions');
+const { authenticateRequest } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { ROLES, forbiddenResponse, hasRole } = require('../permissions');
+const { MAX_IMPORT_LENGTH, TRANSFER_FORMATS, parseDocument, validateImportDocument } = require('../dashboard-transfer');
+const { ConfigConflictError, updateWorkflowConfigurations } = require('../storage-client');
+const { workflowExists } = require('../workflow-validation');
+
+// Ways an imported dashboard can be applied to an existing one
+const IMPORT_MODES = ['merge', 'replace'];
+
+/**
+ * Validate import request input
+ * @param {Object} request - Request object to validate
+ * @returns {Object} Validation result with isValid, error, and parsed values
+ */
+function validateImportRequest(request) {
+    if (!request || typeof request !== 'object') {
+        return { isValid: false, error: 'Request must be an object' };
+    }
+
+    if (typeof request.content !== 'string' || !request.content.trim()) {
+        return { isValid: false, error: 'content is required and must be the document text' };
+    }
+
+    if (request.content.length > MAX_IMPORT_LENGTH) {
+        return { isValid: false, error: `content must be at most ${MAX_IMPORT_LENGTH} characters` };
+    }
+
+    const format = request.format ?? 'json';
+    if (!Object.prototype.hasOwnProperty.call(TRANSFER_FORMATS, format)) {
+        return { isValid: false, error: 'format must be "json" or "yaml"' };
+    }
+
+    const mode = request.mode ?? 'merge';
+    if (!IMPORT_MODES.includes(mode)) {
+        return { isValid: false, error: 'mode must be "merge" or "replace"' };
+    }
+
+    // Validate optional dashboardId field
+    if (request.dashboardId !== undefined && (typeof request.dashboardId !== 'string' || !request.dashboardId.trim())) {
+        return { isValid: false, error: 'dashboardId must be a non-empty string when provided' };
+    }
+
+    return { isValid: true, content: request.content, format, mode, dashboardId: request.dashboardId };
+}
+
+/**
+ * Apply an imported dashboard to an existing one
+ * Merge adds the workflows and rules the dashboard does not have yet; replace swaps them for the imported ones.
+ * The dashboard keeps its ID, name and members either way.
+ * @param {Object} dashboard - Existing dashboard (modified in place)
+ * @param {Object} imported - Validated dashboard from the document
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Object} Counts of workflows and rules added
+ */
+function applyToDashboard(dashboard, imported, mode) {
+    if (mode === 'replace') {
+        dashboard.workflows = imported.workflows;
+        dashboard.rules = imported.rules;
+        return { workflowsAdded: imported.workflows.length, rulesAdded: imported.rules.length };
+    }
+
+    const workflows = dashboard.workflows || [];
+    const newWorkflows = imported.workflows.filter(w => !workflowExists(workflows, w.owner, w.repo, w.workflow, w.host));
+    // Merged workflows go after the existing ones
+    const nextOrder = workflows.reduce((max, w) => typeof w.order === 'number' ? Math.max(max, w.order + 1) : max, 0);
+    dashboard.workflows = [
+        ...workflows,
+        ...newWorkflows.map((w, index) => (typeof w.order === 'number' ? { ...w, order: nextOrder + index } : w))
+    ];
+
+    const rules = Array.isArray(dashboard.rules) ? dashboard.rules : [];
+    const ruleKeys = new Set(rules.map(rule => JSON.stringify(rule)));
+    const newRules = imported.rules.filter(rule => !ruleKeys.has(JSON.stringify(rule)));
+    dashboard.rules = [...rules, ...newRules];
+
+    return { workflowsAdded: newWorkflows.length, rulesAdded: newRules.length };
+}
+
+/**
+ * HTTP trigger function to import dashboards
+ * Each dashboard in the document updates the existing dashboard with the same ID, or else the same name;
+ * dashboards that match neither are created with the caller as owner. With dashboardId, a document
+ * holding a single dashboard is applied to that dashboard instead.
+ *
+ * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
+ * Callers must present a valid bearer token (see auth.js) and be an editor of every
+ * existing dashboard the import changes. CORS additionally restricts allowed origins.
+ */
+app.http('import-dashboards', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        context.log('Processing request to import dashboards');
+
+        try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
+            // Get configuration from environment variables
+            const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
+            const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
+
+            // Validate environment variables
+            if (!storageAccountUrl || typeof storageAccountUrl !== 'string' || storageAccountUrl.trim().length === 0 ||
+                !workflowConfigContainer || typeof workflowConfigContainer !== 'string' || workflowConfigContainer.trim().length === 0) {
+                context.log('Missing or invalid required environment variables');
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Required environment variables are not properly configured'
+                    }
+                };
+            }
+
+            // Parse request body
+            let requestBody;
+            try {
+                requestBody = await request.json();
+            } catch (error) {
+                context.log('Failed to parse request body:', error);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Invalid request',
+                        message: 'Request body must be valid JSON'
+                    }
+                };
+            }
+
+            // Validate input
+            const validation = validateImportRequest(requestBody);
+            if (!validation.isValid) {
+                context.log('Validation failed:', validation.error);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: validation.error
+                    }
+                };
+            }
+
+            // Parse and validate the document
+            let document;
+            try {
+                document = parseDocument(validation.content, validation.format);
+            } catch (error) {
+                context.log('Failed to parse import document:', error.message);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Invalid document',
+                        message: `Document is not valid ${validation.format.toUpperCase()}: ${error.message}`
+                    }
+                };
+            }
+
+            const documentValidation = validateImportDocument(document);
+            if (!documentValidation.isValid) {
+                context.log(`Import document failed validation with ${documentValidation.errors.length} errors`);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: documentValidation.errors[0],
+                        errors: documentValidation.errors
+                    }
+                };
+            }
+
+            const { dashboards: importedDashboards } = documentValidation;
+            if (validation.dashboardId && importedDashboards.length !== 1) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: 'Importing into a dashboard requires a document with exactly one dashboard'
+                    }
+                };
+            }
+
+            // Apply the whole document in one ETag-conditioned read-modify-write; nothing is saved if any part is refused
+            context.log('Updating workflow configuration in Storage');
+            return await updateWorkflowConfigurations(storageAccountUrl, workflowConfigContainer, (config) => {
+                const targets = importedDashboards.map(imported => validation.dashboardId
+                    ? config.dashboards.find(d => d.id === validation.dashboardId)
+                    : config.dashboards.find(d => imported.id && d.id === imported.id) ||
+                      config.dashboards.find(d => d.name === imported.name));
+
+                if (validation.dashboardId && (!targets[0] || !hasRole(targets[0], auth.user, ROLES.VIEWER))) {
+                    context.log('Target dashboard not found');
+                    return {
+                        save: false,
+                        result: {
+                            status: 404,
+                            jsonBody: { error: 'Not found', message: 'Dashboard not found' }
+                        }
+                    };
+                }
+
+                const matched = targets.filter(Boolean);
+                if (new Set(matched).size !== matched.length) {
+                    return {
+                        save: false,
+                        result: {
+                            status: 400,
+                            jsonBody: {
+                                error: 'Validation error',
+                                message: 'Two dashboards in the document match the same existing dashboard'
+                            }
+                        }
+                    };
+                }
+
+                // Dashboards the caller cannot change are reported by name, or as unavailable when they cannot see them
+                const refused = targets.findIndex(target => target && !hasRole(target, auth.user, ROLES.EDITOR));
+                if (refused !== -1) {
+                    context.log('Caller is not an editor of an imported dashboard');
+                    const target = targets[refused];
+                    return {
+                        save: false,
+                        result: forbiddenResponse(hasRole(target, auth.user, ROLES.VIEWER)
+                            ? `You need editor access to import into "${target.name}"`
+                            : `A dashboard named "${importedDashboards[refused].name}" already exists and you do not have access to it`)
+                    };
+                }
+
+                const report = importedDashboards.map((imported, index) => {
+                    const target = targets[index];
+                    if (target) {
+                        const counts = applyToDashboard(target, imported, validation.mode);
+                        return { id: target.id, name: target.name, action: validation.mode === 'replace' ? 'replaced' : 'merged', ...counts };
+                    }
+
+                    // Keep the exported ID so links to the dashboard keep working, unless it is taken (in the trash too)
+                    const idTaken = config.dashboards.some(d => d.id === imported.id) ||
+                        (config.trash || []).some(item => item.type === 'dashboard' && item.dashboard.id === imported.id);
+                    const newDashboard = {
+                        id: imported.id && !idTaken ? imported.id : crypto.randomUUID(),
+                        name: imported.name,
+                        workflows: imported.workflows,
+                        ...(imported.rules.length > 0 && { rules: imported.rules }),
+                        members: [
+                            { id: auth.user.id, name: auth.user.name, role: ROLES.OWNER }
+                        ]
+                    };
+                    config.dashboards.push(newDashboard);
+                    return {
+                        id: newDashboard.id,
+                        name: newDashboard.name,
+                        action: 'created',
+                        workflowsAdded: imported.workflows.length,
+                        rulesAdded: imported.rules.length
+                    };
+                });
+
+                if (!config.activeDashboardId && config.dashboards.length > 0) {
+                    config.activeDashboardId = config.dashboards[0].id;
+                }
+
+                const created = report.filter(r => r.action === 'created').length;
+                context.log(`Imported ${report.length} dashboards (${created} created) in ${validation.mode} mode`);
+
+                return {
+                    save: true,
+                    change: { user: auth.user, action: 'import-dashboards', summary: `Imported ${report.length} dashboards in ${validation.mode} mode` },
+                    result: {
+                        status: 200,
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        jsonBody: {
+                            success: true,
+                            message: `Imported ${report.length} dashboards`,
+                            mode: validation.mode,
+                            dashboards: report
+                        }
+                    }
+                };
+            });
+
+        } catch (error) {
+            if (error instanceof ConfigConflictError) {
+                context.log('Configuration update conflicted with concurrent edits');
+                return {
+                    status: 409,
+                    jsonBody: {
+                        error: 'Conflict',
+                        message: error.message
+                    }
+                };
+            }
+
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
+
+            context.log('Error processing request:', error);
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: 'An error occurred while importing dashboards. Please try again later.'
+                }
+            };
+        }
+    }
+});
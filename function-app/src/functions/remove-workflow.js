@@ -1,8 +1,13 @@
 // Azure Function: Remove Workflow
-// HTTP-triggered function that removes a workflow from the dashboard configuration
+// HTTP-triggered function that moves a workflow from the dashboard configuration to the trash
 
 const { app } = require('@azure/functions');
-const { getWorkflowConfigurations, saveWorkflowConfigurations } = require('../storage-client');
+const { authenticateRequest } = require('../auth');
+const { isSameHost } = require('../github-hosts');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { ROLES, forbiddenResponse, hasRole } = require('../permissions');
+const { ConfigConflictError, findTargetDashboard, updateWorkflowConfigurations } = require('../storage-client');
+const { getTrashRetentionDays, moveToTrash } = require('../trash');
 const crypto = require('crypto');
 
 /**
@@ -31,12 +36,24 @@ function validateRemoveRequest(request) {
         return { isValid: false, error: 'workflow field is required and must be a string' };
     }
 
+    // Validate optional dashboardId field
+    if (request.dashboardId !== undefined && (typeof request.dashboardId !== 'string' || !request.dashboardId.trim())) {
+        return { isValid: false, error: 'dashboardId must be a non-empty string when provided' };
+    }
+
+    // Validate optional host field; any host is accepted, so entries on a host that is no longer configured can be removed
+    if (request.host !== undefined && request.host !== null && typeof request.host !== 'string') {
+        return { isValid: false, error: 'host must be a string when provided' };
+    }
+
     // Return validated and parsed values
     return { 
         isValid: true,
+        host: request.host || undefined,
         owner: repoParts[0],
         repo: repoParts[1],
-        workflow: request.workflow
+        workflow: request.workflow,
+        dashboardId: request.dashboardId
     };
 }
 
@@ -46,10 +63,12 @@ function validateRemoveRequest(request) {
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} workflowFile - Workflow file name
+ * @param {string} [host] - Host name; empty for the default host
  * @returns {number} Index of workflow or -1 if not found
  */
-function findWorkflowIndex(workflows, owner, repo, workflowFile) {
+function findWorkflowIndex(workflows, owner, repo, workflowFile, host) {
     return workflows.findIndex(w => 
+        isSameHost(w.host, host) &&
         w.owner === owner && 
         w.repo === repo && 
         w.workflow === workflowFile
@@ -60,11 +79,8 @@ function findWorkflowIndex(workflows, owner, repo, workflowFile) {
  * HTTP trigger function to remove a workflow
  * 
  * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
- * Security is provided by CORS configuration which restricts allowed origins.
- * For production, consider:
- * - Restricting CORS origins to specific domains
- * - Implementing rate limiting via Azure API Management
- * - Adding function key authentication
+ * Callers must present a valid bearer token (see auth.js). CORS additionally
+ * restricts allowed origins.
  */
 app.http('remove-workflow', {
     methods: ['POST', 'DELETE'],
@@ -73,6 +89,12 @@ app.http('remove-workflow', {
         context.log('Processing request to remove workflow');
 
         try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
             // Get configuration from environment variables
             const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
             const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
@@ -119,78 +141,111 @@ app.http('remove-workflow', {
             }
 
             // Use validated and parsed values from validation
+            const host = validation.host;
             const owner = validation.owner;
             const repo = validation.repo;
             const workflowFile = validation.workflow;
+            const dashboardId = validation.dashboardId;
+
+            // Remove the workflow using an ETag-conditioned read-modify-write
+            context.log('Updating workflow configuration in Storage');
+            return await updateWorkflowConfigurations(storageAccountUrl, workflowConfigContainer, (config) => {
+                // Configuration is already migrated by storage client
+                // Find the requested dashboard, or the active one when none was given
+                const targetDashboard = findTargetDashboard(config, dashboardId);
+
+                if (!targetDashboard) {
+                    context.log('Target dashboard not found');
+                    return {
+                        save: false,
+                        result: {
+                            status: 404,
+                            jsonBody: dashboardId
+                                ? { error: 'Not found', message: 'Dashboard not found' }
+                                : { error: 'No active dashboard', message: 'No active dashboard found.' }
+                        }
+                    };
+                }
+
+                // Only editors and owners may change workflows
+                if (!hasRole(targetDashboard, auth.user, ROLES.EDITOR)) {
+                    context.log('Caller is not an editor of the target dashboard');
+                    return {
+                        save: false,
+                        result: forbiddenResponse('You need editor access to remove workflows on this dashboard')
+                    };
+                }
+
+                const workflows = targetDashboard.workflows || [];
 
-            // Get existing workflow configuration from Azure Storage
-            context.log('Retrieving workflow configuration from Storage');
-            let config = await getWorkflowConfigurations(
-                storageAccountUrl,
-                workflowConfigContainer
-            );
+                // Find the workflow to remove
+                const workflowIndex = findWorkflowIndex(workflows, owner, repo, workflowFile, host);
 
-            // Configuration is already migrated by storage client
-            // Find the active dashboard
-            const activeDashboard = config.dashboards?.find(d => d.id === config.activeDashboardId);
+                if (workflowIndex === -1) {
+                    context.log('Workflow not found in configuration');
+                    return {
+                        save: false,
+                        result: {
+                            status: 404,
+                            jsonBody: {
+                                error: 'Not found',
+                                message: 'Workflow not found in the dashboard'
+                            }
+                        }
+                    };
+                }
+
+                // Remove the workflow, keeping it in the trash so it can be restored
+                const removedWorkflow = workflows[workflowIndex];
+                workflows.splice(workflowIndex, 1);
+                targetDashboard.workflows = workflows;
+                const trashItem = moveToTrash(config, {
+                    type: 'workflow',
+                    dashboardId: targetDashboard.id,
+                    workflow: removedWorkflow,
+                    position: workflowIndex
+                }, auth.user);
+
+                context.log('Saving updated workflow configuration to Storage');
 
-            if (!activeDashboard) {
-                context.log('No active dashboard found');
                 return {
-                    status: 404,
-                    jsonBody: {
-                        error: 'No active dashboard',
-                        message: 'No active dashboard found.'
+                    save: true,
+                    change: { user: auth.user, action: 'remove-workflow', summary: `Removed ${removedWorkflow.host ? `${removedWorkflow.host}/` : ''}${removedWorkflow.owner}/${removedWorkflow.repo}/${removedWorkflow.workflow}` },
+                    result: {
+                        status: 200,
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        jsonBody: {
+                            success: true,
+                            message: 'Workflow removed successfully',
+                            dashboardId: targetDashboard.id,
+                            dashboardName: targetDashboard.name,
+                            workflow: removedWorkflow,
+                            trashId: trashItem.id,
+                            retentionDays: getTrashRetentionDays()
+                        }
                     }
                 };
-            }
-
-            const workflows = activeDashboard.workflows || [];
+            });
 
-            // Find the workflow to remove
-            const workflowIndex = findWorkflowIndex(workflows, owner, repo, workflowFile);
-
-            if (workflowIndex === -1) {
-                context.log('Workflow not found in configuration');
+        } catch (error) {
+            if (error instanceof ConfigConflictError) {
+                context.log('Configuration update conflicted with concurrent edits');
                 return {
-                    status: 404,
+                    status: 409,
                     jsonBody: {
-                        error: 'Not found',
-                        message: 'Workflow not found in the dashboard'
+                        error: 'Conflict',
+                        message: error.message
                     }
                 };
             }
 
-            // Remove the workflow
-            const removedWorkflow = workflows[workflowIndex];
-            workflows.splice(workflowIndex, 1);
-            activeDashboard.workflows = workflows;
-
-            // Save updated configuration back to Storage
-            context.log('Saving updated workflow configuration to Storage');
-            await saveWorkflowConfigurations(
-                storageAccountUrl,
-                workflowConfigContainer,
-                config
-            );
-
-            context.log('Successfully removed workflow from configuration');
-
-            return {
-                status: 200,
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                jsonBody: {
-                    success: true,
-                    message: 'Workflow removed successfully',
-                    dashboardId: activeDashboard.id,
-                    dashboardName: activeDashboard.name,
-                    workflow: removedWorkflow
-                }
-            };
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
 
-        } catch (error) {
             context.log('Error processing request:', error);
             return {
                 status: 500,
@@ -2,13 +2,17 @@
 // HTTP-triggered function that renames a dashboard
 
 const { app } = require('@azure/functions');
-const { getWorkflowConfigurations, saveWorkflowConfigurations } = require('../storage-client');
+const { authenticateRequest } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { ROLES, forbiddenResponse, hasRole } = require('../permissions');
+const { ConfigConflictError, updateWorkflowConfigurations } = require('../storage-client');
 
 /**
  * HTTP trigger function to rename a dashboard
  * 
  * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
- * Security is provided by CORS configuration which restricts allowed origins.
+ * Callers must present a valid bearer token (see auth.js). CORS additionally
+ * restricts allowed origins.
  */
 app.http('rename-dashboard', {
     methods: ['POST'],
@@ -17,6 +21,12 @@ app.http('rename-dashboard', {
         context.log('Processing request to rename dashboard');
 
         try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
             // Get configuration from environment variables
             const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
             const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
@@ -73,67 +83,92 @@ app.http('rename-dashboard', {
                 };
             }
 
-            // Get workflow configuration
-            context.log('Retrieving workflow configuration from Storage');
-            const config = await getWorkflowConfigurations(
-                storageAccountUrl,
-                workflowConfigContainer
-            );
-
-            // Find the dashboard to rename
-            const dashboard = config.dashboards?.find(d => d.id === dashboardId);
-            if (!dashboard) {
-                context.log('Dashboard not found');
+            // Rename the dashboard using an ETag-conditioned read-modify-write
+            context.log('Updating workflow configuration in Storage');
+            return await updateWorkflowConfigurations(storageAccountUrl, workflowConfigContainer, (config) => {
+                // Find the dashboard to rename
+                const dashboard = config.dashboards?.find(d => d.id === dashboardId);
+                if (!dashboard) {
+                    context.log('Dashboard not found');
+                    return {
+                        save: false,
+                        result: {
+                            status: 404,
+                            jsonBody: {
+                                error: 'Not found',
+                                message: 'Dashboard not found'
+                            }
+                        }
+                    };
+                }
+
+                // Only owners may rename a dashboard
+                if (!hasRole(dashboard, auth.user, ROLES.OWNER)) {
+                    context.log('Caller is not an owner of the dashboard');
+                    return {
+                        save: false,
+                        result: forbiddenResponse('Only dashboard owners can rename this dashboard')
+                    };
+                }
+
+                // Check if a dashboard with the new name already exists (different from current)
+                const existingDashboard = config.dashboards?.find(d => d.id !== dashboardId && d.name === newName.trim());
+                if (existingDashboard) {
+                    return {
+                        save: false,
+                        result: {
+                            status: 409,
+                            jsonBody: {
+                                error: 'Conflict',
+                                message: 'A dashboard with this name already exists'
+                            }
+                        }
+                    };
+                }
+
+                // Update the name
+                const previousName = dashboard.name;
+                dashboard.name = newName.trim();
+
+                context.log('Saving updated configuration to Storage');
+
                 return {
-                    status: 404,
-                    jsonBody: {
-                        error: 'Not found',
-                        message: 'Dashboard not found'
+                    save: true,
+                    change: { user: auth.user, action: 'rename-dashboard', summary: `Renamed dashboard from "${previousName}" to "${dashboard.name}"` },
+                    result: {
+                        status: 200,
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        jsonBody: {
+                            success: true,
+                            message: 'Dashboard renamed successfully',
+                            dashboard: {
+                                id: dashboard.id,
+                                name: dashboard.name
+                            }
+                        }
                     }
                 };
-            }
+            });
 
-            // Check if a dashboard with the new name already exists (different from current)
-            const existingDashboard = config.dashboards?.find(d => d.id !== dashboardId && d.name === newName.trim());
-            if (existingDashboard) {
+        } catch (error) {
+            if (error instanceof ConfigConflictError) {
+                context.log('Configuration update conflicted with concurrent edits');
                 return {
                     status: 409,
                     jsonBody: {
                         error: 'Conflict',
-                        message: 'A dashboard with this name already exists'
+                        message: error.message
                     }
                 };
             }
 
-            // Update the name
-            dashboard.name = newName.trim();
-
-            // Save configuration
-            context.log('Saving updated configuration to Storage');
-            await saveWorkflowConfigurations(
-                storageAccountUrl,
-                workflowConfigContainer,
-                config
-            );
-
-            context.log('Successfully renamed dashboard');
-
-            return {
-                status: 200,
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                jsonBody: {
-                    success: true,
-                    message: 'Dashboard renamed successfully',
-                    dashboard: {
-                        id: dashboard.id,
-                        name: dashboard.name
-                    }
-                }
-            };
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
 
-        } catch (error) {
             context.log('Error processing request:', error);
             return {
                 status: 500,
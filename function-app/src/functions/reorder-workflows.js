@@ -2,15 +2,21 @@
 // HTTP-triggered function that reorders workflows within a dashboard
 
 const { app } = require('@azure/functions');
-const { getWorkflowConfigurations, saveWorkflowConfigurations } = require('../storage-client');
+const { authenticateRequest } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse, validateDefinition } = require('../config-schema');
+const { normalizeHostName } = require('../github-hosts');
+const { ROLES, forbiddenResponse, hasRole } = require('../permissions');
+const { ConfigConflictError, findTargetDashboard, updateWorkflowConfigurations } = require('../storage-client');
 
 /**
  * HTTP trigger function to reorder workflows
- * Request body: { workflows: Array<{owner, repo, workflow}> }
+ * Request body: { workflows: Array<{host?, owner, repo, workflow}>, dashboardId?: string }
  * The workflows array should contain all workflows in the desired order
+ * When dashboardId is omitted, the active dashboard is reordered
  * 
  * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
- * Security is provided by CORS configuration which restricts allowed origins.
+ * Callers must present a valid bearer token (see auth.js). CORS additionally
+ * restricts allowed origins.
  */
 app.http('reorder-workflows', {
     methods: ['POST'],
@@ -19,6 +25,12 @@ app.http('reorder-workflows', {
         context.log('Processing request to reorder workflows');
 
         try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
             // Get configuration from environment variables
             const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
             const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
@@ -38,7 +50,7 @@ app.http('reorder-workflows', {
 
             // Parse request body
             const requestBody = await request.json();
-            const { workflows: newWorkflowOrder } = requestBody;
+            const { workflows: newWorkflowOrder, dashboardId } = requestBody;
 
             // Validate request
             if (!newWorkflowOrder || !Array.isArray(newWorkflowOrder)) {
@@ -51,99 +63,162 @@ app.http('reorder-workflows', {
                 };
             }
 
-            // Validate each workflow has required fields
-            for (const workflow of newWorkflowOrder) {
-                if (!workflow.owner || !workflow.repo || !workflow.workflow) {
+            // Validate optional dashboardId
+            if (dashboardId !== undefined && (typeof dashboardId !== 'string' || !dashboardId.trim())) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Invalid request',
+                        message: 'dashboardId must be a non-empty string when provided'
+                    }
+                };
+            }
+
+            // Validate each workflow reference against the same schema the stored workflows follow
+            for (const [index, workflow] of newWorkflowOrder.entries()) {
+                const validation = validateDefinition('workflowReference', workflow);
+                if (!validation.isValid) {
                     return {
                         status: 400,
                         jsonBody: {
                             error: 'Invalid workflow',
-                            message: 'Each workflow must have owner, repo, and workflow fields'
+                            message: `workflows[${index}]: each workflow must have owner, repo, and workflow fields (${validation.errors.join('; ')})`
                         }
                     };
                 }
             }
 
-            // Get current configuration
-            context.log('Retrieving current workflow configuration from Storage');
-            const config = await getWorkflowConfigurations(
-                storageAccountUrl,
-                workflowConfigContainer
-            );
+            // Reorder the workflows using an ETag-conditioned read-modify-write
+            context.log('Updating workflow configuration in Storage');
+            return await updateWorkflowConfigurations(storageAccountUrl, workflowConfigContainer, (config) => {
+                // Find the requested dashboard, or the active one when none was given
+                const targetDashboard = findTargetDashboard(config, dashboardId);
+
+                if (!targetDashboard) {
+                    return {
+                        save: false,
+                        result: {
+                            status: 404,
+                            jsonBody: {
+                                error: 'Dashboard not found',
+                                message: dashboardId ? 'Dashboard not found' : 'No active dashboard found'
+                            }
+                        }
+                    };
+                }
 
-            // Find the active dashboard
-            const activeDashboard = config.dashboards?.find(d => d.id === config.activeDashboardId);
+                // Only editors and owners may change workflows
+                if (!hasRole(targetDashboard, auth.user, ROLES.EDITOR)) {
+                    context.log('Caller is not an editor of the target dashboard');
+                    return {
+                        save: false,
+                        result: forbiddenResponse('You need editor access to reorder workflows on this dashboard')
+                    };
+                }
 
-            if (!activeDashboard) {
-                return {
-                    status: 404,
-                    jsonBody: {
-                        error: 'Dashboard not found',
-                        message: 'No active dashboard found'
+                // Create a map of existing workflows for lookup
+                const existingWorkflowsMap = new Map();
+                (targetDashboard.workflows || []).forEach(workflow => {
+                    const key = `${normalizeHostName(workflow.host) || ''}/${workflow.owner}/${workflow.repo}/${workflow.workflow}`;
+                    existingWorkflowsMap.set(key, workflow);
+                });
+
+                // Build the new workflows array maintaining all properties but in new order
+                const reorderedWorkflows = [];
+                const seenKeys = new Set();
+                for (const workflowRef of newWorkflowOrder) {
+                    const key = `${normalizeHostName(workflowRef.host) || ''}/${workflowRef.owner}/${workflowRef.repo}/${workflowRef.workflow}`;
+
+                    // A repeated workflow would push another one out of the dashboard without a trace
+                    if (seenKeys.has(key)) {
+                        return {
+                            save: false,
+                            result: {
+                                status: 400,
+                                jsonBody: {
+                                    error: 'Invalid reorder',
+                                    message: 'Each workflow may appear only once in the new order.'
+                                }
+                            }
+                        };
+                    }
+                    seenKeys.add(key);
+
+                    const existingWorkflow = existingWorkflowsMap.get(key);
+                    if (!existingWorkflow) {
+                        context.log('Reorder refers to a workflow the dashboard no longer has');
+                        return {
+                            save: false,
+                            result: {
+                                status: 409,
+                                jsonBody: {
+                                    error: 'Conflict',
+                                    message: 'Workflow configuration has changed. Please refresh and try again.'
+                                }
+                            }
+                        };
                     }
-                };
-            }
 
-            // Create a map of existing workflows for lookup
-            const existingWorkflowsMap = new Map();
-            (activeDashboard.workflows || []).forEach(workflow => {
-                const key = `${workflow.owner}/${workflow.repo}/${workflow.workflow}`;
-                existingWorkflowsMap.set(key, workflow);
-            });
+                    // Keep the workflow with an explicit order field
+                    reorderedWorkflows.push({
+                        ...existingWorkflow,
+                        order: reorderedWorkflows.length
+                    });
+                }
 
-            // Build the new workflows array maintaining all properties but in new order
-            const reorderedWorkflows = newWorkflowOrder.map((workflowRef, index) => {
-                const key = `${workflowRef.owner}/${workflowRef.repo}/${workflowRef.workflow}`;
-                const existingWorkflow = existingWorkflowsMap.get(key);
-                
-                if (!existingWorkflow) {
-                    throw new Error(`Workflow configuration has changed. Please refresh and try again.`);
+                // Verify we have the same number of workflows (no additions or removals)
+                if (reorderedWorkflows.length !== targetDashboard.workflows.length) {
+                    return {
+                        save: false,
+                        result: {
+                            status: 400,
+                            jsonBody: {
+                                error: 'Invalid reorder',
+                                message: 'Workflow count mismatch. Reorder should include all existing workflows.'
+                            }
+                        }
+                    };
                 }
 
-                // Return workflow with explicit order field
+                // Update the target dashboard's workflows
+                targetDashboard.workflows = reorderedWorkflows;
+
+                context.log(`Saving ${reorderedWorkflows.length} reordered workflows in dashboard ${targetDashboard.id}`);
+
                 return {
-                    ...existingWorkflow,
-                    order: index
+                    save: true,
+                    change: { user: auth.user, action: 'reorder-workflows', summary: `Reordered ${reorderedWorkflows.length} workflows` },
+                    result: {
+                        status: 200,
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        jsonBody: {
+                            success: true,
+                            message: `Reordered ${reorderedWorkflows.length} workflows`,
+                            dashboardId: targetDashboard.id
+                        }
+                    }
                 };
             });
 
-            // Verify we have the same number of workflows (no additions or removals)
-            if (reorderedWorkflows.length !== activeDashboard.workflows.length) {
+        } catch (error) {
+            if (error instanceof ConfigConflictError) {
+                context.log('Configuration update conflicted with concurrent edits');
                 return {
-                    status: 400,
+                    status: 409,
                     jsonBody: {
-                        error: 'Invalid reorder',
-                        message: 'Workflow count mismatch. Reorder should include all existing workflows.'
+                        error: 'Conflict',
+                        message: error.message
                     }
                 };
             }
 
-            // Update the active dashboard's workflows
-            activeDashboard.workflows = reorderedWorkflows;
-
-            // Save the updated configuration
-            context.log('Saving updated workflow configuration to Storage');
-            await saveWorkflowConfigurations(
-                storageAccountUrl,
-                workflowConfigContainer,
-                config
-            );
-
-            context.log(`Successfully reordered ${reorderedWorkflows.length} workflows in dashboard ${activeDashboard.id}`);
-
-            return {
-                status: 200,
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                jsonBody: {
-                    success: true,
-                    message: `Reordered ${reorderedWorkflows.length} workflows`,
-                    dashboardId: activeDashboard.id
-                }
-            };
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
 
-        } catch (error) {
             context.log('Error reordering workflows:', error);
             return {
                 status: 500,
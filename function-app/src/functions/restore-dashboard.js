@@ -0,0 +1,227 @@
+// Azure Function: Restore Dashboard
+// HTTP-triggered function that puts a dashboard back the way it was in a recorded version
+
+const { app } = require('@azure/functions');
+const { authenticateRequest } = require('../auth');
+const { isVersionId } = require('../config-history');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { ROLES, forbiddenResponse, hasRole } = require('../permissions');
+const {
+    ConfigConflictError,
+    getDashboardVersion,
+    listDashboardHistory,
+    updateWorkflowConfigurations
+} = require('../storage-client');
+
+/**
+ * HTTP trigger function to restore a dashboard
+ * Request body: { dashboardId: string, version: string }
+ *
+ * The dashboard's name, workflows, rules and members are replaced with the ones of the version.
+ * A deleted dashboard is added back. The restore is itself recorded in the history, so it can be undone.
+ *
+ * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
+ * Callers must present a valid bearer token (see auth.js) and be an owner of the dashboard
+ * (of its last version, for deleted dashboards). CORS additionally restricts allowed origins.
+ */
+app.http('restore-dashboard', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        context.log('Processing request to restore dashboard');
+
+        try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
+            // Get configuration from environment variables
+            const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
+            const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
+
+            // Validate environment variables
+            if (!storageAccountUrl || typeof storageAccountUrl !== 'string' || storageAccountUrl.trim().length === 0 ||
+                !workflowConfigContainer || typeof workflowConfigContainer !== 'string' || workflowConfigContainer.trim().length === 0) {
+                context.log('Missing or invalid required environment variables');
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Required environment variables are not properly configured'
+                    }
+                };
+            }
+
+            // Parse request body
+            let requestBody;
+            try {
+                requestBody = await request.json();
+            } catch (error) {
+                context.log('Failed to parse request body:', error);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Invalid request',
+                        message: 'Request body must be valid JSON'
+                    }
+                };
+            }
+
+            // Validate input
+            const { dashboardId, version } = requestBody || {};
+            if (!dashboardId || typeof dashboardId !== 'string') {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: 'dashboardId is required and must be a string'
+                    }
+                };
+            }
+            if (!isVersionId(version)) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: 'version must be a version ID from the dashboard history'
+                    }
+                };
+            }
+
+            // Snapshots never change, so the version can be read outside the read-modify-write
+            const snapshot = await getDashboardVersion(storageAccountUrl, workflowConfigContainer, dashboardId, version);
+            if (!snapshot) {
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'Version not found'
+                    }
+                };
+            }
+            if (snapshot.deleted) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Cannot restore',
+                        message: 'This version records the deletion of the dashboard. Restore an earlier version instead.'
+                    }
+                };
+            }
+
+            // Restore the dashboard using an ETag-conditioned read-modify-write
+            context.log('Updating workflow configuration in Storage');
+            return await updateWorkflowConfigurations(storageAccountUrl, workflowConfigContainer, async (config) => {
+                const dashboardIndex = config.dashboards.findIndex(d => d.id === dashboardId);
+
+                // Permissions come from the dashboard as it is now, or as it was when it was deleted
+                let dashboard = config.dashboards[dashboardIndex];
+                if (!dashboard) {
+                    const [latest] = await listDashboardHistory(storageAccountUrl, workflowConfigContainer, dashboardId);
+                    dashboard = latest?.deleted
+                        ? (await getDashboardVersion(storageAccountUrl, workflowConfigContainer, dashboardId, latest.version))?.dashboard
+                        : undefined;
+                }
+
+                if (!dashboard || !hasRole(dashboard, auth.user, ROLES.VIEWER)) {
+                    context.log('Dashboard not found or not visible');
+                    return {
+                        save: false,
+                        result: {
+                            status: 404,
+                            jsonBody: {
+                                error: 'Not found',
+                                message: 'Dashboard not found'
+                            }
+                        }
+                    };
+                }
+
+                // Only owners may restore a dashboard, since a restore also brings back its members
+                if (!hasRole(dashboard, auth.user, ROLES.OWNER)) {
+                    context.log('Caller is not an owner of the dashboard');
+                    return {
+                        save: false,
+                        result: forbiddenResponse('Only dashboard owners can restore this dashboard')
+                    };
+                }
+
+                const restored = { ...snapshot.dashboard, id: dashboardId };
+                if (config.dashboards.some(d => d.id !== dashboardId && d.name === restored.name)) {
+                    return {
+                        save: false,
+                        result: {
+                            status: 409,
+                            jsonBody: {
+                                error: 'Conflict',
+                                message: `Another dashboard is named "${restored.name}". Rename it before restoring this version.`
+                            }
+                        }
+                    };
+                }
+
+                if (dashboardIndex === -1) {
+                    config.dashboards.push(restored);
+                    // A dashboard still in the trash is back now, so it can no longer be restored from there
+                    config.trash = (config.trash || []).filter(item => item.type !== 'dashboard' || item.dashboard.id !== dashboardId);
+                } else {
+                    config.dashboards[dashboardIndex] = restored;
+                }
+
+                context.log(`Restoring dashboard ${dashboardId} to version ${version}`);
+
+                return {
+                    save: true,
+                    change: { user: auth.user, action: 'restore-dashboard', summary: `Restored the version of ${snapshot.savedAt}` },
+                    result: {
+                        status: 200,
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        jsonBody: {
+                            success: true,
+                            message: 'Dashboard restored successfully',
+                            dashboard: {
+                                id: restored.id,
+                                name: restored.name
+                            },
+                            version,
+                            undeleted: dashboardIndex === -1
+                        }
+                    }
+                };
+            });
+
+        } catch (error) {
+            if (error instanceof ConfigConflictError) {
+                context.log('Configuration update conflicted with concurrent edits');
+                return {
+                    status: 409,
+                    jsonBody: {
+                        error: 'Conflict',
+                        message: error.message
+                    }
+                };
+            }
+
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
+
+            context.log('Error processing request:', error);
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: 'An error occurred while restoring the dashboard. Please try again later.'
+                }
+            };
+        }
+    }
+});
@@ -2,13 +2,17 @@
 // HTTP-triggered function that switches the active dashboard
 
 const { app } = require('@azure/functions');
-const { getWorkflowConfigurations, saveWorkflowConfigurations } = require('../storage-client');
+const { authenticateRequest } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { ROLES, forbiddenResponse, hasRole } = require('../permissions');
+const { ConfigConflictError, updateWorkflowConfigurations } = require('../storage-client');
 
 /**
  * HTTP trigger function to set the active dashboard
  * 
  * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
- * Security is provided by CORS configuration which restricts allowed origins.
+ * Callers must present a valid bearer token (see auth.js). CORS additionally
+ * restricts allowed origins.
  */
 app.http('set-active-dashboard', {
     methods: ['POST'],
@@ -17,6 +21,12 @@ app.http('set-active-dashboard', {
         context.log('Processing request to set active dashboard');
 
         try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
             // Get configuration from environment variables
             const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
             const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
@@ -61,53 +71,73 @@ app.http('set-active-dashboard', {
                 };
             }
 
-            // Get workflow configuration
-            context.log('Retrieving workflow configuration from Storage');
-            const config = await getWorkflowConfigurations(
-                storageAccountUrl,
-                workflowConfigContainer
-            );
+            // Switch the active dashboard using an ETag-conditioned read-modify-write
+            context.log('Updating workflow configuration in Storage');
+            return await updateWorkflowConfigurations(storageAccountUrl, workflowConfigContainer, (config) => {
+                // Find the dashboard
+                const dashboard = config.dashboards?.find(d => d.id === dashboardId);
+                if (!dashboard) {
+                    context.log('Dashboard not found');
+                    return {
+                        save: false,
+                        result: {
+                            status: 404,
+                            jsonBody: {
+                                error: 'Not found',
+                                message: 'Dashboard not found'
+                            }
+                        }
+                    };
+                }
+
+                // Only owners may make a dashboard the shared default
+                if (!hasRole(dashboard, auth.user, ROLES.OWNER)) {
+                    context.log('Caller is not an owner of the dashboard');
+                    return {
+                        save: false,
+                        result: forbiddenResponse('Only dashboard owners can make this dashboard the default')
+                    };
+                }
+
+                // Set as active
+                config.activeDashboardId = dashboardId;
 
-            // Find the dashboard
-            const dashboard = config.dashboards?.find(d => d.id === dashboardId);
-            if (!dashboard) {
-                context.log('Dashboard not found');
+                context.log('Saving updated configuration to Storage');
+
+                return {
+                    save: true,
+                    result: {
+                        status: 200,
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        jsonBody: {
+                            success: true,
+                            message: 'Active dashboard updated successfully',
+                            activeDashboardId: dashboardId,
+                            dashboardName: dashboard.name
+                        }
+                    }
+                };
+            });
+
+        } catch (error) {
+            if (error instanceof ConfigConflictError) {
+                context.log('Configuration update conflicted with concurrent edits');
                 return {
-                    status: 404,
+                    status: 409,
                     jsonBody: {
-                        error: 'Not found',
-                        message: 'Dashboard not found'
+                        error: 'Conflict',
+                        message: error.message
                     }
                 };
             }
 
-            // Set as active
-            config.activeDashboardId = dashboardId;
-
-            // Save configuration
-            context.log('Saving updated configuration to Storage');
-            await saveWorkflowConfigurations(
-                storageAccountUrl,
-                workflowConfigContainer,
-                config
-            );
-
-            context.log('Successfully set active dashboard');
-
-            return {
-                status: 200,
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                jsonBody: {
-                    success: true,
-                    message: 'Active dashboard updated successfully',
-                    activeDashboardId: dashboardId,
-                    dashboardName: dashboard.name
-                }
-            };
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
 
-        } catch (error) {
             context.log('Error processing request:', error);
             return {
                 status: 500,
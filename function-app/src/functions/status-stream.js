@@ -0,0 +1,220 @@
+// Azure Function: Status Stream
+// HTTP-triggered function that pushes workflow status changes to the dashboard as Server-Sent Events
+
+const { app } = require('@azure/functions');
+const { authenticateRequest, isAnonymousReadAllowed } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { getRateLimitHealth } = require('../github-auth');
+const { ROLES, hasRole } = require('../permissions');
+const { getCachedWorkflowStatuses, getWorkflowCacheKey, syncSharedStatuses } = require('../status-cache');
+const { findTargetDashboard, getWorkflowConfigurations } = require('../storage-client');
+const { expandDashboardRules } = require('../workflow-rules');
+const {
+    buildUnavailableWorkflowResult,
+    buildWorkflowResult,
+    fetchWorkflowStatuses,
+    parseHistorySize
+} = require('../workflow-status');
+
+// Streaming responses must be enabled for the whole app before startup finishes
+app.setup({ enableHttpStream: true });
+
+// How often the status cache is checked for changes
+const STREAM_INTERVAL_MS = 5 * 1000;
+
+// Comment lines keep proxies from closing an idle connection
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+// Streams must end before functionTimeout in host.json (1 minute); the dashboard reconnects when they do
+const STREAM_DURATION_MS = 50 * 1000;
+
+/**
+ * Format a Server-Sent Event
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload (sent as JSON)
+ * @returns {string} Event in text/event-stream format
+ */
+function formatEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * HTTP trigger function that streams status changes for one dashboard
+ * Query parameters: dashboardId (optional; defaults to the shared default dashboard),
+ * history (optional; number of recent runs to include with each status, as in get-workflow-statuses)
+ *
+ * Events:
+ * - ready: { dashboardId, workflows } once the stream is open (workflows lists the tracked owner/repo/workflow keys in lowercase)
+ * - status: a workflow in the same shape as get-workflow-statuses returns, whenever its status changes
+ * - health: the health field of get-workflow-statuses, whenever it changes
+ * - end: {} before the server closes the stream; the client should reconnect
+ *
+ * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
+ * Callers are identified by a bearer token (see auth.js); anonymous access follows
+ * ALLOW_ANONYMOUS_READ like get-workflow-statuses. CORS additionally restricts allowed origins.
+ */
+app.http('status-stream', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        context.log('Processing request for status stream');
+
+        try {
+            // Authenticate the caller (reading statuses may be anonymous)
+            const auth = await authenticateRequest(request, context, { allowAnonymous: isAnonymousReadAllowed() });
+            if (auth.response) {
+                return auth.response;
+            }
+
+            // Get configuration from environment variables
+            const keyVaultUrl = process.env.KEY_VAULT_URL;
+            const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
+            const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
+
+            // Validate all environment variables are set, are strings, and are non-empty
+            if (!keyVaultUrl || typeof keyVaultUrl !== 'string' || keyVaultUrl.trim().length === 0 ||
+                !storageAccountUrl || typeof storageAccountUrl !== 'string' || storageAccountUrl.trim().length === 0 ||
+                !workflowConfigContainer || typeof workflowConfigContainer !== 'string' || workflowConfigContainer.trim().length === 0) {
+                context.log('Missing or invalid required environment variables');
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Required environment variables are not properly configured'
+                    }
+                };
+            }
+
+            const config = await getWorkflowConfigurations(storageAccountUrl, workflowConfigContainer);
+            const dashboard = findTargetDashboard(config, request.query.get('dashboardId'));
+
+            if (!dashboard || !(isAnonymousReadAllowed() || hasRole(dashboard, auth.user, ROLES.VIEWER))) {
+                context.log('Dashboard not found or not visible');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'Dashboard not found'
+                    }
+                };
+            }
+
+            const workflows = [...(dashboard.workflows || [])];
+            workflows.push(...await expandDashboardRules(keyVaultUrl, dashboard, context));
+
+            const historySize = parseHistorySize(request.query.get('history'));
+            const encoder = new TextEncoder();
+            const lastSent = new Map();
+            let lastHealth = null;
+            const timers = [];
+            let closed = false;
+
+            const stop = () => {
+                closed = true;
+                timers.forEach(timer => clearTimeout(timer));
+            };
+
+            const body = new ReadableStream({
+                start(controller) {
+                    const send = (text) => {
+                        if (!closed) {
+                            controller.enqueue(encoder.encode(text));
+                        }
+                    };
+
+                    // Send the workflows whose status differs from what this client last received
+                    const checkForChanges = async () => {
+                        try {
+                            await syncSharedStatuses(storageAccountUrl, workflowConfigContainer, STREAM_INTERVAL_MS);
+                            const entries = await getCachedWorkflowStatuses(
+                                storageAccountUrl,
+                                workflowConfigContainer,
+                                workflows,
+                                (staleWorkflows, dispatchChecks) => fetchWorkflowStatuses(keyVaultUrl, staleWorkflows, context, dispatchChecks),
+                                context
+                            );
+
+                            const now = Date.now();
+                            workflows.forEach((workflow, index) => {
+                                const entry = entries[index];
+                                const key = getWorkflowCacheKey(workflow);
+                                const snapshot = JSON.stringify(entry?.status ?? null);
+                                if (lastSent.get(key) !== snapshot) {
+                                    lastSent.set(key, snapshot);
+                                    send(formatEvent('status', entry?.status
+                                        ? buildWorkflowResult(workflow, entry, now, historySize)
+                                        : buildUnavailableWorkflowResult(workflow)));
+                                }
+                            });
+
+                            const health = { rateLimit: getRateLimitHealth() };
+                            if (JSON.stringify(health) !== lastHealth) {
+                                lastHealth = JSON.stringify(health);
+                                send(formatEvent('health', health));
+                            }
+                        } catch (error) {
+                            context.log('Failed to check workflow statuses for stream:', error.message);
+                        }
+
+                        if (!closed) {
+                            timers[0] = setTimeout(checkForChanges, STREAM_INTERVAL_MS);
+                        }
+                    };
+
+                    const heartbeat = () => {
+                        send(': keep-alive\n\n');
+                        if (!closed) {
+                            timers[1] = setTimeout(heartbeat, HEARTBEAT_INTERVAL_MS);
+                        }
+                    };
+
+                    timers[2] = setTimeout(() => {
+                        send(formatEvent('end', {}));
+                        stop();
+                        controller.close();
+                    }, STREAM_DURATION_MS);
+
+                    send(`retry: ${STREAM_INTERVAL_MS}\n\n`);
+                    send(formatEvent('ready', {
+                        dashboardId: dashboard.id,
+                        workflows: workflows.map(w => `${w.host ? `${w.host}/` : ''}${w.owner}/${w.repo}/${w.workflow}`.toLowerCase())
+                    }));
+                    timers[1] = setTimeout(heartbeat, HEARTBEAT_INTERVAL_MS);
+                    checkForChanges();
+                },
+                cancel() {
+                    context.log('Status stream closed by client');
+                    stop();
+                }
+            });
+
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'X-Accel-Buffering': 'no'
+                },
+                body
+            };
+
+        } catch (error) {
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
+
+            context.log('Error processing request:', error);
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: 'An error occurred while opening the status stream. Please try again later.'
+                }
+            };
+        }
+    }
+});
@@ -0,0 +1,233 @@
+// Azure Functions: Trash Actions
+// HTTP-triggered functions that restore an item from the trash or purge it for good
+
+const { app } = require('@azure/functions');
+const { authenticateRequest } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { ROLES, forbiddenResponse, hasRole } = require('../permissions');
+const { ConfigConflictError, updateWorkflowConfigurations } = require('../storage-client');
+const { findTrashItem, getTrashItemDashboard } = require('../trash');
+const { workflowExists } = require('../workflow-validation');
+
+// One function per action, with the past tense used in messages
+const TRASH_ACTIONS = {
+    'restore-from-trash': { description: 'restored' },
+    'purge-from-trash': { description: 'purged' }
+};
+
+/**
+ * Put a trash item back where it was deleted from
+ * @param {Object} config - Configuration object (modified in place)
+ * @param {Object} item - Trash item
+ * @returns {Object|null} Error response when the item cannot be restored, or null once it is restored
+ */
+function restoreTrashItem(config, item) {
+    if (item.type === 'dashboard') {
+        const { dashboard } = item;
+        if (config.dashboards.some(d => d.id === dashboard.id)) {
+            return {
+                status: 409,
+                jsonBody: { error: 'Conflict', message: 'A dashboard with this ID already exists' }
+            };
+        }
+        if (config.dashboards.some(d => d.name === dashboard.name)) {
+            return {
+                status: 409,
+                jsonBody: { error: 'Conflict', message: `Another dashboard is named "${dashboard.name}". Rename it before restoring this dashboard.` }
+            };
+        }
+        config.dashboards.splice(Math.min(item.position ?? Infinity, config.dashboards.length), 0, dashboard);
+        return null;
+    }
+
+    const dashboard = getTrashItemDashboard(config, item);
+    const workflows = dashboard.workflows || [];
+    const { host, owner, repo, workflow } = item.workflow;
+    if (workflowExists(workflows, owner, repo, workflow, host)) {
+        return {
+            status: 409,
+            jsonBody: { error: 'Conflict', message: 'Workflow already exists in the dashboard' }
+        };
+    }
+    workflows.splice(Math.min(item.position ?? Infinity, workflows.length), 0, item.workflow);
+    dashboard.workflows = workflows;
+    return null;
+}
+
+/**
+ * Create the handler for one trash action
+ * @param {string} name - Function name (key of TRASH_ACTIONS)
+ * @returns {Function} Azure Functions HTTP handler
+ */
+function createTrashActionHandler(name) {
+    const action = TRASH_ACTIONS[name];
+
+    return async (request, context) => {
+        context.log(`Processing ${name} request`);
+
+        try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
+            // Get configuration from environment variables
+            const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
+            const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
+
+            // Validate environment variables
+            if (!storageAccountUrl || typeof storageAccountUrl !== 'string' || storageAccountUrl.trim().length === 0 ||
+                !workflowConfigContainer || typeof workflowConfigContainer !== 'string' || workflowConfigContainer.trim().length === 0) {
+                context.log('Missing or invalid required environment variables');
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Required environment variables are not properly configured'
+                    }
+                };
+            }
+
+            // Parse request body
+            let requestBody;
+            try {
+                requestBody = await request.json();
+            } catch (error) {
+                context.log('Failed to parse request body:', error);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Invalid request',
+                        message: 'Request body must be valid JSON'
+                    }
+                };
+            }
+
+            // Validate trash item ID
+            const trashId = requestBody?.trashId;
+            if (!trashId || typeof trashId !== 'string') {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: 'trashId is required and must be a string'
+                    }
+                };
+            }
+
+            // Apply the action using an ETag-conditioned read-modify-write
+            context.log('Updating workflow configuration in Storage');
+            return await updateWorkflowConfigurations(storageAccountUrl, workflowConfigContainer, (config) => {
+                const item = findTrashItem(config, trashId);
+                const dashboard = item && getTrashItemDashboard(config, item);
+
+                // Deleted workflows are only reachable while the dashboard they belonged to exists
+                if (!dashboard || !hasRole(dashboard, auth.user, ROLES.VIEWER)) {
+                    context.log('Trash item not found or not visible');
+                    return {
+                        save: false,
+                        result: {
+                            status: 404,
+                            jsonBody: {
+                                error: 'Not found',
+                                message: 'Trash item not found. It may have expired or been restored already.'
+                            }
+                        }
+                    };
+                }
+
+                // Deleting a dashboard takes an owner and removing a workflow an editor; the same goes for undoing it
+                const requiredRole = item.type === 'dashboard' ? ROLES.OWNER : ROLES.EDITOR;
+                if (!hasRole(dashboard, auth.user, requiredRole)) {
+                    context.log(`Caller lacks the ${requiredRole} role for the trash item`);
+                    return {
+                        save: false,
+                        result: forbiddenResponse(item.type === 'dashboard'
+                            ? 'Only dashboard owners can restore or purge this dashboard'
+                            : 'You need editor access to restore or purge workflows on this dashboard')
+                    };
+                }
+
+                if (name === 'restore-from-trash') {
+                    const errorResponse = restoreTrashItem(config, item);
+                    if (errorResponse) {
+                        return { save: false, result: errorResponse };
+                    }
+                }
+                config.trash = config.trash.filter(i => i.id !== trashId);
+
+                const itemName = item.type === 'dashboard'
+                    ? `dashboard "${item.dashboard.name}"`
+                    : `${item.workflow.host ? `${item.workflow.host}/` : ''}${item.workflow.owner}/${item.workflow.repo}/${item.workflow.workflow}`;
+                context.log(`Trash item ${trashId} ${action.description}`);
+
+                return {
+                    save: true,
+                    // Purging only touches the trash, which has no history of its own
+                    ...(name === 'restore-from-trash' && {
+                        change: { user: auth.user, action: name, summary: `Restored ${itemName} from the trash` }
+                    }),
+                    result: {
+                        status: 200,
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        jsonBody: {
+                            success: true,
+                            message: `${item.type === 'dashboard' ? 'Dashboard' : 'Workflow'} ${action.description} successfully`,
+                            type: item.type,
+                            dashboardId: dashboard.id
+                        }
+                    }
+                };
+            });
+
+        } catch (error) {
+            if (error instanceof ConfigConflictError) {
+                context.log('Configuration update conflicted with concurrent edits');
+                return {
+                    status: 409,
+                    jsonBody: {
+                        error: 'Conflict',
+                        message: error.message
+                    }
+                };
+            }
+
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
+
+            context.log('Error processing request:', error);
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: 'An error occurred while updating the trash. Please try again later.'
+                }
+            };
+        }
+    };
+}
+
+/**
+ * HTTP trigger functions to restore an item from the trash or purge it
+ * Request body: { trashId: string }
+ *
+ * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
+ * Callers must present a valid bearer token (see auth.js) and be an owner of a deleted
+ * dashboard, or an editor of the dashboard a deleted workflow belonged to. CORS additionally
+ * restricts allowed origins.
+ */
+for (const name of Object.keys(TRASH_ACTIONS)) {
+    app.http(name, {
+        methods: ['POST'],
+        authLevel: 'anonymous',
+        handler: createTrashActionHandler(name)
+    });
+}
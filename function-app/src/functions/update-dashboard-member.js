@@ -0,0 +1,202 @@
+// Azure Function: Update Dashboard Member
+// HTTP-triggered function that adds, changes or removes a member of a dashboard
+
+const { app } = require('@azure/functions');
+const { authenticateRequest } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { ROLES, forbiddenResponse, hasRole, isRestricted, isValidRole } = require('../permissions');
+const { ConfigConflictError, updateWorkflowConfigurations } = require('../storage-client');
+
+/**
+ * HTTP trigger function to manage dashboard members
+ * Request body: { dashboardId: string, memberId: string, name?: string, role: 'viewer'|'editor'|'owner'|null }
+ * A null role removes the member. Member IDs have the form 'github:<user id>' or 'entra:<object id>'.
+ *
+ * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
+ * Callers must present a valid bearer token (see auth.js). CORS additionally
+ * restricts allowed origins.
+ */
+app.http('update-dashboard-member', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        context.log('Processing request to update dashboard member');
+
+        try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
+            // Get configuration from environment variables
+            const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
+            const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
+
+            // Validate environment variables
+            if (!storageAccountUrl || typeof storageAccountUrl !== 'string' || storageAccountUrl.trim().length === 0 ||
+                !workflowConfigContainer || typeof workflowConfigContainer !== 'string' || workflowConfigContainer.trim().length === 0) {
+                context.log('Missing or invalid required environment variables');
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Required environment variables are not properly configured'
+                    }
+                };
+            }
+
+            // Parse request body
+            let requestBody;
+            try {
+                requestBody = await request.json();
+            } catch (error) {
+                context.log('Failed to parse request body:', error);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Invalid request',
+                        message: 'Request body must be valid JSON'
+                    }
+                };
+            }
+
+            // Validate input
+            const { dashboardId, memberId, name, role } = requestBody;
+            if (!dashboardId || typeof dashboardId !== 'string') {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: 'dashboardId is required and must be a string'
+                    }
+                };
+            }
+            if (!memberId || typeof memberId !== 'string' || !/^(github|entra):\S+$/.test(memberId)) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: 'memberId must be in the format "github:<user id>" or "entra:<object id>"'
+                    }
+                };
+            }
+            if (role !== null && !isValidRole(role)) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: 'role must be "viewer", "editor", "owner", or null to remove the member'
+                    }
+                };
+            }
+
+            // Update the members using an ETag-conditioned read-modify-write
+            context.log('Updating workflow configuration in Storage');
+            return await updateWorkflowConfigurations(storageAccountUrl, workflowConfigContainer, (config) => {
+                const dashboard = config.dashboards?.find(d => d.id === dashboardId);
+                if (!dashboard) {
+                    context.log('Dashboard not found');
+                    return {
+                        save: false,
+                        result: {
+                            status: 404,
+                            jsonBody: {
+                                error: 'Not found',
+                                message: 'Dashboard not found'
+                            }
+                        }
+                    };
+                }
+
+                // Only owners may manage members
+                if (!hasRole(dashboard, auth.user, ROLES.OWNER)) {
+                    context.log('Caller is not an owner of the dashboard');
+                    return {
+                        save: false,
+                        result: forbiddenResponse('Only dashboard owners can manage members')
+                    };
+                }
+
+                // Restricting an open dashboard for the first time: only admins own it, so keep the calling admin as its owner
+                if (!isRestricted(dashboard)) {
+                    dashboard.members = [{ id: auth.user.id, name: auth.user.name, role: ROLES.OWNER }];
+                }
+
+                const members = dashboard.members.filter(m => m.id !== memberId);
+                if (role) {
+                    const existing = dashboard.members.find(m => m.id === memberId);
+                    members.push({
+                        id: memberId,
+                        name: (typeof name === 'string' && name.trim()) || existing?.name || memberId,
+                        role
+                    });
+                }
+
+                // A dashboard must always keep at least one owner
+                if (!members.some(m => m.role === ROLES.OWNER)) {
+                    return {
+                        save: false,
+                        result: {
+                            status: 400,
+                            jsonBody: {
+                                error: 'Cannot update member',
+                                message: 'A dashboard must have at least one owner'
+                            }
+                        }
+                    };
+                }
+
+                dashboard.members = members;
+
+                context.log('Saving updated configuration to Storage');
+
+                return {
+                    save: true,
+                    change: { user: auth.user, action: 'update-dashboard-member', summary: role ? `Set ${memberId} as ${role}` : `Removed member ${memberId}` },
+                    result: {
+                        status: 200,
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        jsonBody: {
+                            success: true,
+                            message: role ? 'Member updated successfully' : 'Member removed successfully',
+                            dashboardId: dashboard.id,
+                            members: dashboard.members
+                        }
+                    }
+                };
+            });
+
+        } catch (error) {
+            if (error instanceof ConfigConflictError) {
+                context.log('Configuration update conflicted with concurrent edits');
+                return {
+                    status: 409,
+                    jsonBody: {
+                        error: 'Conflict',
+                        message: error.message
+                    }
+                };
+            }
+
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
+
+            context.log('Error processing request:', error);
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: 'An error occurred while updating the dashboard member. Please try again later.'
+                }
+            };
+        }
+    }
+});
@@ -0,0 +1,326 @@
+// Azure Functions: Workflow Run Actions
+// HTTP-triggered functions that re-run or cancel a run of a tracked workflow on GitHub
+
+const { app } = require('@azure/functions');
+const { authenticateRequest } = require('../auth');
+const { ConfigValidationError, invalidConfigResponse } = require('../config-schema');
+const { isSameHost } = require('../github-hosts');
+const { ROLES, forbiddenResponse, hasRole } = require('../permissions');
+const { recordWorkflowRunRequest } = require('../status-cache');
+const { findTargetDashboard, getWorkflowConfigurations } = require('../storage-client');
+const { getDashboardWorkflows } = require('../workflow-rules');
+const { createRepositoryClient, isRunOfWorkflow } = require('../workflow-status');
+const { validateHost } = require('../workflow-validation');
+
+// One function per action: the GitHub API method it calls, which runs it applies to,
+// and the state the run is expected to reach (shown until GitHub reports the real one)
+const RUN_ACTIONS = {
+    'rerun-failed-jobs': {
+        method: 'reRunWorkflowFailedJobs',
+        description: 'Re-run failed jobs',
+        requiresCompleted: true,
+        expected: { status: 'queued', conclusion: null }
+    },
+    'rerun-workflow': {
+        method: 'reRunWorkflow',
+        description: 'Re-run all jobs',
+        requiresCompleted: true,
+        expected: { status: 'queued', conclusion: null }
+    },
+    'cancel-workflow-run': {
+        method: 'cancelWorkflowRun',
+        description: 'Cancel',
+        requiresCompleted: false,
+        expected: { status: 'completed', conclusion: 'cancelled' }
+    }
+};
+
+/**
+ * Validate run action input
+ * @param {Object} request - Request object to validate
+ * @returns {Object} Validation result with isValid, error, and parsed values
+ */
+function validateRunActionRequest(request) {
+    if (!request || typeof request !== 'object') {
+        return { isValid: false, error: 'Request must be an object' };
+    }
+
+    // Validate repo field (should be in org/repo format)
+    if (!request.repo || typeof request.repo !== 'string') {
+        return { isValid: false, error: 'repo field is required and must be a string' };
+    }
+
+    // Parse repo into owner and repo
+    const repoParts = request.repo.split('/');
+    if (repoParts.length !== 2 || !repoParts[0] || !repoParts[1]) {
+        return { isValid: false, error: 'repo must be in the format "owner/repo"' };
+    }
+
+    // Validate workflow field
+    if (!request.workflow || typeof request.workflow !== 'string') {
+        return { isValid: false, error: 'workflow field is required and must be a string' };
+    }
+
+    // Validate runId field
+    if (!Number.isSafeInteger(request.runId) || request.runId <= 0) {
+        return { isValid: false, error: 'runId field is required and must be a positive integer' };
+    }
+
+    // Validate optional dashboardId field
+    if (request.dashboardId !== undefined && (typeof request.dashboardId !== 'string' || !request.dashboardId.trim())) {
+        return { isValid: false, error: 'dashboardId must be a non-empty string when provided' };
+    }
+
+    // Validate optional host (empty means the default host)
+    const hostValidation = validateHost(request.host);
+    if (!hostValidation.isValid) {
+        return hostValidation;
+    }
+
+    // Return validated and parsed values
+    return {
+        isValid: true,
+        host: hostValidation.host,
+        owner: repoParts[0],
+        repo: repoParts[1],
+        workflow: request.workflow,
+        runId: request.runId,
+        dashboardId: request.dashboardId
+    };
+}
+
+/**
+ * Create the handler for one run action
+ * @param {string} name - Function name (key of RUN_ACTIONS)
+ * @returns {Function} Azure Functions HTTP handler
+ */
+function createRunActionHandler(name) {
+    const action = RUN_ACTIONS[name];
+
+    return async (request, context) => {
+        context.log(`Processing ${name} request`);
+
+        try {
+            // Authenticate the caller
+            const auth = await authenticateRequest(request, context);
+            if (auth.response) {
+                return auth.response;
+            }
+
+            // Get configuration from environment variables
+            const keyVaultUrl = process.env.KEY_VAULT_URL;
+            const storageAccountUrl = process.env.STORAGE_ACCOUNT_URL;
+            const workflowConfigContainer = process.env.WORKFLOW_CONFIG_CONTAINER;
+
+            // Validate all environment variables are set, are strings, and are non-empty
+            if (!keyVaultUrl || typeof keyVaultUrl !== 'string' || keyVaultUrl.trim().length === 0 ||
+                !storageAccountUrl || typeof storageAccountUrl !== 'string' || storageAccountUrl.trim().length === 0 ||
+                !workflowConfigContainer || typeof workflowConfigContainer !== 'string' || workflowConfigContainer.trim().length === 0) {
+                context.log('Missing or invalid required environment variables');
+                return {
+                    status: 500,
+                    jsonBody: {
+                        error: 'Server configuration error',
+                        message: 'Required environment variables are not properly configured'
+                    }
+                };
+            }
+
+            // Parse request body
+            let requestBody;
+            try {
+                requestBody = await request.json();
+            } catch (error) {
+                context.log('Failed to parse request body:', error);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Invalid request',
+                        message: 'Request body must be valid JSON'
+                    }
+                };
+            }
+
+            // Validate input
+            const validation = validateRunActionRequest(requestBody);
+            if (!validation.isValid) {
+                context.log('Validation failed:', validation.error);
+                return {
+                    status: 400,
+                    jsonBody: {
+                        error: 'Validation error',
+                        message: validation.error
+                    }
+                };
+            }
+
+            const { owner, repo, runId } = validation;
+
+            // The workflow must be tracked on a dashboard the caller can edit
+            const config = await getWorkflowConfigurations(storageAccountUrl, workflowConfigContainer);
+            const dashboard = findTargetDashboard(config, validation.dashboardId);
+            if (!dashboard || !hasRole(dashboard, auth.user, ROLES.VIEWER)) {
+                context.log('Target dashboard not found');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'Dashboard not found'
+                    }
+                };
+            }
+
+            if (!hasRole(dashboard, auth.user, ROLES.EDITOR)) {
+                context.log('Caller is not an editor of the target dashboard');
+                return forbiddenResponse('You need editor access to re-run or cancel workflows on this dashboard');
+            }
+
+            const workflow = (await getDashboardWorkflows(keyVaultUrl, dashboard, context)).find(w =>
+                isSameHost(w.host, validation.host.name) &&
+                w.owner === owner &&
+                w.repo === repo &&
+                w.workflow === validation.workflow
+            );
+            if (!workflow) {
+                context.log('Workflow not found in dashboard');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'Workflow not found in the dashboard'
+                    }
+                };
+            }
+
+            const octokit = await createRepositoryClient(keyVaultUrl, owner, repo, validation.host);
+            if (!octokit) {
+                context.log('No installation found for repository');
+                return {
+                    status: 404,
+                    jsonBody: {
+                        error: 'Not found',
+                        message: 'GitHub App is not installed on the repository, or cannot access it'
+                    }
+                };
+            }
+
+            try {
+                // Fetch the run first so a run ID from another workflow is rejected
+                const { data: run } = await octokit.rest.actions.getWorkflowRun({ owner, repo, run_id: runId });
+                if (!isRunOfWorkflow(workflow, run)) {
+                    context.log('Run does not belong to the workflow');
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            error: 'Not found',
+                            message: 'Workflow run not found'
+                        }
+                    };
+                }
+
+                if (action.requiresCompleted !== (run.status === 'completed')) {
+                    context.log(`Run is ${run.status}, cannot ${action.description.toLowerCase()}`);
+                    return {
+                        status: 409,
+                        jsonBody: {
+                            error: 'Conflict',
+                            message: action.requiresCompleted
+                                ? 'Workflow run is still in progress'
+                                : 'Workflow run has already completed'
+                        }
+                    };
+                }
+
+                context.log(`Calling ${action.method} on GitHub`);
+                await octokit.rest.actions[action.method]({ owner, repo, run_id: runId });
+
+                // Let viewers see the change before the next poll or webhook
+                try {
+                    await recordWorkflowRunRequest(storageAccountUrl, workflowConfigContainer, runId, action.expected, workflow.host);
+                } catch (error) {
+                    context.log('Failed to update status cache after run action:', error.message);
+                }
+
+                return {
+                    status: 202,
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    jsonBody: {
+                        success: true,
+                        message: `${action.description} requested`,
+                        runId,
+                        runAttempt: run.run_attempt
+                    }
+                };
+            } catch (error) {
+                context.log(`GitHub rejected ${action.method}:`, error.message);
+                if (error.status === 404) {
+                    return {
+                        status: 404,
+                        jsonBody: {
+                            error: 'Not found',
+                            message: 'Workflow run not found'
+                        }
+                    };
+                } else if (error.status === 403) {
+                    return {
+                        status: 403,
+                        jsonBody: {
+                            error: 'Forbidden',
+                            message: 'GitHub App does not have permission to manage runs of this workflow (Actions: Read and write is required)'
+                        }
+                    };
+                } else if (error.status === 409 || error.status === 422) {
+                    return {
+                        status: 409,
+                        jsonBody: {
+                            error: 'Conflict',
+                            message: error.response?.data?.message || 'GitHub cannot perform this action on the run right now'
+                        }
+                    };
+                }
+                return {
+                    status: 502,
+                    jsonBody: {
+                        error: 'GitHub API error',
+                        message: `Failed to ${action.description.toLowerCase()} through the GitHub API`
+                    }
+                };
+            }
+
+        } catch (error) {
+            if (error instanceof ConfigValidationError) {
+                context.log('Configuration refused by schema validation:', error.message);
+                return invalidConfigResponse(error);
+            }
+
+            context.log('Error processing request:', error);
+            return {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                jsonBody: {
+                    error: 'Internal server error',
+                    message: 'An error occurred while processing the run action. Please try again later.'
+                }
+            };
+        }
+    };
+}
+
+/**
+ * HTTP trigger functions to re-run or cancel a workflow run
+ *
+ * Security Note: authLevel is 'anonymous' to allow direct access from GitHub Pages.
+ * Callers must present a valid bearer token (see auth.js) and be an editor of the
+ * dashboard tracking the workflow. CORS additionally restricts allowed origins.
+ */
+for (const name of Object.keys(RUN_ACTIONS)) {
+    app.http(name, {
+        methods: ['POST'],
+        authLevel: 'anonymous',
+        handler: createRunActionHandler(name)
+    });
+}
@@ -1,25 +1,210 @@
 // GitHub App Authentication Module
-// Handles GitHub App authentication using private key from Key Vault
+// Handles GitHub App authentication using private key from Key Vault, and throttles requests to stay within rate limits
 
 const { createAppAuth } = require('@octokit/auth-app');
+const { retry } = require('@octokit/plugin-retry');
+const { throttling } = require('@octokit/plugin-throttling');
 const { Octokit } = require('@octokit/rest');
 
+// Octokit with request throttling, rate-limit handling and retries of server errors
+const GitHubClient = Octokit.plugin(throttling, retry);
+
+// Installation IDs are looked up again after this long, so a reinstalled app is picked up
+const INSTALLATION_ID_TTL_MS = 60 * 60 * 1000;
+
+// A repository or owner without an installation is checked again sooner, so a new installation shows up quickly
+const MISSING_INSTALLATION_TTL_MS = 5 * 60 * 1000;
+
+// Installation tokens are replaced this long before they expire, so a client is never handed one about to lapse
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// A request that hits a rate limit is retried this many times, and only when GitHub asks for a short wait,
+// since a function invocation cannot wait for a rate limit to reset
+const RATE_LIMIT_MAX_RETRIES = 1;
+const RATE_LIMIT_MAX_WAIT_SECONDS = 30;
+
+// Share of the hourly budget below which the rate limit is reported as low
+const LOW_RATE_LIMIT_RATIO = 0.1;
+
+// Installation IDs by host, repository or owner: { installationId, expiresAt } (installationId is null when not installed)
+const installationIds = new Map();
+
+// Installation tokens by host, app and installation, as promises so concurrent requests share one token request
+const installationTokens = new Map();
+
+// Rate-limit budgets by host and app or installation, from the headers of the latest response:
+// { limit, remaining, resetAt, blockedUntil } (times in milliseconds)
+const rateLimitBudgets = new Map();
+
+/**
+ * Scope a cache or budget key to a host, since app and installation IDs are only unique on one host
+ * @param {string|undefined} apiUrl - API base URL; undefined for api.github.com
+ * @param {string} key - Key on the host
+ * @returns {string} Key across hosts
+ */
+function scopeKey(apiUrl, key) {
+    return apiUrl ? `${apiUrl} ${key}` : key;
+}
+
+/**
+ * Check whether a GitHub API error was caused by a primary or secondary rate limit
+ * @param {Error} error - Error thrown by Octokit
+ * @returns {boolean} True if the request was refused because of a rate limit
+ */
+function isRateLimitError(error) {
+    if (error?.status === 429) {
+        return true;
+    }
+    return error?.status === 403 &&
+        (error.response?.headers?.['x-ratelimit-remaining'] === '0' || /\bsecondary rate\b/i.test(error.message));
+}
+
+/**
+ * Record the rate-limit headers of a response
+ * @param {string} budgetKey - Budget the request counted against
+ * @param {Object|undefined} headers - Response headers
+ */
+function recordRateLimit(budgetKey, headers) {
+    if (!headers || headers['x-ratelimit-remaining'] === undefined) {
+        return;
+    }
+    rateLimitBudgets.set(budgetKey, {
+        ...rateLimitBudgets.get(budgetKey),
+        limit: Number(headers['x-ratelimit-limit']),
+        remaining: Number(headers['x-ratelimit-remaining']),
+        resetAt: Number(headers['x-ratelimit-reset']) * 1000
+    });
+}
+
+/**
+ * Build the throttle options of a client, holding back every client of the budget when a limit is hit
+ * @param {string} budgetKey - Budget the client's requests count against
+ * @returns {Object} Options for @octokit/plugin-throttling
+ */
+function createThrottleOptions(budgetKey) {
+    const onLimit = (kind) => (retryAfter, options, octokit, retryCount) => {
+        rateLimitBudgets.set(budgetKey, {
+            ...rateLimitBudgets.get(budgetKey),
+            blockedUntil: Date.now() + retryAfter * 1000
+        });
+
+        const retrying = retryCount < RATE_LIMIT_MAX_RETRIES && retryAfter <= RATE_LIMIT_MAX_WAIT_SECONDS;
+        console.warn(`GitHub ${kind} hit by ${options.method} ${options.url}; ${retrying ? `retrying in ${retryAfter} seconds` : `holding back for ${retryAfter} seconds`}`);
+        return retrying;
+    };
+
+    return {
+        onRateLimit: onLimit('rate limit'),
+        onSecondaryRateLimit: onLimit('secondary rate limit')
+    };
+}
+
+/**
+ * Create a GitHub client that records the rate-limit budget its requests count against
+ * @param {string} budgetKey - Budget the client's requests count against
+ * @param {Object} options - Octokit options (authentication)
+ * @param {string} [apiUrl] - API base URL of a GitHub Enterprise host; api.github.com when omitted
+ * @returns {Octokit} Client with throttling and retries
+ */
+function createClient(budgetKey, options, apiUrl) {
+    const octokit = new GitHubClient({
+        ...options,
+        ...(apiUrl && { baseUrl: apiUrl }),
+        throttle: createThrottleOptions(budgetKey)
+    });
+    octokit.hook.after('request', (response) => recordRateLimit(budgetKey, response.headers));
+    octokit.hook.error('request', (error) => {
+        recordRateLimit(budgetKey, error.response?.headers);
+        throw error;
+    });
+    return octokit;
+}
+
+/**
+ * Get the API base URL a client sends its requests to
+ * Modules that cache by owner and repository include it in their keys, so hosts do not share entries.
+ * @param {Octokit} octokit - Client from this module
+ * @returns {string} API base URL
+ */
+function getClientApiUrl(octokit) {
+    return octokit.request.endpoint.DEFAULTS.baseUrl;
+}
+
+/**
+ * Get the time until which requests of an installation are held back because of a rate limit
+ * @param {number} installationId - GitHub App installation ID
+ * @param {string} [apiUrl] - API base URL of the installation's host; api.github.com when omitted
+ * @returns {number|null} Time in milliseconds, or null if the installation has budget left
+ */
+function getRateLimitResumeTime(installationId, apiUrl) {
+    const budget = rateLimitBudgets.get(scopeKey(apiUrl, `installation:${installationId}`));
+    const now = Date.now();
+    const resumeAt = Math.max(
+        budget?.blockedUntil || 0,
+        budget?.remaining === 0 ? budget.resetAt : 0
+    );
+    return resumeAt > now ? resumeAt : null;
+}
+
+/**
+ * Summarize the rate-limit budgets of the apps and their installations on every host for the status response
+ * Budgets are tracked per function instance, from the responses it has seen.
+ * @returns {Object} { status: 'ok' | 'low' | 'limited', limit, remaining, resetAt, resumeAt } for the tightest budget
+ */
+function getRateLimitHealth() {
+    const now = Date.now();
+    let tightest = null;
+    let resumeAt = 0;
+
+    for (const budget of rateLimitBudgets.values()) {
+        if (budget.blockedUntil > now) {
+            resumeAt = Math.max(resumeAt, budget.blockedUntil);
+        }
+        // A budget whose reset time has passed is full again
+        if (!(budget.resetAt > now) || !budget.limit) {
+            continue;
+        }
+        if (budget.remaining === 0) {
+            resumeAt = Math.max(resumeAt, budget.resetAt);
+        }
+        if (!tightest || budget.remaining / budget.limit < tightest.remaining / tightest.limit) {
+            tightest = budget;
+        }
+    }
+
+    let status = 'ok';
+    if (resumeAt > now) {
+        status = 'limited';
+    } else if (tightest && tightest.remaining / tightest.limit < LOW_RATE_LIMIT_RATIO) {
+        status = 'low';
+    }
+
+    return {
+        status,
+        limit: tightest ? tightest.limit : null,
+        remaining: tightest ? tightest.remaining : null,
+        resetAt: tightest ? new Date(tightest.resetAt).toISOString() : null,
+        resumeAt: resumeAt > now ? new Date(resumeAt).toISOString() : null
+    };
+}
+
 /**
  * Create an authenticated Octokit instance using GitHub App credentials
  * @param {string} appId - GitHub App ID
  * @param {string} privateKey - GitHub App private key (PEM format)
+ * @param {string} [apiUrl] - API base URL of a GitHub Enterprise host; api.github.com when omitted
  * @returns {Promise<Octokit>} Authenticated Octokit instance
  */
-async function createGitHubAppClient(appId, privateKey) {
+async function createGitHubAppClient(appId, privateKey, apiUrl) {
     try {
         // Create Octokit instance with app authentication
-        const octokit = new Octokit({
+        const octokit = createClient(scopeKey(apiUrl, `app:${appId}`), {
             authStrategy: createAppAuth,
             auth: {
                 appId: appId,
                 privateKey: privateKey,
             },
-        });
+        }, apiUrl);
 
         return octokit;
     } catch (error) {
@@ -28,25 +213,65 @@ async function createGitHubAppClient(appId, privateKey) {
     }
 }
 
+/**
+ * Get an installation access token, reusing a cached one until shortly before it expires
+ * @param {string} appId - GitHub App ID
+ * @param {string} privateKey - GitHub App private key (PEM format)
+ * @param {number} installationId - GitHub App installation ID
+ * @param {string} [apiUrl] - API base URL of a GitHub Enterprise host; api.github.com when omitted
+ * @returns {Promise<string>} Installation access token
+ */
+async function getInstallationToken(appId, privateKey, installationId, apiUrl) {
+    const key = scopeKey(apiUrl, `${appId}:${installationId}`);
+    const cached = installationTokens.get(key);
+    if (cached) {
+        const { token, expiresAt } = await cached;
+        if (Date.parse(expiresAt) - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+            return token;
+        }
+        // Another request may already have replaced the expiring token
+        if (installationTokens.get(key) !== cached) {
+            return getInstallationToken(appId, privateKey, installationId, apiUrl);
+        }
+    }
+
+    const request = (async () => {
+        const octokit = await createGitHubAppClient(appId, privateKey, apiUrl);
+        const { data } = await octokit.rest.apps.createInstallationAccessToken({ installation_id: installationId });
+        return { token: data.token, expiresAt: data.expires_at };
+    })();
+    installationTokens.set(key, request);
+
+    try {
+        return (await request).token;
+    } catch (error) {
+        installationTokens.delete(key);
+        if (error.status === 404) {
+            // The app was uninstalled; forget every repository that pointed at the installation
+            const hostPrefix = scopeKey(apiUrl, `${appId}:`);
+            for (const [lookupKey, entry] of installationIds) {
+                if (lookupKey.startsWith(hostPrefix) && entry.installationId === installationId) {
+                    installationIds.delete(lookupKey);
+                }
+            }
+        }
+        throw error;
+    }
+}
+
 /**
  * Create an authenticated Octokit instance for a specific installation
+ * The installation token is cached, so creating clients does not cost a token request each time.
  * @param {string} appId - GitHub App ID
  * @param {string} privateKey - GitHub App private key (PEM format)
  * @param {number} installationId - GitHub App installation ID
+ * @param {string} [apiUrl] - API base URL of a GitHub Enterprise host; api.github.com when omitted
  * @returns {Promise<Octokit>} Authenticated Octokit instance
  */
-async function createInstallationClient(appId, privateKey, installationId) {
+async function createInstallationClient(appId, privateKey, installationId, apiUrl) {
     try {
-        const octokit = new Octokit({
-            authStrategy: createAppAuth,
-            auth: {
-                appId: appId,
-                privateKey: privateKey,
-                installationId: installationId,
-            },
-        });
-
-        return octokit;
+        const token = await getInstallationToken(appId, privateKey, installationId, apiUrl);
+        return createClient(scopeKey(apiUrl, `installation:${installationId}`), { auth: token }, apiUrl);
     } catch (error) {
         console.error('Failed to create installation client:', error);
         throw new Error(`Installation authentication failed: ${error.message}`);
@@ -57,13 +282,13 @@ async function createInstallationClient(appId, privateKey, installationId) {
  * Get all installations for the GitHub App
  * @param {string} appId - GitHub App ID
  * @param {string} privateKey - GitHub App private key (PEM format)
- * @returns {Promise<Array>} List of installations
+ * @param {string} [apiUrl] - API base URL of a GitHub Enterprise host; api.github.com when omitted
+ * @returns {Promise<Array>} List of installations (every page)
  */
-async function getAppInstallations(appId, privateKey) {
+async function getAppInstallations(appId, privateKey, apiUrl) {
     try {
-        const octokit = await createGitHubAppClient(appId, privateKey);
-        const { data: installations } = await octokit.rest.apps.listInstallations();
-        return installations;
+        const octokit = await createGitHubAppClient(appId, privateKey, apiUrl);
+        return await octokit.paginate(octokit.rest.apps.listInstallations, { per_page: 100 });
     } catch (error) {
         console.error('Failed to get app installations:', error);
         const errorDetails = error.status ? `HTTP ${error.status}: ${error.message}` : error.message;
@@ -71,8 +296,75 @@ async function getAppInstallations(appId, privateKey) {
     }
 }
 
+/**
+ * Ask GitHub which installation covers a repository, or an owner when no repository is given
+ * @param {Octokit} octokit - Client authenticated as the app
+ * @param {string} owner - Repository owner (organization or user)
+ * @param {string|null} repo - Repository name
+ * @returns {Promise<number|null>} Installation ID, or null if the app is not installed there
+ */
+async function requestInstallationId(octokit, owner, repo) {
+    const lookups = repo
+        ? [() => octokit.rest.apps.getRepoInstallation({ owner, repo })]
+        : [
+            () => octokit.rest.apps.getOrgInstallation({ org: owner }),
+            () => octokit.rest.apps.getUserInstallation({ username: owner })
+        ];
+
+    for (const lookup of lookups) {
+        try {
+            const { data } = await lookup();
+            return data.id;
+        } catch (error) {
+            if (error.status !== 404) {
+                throw error;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the installation that covers a repository
+ * Uses the repository installation endpoint, so installations limited to selected repositories
+ * are resolved correctly. Results are cached, including repositories the app cannot see.
+ * @param {string} appId - GitHub App ID
+ * @param {string} privateKey - GitHub App private key (PEM format)
+ * @param {string} owner - Repository owner (organization or user)
+ * @param {string|null} repo - Repository name, or null to find the owner's installation
+ * @param {string} [apiUrl] - API base URL of a GitHub Enterprise host; api.github.com when omitted
+ * @returns {Promise<number|null>} Installation ID, or null if the app cannot see the repository
+ */
+async function getRepositoryInstallationId(appId, privateKey, owner, repo, apiUrl) {
+    const key = scopeKey(apiUrl, `${appId}:${owner}/${repo || ''}`.toLowerCase());
+    const cached = installationIds.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.installationId;
+    }
+
+    try {
+        const octokit = await createGitHubAppClient(appId, privateKey, apiUrl);
+        const installationId = await requestInstallationId(octokit, owner, repo);
+        installationIds.set(key, {
+            installationId,
+            expiresAt: Date.now() + (installationId ? INSTALLATION_ID_TTL_MS : MISSING_INSTALLATION_TTL_MS)
+        });
+        return installationId;
+    } catch (error) {
+        console.error('Failed to find app installation:', error);
+        const errorDetails = error.status ? `HTTP ${error.status}: ${error.message}` : error.message;
+        throw new Error(`Failed to find GitHub App installation: ${errorDetails}`);
+    }
+}
+
 module.exports = {
     createGitHubAppClient,
     createInstallationClient,
     getAppInstallations,
+    getClientApiUrl,
+    getInstallationToken,
+    getRateLimitHealth,
+    getRateLimitResumeTime,
+    getRepositoryInstallationId,
+    isRateLimitError,
 };
@@ -0,0 +1,127 @@
+// GitHub Hosts Module
+// Describes the GitHub hosts workflows can live on: github.com (or the host set by GITHUB_API_URL and GITHUB_WEB_URL)
+// and the GitHub Enterprise Server and GHE.com hosts listed in GITHUB_ENTERPRISE_HOSTS
+
+const { getSecret } = require('./keyvault-client');
+
+const DEFAULT_API_URL = 'https://api.github.com';
+const DEFAULT_WEB_URL = 'https://github.com';
+
+/**
+ * Remove trailing slashes from a URL setting
+ * @param {string} url - URL
+ * @returns {string} URL without trailing slashes
+ */
+function trimUrl(url) {
+    return url.trim().replace(/\/+$/, '');
+}
+
+/**
+ * Get the API URL of a host that is only known by name
+ * GHE.com hosts serve the API from an api. subdomain; GitHub Enterprise Server serves it under /api/v3.
+ * @param {string} name - Host name, such as ghes.example.com or octocorp.ghe.com
+ * @returns {string} API base URL
+ */
+function getDefaultApiUrl(name) {
+    return name.endsWith('.ghe.com') ? `https://api.${name}` : `https://${name}/api/v3`;
+}
+
+/**
+ * Build a host description
+ * Hosts other than the default one read their app credentials and webhook secret from Key Vault secrets
+ * suffixed with the host name, so each host can have its own GitHub App.
+ * @param {string} name - Host name, as stored in workflow entries
+ * @param {string} apiUrl - API base URL
+ * @param {string} webUrl - Web URL
+ * @param {boolean} isDefault - Whether this is the host of workflows without a host
+ * @returns {Object} { name, apiUrl, webUrl, isDefault, secretSuffix }
+ */
+function createHost(name, apiUrl, webUrl, isDefault) {
+    return {
+        name,
+        apiUrl,
+        webUrl,
+        isDefault,
+        secretSuffix: isDefault ? '' : `-${name.replace(/[^a-z0-9]+/g, '-')}`
+    };
+}
+
+/**
+ * Get the configured GitHub hosts
+ * GITHUB_ENTERPRISE_HOSTS is a comma-separated list of host names, each optionally followed by
+ * =<API URL> when the API is not at the usual address (e.g. ghes.example.com,octocorp.ghe.com).
+ * @returns {Array<Object>} Hosts, the default one first
+ */
+function getGitHubHosts() {
+    const webUrl = trimUrl(process.env.GITHUB_WEB_URL || DEFAULT_WEB_URL);
+    const apiUrl = trimUrl(process.env.GITHUB_API_URL || DEFAULT_API_URL);
+    const defaultHost = createHost(new URL(webUrl).host.toLowerCase(), apiUrl, webUrl, true);
+
+    const hosts = [defaultHost];
+    for (const item of (process.env.GITHUB_ENTERPRISE_HOSTS || '').split(',')) {
+        const [rawName, ...rawApiUrl] = item.split('=');
+        const name = rawName.trim().toLowerCase();
+        if (!name || hosts.some(host => host.name === name)) {
+            continue;
+        }
+        const hostApiUrl = rawApiUrl.length > 0 ? trimUrl(rawApiUrl.join('=')) : getDefaultApiUrl(name);
+        hosts.push(createHost(name, hostApiUrl, `https://${name}`, false));
+    }
+    return hosts;
+}
+
+/**
+ * Find a configured host by name
+ * @param {string|undefined} name - Host name; empty for the default host
+ * @returns {Object|null} Host, or null if no host with this name is configured
+ */
+function getGitHubHost(name) {
+    const hosts = getGitHubHosts();
+    if (!name) {
+        return hosts[0];
+    }
+    return hosts.find(host => host.name === name.trim().toLowerCase()) || null;
+}
+
+/**
+ * Get the host name a workflow entry stores
+ * Entries on the default host have no host, so existing entries keep working when the default changes.
+ * @param {string|undefined} name - Host name as written by a user or stored in an entry
+ * @returns {string|undefined} Lowercase host name, or undefined for the default host
+ */
+function normalizeHostName(name) {
+    const normalized = typeof name === 'string' ? name.trim().toLowerCase() : '';
+    return normalized && normalized !== getGitHubHosts()[0].name ? normalized : undefined;
+}
+
+/**
+ * Check whether two host names refer to the same host
+ * @param {string|undefined} a - Host name (empty for the default host)
+ * @param {string|undefined} b - Host name (empty for the default host)
+ * @returns {boolean} True if both name the same host
+ */
+function isSameHost(a, b) {
+    return normalizeHostName(a) === normalizeHostName(b);
+}
+
+/**
+ * Get the GitHub App credentials of a host from Key Vault
+ * @param {string} keyVaultUrl - Key Vault URL
+ * @param {Object} host - Host
+ * @returns {Promise<Object>} { appId, privateKey }
+ */
+async function getHostCredentials(keyVaultUrl, host) {
+    const [appId, privateKey] = await Promise.all([
+        getSecret(keyVaultUrl, `github-app-id${host.secretSuffix}`),
+        getSecret(keyVaultUrl, `github-app-private-key${host.secretSuffix}`)
+    ]);
+    return { appId, privateKey };
+}
+
+module.exports = {
+    getGitHubHost,
+    getGitHubHosts,
+    getHostCredentials,
+    isSameHost,
+    normalizeHostName,
+};
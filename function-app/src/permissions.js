@@ -0,0 +1,122 @@
+// Dashboard Permissions Module
+// Resolves a user's role on a dashboard from the members stored in workflows.json
+
+// Roles in increasing order of privilege
+const ROLES = {
+    VIEWER: 'viewer',
+    EDITOR: 'editor',
+    OWNER: 'owner'
+};
+
+const ROLE_RANK = {
+    [ROLES.VIEWER]: 1,
+    [ROLES.EDITOR]: 2,
+    [ROLES.OWNER]: 3
+};
+
+/**
+ * Check whether a value is a known role name
+ * @param {string} role - Role name
+ * @returns {boolean} True if the role exists
+ */
+function isValidRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLE_RANK, role);
+}
+
+/**
+ * Check whether a dashboard restricts access to its members
+ * Dashboards created before roles existed have no members and stay open to every signed-in user as editors
+ * @param {Object} dashboard - Dashboard from the configuration
+ * @returns {boolean} True if the dashboard has a members list
+ */
+function isRestricted(dashboard) {
+    return Array.isArray(dashboard.members) && dashboard.members.length > 0;
+}
+
+/**
+ * Check whether a user is listed in DASHBOARD_ADMINS
+ * Admins own every open dashboard, so owner rights on it never fall to an arbitrary signed-in user
+ * @param {Object|null} user - Authenticated user (null when anonymous)
+ * @returns {boolean} True if the user is a dashboard admin
+ */
+function isDashboardAdmin(user) {
+    if (!user) {
+        return false;
+    }
+    return (process.env.DASHBOARD_ADMINS || '')
+        .split(',')
+        .map(id => id.trim())
+        .includes(user.id);
+}
+
+/**
+ * Get a user's role on a dashboard
+ * @param {Object} dashboard - Dashboard from the configuration
+ * @param {Object|null} user - Authenticated user from auth.js (null when anonymous)
+ * @returns {string|null} Role name, or null if the user has no access
+ */
+function getDashboardRole(dashboard, user) {
+    if (!user) {
+        return null;
+    }
+    if (!isRestricted(dashboard)) {
+        return isDashboardAdmin(user) ? ROLES.OWNER : ROLES.EDITOR;
+    }
+    const member = dashboard.members.find(m => m.id === user.id);
+    return member && isValidRole(member.role) ? member.role : null;
+}
+
+/**
+ * Check whether a user has at least the given role on a dashboard
+ * @param {Object} dashboard - Dashboard from the configuration
+ * @param {Object|null} user - Authenticated user (null when anonymous)
+ * @param {string} requiredRole - Minimum role required
+ * @returns {boolean} True if the user's role is sufficient
+ */
+function hasRole(dashboard, user, requiredRole) {
+    const role = getDashboardRole(dashboard, user);
+    return role !== null && ROLE_RANK[role] >= ROLE_RANK[requiredRole];
+}
+
+/**
+ * Describe what a user may do on a dashboard (sent to the browser to adapt the UI)
+ * @param {Object} dashboard - Dashboard from the configuration
+ * @param {Object|null} user - Authenticated user (null when anonymous)
+ * @returns {Object} Role and capability flags
+ */
+function describePermissions(dashboard, user) {
+    return {
+        role: getDashboardRole(dashboard, user),
+        canEdit: hasRole(dashboard, user, ROLES.EDITOR),
+        canManage: hasRole(dashboard, user, ROLES.OWNER)
+    };
+}
+
+/**
+ * Build a 403 response for a caller lacking the required role
+ * @param {string} message - Error message
+ * @returns {Object} HTTP response
+ */
+function forbiddenResponse(message) {
+    return {
+        status: 403,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        jsonBody: {
+            error: 'Forbidden',
+            message
+        }
+    };
+}
+
+module.exports = {
+    ROLES,
+    describePermissions,
+    forbiddenResponse,
+    getDashboardRole,
+    hasRole,
+    isDashboardAdmin,
+    isRestricted,
+    isValidRole,
+};
@@ -0,0 +1,169 @@
+// Repository Catalog Module
+// Lists the repositories the GitHub App can see and the workflows in them, for picking workflows to track
+
+const { createInstallationClient, getAppInstallations, getClientApiUrl } = require('./github-auth');
+const { getGitHubHosts, getHostCredentials } = require('./github-hosts');
+
+// Listings are reused for this long, so typing in the picker does not page through GitHub every time
+const CATALOG_TTL_MS = 5 * 60 * 1000;
+
+// Repository listing of all installations on all hosts, and workflow listings by API URL and owner/repo (lowercase)
+let repositoryCache = null;
+const workflowCache = new Map();
+
+/**
+ * Get the value a workflow is tracked by
+ * Workflows with a file under .github/workflows are tracked by file name; others (such as
+ * GitHub-managed dynamic workflows) only have their numeric ID.
+ * @param {Object} workflow - Workflow from the GitHub API
+ * @returns {string} Workflow file name or numeric ID
+ */
+function getWorkflowReference(workflow) {
+    const match = /^\.github\/workflows\/([^/]+\.ya?ml)$/.exec(workflow.path || '');
+    return match ? match[1] : String(workflow.id);
+}
+
+/**
+ * List the repositories of all GitHub App installations on one host
+ * @param {string} keyVaultUrl - Key Vault URL holding the GitHub App credentials
+ * @param {Object} host - Host from github-hosts
+ * @returns {Promise<Array<Object>>} Repositories from the GitHub API
+ */
+async function listHostRepositories(keyVaultUrl, host) {
+    const { appId, privateKey } = await getHostCredentials(keyVaultUrl, host);
+    const installations = await getAppInstallations(appId, privateKey, host.apiUrl);
+
+    const listings = await Promise.all(installations.map(async installation => {
+        const octokit = await createInstallationClient(appId, privateKey, installation.id, host.apiUrl);
+        return octokit.paginate(octokit.rest.apps.listReposAccessibleToInstallation, { per_page: 100 });
+    }));
+    return listings.flat();
+}
+
+/**
+ * List the repositories of all GitHub App installations
+ * A GitHub Enterprise host that cannot be listed is left out, so it does not hide the repositories of the others.
+ * @param {string} keyVaultUrl - Key Vault URL holding the GitHub App credentials
+ * @returns {Promise<Array<Object>>} Repositories sorted by host and full name:
+ *   { host, owner, repo, fullName, description, private, archived } (host is left out for the default host)
+ */
+async function listInstallationRepositories(keyVaultUrl) {
+    if (repositoryCache && Date.now() - repositoryCache.fetchedAt < CATALOG_TTL_MS) {
+        return repositoryCache.repositories;
+    }
+
+    const [defaultHost, ...enterpriseHosts] = getGitHubHosts();
+    const listings = await Promise.all([
+        listHostRepositories(keyVaultUrl, defaultHost).then(repositories => ({ host: defaultHost, repositories })),
+        ...enterpriseHosts.map(host => listHostRepositories(keyVaultUrl, host)
+            .then(repositories => ({ host, repositories }))
+            .catch(error => {
+                console.error(`Failed to list repositories on ${host.name}:`, error.message);
+                return { host, repositories: [] };
+            }))
+    ]);
+
+    const repositories = listings
+        .flatMap(({ host, repositories: hostRepositories }) => hostRepositories.map(repository => ({ host, repository })))
+        .map(({ host, repository }) => ({
+            ...(!host.isDefault && { host: host.name }),
+            owner: repository.owner.login,
+            repo: repository.name,
+            fullName: repository.full_name,
+            description: repository.description || '',
+            private: repository.private,
+            archived: repository.archived
+        }))
+        .sort((a, b) => (a.host || '').localeCompare(b.host || '') || a.fullName.localeCompare(b.fullName));
+
+    repositoryCache = { repositories, fetchedAt: Date.now() };
+    return repositories;
+}
+
+/**
+ * List the repositories of one installation that belong to an owner
+ * @param {Octokit} octokit - Installation client for the owner
+ * @param {string} owner - Organization or user login
+ * @returns {Promise<Array<Object>>} Repositories from the GitHub API, sorted by name
+ */
+async function listOwnerRepositories(octokit, owner) {
+    const repositories = await octokit.paginate(octokit.rest.apps.listReposAccessibleToInstallation, { per_page: 100 });
+    return repositories
+        .filter(repository => repository.owner.login.toLowerCase() === owner.toLowerCase())
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Convert a glob pattern to a regular expression
+ * `*` and `?` do not cross `/`; `**` does. Matching is case-insensitive.
+ * @param {string} pattern - Glob pattern such as `deploy-*.yml` or `api-*\/ci.yml`
+ * @returns {RegExp} Regular expression matching the whole string
+ */
+function globToRegExp(pattern) {
+    const source = pattern.replace(/\*\*|\*|\?|[.+^${}()|[\]\\]/g, token => {
+        if (token === '**') return '.*';
+        if (token === '*') return '[^/]*';
+        if (token === '?') return '[^/]';
+        return `\\${token}`;
+    });
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Run an async function over items with a limited number running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Most calls running at the same time
+ * @param {Function} fn - Async function called with each item and its index
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * List the workflows of a repository
+ * @param {Octokit} octokit - Installation client for the repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Array<Object>>} Workflows sorted by name: { id, workflow, name, path, state, url }
+ */
+async function listRepositoryWorkflows(octokit, owner, repo) {
+    const key = `${getClientApiUrl(octokit)} ${owner}/${repo}`.toLowerCase();
+    const cached = workflowCache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < CATALOG_TTL_MS) {
+        return cached.workflows;
+    }
+
+    const listing = await octokit.paginate(octokit.rest.actions.listRepoWorkflows, { owner, repo, per_page: 100 });
+    const workflows = listing
+        .map(workflow => ({
+            id: workflow.id,
+            workflow: getWorkflowReference(workflow),
+            name: workflow.name,
+            path: workflow.path,
+            state: workflow.state,
+            url: workflow.html_url
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    workflowCache.set(key, { workflows, fetchedAt: Date.now() });
+    return workflows;
+}
+
+module.exports = {
+    getWorkflowReference,
+    globToRegExp,
+    listInstallationRepositories,
+    listOwnerRepositories,
+    listRepositoryWorkflows,
+    mapWithConcurrency,
+};
@@ -0,0 +1,473 @@
+// Workflow Status Cache Module
+// Shares each workflow's latest-run status between viewers so GitHub is called at most once per TTL
+
+const { normalizeHostName } = require('./github-hosts');
+const { getStatusCache, updateStatusCache } = require('./storage-client');
+const { RUN_HISTORY_SIZE, getRunFilters } = require('./workflow-status');
+
+// Used when STATUS_CACHE_TTL_SECONDS is not set
+const DEFAULT_TTL_SECONDS = 60;
+
+// Used when WEBHOOK_STATUS_TTL_SECONDS is not set
+const DEFAULT_WEBHOOK_TTL_SECONDS = 600;
+
+// Workflow files rarely change, so whether a workflow can be dispatched is checked this often at most
+const DISPATCH_CHECK_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Entries older than this are dropped from the blob so removed workflows do not linger forever
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Entries shared by every request handled by this instance
+const memoryCache = new Map();
+
+// Refreshes in progress, so concurrent requests for a workflow wait for the same GitHub call
+const inflightRefreshes = new Map();
+
+// When this instance last read the shared blob outside of a refresh
+let lastSharedSync = 0;
+
+/**
+ * Read a non-negative number of seconds from an app setting
+ * @param {string} name - App setting name
+ * @param {number} defaultSeconds - Value used when the setting is missing or invalid
+ * @returns {number} Seconds
+ */
+function getSecondsSetting(name, defaultSeconds) {
+    const value = process.env[name];
+    if (value === undefined || value.trim() === '') {
+        return defaultSeconds;
+    }
+    const seconds = Number(value);
+    return Number.isInteger(seconds) && seconds >= 0 ? seconds : defaultSeconds;
+}
+
+/**
+ * Get the cache TTL from the STATUS_CACHE_TTL_SECONDS setting
+ * @returns {number} TTL in seconds (0 disables caching)
+ */
+function getCacheTtlSeconds() {
+    return getSecondsSetting('STATUS_CACHE_TTL_SECONDS', DEFAULT_TTL_SECONDS);
+}
+
+/**
+ * Get how long a status pushed by a webhook is trusted, from the WEBHOOK_STATUS_TTL_SECONDS setting
+ * Webhooks report every change, so their statuses can be reused far longer than polled ones.
+ * @returns {number} TTL in seconds
+ */
+function getWebhookTtlSeconds() {
+    return getSecondsSetting('WEBHOOK_STATUS_TTL_SECONDS', DEFAULT_WEBHOOK_TTL_SECONDS);
+}
+
+/**
+ * Get the TTL that applies to a cache entry
+ * @param {Object} entry - Cache entry
+ * @returns {number} TTL in milliseconds
+ */
+function getEntryTtlMs(entry) {
+    const seconds = entry.source === 'webhook'
+        ? Math.max(getWebhookTtlSeconds(), getCacheTtlSeconds())
+        : getCacheTtlSeconds();
+    return seconds * 1000;
+}
+
+/**
+ * Build the cache key for a workflow
+ * The same workflow tracked with different run filters gets a separate entry. Workflows on a
+ * GitHub Enterprise host are prefixed with the host; keys of the default host have no prefix.
+ * @param {Object} workflow - Workflow with owner, repo and workflow fields, and optional host and run filters
+ * @returns {string} Cache key (GitHub names are case-insensitive; branch names are not)
+ */
+function getWorkflowCacheKey(workflow) {
+    const host = normalizeHostName(workflow.host);
+    const key = `${host ? `${host}/` : ''}${workflow.owner}/${workflow.repo}/${workflow.workflow}`.toLowerCase();
+    const filters = new URLSearchParams(getRunFilters(workflow)).toString();
+    return filters ? `${key}?${filters}` : key;
+}
+
+/**
+ * Check whether a cache key belongs to a workflow on a host
+ * @param {string} key - Cache key from getWorkflowCacheKey
+ * @param {string|undefined} host - Host name; empty for the default host
+ * @returns {boolean} True if the key is for a workflow on the host
+ */
+function isKeyOnHost(key, host) {
+    const segments = key.split('?')[0].split('/');
+    return (segments.length > 3 ? segments[0] : undefined) === normalizeHostName(host);
+}
+
+/**
+ * Get the age of a cache entry
+ * @param {Object} entry - Cache entry with fetchedAt
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Age in milliseconds
+ */
+function getEntryAge(entry, now) {
+    return now - Date.parse(entry.fetchedAt);
+}
+
+/**
+ * Check whether a workflow's file should be read again to learn if it can be dispatched
+ * @param {Object} entry - Cache entry (may be undefined)
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the entry has no recent dispatch check
+ */
+function needsDispatchCheck(entry, now) {
+    return !entry?.dispatchCheckedAt || now - Date.parse(entry.dispatchCheckedAt) >= DISPATCH_CHECK_TTL_MS;
+}
+
+/**
+ * Build the cache entry for a polled status
+ * Statuses fetched without a dispatch check keep what the previous entry learned.
+ * @param {Object|null} status - Status from fetchStatuses
+ * @param {string} fetchedAt - When the status was fetched (ISO 8601)
+ * @param {boolean} dispatchChecked - Whether the workflow's file was read for this status
+ * @param {Object} previous - Previous cache entry (may be undefined)
+ * @returns {Object} Cache entry
+ */
+function buildPolledEntry(status, fetchedAt, dispatchChecked, previous) {
+    if (dispatchChecked) {
+        // A file that could not be read leaves dispatchable out, so it is tried again on the next refresh
+        return {
+            status,
+            fetchedAt,
+            source: 'poll',
+            dispatchCheckedAt: status?.dispatchable !== undefined ? fetchedAt : undefined
+        };
+    }
+    const dispatchable = previous?.status?.dispatchable;
+    return {
+        status: status && dispatchable !== undefined ? { ...status, dispatchable } : status,
+        fetchedAt,
+        source: 'poll',
+        dispatchCheckedAt: previous?.dispatchCheckedAt
+    };
+}
+
+/**
+ * Take an entry saved by another instance into the memory cache, unless the one in memory is newer
+ * @param {string} key - Cache key
+ * @param {Object} entry - Entry from the shared blob
+ * @returns {void}
+ */
+function mergeSharedEntry(key, entry) {
+    if (!entry || typeof entry.fetchedAt !== 'string') {
+        return;
+    }
+    const current = memoryCache.get(key);
+    if (!current || Date.parse(entry.fetchedAt) > Date.parse(current.fetchedAt)) {
+        memoryCache.set(key, entry);
+    }
+}
+
+/**
+ * Load entries saved by other instances into the memory cache
+ * Only entries newer than the ones already in memory are taken.
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @returns {Promise<void>}
+ */
+async function loadSharedEntries(storageAccountUrl, containerName) {
+    const entries = await getStatusCache(storageAccountUrl, containerName);
+    for (const [key, entry] of Object.entries(entries)) {
+        mergeSharedEntry(key, entry);
+    }
+}
+
+/**
+ * Pick up entries other instances and webhooks wrote to the shared blob
+ * Reads at most once per interval however many callers ask, so open status streams share one read.
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @param {number} intervalMs - Minimum time between reads
+ * @returns {Promise<void>}
+ */
+async function syncSharedStatuses(storageAccountUrl, containerName, intervalMs) {
+    if (Date.now() - lastSharedSync < intervalMs) {
+        return;
+    }
+    lastSharedSync = Date.now();
+    await loadSharedEntries(storageAccountUrl, containerName);
+}
+
+/**
+ * Save the memory cache to the shared blob, dropping entries past the retention period
+ * Entries written to the blob since this instance read it are merged in first, keeping the newer
+ * entry per workflow, so a stale entry held in memory never replaces a fresher one (such as a webhook's).
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @returns {Promise<void>}
+ */
+async function saveSharedEntries(storageAccountUrl, containerName) {
+    await updateStatusCache(storageAccountUrl, containerName, (stored) => {
+        for (const [key, entry] of Object.entries(stored)) {
+            mergeSharedEntry(key, entry);
+        }
+
+        const now = Date.now();
+        const entries = {};
+        for (const [key, entry] of memoryCache) {
+            if (getEntryAge(entry, now) < RETENTION_MS) {
+                entries[key] = entry;
+            } else {
+                memoryCache.delete(key);
+            }
+        }
+        return entries;
+    });
+}
+
+/**
+ * Get the latest-run status of each workflow, calling GitHub only for entries older than the TTL
+ *
+ * Entries are kept in memory and in a blob next to workflows.json, so every viewer and every
+ * function instance shares one set of GitHub calls per TTL. When GitHub cannot be reached,
+ * expired entries are served instead of failing the whole request.
+ *
+ * The fetchStatuses callback receives the workflows to refresh and, for each of them, whether
+ * its file is due to be read for a workflow_dispatch trigger. It must resolve to an array of
+ * statuses in the same order (null for a workflow that cannot be fetched at all).
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @param {Array<Object>} workflows - Workflows with owner, repo and workflow fields
+ * @param {Function} fetchStatuses - Callback (workflows, dispatchChecks) => Promise<Array<Object|null>>
+ * @param {Object} context - Function invocation context (for logging)
+ * @returns {Promise<Array<Object>>} Entries { status, fetchedAt } in the order of workflows
+ */
+async function getCachedWorkflowStatuses(storageAccountUrl, containerName, workflows, fetchStatuses, context) {
+    const ttlMs = getCacheTtlSeconds() * 1000;
+    const isFresh = (workflow) => {
+        const entry = memoryCache.get(getWorkflowCacheKey(workflow));
+        return entry !== undefined && getEntryAge(entry, Date.now()) < getEntryTtlMs(entry);
+    };
+
+    // Another instance (or a webhook) may have refreshed what this one is missing
+    if (!workflows.every(isFresh)) {
+        try {
+            await loadSharedEntries(storageAccountUrl, containerName);
+        } catch (error) {
+            context.log('Failed to load shared status cache, continuing with memory cache:', error.message);
+        }
+    }
+
+    const stale = workflows.filter(workflow => !isFresh(workflow));
+    const toRefresh = stale.filter(workflow => !inflightRefreshes.has(getWorkflowCacheKey(workflow)));
+
+    if (toRefresh.length > 0) {
+        context.log(`Refreshing ${toRefresh.length} of ${workflows.length} workflow statuses from GitHub`);
+        const refresh = (async () => {
+            const dispatchChecks = toRefresh.map(workflow =>
+                needsDispatchCheck(memoryCache.get(getWorkflowCacheKey(workflow)), Date.now()));
+            const statuses = await fetchStatuses(toRefresh, dispatchChecks);
+            const fetchedAt = new Date().toISOString();
+            toRefresh.forEach((workflow, index) => {
+                const key = getWorkflowCacheKey(workflow);
+                const previous = memoryCache.get(key);
+                // While GitHub's rate limit holds back requests, the last known status beats none
+                if (statuses[index]?.status === 'rate_limited' && previous?.status) {
+                    return;
+                }
+                memoryCache.set(key, buildPolledEntry(statuses[index], fetchedAt, dispatchChecks[index], previous));
+            });
+
+            if (ttlMs > 0) {
+                try {
+                    await saveSharedEntries(storageAccountUrl, containerName);
+                } catch (error) {
+                    context.log('Failed to save shared status cache:', error.message);
+                }
+            }
+        })();
+
+        for (const workflow of toRefresh) {
+            inflightRefreshes.set(getWorkflowCacheKey(workflow), refresh);
+        }
+        refresh.finally(() => {
+            for (const workflow of toRefresh) {
+                inflightRefreshes.delete(getWorkflowCacheKey(workflow));
+            }
+        }).catch(() => {});
+    }
+
+    // Wait for this request's refresh and for any other request already refreshing our workflows
+    const pending = new Set(stale.map(workflow => inflightRefreshes.get(getWorkflowCacheKey(workflow))).filter(Boolean));
+    try {
+        await Promise.all(pending);
+    } catch (error) {
+        if (!workflows.every(workflow => memoryCache.has(getWorkflowCacheKey(workflow)))) {
+            throw error;
+        }
+        context.log('Failed to refresh workflow statuses, serving expired cache entries:', error.message);
+    }
+
+    return workflows.map(workflow => memoryCache.get(getWorkflowCacheKey(workflow)));
+}
+
+/**
+ * Check whether a run is at least as recent as the run a cached status describes
+ * Deliveries can arrive out of order, and an older run finishing late must not hide a newer one.
+ * @param {Object} entry - Cache entry (may be undefined)
+ * @param {Object} status - Status built from a webhook delivery
+ * @returns {boolean} True if the status should replace the entry
+ */
+function isSameOrNewerRun(entry, status) {
+    const current = entry?.status;
+    if (!current || !current.createdAt || current.runId === status.runId) {
+        return true;
+    }
+    return Date.parse(status.createdAt) >= Date.parse(current.createdAt);
+}
+
+/**
+ * Merge runs reported by a webhook into a stored run history
+ * Newest run first, with reported runs replacing older copies of themselves.
+ * @param {Array<Object>} history - Stored run history (may be undefined)
+ * @param {Array<Object>} runs - Run summaries from the webhook
+ * @returns {Array<Object>} Merged run history
+ */
+function mergeRunHistory(history, runs) {
+    const previous = history || [];
+    const reportedIds = new Set(runs.map(run => run.runId));
+    return [...runs, ...previous.filter(run => !reportedIds.has(run.runId))]
+        .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+        .slice(0, RUN_HISTORY_SIZE);
+}
+
+/**
+ * Store statuses pushed by GitHub webhooks or requested from the dashboard
+ *
+ * The shared blob is re-read first so entries written by other instances are kept, and the
+ * update callback decides for each entry what to store.
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @param {Function} update - Callback (entries: Map) => number of entries changed
+ * @returns {Promise<number>} Number of entries changed
+ */
+async function applyWebhookUpdate(storageAccountUrl, containerName, update) {
+    await loadSharedEntries(storageAccountUrl, containerName);
+    const changed = update(memoryCache);
+    if (changed > 0) {
+        await saveSharedEntries(storageAccountUrl, containerName);
+    }
+    return changed;
+}
+
+/**
+ * Record the status of a workflow run reported by a workflow_run webhook
+ * An older run finishing late only updates its place in the run history.
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @param {Array<Object>} workflows - Tracked workflows the run counts for (one per distinct set of run filters)
+ * @param {Object} status - Status in the same shape as a polled status (including runId, createdAt and a one-run history)
+ * @returns {Promise<boolean>} True if the stored status changed
+ */
+async function recordWorkflowRunStatus(storageAccountUrl, containerName, workflows, status) {
+    const keys = new Set(workflows.map(getWorkflowCacheKey));
+    const changed = await applyWebhookUpdate(storageAccountUrl, containerName, (entries) => {
+        for (const key of keys) {
+            const entry = entries.get(key);
+            const history = mergeRunHistory(entry?.status?.history, status.history || []);
+            const latest = isSameOrNewerRun(entry, status) ? status : entry.status;
+            entries.set(key, {
+                // Whether the workflow can be dispatched is only learned by polling, so keep it
+                status: { ...latest, dispatchable: entry?.status?.dispatchable, history },
+                fetchedAt: new Date().toISOString(),
+                source: 'webhook',
+                dispatchCheckedAt: entry?.dispatchCheckedAt
+            });
+        }
+        return keys.size;
+    });
+    return changed > 0;
+}
+
+/**
+ * Mark a run as in progress when a workflow_job webhook reports one of its jobs running
+ * Job deliveries do not name the workflow file, so the run is matched by ID against stored statuses.
+ * Jobs older than the stored status are ignored so a late delivery cannot reopen a finished run,
+ * while a re-run (same run ID, new jobs) is picked up.
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @param {number} runId - Workflow run ID from the job
+ * @param {string} jobUpdatedAt - When the job was queued or started (ISO 8601)
+ * @param {string} [host] - Host the delivery came from (run IDs are only unique on one host); empty for the default host
+ * @returns {Promise<boolean>} True if a stored status changed
+ */
+async function recordWorkflowJobActivity(storageAccountUrl, containerName, runId, jobUpdatedAt, host) {
+    const changed = await applyWebhookUpdate(storageAccountUrl, containerName, (entries) => {
+        let count = 0;
+        for (const [key, entry] of entries) {
+            if (entry.status?.runId !== runId || entry.status.status === 'in_progress' || !isKeyOnHost(key, host)) {
+                continue;
+            }
+            if (entry.status.updatedAt && Date.parse(jobUpdatedAt) <= Date.parse(entry.status.updatedAt)) {
+                continue;
+            }
+            entries.set(key, {
+                status: {
+                    ...entry.status,
+                    status: 'in_progress',
+                    conclusion: null,
+                    updatedAt: jobUpdatedAt,
+                    history: (entry.status.history || []).map(run => run.runId === runId
+                        ? { ...run, status: 'in_progress', conclusion: null, durationSeconds: null }
+                        : run)
+                },
+                fetchedAt: new Date().toISOString(),
+                source: 'webhook',
+                dispatchCheckedAt: entry.dispatchCheckedAt
+            });
+            count++;
+        }
+        return count;
+    });
+    return changed > 0;
+}
+
+/**
+ * Record the state a run is expected to reach right after the dashboard re-ran or cancelled it
+ * The entry is stored as a polled status, so it expires after the normal TTL and the next
+ * poll (or webhook) replaces it with what GitHub reports.
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @param {number} runId - Workflow run ID
+ * @param {Object} expected - Expected { status, conclusion } of the run
+ * @param {string} [host] - Host of the run (run IDs are only unique on one host); empty for the default host
+ * @returns {Promise<boolean>} True if a stored status changed
+ */
+async function recordWorkflowRunRequest(storageAccountUrl, containerName, runId, expected, host) {
+    const changed = await applyWebhookUpdate(storageAccountUrl, containerName, (entries) => {
+        let count = 0;
+        const now = new Date().toISOString();
+        for (const [key, entry] of entries) {
+            if (entry.status?.runId !== runId || !isKeyOnHost(key, host)) {
+                continue;
+            }
+            entries.set(key, {
+                status: {
+                    ...entry.status,
+                    ...expected,
+                    updatedAt: now,
+                    history: (entry.status.history || []).map(run => run.runId === runId
+                        ? { ...run, ...expected, durationSeconds: null }
+                        : run)
+                },
+                fetchedAt: now,
+                source: 'poll',
+                dispatchCheckedAt: entry.dispatchCheckedAt
+            });
+            count++;
+        }
+        return count;
+    });
+    return changed > 0;
+}
+
+module.exports = {
+    getCacheTtlSeconds,
+    getCachedWorkflowStatuses,
+    getWorkflowCacheKey,
+    recordWorkflowJobActivity,
+    recordWorkflowRunRequest,
+    recordWorkflowRunStatus,
+    syncSharedStatuses,
+};
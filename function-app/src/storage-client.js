@@ -4,6 +4,95 @@
 const crypto = require('crypto');
 const { DefaultAzureCredential } = require('@azure/identity');
 const { BlobServiceClient } = require('@azure/storage-blob');
+const { createVersionId, findChangedDashboards } = require('./config-history');
+const { CONFIG_SCHEMA_VERSION, ConfigValidationError, migrateConfig, validateConfig } = require('./config-schema');
+
+// Number of times a read-modify-write is attempted before giving up on a conflicting write
+const MAX_WRITE_ATTEMPTS = 3;
+
+// Folder of the container holding dashboard snapshots, one subfolder per dashboard
+const HISTORY_PREFIX = 'history/';
+
+/**
+ * Error raised when workflows.json keeps changing underneath a read-modify-write
+ */
+class ConfigConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigConflictError';
+    }
+}
+
+/**
+ * Get a client for the configuration container
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @returns {ContainerClient} Container client
+ */
+function getContainerClient(storageAccountUrl, containerName) {
+    // Use managed identity to authenticate
+    const credential = new DefaultAzureCredential();
+    const blobServiceClient = new BlobServiceClient(storageAccountUrl, credential);
+    return blobServiceClient.getContainerClient(containerName);
+}
+
+/**
+ * Get a blob client for the workflow configuration blob
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @param {string} blobName - Blob name
+ * @returns {BlockBlobClient} Block blob client for the configuration blob
+ */
+function getConfigBlobClient(storageAccountUrl, containerName, blobName) {
+    return getContainerClient(storageAccountUrl, containerName).getBlockBlobClient(blobName);
+}
+
+/**
+ * Read the configuration blob along with its ETag
+ * @param {BlockBlobClient} blobClient - Block blob client for the configuration blob
+ * @param {string} blobName - Blob name (used for logging)
+ * @returns {Promise<Object>} Object with config and etag (etag is null when the blob does not exist yet)
+ */
+async function readConfigBlob(blobClient, blobName) {
+    let downloadResponse;
+    try {
+        downloadResponse = await blobClient.download(0);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            console.log(`Workflow configuration blob '${blobName}' not found. Returning default structure.`);
+            return { config: createDefaultConfig(), etag: null };
+        }
+        throw error;
+    }
+
+    const downloaded = await streamToBuffer(downloadResponse.readableStreamBody);
+
+    let document;
+    try {
+        document = JSON.parse(downloaded.toString());
+    } catch (parseError) {
+        console.error('Failed to parse workflows.json:', parseError);
+        throw new Error(`Invalid JSON in workflows configuration: ${parseError.message}`);
+    }
+
+    // Older formats are migrated; documents that cannot be migrated or fail validation are refused
+    return { config: migrateConfig(document), etag: downloadResponse.etag };
+}
+
+/**
+ * Refuse to write a configuration that does not match the schema
+ * @param {Object} config - Configuration object about to be written
+ * @throws {ConfigValidationError} When the configuration is invalid
+ */
+function assertValidConfig(config) {
+    const validation = validateConfig(config);
+    if (!validation.isValid) {
+        throw new ConfigValidationError(
+            `The change would make the configuration invalid: ${validation.errors.join('; ')}`,
+            validation.errors
+        );
+    }
+}
 
 /**
  * Get workflow configurations from Azure Blob Storage
@@ -11,37 +100,18 @@ const { BlobServiceClient } = require('@azure/storage-blob');
  * @param {string} containerName - Container name
  * @param {string} blobName - Blob name (default: 'workflows.json')
  * @returns {Promise<Object>} Configuration object with dashboards structure
+ * @throws {ConfigValidationError} When the stored document is not in a known format or does not match the schema
  */
 async function getWorkflowConfigurations(storageAccountUrl, containerName, blobName = 'workflows.json') {
     try {
-        // Use managed identity to authenticate
-        const credential = new DefaultAzureCredential();
-        const blobServiceClient = new BlobServiceClient(storageAccountUrl, credential);
-
-        // Get container and blob clients
-        const containerClient = blobServiceClient.getContainerClient(containerName);
-        const blobClient = containerClient.getBlobClient(blobName);
-
-        // Check if blob exists
-        const exists = await blobClient.exists();
-        if (!exists) {
-            console.log(`Workflow configuration blob '${blobName}' not found. Returning default structure.`);
-            return createDefaultConfig();
-        }
-
-        // Download and parse the blob content
-        const downloadResponse = await blobClient.download(0);
-        const downloaded = await streamToBuffer(downloadResponse.readableStreamBody);
-        
-        try {
-            const config = JSON.parse(downloaded.toString());
-            // Migrate old format to new format if needed
-            return migrateConfig(config);
-        } catch (parseError) {
-            console.error('Failed to parse workflows.json:', parseError);
-            throw new Error(`Invalid JSON in workflows configuration: ${parseError.message}`);
-        }
+        const blobClient = getConfigBlobClient(storageAccountUrl, containerName, blobName);
+        const { config } = await readConfigBlob(blobClient, blobName);
+        return config;
     } catch (error) {
+        if (error instanceof ConfigValidationError) {
+            console.error('Refused workflow configuration:', error.message);
+            throw error;
+        }
         console.error('Failed to get workflow configurations from storage:', error);
         throw new Error(`Storage access failed: ${error.message}`);
     }
@@ -54,6 +124,7 @@ async function getWorkflowConfigurations(storageAccountUrl, containerName, blobN
 function createDefaultConfig() {
     const dashboardId = crypto.randomUUID();
     return {
+        schemaVersion: CONFIG_SCHEMA_VERSION,
         dashboards: [
             {
                 id: dashboardId,
@@ -66,73 +137,33 @@ function createDefaultConfig() {
 }
 
 /**
- * Migrate old configuration format to new multi-dashboard format
- * @param {Object|Array} config - Configuration in old or new format
- * @returns {Object} Configuration in new format
+ * Find the dashboard a request targets
+ * @param {Object} config - Configuration object with dashboards structure
+ * @param {string} dashboardId - Explicit dashboard ID (optional; falls back to the active dashboard)
+ * @returns {Object|undefined} The target dashboard, or undefined if it does not exist
  */
-function migrateConfig(config) {
-    // If already in new format (has dashboards array), return as-is
-    if (config && config.dashboards && Array.isArray(config.dashboards)) {
-        // Ensure activeDashboardId is set
-        if (!config.activeDashboardId && config.dashboards.length > 0) {
-            config.activeDashboardId = config.dashboards[0].id;
-        }
-        return config;
-    }
-    
-    // If it's a raw array, convert to old single-dashboard format first
-    if (Array.isArray(config)) {
-        config = {
-            dashboardId: crypto.randomUUID(),
-            workflows: config
-        };
-    }
-    
-    // Convert old single-dashboard format to new multi-dashboard format
-    if (config && config.workflows && Array.isArray(config.workflows)) {
-        const dashboardId = config.dashboardId || crypto.randomUUID();
-        return {
-            dashboards: [
-                {
-                    id: dashboardId,
-                    name: 'Main Dashboard',
-                    workflows: config.workflows
-                }
-            ],
-            activeDashboardId: dashboardId
-        };
-    }
-    
-    // If we can't understand the format, return default config
-    console.warn('Unknown configuration format, returning default config');
-    return createDefaultConfig();
+function findTargetDashboard(config, dashboardId) {
+    const targetId = dashboardId || config.activeDashboardId;
+    return config.dashboards?.find(d => d.id === targetId);
 }
 
 /**
  * Save workflow configurations to Azure Blob Storage
+ *
+ * Note: this is an unconditional write that records no history. Handlers that read, modify and
+ * write the configuration should use updateWorkflowConfigurations so concurrent edits are not lost.
  * @param {string} storageAccountUrl - Storage account URL
  * @param {string} containerName - Container name
  * @param {Object} config - Configuration object with dashboards structure
  * @param {string} blobName - Blob name (default: 'workflows.json')
  * @returns {Promise<void>}
+ * @throws {ConfigValidationError} When the configuration does not match the schema
  */
 async function saveWorkflowConfigurations(storageAccountUrl, containerName, config, blobName = 'workflows.json') {
+    assertValidConfig(config);
     try {
-        // Use managed identity to authenticate
-        const credential = new DefaultAzureCredential();
-        const blobServiceClient = new BlobServiceClient(storageAccountUrl, credential);
-
-        // Get container and blob clients
-        const containerClient = blobServiceClient.getContainerClient(containerName);
-        const blobClient = containerClient.getBlockBlobClient(blobName);
-
-        // Upload the configuration as JSON
-        const content = JSON.stringify(config, null, 2);
-        await blobClient.upload(content, content.length, {
-            blobHTTPHeaders: {
-                blobContentType: 'application/json'
-            }
-        });
+        const blobClient = getConfigBlobClient(storageAccountUrl, containerName, blobName);
+        await writeConfigBlob(blobClient, config);
 
         console.log(`Successfully saved workflow configurations to ${blobName}`);
     } catch (error) {
@@ -141,6 +172,368 @@ async function saveWorkflowConfigurations(storageAccountUrl, containerName, conf
     }
 }
 
+/**
+ * Upload the configuration as JSON, optionally conditioned on the blob's ETag
+ * @param {BlockBlobClient} blobClient - Block blob client for the configuration blob
+ * @param {Object} config - Configuration object with dashboards structure
+ * @param {Object} conditions - Optional blob access conditions (ifMatch / ifNoneMatch)
+ * @returns {Promise<void>}
+ */
+async function writeConfigBlob(blobClient, config, conditions = undefined) {
+    const content = JSON.stringify(config, null, 2);
+    await blobClient.upload(content, Buffer.byteLength(content), {
+        blobHTTPHeaders: {
+            blobContentType: 'application/json'
+        },
+        conditions
+    });
+}
+
+/**
+ * Check whether a storage error means the blob changed since it was read
+ * @param {Error} error - Error thrown by the storage SDK
+ * @returns {boolean} True if the write lost a race with another writer
+ */
+function isWriteConflict(error) {
+    // 412: If-Match no longer matches; 409: blob was created by someone else (If-None-Match: *)
+    return error.statusCode === 412 || error.statusCode === 409;
+}
+
+/**
+ * Apply a change to the workflow configuration using optimistic concurrency
+ *
+ * The configuration is read together with its ETag, passed to the mutate callback and
+ * written back with If-Match. When another writer got there first (412), the whole
+ * read-modify-write is retried against the fresh configuration, up to MAX_WRITE_ATTEMPTS times.
+ *
+ * The mutate callback receives the configuration, may modify it in place, and must return
+ * { save, result, change }. The configuration is only written when save is true; result is passed
+ * back to the caller either way. change describes the save for the dashboard history:
+ * { user, action, summary } (see recordDashboardHistory). The configuration is validated against
+ * the schema before it is written, so no handler can save a document later reads would refuse.
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @param {Function} mutate - Callback (config) => { save, result, change }
+ * @param {string} blobName - Blob name (default: 'workflows.json')
+ * @returns {Promise<*>} The result returned by the last mutate call
+ * @throws {ConfigConflictError} When the configuration kept changing on every attempt
+ * @throws {ConfigValidationError} When the stored configuration, or the changed one, does not match the schema
+ */
+async function updateWorkflowConfigurations(storageAccountUrl, containerName, mutate, blobName = 'workflows.json') {
+    let containerClient, blobClient;
+    try {
+        containerClient = getContainerClient(storageAccountUrl, containerName);
+        blobClient = containerClient.getBlockBlobClient(blobName);
+    } catch (error) {
+        console.error('Failed to create storage client:', error);
+        throw new Error(`Storage access failed: ${error.message}`);
+    }
+
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+        let config, etag;
+        try {
+            ({ config, etag } = await readConfigBlob(blobClient, blobName));
+        } catch (error) {
+            if (error instanceof ConfigValidationError) {
+                console.error('Refused workflow configuration:', error.message);
+                throw error;
+            }
+            console.error('Failed to get workflow configurations from storage:', error);
+            throw new Error(`Storage access failed: ${error.message}`);
+        }
+
+        // Kept to work out which dashboards the save changed
+        const original = JSON.parse(JSON.stringify(config));
+
+        const { save, result, change } = await mutate(config);
+        if (!save) {
+            return result;
+        }
+        assertValidConfig(config);
+
+        try {
+            // Only overwrite the version we read; create only if nobody else created it meanwhile
+            const conditions = etag ? { ifMatch: etag } : { ifNoneMatch: '*' };
+            await writeConfigBlob(blobClient, config, conditions);
+            console.log(`Successfully saved workflow configurations to ${blobName}`);
+        } catch (error) {
+            if (isWriteConflict(error)) {
+                console.warn(`Workflow configuration changed during update (attempt ${attempt} of ${MAX_WRITE_ATTEMPTS}), retrying`);
+                continue;
+            }
+            console.error('Failed to save workflow configurations to storage:', error);
+            throw new Error(`Storage write failed: ${error.message}`);
+        }
+
+        // The save already happened, so a failure to record it is logged rather than reported to the caller
+        try {
+            await recordDashboardHistory(containerClient, original, config, change);
+        } catch (error) {
+            console.error('Failed to record dashboard history:', error);
+        }
+        return result;
+    }
+
+    throw new ConfigConflictError('The configuration was changed by someone else. Please refresh and try again.');
+}
+
+/**
+ * Get the blob name prefix holding a dashboard's snapshots
+ * @param {string} dashboardId - Dashboard ID
+ * @returns {string} Prefix ending in '/'
+ */
+function getHistoryPrefix(dashboardId) {
+    // Imported dashboards may carry any ID, so it is encoded to stay a single path segment
+    return `${HISTORY_PREFIX}${encodeURIComponent(dashboardId)}/`;
+}
+
+/**
+ * Write a dashboard snapshot
+ * The details are also stored as blob metadata, so history can be listed without downloading snapshots.
+ * @param {ContainerClient} containerClient - Container client
+ * @param {string} dashboardId - Dashboard ID
+ * @param {Object} snapshot - { version, savedAt, user, action, summary, deleted, dashboard }
+ * @returns {Promise<void>}
+ */
+async function writeSnapshot(containerClient, dashboardId, snapshot) {
+    const content = JSON.stringify(snapshot, null, 2);
+    const blobClient = containerClient.getBlockBlobClient(`${getHistoryPrefix(dashboardId)}${snapshot.version}.json`);
+    await blobClient.upload(content, Buffer.byteLength(content), {
+        blobHTTPHeaders: {
+            blobContentType: 'application/json'
+        },
+        // Metadata values must be ASCII, so free text is URI-encoded
+        metadata: {
+            savedat: snapshot.savedAt,
+            action: snapshot.action,
+            summary: encodeURIComponent(snapshot.summary),
+            userid: snapshot.user?.id || '',
+            username: encodeURIComponent(snapshot.user?.name || ''),
+            deleted: String(snapshot.deleted)
+        }
+    });
+}
+
+/**
+ * Record a snapshot of every dashboard a save changed
+ *
+ * Each snapshot holds the dashboard as saved (or, for a deleted dashboard, as it was when deleted)
+ * along with who saved it and why. The first time a dashboard changes, its previous state is
+ * recorded too, so the change can be undone.
+ * @param {ContainerClient} containerClient - Container client
+ * @param {Object} before - Configuration as read
+ * @param {Object} after - Configuration as saved
+ * @param {Object} change - { user, action, summary } from the mutate callback (optional)
+ * @returns {Promise<void>}
+ */
+async function recordDashboardHistory(containerClient, before, after, change = {}) {
+    const savedAt = new Date();
+    const user = change.user ? { id: change.user.id, name: change.user.name } : null;
+
+    await Promise.all(findChangedDashboards(before, after).map(async ({ id, before: previous, after: current }) => {
+        if (previous) {
+            const existing = await containerClient.listBlobsFlat({ prefix: getHistoryPrefix(id) }).byPage({ maxPageSize: 1 }).next();
+            if (!existing.value?.segment.blobItems.length) {
+                // Dated just before the change so it sorts first
+                const baselineAt = new Date(savedAt.getTime() - 1);
+                await writeSnapshot(containerClient, id, {
+                    version: createVersionId(baselineAt),
+                    savedAt: baselineAt.toISOString(),
+                    user: null,
+                    action: 'baseline',
+                    summary: 'Before history was recorded',
+                    deleted: false,
+                    dashboard: previous
+                });
+            }
+        }
+
+        await writeSnapshot(containerClient, id, {
+            version: createVersionId(savedAt),
+            savedAt: savedAt.toISOString(),
+            user,
+            action: change.action || 'update',
+            summary: change.summary || 'Updated the configuration',
+            deleted: !current,
+            dashboard: current || previous
+        });
+    }));
+}
+
+/**
+ * List the recorded versions of a dashboard, newest first
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @param {string} dashboardId - Dashboard ID
+ * @returns {Promise<Array<Object>>} Versions: { version, savedAt, user, action, summary, deleted }
+ */
+async function listDashboardHistory(storageAccountUrl, containerName, dashboardId) {
+    try {
+        const containerClient = getContainerClient(storageAccountUrl, containerName);
+        const prefix = getHistoryPrefix(dashboardId);
+        const versions = [];
+        for await (const blob of containerClient.listBlobsFlat({ prefix, includeMetadata: true })) {
+            const metadata = blob.metadata || {};
+            versions.push({
+                version: blob.name.slice(prefix.length, -'.json'.length),
+                savedAt: metadata.savedat,
+                user: metadata.userid ? { id: metadata.userid, name: decodeURIComponent(metadata.username || '') } : null,
+                action: metadata.action,
+                summary: decodeURIComponent(metadata.summary || ''),
+                deleted: metadata.deleted === 'true'
+            });
+        }
+        // Blobs are listed in name order, which is oldest first
+        return versions.reverse();
+    } catch (error) {
+        console.error('Failed to list dashboard history from storage:', error);
+        throw new Error(`Storage access failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get one recorded version of a dashboard
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @param {string} dashboardId - Dashboard ID
+ * @param {string} version - Version ID
+ * @returns {Promise<Object|null>} Snapshot ({ version, savedAt, user, action, summary, deleted, dashboard }), or null if it does not exist
+ */
+async function getDashboardVersion(storageAccountUrl, containerName, dashboardId, version) {
+    try {
+        const containerClient = getContainerClient(storageAccountUrl, containerName);
+        const blobClient = containerClient.getBlockBlobClient(`${getHistoryPrefix(dashboardId)}${version}.json`);
+        const downloadResponse = await blobClient.download(0);
+        const downloaded = await streamToBuffer(downloadResponse.readableStreamBody);
+        return JSON.parse(downloaded.toString());
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return null;
+        }
+        console.error('Failed to get dashboard version from storage:', error);
+        throw new Error(`Storage access failed: ${error.message}`);
+    }
+}
+
+/**
+ * List the IDs of every dashboard with recorded history
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @returns {Promise<Array<string>>} Dashboard IDs
+ */
+async function listHistoryDashboardIds(storageAccountUrl, containerName) {
+    try {
+        const containerClient = getContainerClient(storageAccountUrl, containerName);
+        const ids = [];
+        for await (const item of containerClient.listBlobsByHierarchy('/', { prefix: HISTORY_PREFIX })) {
+            if (item.kind === 'prefix') {
+                ids.push(decodeURIComponent(item.name.slice(HISTORY_PREFIX.length, -1)));
+            }
+        }
+        return ids;
+    } catch (error) {
+        console.error('Failed to list dashboard history from storage:', error);
+        throw new Error(`Storage access failed: ${error.message}`);
+    }
+}
+
+/**
+ * Read the status cache blob together with its ETag
+ * A blob that is not valid JSON is read as empty, so the next write replaces it.
+ * @param {BlockBlobClient} blobClient - Blob client for the status cache
+ * @returns {Promise<Object>} { entries, etag } (etag is null when the blob does not exist yet)
+ */
+async function readStatusCacheBlob(blobClient) {
+    let downloadResponse;
+    try {
+        downloadResponse = await blobClient.download(0);
+    } catch (error) {
+        if (error.statusCode === 404) {
+            return { entries: {}, etag: null };
+        }
+        throw error;
+    }
+
+    const downloaded = await streamToBuffer(downloadResponse.readableStreamBody);
+    let entries;
+    try {
+        entries = JSON.parse(downloaded.toString());
+    } catch (parseError) {
+        console.error('Failed to parse status cache, starting a new one:', parseError);
+        entries = {};
+    }
+    return {
+        entries: entries && typeof entries === 'object' && !Array.isArray(entries) ? entries : {},
+        etag: downloadResponse.etag
+    };
+}
+
+/**
+ * Get cached workflow statuses from Azure Blob Storage
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @param {string} blobName - Blob name (default: 'status-cache.json')
+ * @returns {Promise<Object>} Cache entries keyed by workflow (empty when the blob does not exist yet)
+ */
+async function getStatusCache(storageAccountUrl, containerName, blobName = 'status-cache.json') {
+    try {
+        const blobClient = getConfigBlobClient(storageAccountUrl, containerName, blobName);
+        return (await readStatusCacheBlob(blobClient)).entries;
+    } catch (error) {
+        console.error('Failed to get status cache from storage:', error);
+        throw new Error(`Storage access failed: ${error.message}`);
+    }
+}
+
+/**
+ * Update cached workflow statuses in Azure Blob Storage using optimistic concurrency
+ *
+ * The stored entries are read with their ETag, passed to the merge callback and written back
+ * with If-Match, so an instance never overwrites entries another instance or a webhook wrote
+ * after its read. On a conflict the merge is retried against the fresh entries, up to
+ * MAX_WRITE_ATTEMPTS times.
+ * @param {string} storageAccountUrl - Storage account URL
+ * @param {string} containerName - Container name
+ * @param {Function} merge - Callback (storedEntries) => entries to write
+ * @param {string} blobName - Blob name (default: 'status-cache.json')
+ * @returns {Promise<void>}
+ * @throws {Error} When storage fails or the blob kept changing on every attempt
+ */
+async function updateStatusCache(storageAccountUrl, containerName, merge, blobName = 'status-cache.json') {
+    let blobClient;
+    try {
+        blobClient = getConfigBlobClient(storageAccountUrl, containerName, blobName);
+    } catch (error) {
+        console.error('Failed to create storage client:', error);
+        throw new Error(`Storage access failed: ${error.message}`);
+    }
+
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+        let entries, etag;
+        try {
+            ({ entries, etag } = await readStatusCacheBlob(blobClient));
+        } catch (error) {
+            console.error('Failed to get status cache from storage:', error);
+            throw new Error(`Storage access failed: ${error.message}`);
+        }
+
+        try {
+            const conditions = etag ? { ifMatch: etag } : { ifNoneMatch: '*' };
+            await writeConfigBlob(blobClient, merge(entries), conditions);
+            return;
+        } catch (error) {
+            if (isWriteConflict(error)) {
+                console.warn(`Status cache changed during update (attempt ${attempt} of ${MAX_WRITE_ATTEMPTS}), retrying`);
+                continue;
+            }
+            console.error('Failed to save status cache to storage:', error);
+            throw new Error(`Storage write failed: ${error.message}`);
+        }
+    }
+
+    throw new Error('The status cache was changed by other instances on every attempt');
+}
+
 /**
  * Helper function to convert stream to buffer
  * @param {Stream} readableStream - Readable stream
@@ -160,6 +553,15 @@ async function streamToBuffer(readableStream) {
 }
 
 module.exports = {
+    ConfigConflictError,
+    ConfigValidationError,
+    findTargetDashboard,
+    getDashboardVersion,
+    getStatusCache,
     getWorkflowConfigurations,
+    listDashboardHistory,
+    listHistoryDashboardIds,
     saveWorkflowConfigurations,
+    updateStatusCache,
+    updateWorkflowConfigurations,
 };
@@ -0,0 +1,117 @@
+// Trash Module
+// Keeps deleted dashboards and workflows in the trash section of workflows.json until they are restored, purged or expire
+
+const crypto = require('crypto');
+
+// Days a deleted item stays in the trash when TRASH_RETENTION_DAYS is not set
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get how long deleted items are kept, from the TRASH_RETENTION_DAYS setting
+ * @returns {number} Retention in days
+ */
+function getTrashRetentionDays() {
+    const value = process.env.TRASH_RETENTION_DAYS;
+    if (value === undefined || value.trim() === '') {
+        return DEFAULT_TRASH_RETENTION_DAYS;
+    }
+    const days = Number(value);
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Get when a trash item expires
+ * @param {Object} item - Trash item
+ * @returns {string} ISO timestamp after which the item is purged
+ */
+function getExpiresAt(item) {
+    return new Date(Date.parse(item.deletedAt) + getTrashRetentionDays() * DAY_MS).toISOString();
+}
+
+/**
+ * Remove expired items from the trash
+ * @param {Object} config - Configuration object (modified in place)
+ * @returns {number} Number of items removed
+ */
+function purgeExpiredTrash(config) {
+    const trash = Array.isArray(config.trash) ? config.trash : [];
+    const now = new Date().toISOString();
+    const kept = trash.filter(item => getExpiresAt(item) > now);
+    config.trash = kept;
+    return trash.length - kept.length;
+}
+
+/**
+ * Move a deleted dashboard or workflow to the trash
+ * Expired items are purged at the same time, so the trash only grows while items are fresh.
+ * @param {Object} config - Configuration object (modified in place)
+ * @param {Object} item - { type: 'dashboard', dashboard, position } or { type: 'workflow', dashboardId, workflow, position }
+ * @param {Object} user - Authenticated user who deleted the item
+ * @returns {Object} The trash item, with its id and deletedAt
+ */
+function moveToTrash(config, item, user) {
+    purgeExpiredTrash(config);
+    const trashItem = {
+        id: crypto.randomUUID(),
+        deletedAt: new Date().toISOString(),
+        deletedBy: { id: user.id, name: user.name },
+        ...item
+    };
+    config.trash.push(trashItem);
+    return trashItem;
+}
+
+/**
+ * Find a trash item that has not expired
+ * @param {Object} config - Configuration object
+ * @param {string} trashId - Trash item ID
+ * @returns {Object|undefined} The trash item
+ */
+function findTrashItem(config, trashId) {
+    const now = new Date().toISOString();
+    return (config.trash || []).find(item => item.id === trashId && getExpiresAt(item) > now);
+}
+
+/**
+ * Get the dashboard that decides who may see and restore a trash item
+ * @param {Object} config - Configuration object
+ * @param {Object} item - Trash item
+ * @returns {Object|undefined} The deleted dashboard, or the dashboard a deleted workflow belonged to
+ */
+function getTrashItemDashboard(config, item) {
+    return item.type === 'dashboard'
+        ? item.dashboard
+        : config.dashboards.find(d => d.id === item.dashboardId);
+}
+
+/**
+ * Describe a trash item for the response
+ * @param {Object} config - Configuration object
+ * @param {Object} item - Trash item
+ * @returns {Object} { id, type, name, deletedAt, deletedBy, expiresAt, dashboardId, dashboardName, workflow? }
+ */
+function describeTrashItem(config, item) {
+    const dashboard = getTrashItemDashboard(config, item);
+    return {
+        id: item.id,
+        type: item.type,
+        name: item.type === 'dashboard' ? item.dashboard.name : item.workflow.label,
+        deletedAt: item.deletedAt,
+        deletedBy: item.deletedBy,
+        expiresAt: getExpiresAt(item),
+        dashboardId: item.type === 'dashboard' ? item.dashboard.id : item.dashboardId,
+        dashboardName: dashboard?.name,
+        ...(item.type === 'workflow' && { workflow: item.workflow })
+    };
+}
+
+module.exports = {
+    describeTrashItem,
+    findTrashItem,
+    getTrashItemDashboard,
+    getTrashRetentionDays,
+    moveToTrash,
+    purgeExpiredTrash,
+};
@@ -0,0 +1,153 @@
+// Workflow Definition Module
+// Reads a workflow's YAML file from GitHub to find its workflow_dispatch trigger and declared inputs
+
+const YAML = require('yaml');
+const { getClientApiUrl } = require('./github-auth');
+
+// Parsed definitions are reused for this long, so opening the dispatch form and dispatching share one download
+const DEFINITION_TTL_MS = 10 * 60 * 1000;
+
+// Definitions by API URL, owner/repo/workflow (lowercase) and ref
+const definitionCache = new Map();
+
+// Input types GitHub supports for workflow_dispatch
+const INPUT_TYPES = ['string', 'boolean', 'choice', 'number', 'environment'];
+
+// Refs follow the same rules as branch names in run filters
+const REF_PATTERN = /^[^\s~^:?*[\\]{1,255}$/;
+
+/**
+ * Find the workflow_dispatch trigger in a workflow file
+ * @param {string} source - Workflow YAML
+ * @returns {Object} { dispatchable, inputs } where inputs lists { name, description, required, type, default, options }
+ */
+function parseDispatchTrigger(source) {
+    const document = YAML.parse(source) || {};
+    const on = document.on;
+
+    let dispatchable = false;
+    let trigger = null;
+    if (typeof on === 'string') {
+        dispatchable = on === 'workflow_dispatch';
+    } else if (Array.isArray(on)) {
+        dispatchable = on.includes('workflow_dispatch');
+    } else if (on && typeof on === 'object' && 'workflow_dispatch' in on) {
+        dispatchable = true;
+        trigger = on.workflow_dispatch;
+    }
+
+    const inputs = Object.entries(trigger?.inputs || {}).map(([name, input]) => ({
+        name,
+        description: typeof input?.description === 'string' ? input.description : '',
+        required: input?.required === true,
+        type: INPUT_TYPES.includes(input?.type) ? input.type : 'string',
+        default: input?.default ?? null,
+        options: Array.isArray(input?.options) ? input.options.map(String) : []
+    }));
+
+    return { dispatchable, inputs };
+}
+
+/**
+ * Get the dispatch trigger of a workflow, reading its file from a branch or tag
+ * @param {Octokit} octokit - Installation client for the repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} workflow - Workflow file name or numeric ID
+ * @param {string} [ref] - Branch or tag to read the file from; the default branch when omitted
+ * @returns {Promise<Object>} { path, dispatchable, inputs }
+ */
+async function getWorkflowDefinition(octokit, owner, repo, workflow, ref) {
+    // Branch names are case-sensitive, so the ref is kept as it is
+    const key = `${`${getClientApiUrl(octokit)} ${owner}/${repo}/${workflow}`.toLowerCase()} ${ref || ''}`;
+    const cached = definitionCache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < DEFINITION_TTL_MS) {
+        return cached.definition;
+    }
+
+    // Numeric IDs have to be resolved to a path; file names are always under .github/workflows
+    const path = /^\d+$/.test(workflow)
+        ? (await octokit.rest.actions.getWorkflow({ owner, repo, workflow_id: Number(workflow) })).data.path
+        : `.github/workflows/${workflow}`;
+
+    let definition;
+    try {
+        const { data } = await octokit.rest.repos.getContent({ owner, repo, path, ...(ref && { ref }) });
+        const source = Buffer.from(data.content || '', data.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+        definition = { path, ...parseDispatchTrigger(source) };
+    } catch (error) {
+        // GitHub-managed workflows (e.g. CodeQL default setup) have no file to read, and the ref may not have one
+        if (error.status !== 404) {
+            throw error;
+        }
+        definition = { path, dispatchable: false, inputs: [] };
+    }
+
+    definitionCache.set(key, { definition, fetchedAt: Date.now() });
+    return definition;
+}
+
+/**
+ * Check the inputs of a dispatch request against the inputs the workflow declares
+ * Empty values are left out so GitHub applies the declared defaults.
+ * @param {Array<Object>} declared - Inputs from getWorkflowDefinition
+ * @param {Object} provided - Input values by name
+ * @returns {Object} Validation result with isValid, error, and inputs (all values as strings)
+ */
+function validateDispatchInputs(declared, provided) {
+    if (provided === undefined || provided === null) {
+        provided = {};
+    }
+    if (typeof provided !== 'object' || Array.isArray(provided)) {
+        return { isValid: false, error: 'inputs must be an object' };
+    }
+
+    const unknown = Object.keys(provided).find(name => !declared.some(input => input.name === name));
+    if (unknown) {
+        return { isValid: false, error: `Workflow does not declare an input named "${unknown}"` };
+    }
+
+    const inputs = {};
+    for (const input of declared) {
+        const value = provided[input.name];
+        if (value === undefined || value === null || value === '') {
+            if (input.required && input.default === null) {
+                return { isValid: false, error: `Input "${input.name}" is required` };
+            }
+            continue;
+        }
+        if (typeof value !== 'string' && typeof value !== 'boolean' && typeof value !== 'number') {
+            return { isValid: false, error: `Input "${input.name}" must be a string, number or boolean` };
+        }
+
+        const text = String(value);
+        if (input.type === 'boolean' && text !== 'true' && text !== 'false') {
+            return { isValid: false, error: `Input "${input.name}" must be true or false` };
+        }
+        if (input.type === 'number' && !Number.isFinite(Number(text))) {
+            return { isValid: false, error: `Input "${input.name}" must be a number` };
+        }
+        if (input.type === 'choice' && !input.options.includes(text)) {
+            return { isValid: false, error: `Input "${input.name}" must be one of: ${input.options.join(', ')}` };
+        }
+        inputs[input.name] = text;
+    }
+
+    return { isValid: true, inputs };
+}
+
+/**
+ * Check whether a ref is a plausible branch or tag name
+ * @param {string} ref - Branch or tag to dispatch on
+ * @returns {boolean} True if the ref may be sent to GitHub
+ */
+function isValidRef(ref) {
+    return typeof ref === 'string' && REF_PATTERN.test(ref);
+}
+
+module.exports = {
+    getWorkflowDefinition,
+    isValidRef,
+    parseDispatchTrigger,
+    validateDispatchInputs,
+};
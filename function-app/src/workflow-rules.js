@@ -0,0 +1,226 @@
+// Workflow Rules Module
+// Expands a dashboard's auto-track rules into the workflows they match, so new repositories show up without editing the dashboard
+
+const { getGitHubHost, normalizeHostName } = require('./github-hosts');
+const { globToRegExp, listOwnerRepositories, listRepositoryWorkflows, mapWithConcurrency } = require('./repository-catalog');
+const { validateHost, validateRunFilters } = require('./workflow-validation');
+const { createRepositoryClient } = require('./workflow-status');
+
+// Expansions are reused for this long; new repositories and workflows appear after at most this delay
+const RULES_TTL_MS = 10 * 60 * 1000;
+
+// Repositories whose workflows are listed at the same time while expanding a rule
+const RULES_CONCURRENCY = 8;
+
+// Label given to matched workflows when the rule sets none
+const DEFAULT_RULE_LABEL = '{repo}: {name}';
+
+// Expansions by rule (JSON of the normalized rule), and expansions in progress
+const expansionCache = new Map();
+const inflightExpansions = new Map();
+
+/**
+ * Validate an auto-track rule
+ * @param {Object} rule - Rule from a dashboard's rules section
+ * @returns {Object} Validation result with isValid, error, and the normalized rule
+ */
+function validateRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return { isValid: false, error: 'Rule must be an object' };
+    }
+
+    if (typeof rule.org !== 'string' || !/^[A-Za-z0-9-]{1,39}$/.test(rule.org)) {
+        return { isValid: false, error: 'org must be an organization or user login' };
+    }
+
+    if (typeof rule.workflow !== 'string' || !rule.workflow.trim()) {
+        return { isValid: false, error: 'workflow must be a workflow file name or glob pattern' };
+    }
+
+    if (rule.repo !== undefined && (typeof rule.repo !== 'string' || !rule.repo.trim())) {
+        return { isValid: false, error: 'repo must be a repository name or glob pattern when provided' };
+    }
+
+    // A single topic or a list of topics, all of which a repository must have
+    const topics = rule.topic === undefined ? [] : [].concat(rule.topic);
+    if (!topics.every(topic => typeof topic === 'string' && /^[a-z0-9][a-z0-9-]{0,49}$/.test(topic))) {
+        return { isValid: false, error: 'topic must be a repository topic or a list of topics' };
+    }
+
+    if (rule.label !== undefined && (typeof rule.label !== 'string' || !rule.label.trim())) {
+        return { isValid: false, error: 'label must be a non-empty string when provided' };
+    }
+
+    const filterValidation = validateRunFilters(rule);
+    if (!filterValidation.isValid) {
+        return filterValidation;
+    }
+
+    const hostValidation = validateHost(rule.host);
+    if (!hostValidation.isValid) {
+        return hostValidation;
+    }
+
+    return {
+        isValid: true,
+        rule: {
+            ...(hostValidation.hostName && { host: hostValidation.hostName }),
+            org: rule.org,
+            workflow: rule.workflow.trim(),
+            ...(rule.repo !== undefined && { repo: rule.repo.trim() }),
+            topics,
+            label: rule.label !== undefined ? rule.label.trim() : DEFAULT_RULE_LABEL,
+            filters: filterValidation.filters
+        }
+    };
+}
+
+/**
+ * List the workflows a rule matches right now
+ * Archived repositories and disabled workflows are left out.
+ * @param {string} keyVaultUrl - Key Vault URL holding the GitHub App credentials
+ * @param {Object} rule - Normalized rule from validateRule
+ * @returns {Promise<Array<Object>>} Workflow entries: { host, owner, repo, workflow, label, ...filters } (host only off the default host)
+ */
+async function expandRule(keyVaultUrl, rule) {
+    // Installations are per owner, so any repository name finds the right one
+    const octokit = await createRepositoryClient(keyVaultUrl, rule.org, null, getGitHubHost(rule.host));
+    if (!octokit) {
+        throw new Error(`GitHub App is not installed on ${rule.host ? `${rule.host}/` : ''}${rule.org}`);
+    }
+
+    const repoPattern = rule.repo ? globToRegExp(rule.repo) : null;
+    const workflowPattern = globToRegExp(rule.workflow);
+    const repositories = (await listOwnerRepositories(octokit, rule.org)).filter(repository =>
+        !repository.archived &&
+        (!repoPattern || repoPattern.test(repository.name)) &&
+        rule.topics.every(topic => (repository.topics || []).includes(topic))
+    );
+
+    const listings = await mapWithConcurrency(repositories, RULES_CONCURRENCY, async (repository) => {
+        const workflows = await listRepositoryWorkflows(octokit, repository.owner.login, repository.name);
+        return workflows
+            .filter(w => w.state === 'active' && workflowPattern.test(w.path.split('/').pop()))
+            .map(w => ({
+                ...(rule.host && { host: rule.host }),
+                owner: repository.owner.login,
+                repo: repository.name,
+                workflow: w.workflow,
+                label: rule.label.replace(/\{repo\}/g, () => repository.name).replace(/\{name\}/g, () => w.name),
+                ...rule.filters
+            }));
+    });
+    return listings.flat();
+}
+
+/**
+ * Get the workflows a rule matches, from the cache while it is fresh
+ * A failed refresh keeps serving the previous expansion, if there is one, until the next refresh.
+ * @param {string} keyVaultUrl - Key Vault URL holding the GitHub App credentials
+ * @param {Object} rule - Normalized rule from validateRule
+ * @param {Object} context - Azure Function context for logging
+ * @returns {Promise<Array<Object>>} Workflow entries
+ */
+async function getRuleWorkflows(keyVaultUrl, rule, context) {
+    const key = JSON.stringify(rule);
+    const cached = expansionCache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < RULES_TTL_MS) {
+        return cached.workflows;
+    }
+
+    // Concurrent requests for the same rule share one expansion
+    if (!inflightExpansions.has(key)) {
+        const expansion = expandRule(keyVaultUrl, rule)
+            .catch(error => {
+                // Failures are cached too, so a broken rule does not call GitHub on every request
+                context.log(`Failed to expand rule for ${rule.host ? `${rule.host}/` : ''}${rule.org}:`, error.message);
+                return cached ? cached.workflows : [];
+            })
+            .then(workflows => {
+                expansionCache.set(key, { workflows, fetchedAt: Date.now() });
+                return workflows;
+            })
+            .finally(() => inflightExpansions.delete(key));
+        inflightExpansions.set(key, expansion);
+    }
+
+    return inflightExpansions.get(key);
+}
+
+/**
+ * Build the key that tells tracked workflows apart, whatever their run filters
+ * @param {Object} workflow - Workflow entry
+ * @returns {string} host/owner/repo/workflow (lowercase; no host for the default host)
+ */
+function getWorkflowIdentity(workflow) {
+    const host = normalizeHostName(workflow.host);
+    return `${host ? `${host}/` : ''}${workflow.owner}/${workflow.repo}/${workflow.workflow}`.toLowerCase();
+}
+
+/**
+ * Expand a dashboard's rules into concrete workflows
+ * Workflows the dashboard already lists, or that an earlier rule matched, are left out.
+ * Each entry carries the index of the rule that matched it.
+ * @param {string} keyVaultUrl - Key Vault URL holding the GitHub App credentials
+ * @param {Object} dashboard - Dashboard from the configuration
+ * @param {Object} context - Azure Function context for logging
+ * @returns {Promise<Array<Object>>} Workflow entries: { owner, repo, workflow, label, rule, ...filters }
+ */
+async function expandDashboardRules(keyVaultUrl, dashboard, context) {
+    const rules = Array.isArray(dashboard.rules) ? dashboard.rules : [];
+    const expansions = await Promise.all(rules.map((rule, index) => {
+        const validation = validateRule(rule);
+        if (!validation.isValid) {
+            context.log(`Skipping invalid rule ${index} of dashboard ${dashboard.id}: ${validation.error}`);
+            return [];
+        }
+        return getRuleWorkflows(keyVaultUrl, validation.rule, context);
+    }));
+
+    const seen = new Set((dashboard.workflows || [])
+        .filter(w => w && w.owner && w.repo && w.workflow)
+        .map(getWorkflowIdentity));
+    return expansions.flatMap((workflows, index) => workflows
+        .filter(workflow => {
+            const key = getWorkflowIdentity(workflow);
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        })
+        .map(workflow => ({ ...workflow, rule: index })));
+}
+
+/**
+ * Get every workflow a dashboard tracks: the ones it lists followed by the ones its rules match
+ * @param {string} keyVaultUrl - Key Vault URL holding the GitHub App credentials
+ * @param {Object} dashboard - Dashboard from the configuration
+ * @param {Object} context - Azure Function context for logging
+ * @returns {Promise<Array<Object>>} Workflow entries
+ */
+async function getDashboardWorkflows(keyVaultUrl, dashboard, context) {
+    return [...(dashboard.workflows || []), ...await expandDashboardRules(keyVaultUrl, dashboard, context)];
+}
+
+/**
+ * Get the workflows a dashboard's rules matched when they were last expanded, without calling GitHub
+ * @param {Object} dashboard - Dashboard from the configuration
+ * @returns {Array<Object>} Workflow entries (empty for rules not expanded by this instance yet)
+ */
+function getExpandedRuleWorkflows(dashboard) {
+    const rules = Array.isArray(dashboard.rules) ? dashboard.rules : [];
+    return rules.flatMap(rule => {
+        const validation = validateRule(rule);
+        return validation.isValid ? expansionCache.get(JSON.stringify(validation.rule))?.workflows || [] : [];
+    });
+}
+
+module.exports = {
+    RULES_TTL_MS,
+    expandDashboardRules,
+    getDashboardWorkflows,
+    getExpandedRuleWorkflows,
+    getWorkflowIdentity,
+    validateRule,
+};
@@ -0,0 +1,720 @@
+// Workflow Status Module
+// Fetches the latest run of tracked workflows from GitHub using the GitHub App installations
+
+const {
+    createInstallationClient,
+    getClientApiUrl,
+    getRateLimitResumeTime,
+    getRepositoryInstallationId,
+    isRateLimitError
+} = require('./github-auth');
+const { getGitHubHost, getHostCredentials } = require('./github-hosts');
+const { getWorkflowDefinition } = require('./workflow-definition');
+
+// Number of recent runs kept per workflow for the run history (fetched in the same API call as the latest run)
+const RUN_HISTORY_SIZE = 10;
+
+// Optional fields of a tracked workflow that narrow which runs count, passed to listWorkflowRuns as-is
+const RUN_FILTERS = ['branch', 'event', 'actor'];
+
+// Workflows whose latest runs are requested in one GraphQL query; each also asks for RUN_HISTORY_SIZE runs,
+// which is what the query's cost grows with (nodes() itself takes up to 100 IDs)
+const GRAPHQL_BATCH_SIZE = 50;
+
+// GraphQL node IDs of workflows are looked up again after this long, so a re-created workflow is picked up
+const WORKFLOW_NODE_ID_TTL_MS = 60 * 60 * 1000;
+
+// GraphQL node IDs by API URL and owner/repo/workflow (lowercase): { nodeId, expiresAt }
+const workflowNodeIds = new Map();
+
+// Latest runs of a batch of workflows; the run's status, conclusion and triggering user live on its check suite
+const LATEST_RUNS_QUERY = `
+    query ($ids: [ID!]!, $runs: Int!) {
+        nodes(ids: $ids) {
+            ... on Workflow {
+                runs(first: $runs, orderBy: { field: CREATED_AT, direction: DESC }) {
+                    nodes {
+                        databaseId
+                        url
+                        createdAt
+                        updatedAt
+                        checkSuite {
+                            status
+                            conclusion
+                            creator {
+                                login
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+`;
+
+// Why a tracked workflow has no status to show; reported with status 'misconfigured' so the card can say how to fix it
+const MISCONFIGURATION_REASONS = {
+    NO_INSTALLATION: 'no_installation',
+    WORKFLOW_NOT_FOUND: 'workflow_not_found',
+    FORBIDDEN: 'forbidden',
+    UNKNOWN_HOST: 'unknown_host',
+    STATUS_UNAVAILABLE: 'status_unavailable'
+};
+
+/**
+ * Build the web URL of a workflow's page, or of the repository's Actions tab when no workflow is given
+ * @param {Object} workflow - { host, owner, repo, workflow } (host is empty for the default host)
+ * @returns {string} URL on the workflow's host
+ */
+function getActionsUrl(workflow) {
+    const host = getGitHubHost(workflow.host);
+    const webUrl = host ? host.webUrl : `https://${workflow.host}`;
+    return `${webUrl}/${workflow.owner}/${workflow.repo}/actions${workflow.workflow ? `/workflows/${workflow.workflow}` : ''}`;
+}
+
+/**
+ * Get the run filters set on a tracked workflow
+ * @param {Object} workflow - Workflow from the dashboard configuration
+ * @returns {Object} Filters that are set, e.g. { branch: 'main' } (empty when the workflow tracks all runs)
+ */
+function getRunFilters(workflow) {
+    const filters = {};
+    for (const name of RUN_FILTERS) {
+        if (typeof workflow[name] === 'string' && workflow[name]) {
+            filters[name] = workflow[name];
+        }
+    }
+    return filters;
+}
+
+/**
+ * Check whether a workflow run passes the run filters of a tracked workflow
+ * @param {Object} workflow - Workflow from the dashboard configuration
+ * @param {Object} run - Workflow run from the GitHub API or a workflow_run webhook
+ * @returns {boolean} True if the run counts for the workflow
+ */
+function matchesRunFilters(workflow, run) {
+    const filters = getRunFilters(workflow);
+    return (!filters.branch || filters.branch === run.head_branch) &&
+        (!filters.event || filters.event === run.event) &&
+        (!filters.actor || filters.actor.toLowerCase() === (run.actor?.login || '').toLowerCase());
+}
+
+/**
+ * Get the time between two timestamps
+ * @param {string|null} startedAt - Start time (ISO 8601)
+ * @param {string|null} finishedAt - End time (ISO 8601)
+ * @returns {number|null} Duration in whole seconds, or null unless both times are known
+ */
+function getDurationSeconds(startedAt, finishedAt) {
+    if (!startedAt || !finishedAt) {
+        return null;
+    }
+    return Math.max(0, Math.round((Date.parse(finishedAt) - Date.parse(startedAt)) / 1000));
+}
+
+/**
+ * Summarize a workflow run for the run history
+ * @param {Object} run - Workflow run from the GitHub API or a workflow_run webhook
+ * @returns {Object} Run summary
+ */
+function summarizeRun(run) {
+    return {
+        runId: run.id,
+        conclusion: run.conclusion,
+        status: run.status,
+        createdAt: run.created_at,
+        durationSeconds: run.status === 'completed'
+            ? getDurationSeconds(run.run_started_at || run.created_at, run.updated_at)
+            : null,
+        actor: run.triggering_actor?.login || run.actor?.login || null,
+        url: run.html_url
+    };
+}
+
+/**
+ * Summarize a job of a workflow run, with its steps, for the job drill-down
+ * @param {Object} job - Job from listJobsForWorkflowRun
+ * @returns {Object} Job summary; each step links to its place in the job log
+ */
+function summarizeJob(job) {
+    return {
+        jobId: job.id,
+        name: job.name,
+        status: job.status,
+        conclusion: job.conclusion,
+        startedAt: job.started_at,
+        completedAt: job.completed_at,
+        durationSeconds: getDurationSeconds(job.started_at, job.completed_at),
+        url: job.html_url,
+        steps: (job.steps || []).map(step => ({
+            number: step.number,
+            name: step.name,
+            status: step.status,
+            conclusion: step.conclusion,
+            durationSeconds: getDurationSeconds(step.started_at, step.completed_at),
+            url: job.html_url ? `${job.html_url}#step:${step.number}:1` : null
+        }))
+    };
+}
+
+/**
+ * Get how workflow statuses are fetched from GitHub
+ * Controlled by STATUS_FETCH_STRATEGY (default: rest)
+ * @returns {string} 'graphql' to batch many workflows per request, or 'rest' for one request per workflow
+ */
+function getStatusFetchStrategy() {
+    return (process.env.STATUS_FETCH_STRATEGY || '').trim().toLowerCase() === 'graphql' ? 'graphql' : 'rest';
+}
+
+/**
+ * Build the status of a workflow from its most recent runs
+ * @param {Array<Object>} runs - Runs in the shape of the REST API, newest first
+ * @param {Object} workflow - Workflow from the dashboard configuration
+ * @returns {Object} Workflow run data, with history holding the runs
+ */
+function buildLatestRunStatus(runs, workflow) {
+    if (runs.length > 0) {
+        const run = runs[0];
+        return {
+            conclusion: run.conclusion,
+            status: run.status,
+            url: run.html_url,
+            updatedAt: run.updated_at,
+            runId: run.id,
+            createdAt: run.created_at,
+            history: runs.map(summarizeRun)
+        };
+    }
+
+    return {
+        conclusion: 'unknown',
+        status: 'unknown',
+        url: getActionsUrl(workflow)
+    };
+}
+
+/**
+ * Get the latest workflow run, and the runs before it, for a specific workflow
+ * @param {Octokit} octokit - Installation client for the workflow's repository
+ * @param {Object} workflow - Workflow from the dashboard configuration (its run filters narrow the runs)
+ * @returns {Promise<Object>} Workflow run data, with history holding up to RUN_HISTORY_SIZE runs (newest first)
+ */
+async function getLatestWorkflowRun(octokit, workflow) {
+    const { owner, repo, workflow: workflowFile } = workflow;
+    try {
+        const { data } = await octokit.rest.actions.listWorkflowRuns({
+            owner,
+            repo,
+            workflow_id: workflowFile,
+            ...getRunFilters(workflow),
+            per_page: RUN_HISTORY_SIZE,
+            page: 1
+        });
+
+        return buildLatestRunStatus(data.workflow_runs || [], workflow);
+    } catch (error) {
+        // A missing workflow or permission will not fix itself on the next poll, unlike other errors
+        if (error.status === 404) {
+            return buildMisconfiguredStatus(
+                workflow,
+                MISCONFIGURATION_REASONS.WORKFLOW_NOT_FOUND,
+                `Workflow ${workflowFile} was not found in ${owner}/${repo}`
+            );
+        }
+        if (isRateLimitError(error)) {
+            const reset = Number(error.response?.headers?.['x-ratelimit-reset']) * 1000;
+            const retryAfter = Number(error.response?.headers?.['retry-after']) * 1000;
+            return buildRateLimitedStatus(
+                workflow,
+                reset || (retryAfter ? Date.now() + retryAfter : null)
+            );
+        }
+        if (error.status === 403) {
+            return buildMisconfiguredStatus(
+                workflow,
+                MISCONFIGURATION_REASONS.FORBIDDEN,
+                'The GitHub App is not allowed to read the Actions of this repository'
+            );
+        }
+
+        console.error('Failed to get workflow runs:', error);
+        return buildErrorStatus(workflow, error.message);
+    }
+}
+
+/**
+ * Build the key of a workflow's node ID; node IDs are only unique on one host
+ * @param {Octokit} octokit - Installation client for the repository
+ * @param {Object} workflow - Workflow from the dashboard configuration
+ * @returns {string} Key in workflowNodeIds
+ */
+function getWorkflowNodeIdKey(octokit, workflow) {
+    return `${getClientApiUrl(octokit)} ${workflow.owner}/${workflow.repo}/${workflow.workflow}`.toLowerCase();
+}
+
+/**
+ * Look up the GraphQL node IDs of workflows named by file, a batch per query, by the URL of their page
+ * @param {Octokit} octokit - Installation client for the workflows' repositories
+ * @param {Array<Object>} workflows - Workflows from the dashboard configuration, named by file
+ * @param {Object} context - Function invocation context (for logging)
+ * @returns {Promise<Array<string|null>>} Node IDs in the order of workflows; null where the workflow was not found
+ */
+async function findWorkflowNodeIdsByUrl(octokit, workflows, context) {
+    const nodeIds = new Array(workflows.length).fill(null);
+
+    for (let start = 0; start < workflows.length; start += GRAPHQL_BATCH_SIZE) {
+        const batch = workflows.slice(start, start + GRAPHQL_BATCH_SIZE);
+        const query = `
+            query (${batch.map((workflow, i) => `$w${i}: URI!`).join(', ')}) {
+                ${batch.map((workflow, i) => `w${i}: resource(url: $w${i}) { ... on Workflow { id } }`).join('\n')}
+            }
+        `;
+
+        let data;
+        try {
+            data = await octokit.graphql(query, Object.fromEntries(batch.map((workflow, i) => [`w${i}`, getActionsUrl(workflow)])));
+        } catch (error) {
+            // A URL that does not resolve fails the query but leaves the others' data intact
+            data = error.data;
+            if (!data) {
+                context.log(`GraphQL node ID lookup failed for ${batch.length} workflows:`, error.message);
+                continue;
+            }
+        }
+
+        batch.forEach((workflow, i) => {
+            nodeIds[start + i] = data[`w${i}`]?.id || null;
+        });
+    }
+
+    return nodeIds;
+}
+
+/**
+ * Get the GraphQL node IDs of workflows, which the GraphQL API needs to find them
+ * Workflows named by file are looked up in batched GraphQL queries; workflows named by numeric ID,
+ * and any the batched lookup missed, cost one REST request each. Node IDs are cached for WORKFLOW_NODE_ID_TTL_MS.
+ * @param {Octokit} octokit - Installation client for the workflows' repositories
+ * @param {Array<Object>} workflows - Workflows from the dashboard configuration
+ * @param {Object} context - Function invocation context (for logging)
+ * @returns {Promise<Array<string|null>>} Node IDs in the order of workflows; null where the workflow was not found
+ */
+async function getWorkflowNodeIds(octokit, workflows, context) {
+    const now = Date.now();
+    const nodeIds = workflows.map(workflow => {
+        const cached = workflowNodeIds.get(getWorkflowNodeIdKey(octokit, workflow));
+        return cached && cached.expiresAt > now ? cached.nodeId : null;
+    });
+    const missing = workflows.map((workflow, index) => index).filter(index => !nodeIds[index]);
+
+    const byUrl = missing.filter(index => !/^\d+$/.test(workflows[index].workflow));
+    const found = await findWorkflowNodeIdsByUrl(octokit, byUrl.map(index => workflows[index]), context);
+    byUrl.forEach((index, i) => {
+        nodeIds[index] = found[i];
+    });
+
+    await Promise.all(missing.filter(index => !nodeIds[index]).map(async (index) => {
+        const workflow = workflows[index];
+        nodeIds[index] = await octokit.rest.actions.getWorkflow({
+            owner: workflow.owner,
+            repo: workflow.repo,
+            workflow_id: workflow.workflow
+        }).then(({ data }) => data.node_id).catch(() => null);
+    }));
+
+    for (const index of missing) {
+        if (nodeIds[index]) {
+            workflowNodeIds.set(getWorkflowNodeIdKey(octokit, workflows[index]), {
+                nodeId: nodeIds[index],
+                expiresAt: now + WORKFLOW_NODE_ID_TTL_MS
+            });
+        }
+    }
+    return nodeIds;
+}
+
+/**
+ * Convert a workflow run from the GraphQL API to the shape of the REST API
+ * GraphQL has no run_started_at, so durations count from when the run was created (for re-runs, the first attempt).
+ * @param {Object} run - WorkflowRun node from LATEST_RUNS_QUERY
+ * @returns {Object} Run with the REST fields summarizeRun and buildLatestRunStatus use
+ */
+function toRestWorkflowRun(run) {
+    return {
+        id: run.databaseId,
+        status: run.checkSuite?.status ? run.checkSuite.status.toLowerCase() : null,
+        conclusion: run.checkSuite?.conclusion ? run.checkSuite.conclusion.toLowerCase() : null,
+        created_at: run.createdAt,
+        updated_at: run.updatedAt,
+        html_url: run.url,
+        triggering_actor: run.checkSuite?.creator || null
+    };
+}
+
+/**
+ * Get the latest runs of many workflows through the GraphQL API, in batches of GRAPHQL_BATCH_SIZE
+ * The GraphQL API cannot filter runs, so workflows with run filters are left to the REST API,
+ * as are workflows it cannot find (their REST request reports why).
+ * @param {Octokit} octokit - Installation client for the workflows' repositories
+ * @param {Array<Object>} workflows - Workflows from the dashboard configuration
+ * @param {Object} context - Function invocation context (for logging)
+ * @returns {Promise<Array<Object|null>>} Statuses in the order of workflows; null where the REST API has to be used
+ */
+async function getLatestWorkflowRunsWithGraphql(octokit, workflows, context) {
+    const statuses = new Array(workflows.length).fill(null);
+
+    const unfiltered = workflows
+        .map((workflow, index) => index)
+        .filter(index => Object.keys(getRunFilters(workflows[index])).length === 0);
+    const nodeIds = await getWorkflowNodeIds(octokit, unfiltered.map(index => workflows[index]), context);
+    const batchable = unfiltered
+        .map((index, i) => ({ index, nodeId: nodeIds[i] }))
+        .filter(item => item.nodeId);
+
+    for (let start = 0; start < batchable.length; start += GRAPHQL_BATCH_SIZE) {
+        const batch = batchable.slice(start, start + GRAPHQL_BATCH_SIZE);
+
+        let nodes;
+        try {
+            ({ nodes } = await octokit.graphql(LATEST_RUNS_QUERY, {
+                ids: batch.map(item => item.nodeId),
+                runs: RUN_HISTORY_SIZE
+            }));
+        } catch (error) {
+            // A node that no longer resolves fails the query but leaves the others' data intact
+            nodes = error.data?.nodes;
+            if (!nodes) {
+                context.log(`GraphQL status batch failed, using the REST API for ${batch.length} workflows:`, error.message);
+                continue;
+            }
+        }
+
+        batch.forEach(({ index }, i) => {
+            const workflow = workflows[index];
+            if (!nodes[i]?.runs) {
+                workflowNodeIds.delete(getWorkflowNodeIdKey(octokit, workflow));
+                return;
+            }
+            statuses[index] = buildLatestRunStatus(nodes[i].runs.nodes.map(toRestWorkflowRun), workflow);
+        });
+    }
+
+    return statuses;
+}
+
+/**
+ * Build the status of a workflow that cannot show runs until its configuration or the GitHub App is fixed
+ * @param {Object} workflow - Workflow from the dashboard configuration
+ * @param {string} reason - One of MISCONFIGURATION_REASONS
+ * @param {string} error - What is wrong, for the card's tooltip
+ * @returns {Object} Status with status 'misconfigured' and the reason
+ */
+function buildMisconfiguredStatus(workflow, reason, error) {
+    const { owner, repo } = workflow || {};
+    return {
+        conclusion: null,
+        status: 'misconfigured',
+        reason,
+        url: owner && repo ? getActionsUrl(workflow) : null,
+        error
+    };
+}
+
+/**
+ * Build the status of a workflow whose runs could not be fetched, to be tried again on the next refresh
+ * @param {Object} workflow - Workflow from the dashboard configuration
+ * @param {string} error - Error message
+ * @returns {Object} Status with status 'error'
+ */
+function buildErrorStatus(workflow, error) {
+    return {
+        conclusion: 'error',
+        status: 'error',
+        url: getActionsUrl(workflow),
+        error
+    };
+}
+
+/**
+ * Build the status of a workflow that was not fetched because GitHub's rate limit was reached
+ * The status cache keeps the last known status instead, when there is one.
+ * @param {Object} workflow - Workflow from the dashboard configuration
+ * @param {number|null} resumeAt - Time in milliseconds when requests can be made again, if known
+ * @returns {Object} Status with status 'rate_limited'
+ */
+function buildRateLimitedStatus(workflow, resumeAt) {
+    return {
+        conclusion: null,
+        status: 'rate_limited',
+        url: getActionsUrl(workflow),
+        error: resumeAt
+            ? `GitHub API rate limit reached; the status is checked again after ${new Date(resumeAt).toISOString()}`
+            : 'GitHub API rate limit reached; the status is checked again later'
+    };
+}
+
+/**
+ * Create a GitHub client authenticated as the installation covering a repository
+ * @param {string} keyVaultUrl - Key Vault URL holding the GitHub App credentials
+ * @param {string} owner - Repository owner
+ * @param {string|null} repo - Repository name, or null for the owner's installation
+ * @param {Object} [host] - Host from github-hosts; the default host when omitted
+ * @returns {Promise<Octokit|null>} Installation client, or null if the app cannot see the repository
+ */
+async function createRepositoryClient(keyVaultUrl, owner, repo, host = getGitHubHost()) {
+    const { appId, privateKey } = await getHostCredentials(keyVaultUrl, host);
+
+    const installationId = await getRepositoryInstallationId(appId, privateKey, owner, repo, host.apiUrl);
+    if (!installationId) {
+        return null;
+    }
+    return createInstallationClient(appId, privateKey, installationId, host.apiUrl);
+}
+
+/**
+ * Check whether a workflow run belongs to a tracked workflow
+ * @param {Object} workflow - Workflow from the dashboard configuration (file name or numeric ID)
+ * @param {Object} run - Workflow run from the GitHub API
+ * @returns {boolean} True if the run is a run of the workflow
+ */
+function isRunOfWorkflow(workflow, run) {
+    if (/^\d+$/.test(workflow.workflow)) {
+        return run.workflow_id === Number(workflow.workflow);
+    }
+    return (run.path || '').split('/').pop() === workflow.workflow;
+}
+
+/**
+ * Fetch the latest-run status of the workflows on one host
+ * @param {string} keyVaultUrl - Key Vault URL holding the GitHub App credentials
+ * @param {Object} host - Host from github-hosts
+ * @param {Array<Object>} workflows - Workflows on the host
+ * @param {Array<boolean>} dispatchChecks - Whether to read each workflow's file to learn if it can be dispatched
+ * @param {Object} context - Function invocation context (for logging)
+ * @returns {Promise<Array<Object>>} Statuses in the order of workflows
+ */
+async function fetchHostWorkflowStatuses(keyVaultUrl, host, workflows, dispatchChecks, context) {
+    // Get GitHub App credentials from Key Vault
+    context.log(`Retrieving GitHub App credentials for ${host.name} from Key Vault`);
+    const { appId, privateKey } = await getHostCredentials(keyVaultUrl, host);
+
+    // Look up the installation of each repository once (lookups are cached across requests)
+    context.log(`Finding GitHub App installations on ${host.name}`);
+    const repositoryKeys = [...new Set(workflows.map(w => `${w.owner}/${w.repo}`.toLowerCase()))];
+    const lookups = await Promise.all(repositoryKeys.map(key => {
+        const [owner, repo] = key.split('/');
+        return getRepositoryInstallationId(appId, privateKey, owner, repo, host.apiUrl);
+    }));
+    const installationByRepository = new Map(repositoryKeys.map((key, i) => [key, lookups[i]]));
+
+    // Group workflows by installation, reporting the ones in repositories the app cannot see
+    const statuses = new Array(workflows.length).fill(null);
+    const workflowsByInstallation = {};
+    workflows.forEach((workflow, index) => {
+        const installationId = installationByRepository.get(`${workflow.owner}/${workflow.repo}`.toLowerCase());
+
+        if (!installationId) {
+            context.log(`GitHub App cannot see ${workflow.owner}/${workflow.repo} on ${host.name}`);
+            statuses[index] = buildMisconfiguredStatus(
+                workflow,
+                MISCONFIGURATION_REASONS.NO_INSTALLATION,
+                'The GitHub App is not installed on this repository, or cannot access it'
+            );
+            return;
+        }
+
+        if (!workflowsByInstallation[installationId]) {
+            workflowsByInstallation[installationId] = [];
+        }
+        workflowsByInstallation[installationId].push(index);
+    });
+
+    for (const [installationId, indexes] of Object.entries(workflowsByInstallation)) {
+        // Spend nothing on an installation that is out of budget until its rate limit resets
+        const resumeAt = getRateLimitResumeTime(parseInt(installationId), host.apiUrl);
+        if (resumeAt) {
+            context.log(`Installation ${installationId} on ${host.name} is rate limited until ${new Date(resumeAt).toISOString()}, skipping ${indexes.length} workflows`);
+            indexes.forEach(index => {
+                statuses[index] = buildRateLimitedStatus(workflows[index], resumeAt);
+            });
+            continue;
+        }
+
+        // Create installation-specific client
+        const octokit = await createInstallationClient(
+            appId,
+            privateKey,
+            parseInt(installationId),
+            host.apiUrl
+        );
+
+        // With the GraphQL strategy, most latest runs come from a few batched queries; the rest use REST
+        const batched = getStatusFetchStrategy() === 'graphql'
+            ? await getLatestWorkflowRunsWithGraphql(octokit, indexes.map(index => workflows[index]), context)
+            : [];
+
+        // Fetch statuses in parallel for this installation, noting which workflows can be dispatched
+        const results = await Promise.allSettled(indexes.map(async (index, i) => {
+            const workflow = workflows[index];
+            const [status, definition] = await Promise.all([
+                batched[i] || getLatestWorkflowRun(octokit, workflow),
+                dispatchChecks[index]
+                    ? getWorkflowDefinition(octokit, workflow.owner, workflow.repo, workflow.workflow).catch(() => null)
+                    : null
+            ]);
+            return definition ? { ...status, dispatchable: definition.dispatchable } : status;
+        }));
+
+        results.forEach((result, i) => {
+            statuses[indexes[i]] = result.status === 'fulfilled'
+                ? result.value
+                : buildErrorStatus(workflows[indexes[i]], result.reason?.message || 'Unknown error');
+        });
+    }
+
+    return statuses;
+}
+
+/**
+ * Fetch the latest-run status of workflows from GitHub
+ * Workflows are fetched per host, each with the GitHub App registered on it.
+ * @param {string} keyVaultUrl - Key Vault URL holding the GitHub App credentials
+ * @param {Array<Object>} workflows - Workflows to fetch
+ * @param {Object} context - Function invocation context (for logging)
+ * @param {Array<boolean>} [dispatchChecks] - Whether to read each workflow's file to learn if it can be
+ *   dispatched (every workflow when omitted); statuses of unchecked workflows have no dispatchable field
+ * @returns {Promise<Array<Object>>} Statuses in the order of workflows; repositories the app cannot see
+ *   and hosts that are not configured get a 'misconfigured' status
+ */
+async function fetchWorkflowStatuses(keyVaultUrl, workflows, context, dispatchChecks) {
+    const statuses = new Array(workflows.length).fill(null);
+
+    // Group workflows by host, reporting the ones on hosts this deployment has no settings for
+    const workflowsByHost = new Map();
+    workflows.forEach((workflow, index) => {
+        const host = getGitHubHost(workflow.host);
+        if (!host) {
+            context.log(`GitHub host ${workflow.host} is not configured`);
+            statuses[index] = buildMisconfiguredStatus(
+                workflow,
+                MISCONFIGURATION_REASONS.UNKNOWN_HOST,
+                `${workflow.host} is not one of the GitHub hosts this dashboard is configured for`
+            );
+            return;
+        }
+
+        if (!workflowsByHost.has(host.name)) {
+            workflowsByHost.set(host.name, { host, indexes: [] });
+        }
+        workflowsByHost.get(host.name).indexes.push(index);
+    });
+
+    // A host that fails as a whole (such as one with missing credentials) does not hold back the others;
+    // only when every host fails is the error raised, so callers can fall back to cached statuses
+    const groups = [...workflowsByHost.values()];
+    const results = await Promise.allSettled(groups.map(({ host, indexes }) =>
+        fetchHostWorkflowStatuses(
+            keyVaultUrl,
+            host,
+            indexes.map(index => workflows[index]),
+            indexes.map(index => dispatchChecks ? dispatchChecks[index] : true),
+            context
+        )
+    ));
+
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length > 0 && failed.length === results.length) {
+        throw failed[0].reason;
+    }
+
+    results.forEach((result, i) => {
+        const { host, indexes } = groups[i];
+        if (result.status === 'rejected') {
+            context.log(`Failed to fetch workflow statuses from ${host.name}:`, result.reason?.message);
+        }
+        indexes.forEach((index, j) => {
+            statuses[index] = result.status === 'fulfilled'
+                ? result.value[j]
+                : buildErrorStatus(workflows[index], result.reason?.message || 'Unknown error');
+        });
+    });
+
+    return statuses;
+}
+
+/**
+ * Parse the history query parameter
+ * @param {string|null} value - Requested number of runs
+ * @returns {number} Number of runs to return, between 0 and RUN_HISTORY_SIZE
+ */
+function parseHistorySize(value) {
+    const size = parseInt(value, 10);
+    return Number.isNaN(size) ? 0 : Math.min(Math.max(size, 0), RUN_HISTORY_SIZE);
+}
+
+/**
+ * Build the API result of a tracked workflow that has no status at all, so its card is shown instead of dropped
+ * @param {Object} workflow - Workflow from the dashboard configuration
+ * @returns {Object} Result in the shape of buildWorkflowResult, with reason 'status_unavailable'
+ */
+function buildUnavailableWorkflowResult(workflow) {
+    return {
+        ...(workflow.host && { host: workflow.host }),
+        owner: workflow.owner,
+        repo: workflow.repo,
+        workflow: workflow.workflow,
+        label: workflow.label,
+        order: workflow.order,
+        ...(workflow.rule !== undefined && { rule: workflow.rule }),
+        ...getRunFilters(workflow),
+        ...buildMisconfiguredStatus(
+            workflow,
+            MISCONFIGURATION_REASONS.STATUS_UNAVAILABLE,
+            'No status could be fetched for this workflow'
+        )
+    };
+}
+
+/**
+ * Combine a tracked workflow with its cached status for API responses
+ * @param {Object} workflow - Workflow from the dashboard configuration
+ * @param {Object} entry - Cache entry { status, fetchedAt }
+ * @param {number} now - Current time in milliseconds
+ * @param {number} historySize - Number of recent runs to include (0 to leave the history out)
+ * @returns {Object} Workflow fields (including the host and any run filters), status fields and cache age
+ */
+function buildWorkflowResult(workflow, entry, now, historySize = 0) {
+    const { history, ...status } = entry.status;
+    return {
+        ...(workflow.host && { host: workflow.host }),
+        owner: workflow.owner,
+        repo: workflow.repo,
+        workflow: workflow.workflow,
+        label: workflow.label,
+        order: workflow.order,
+        ...(workflow.rule !== undefined && { rule: workflow.rule }),
+        ...getRunFilters(workflow),
+        ...status,
+        ...(historySize > 0 && { history: (history || []).slice(0, historySize) }),
+        cachedAt: entry.fetchedAt,
+        cacheAgeSeconds: Math.max(0, Math.floor((now - Date.parse(entry.fetchedAt)) / 1000))
+    };
+}
+
+module.exports = {
+    MISCONFIGURATION_REASONS,
+    RUN_FILTERS,
+    RUN_HISTORY_SIZE,
+    buildUnavailableWorkflowResult,
+    buildWorkflowResult,
+    createRepositoryClient,
+    fetchWorkflowStatuses,
+    getLatestWorkflowRun,
+    getRunFilters,
+    isRunOfWorkflow,
+    matchesRunFilters,
+    parseHistorySize,
+    summarizeJob,
+    summarizeRun,
+};
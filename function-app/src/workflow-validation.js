@@ -0,0 +1,271 @@
+// Workflow Validation Module
+// Validates workflows before they are added to a dashboard and checks them against GitHub
+
+const { createInstallationClient, getRepositoryInstallationId } = require('./github-auth');
+const { getGitHubHost, getGitHubHosts, isSameHost, normalizeHostName } = require('./github-hosts');
+const { RUN_FILTERS } = require('./workflow-status');
+
+// Allowed values for the optional run filters
+const RUN_FILTER_PATTERNS = {
+    branch: /^[^\s~^:?*[\\]{1,255}$/,
+    event: /^[a-z_]{1,64}$/,
+    actor: /^[A-Za-z0-9-]{1,39}(\[bot\])?$/
+};
+
+const RUN_FILTER_ERRORS = {
+    branch: 'branch must be a valid branch name',
+    event: 'event must be a workflow trigger event name such as push or pull_request',
+    actor: 'actor must be a GitHub username'
+};
+
+/**
+ * Validate the optional run filters of a workflow
+ * @param {Object} source - Object carrying branch, event and actor fields
+ * @returns {Object} Validation result with isValid, error, and filters (only the ones that are set)
+ */
+function validateRunFilters(source) {
+    const filters = {};
+    for (const name of RUN_FILTERS) {
+        const value = source[name];
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+        if (typeof value !== 'string' || !value.trim()) {
+            return { isValid: false, error: `${name} must be a string when provided` };
+        }
+        if (!RUN_FILTER_PATTERNS[name].test(value.trim())) {
+            return { isValid: false, error: RUN_FILTER_ERRORS[name] };
+        }
+        filters[name] = value.trim();
+    }
+    return { isValid: true, filters };
+}
+
+/**
+ * Validate the optional host of a request or workflow
+ * @param {*} value - Host name; empty for the default host
+ * @returns {Object} Validation result with isValid, error, host (the configured host) and hostName (as stored in entries)
+ */
+function validateHost(value) {
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+        return { isValid: false, error: 'host must be a string when provided' };
+    }
+    const host = getGitHubHost(value);
+    if (!host) {
+        const names = getGitHubHosts().map(h => h.name).join(', ');
+        return { isValid: false, error: `host must be one of the configured GitHub hosts: ${names}` };
+    }
+    return { isValid: true, host, hostName: normalizeHostName(host.name) };
+}
+
+/**
+ * Validate workflow input
+ * @param {Object} workflow - Workflow object to validate
+ * @returns {Object} Validation result with isValid, error, and parsed values
+ */
+function validateWorkflow(workflow) {
+    if (!workflow || typeof workflow !== 'object') {
+        return { isValid: false, error: 'Workflow must be an object' };
+    }
+
+    // Validate repo field (should be in org/repo format)
+    if (!workflow.repo || typeof workflow.repo !== 'string') {
+        return { isValid: false, error: 'repo field is required and must be a string' };
+    }
+
+    // Parse repo into owner and repo
+    const repoParts = workflow.repo.split('/');
+    if (repoParts.length !== 2 || !repoParts[0] || !repoParts[1]) {
+        return { isValid: false, error: 'repo must be in the format "owner/repo"' };
+    }
+
+    // Validate workflow field
+    if (!workflow.workflow || typeof workflow.workflow !== 'string') {
+        return { isValid: false, error: 'workflow field is required and must be a string' };
+    }
+
+    // Validate workflow: either a file with .yml/.yaml extension or a numeric ID
+    const workflowValue = workflow.workflow.trim();
+    const isNumeric = /^\d+$/.test(workflowValue);
+    const hasYamlExtension = workflowValue.endsWith('.yml') || workflowValue.endsWith('.yaml');
+
+    if (!isNumeric && !hasYamlExtension) {
+        return { isValid: false, error: 'workflow must be a .yml or .yaml file, or a numeric workflow ID' };
+    }
+
+    // Validate label field
+    if (!workflow.label || typeof workflow.label !== 'string') {
+        return { isValid: false, error: 'label field is required and must be a string' };
+    }
+
+    // Validate optional dashboardId field
+    if (workflow.dashboardId !== undefined && (typeof workflow.dashboardId !== 'string' || !workflow.dashboardId.trim())) {
+        return { isValid: false, error: 'dashboardId must be a non-empty string when provided' };
+    }
+
+    // Validate optional run filters (empty values mean no filter)
+    const filterValidation = validateRunFilters(workflow);
+    if (!filterValidation.isValid) {
+        return filterValidation;
+    }
+
+    // Validate optional host (empty means the default host)
+    const hostValidation = validateHost(workflow.host);
+    if (!hostValidation.isValid) {
+        return hostValidation;
+    }
+
+    // Return validated and parsed values
+    return { 
+        isValid: true,
+        host: hostValidation.hostName,
+        owner: repoParts[0],
+        repo: repoParts[1],
+        workflow: workflowValue,
+        label: workflow.label,
+        dashboardId: workflow.dashboardId,
+        filters: filterValidation.filters
+    };
+}
+
+/**
+ * Validate a workflow entry as stored in a dashboard (owner and repo as separate fields)
+ * @param {Object} entry - Workflow entry to validate
+ * @returns {Object} Validation result with isValid, error, and the normalized entry
+ */
+function validateWorkflowEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return { isValid: false, error: 'Workflow must be an object' };
+    }
+
+    if (typeof entry.owner !== 'string' || typeof entry.repo !== 'string' || entry.repo.includes('/')) {
+        return { isValid: false, error: 'owner and repo fields are required and must be strings' };
+    }
+
+    const validation = validateWorkflow({ ...entry, repo: `${entry.owner}/${entry.repo}`, dashboardId: undefined });
+    if (!validation.isValid) {
+        return validation;
+    }
+
+    if (entry.order !== undefined && (!Number.isInteger(entry.order) || entry.order < 0)) {
+        return { isValid: false, error: 'order must be a non-negative integer when provided' };
+    }
+
+    return {
+        isValid: true,
+        entry: {
+            ...(validation.host && { host: validation.host }),
+            owner: validation.owner,
+            repo: validation.repo,
+            workflow: validation.workflow,
+            label: validation.label,
+            ...validation.filters,
+            ...(entry.order !== undefined && { order: entry.order })
+        }
+    };
+}
+
+/**
+ * Verify that a workflow exists in a repository using an installation client
+ * @param {Octokit} octokit - Installation client for the repository owner
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} workflowIdOrFile - Workflow file name or ID
+ * @returns {Promise<Object>} Verification result with success, error, statusCode, and the workflow's name
+ */
+async function verifyWorkflowInRepository(octokit, owner, repo, workflowIdOrFile) {
+    // Try to get the workflow to verify it exists and we have access
+    // workflow_id can be either a file name or numeric ID
+    try {
+        const { data } = await octokit.rest.actions.getWorkflow({
+            owner,
+            repo,
+            workflow_id: workflowIdOrFile
+        });
+
+        return { success: true, name: data.name };
+    } catch (error) {
+        if (error.status === 404) {
+            return {
+                success: false,
+                statusCode: 404,
+                error: 'Workflow not found in the specified repository. Please verify the workflow file name or ID.'
+            };
+        } else if (error.status === 403) {
+            return {
+                success: false,
+                statusCode: 403,
+                error: 'GitHub App does not have permission to access this repository or workflow'
+            };
+        } else {
+            return {
+                success: false,
+                statusCode: 502,
+                error: 'Failed to verify workflow with GitHub API'
+            };
+        }
+    }
+}
+
+/**
+ * Verify that the workflow exists in GitHub and the app has access
+ * @param {string} appId - GitHub App ID
+ * @param {string} privateKey - GitHub App private key
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} workflowIdOrFile - Workflow file name or ID
+ * @param {string} [apiUrl] - API base URL of the repository's host; api.github.com when omitted
+ * @returns {Promise<Object>} Verification result with success, error, and statusCode
+ */
+async function verifyWorkflowAccess(appId, privateKey, owner, repo, workflowIdOrFile, apiUrl) {
+    try {
+        // Find the installation covering this repository
+        const installationId = await getRepositoryInstallationId(appId, privateKey, owner, repo, apiUrl);
+
+        if (!installationId) {
+            return {
+                success: false,
+                statusCode: 404,
+                error: 'GitHub App is not installed on the specified repository, or cannot access it'
+            };
+        }
+
+        // Create installation-specific client
+        const octokit = await createInstallationClient(appId, privateKey, installationId, apiUrl);
+        return await verifyWorkflowInRepository(octokit, owner, repo, workflowIdOrFile);
+    } catch (error) {
+        return {
+            success: false,
+            statusCode: 502,
+            error: 'Failed to communicate with GitHub API'
+        };
+    }
+}
+
+/**
+ * Check if workflow already exists
+ * @param {Array} workflows - Existing workflows
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} workflowIdOrFile - Workflow file name or ID
+ * @param {string} [host] - Host name; empty for the default host
+ * @returns {boolean} True if workflow exists
+ */
+function workflowExists(workflows, owner, repo, workflowIdOrFile, host) {
+    return workflows.some(w => 
+        isSameHost(w.host, host) &&
+        w.owner === owner && 
+        w.repo === repo && 
+        w.workflow === workflowIdOrFile
+    );
+}
+
+module.exports = {
+    validateHost,
+    validateRunFilters,
+    validateWorkflow,
+    validateWorkflowEntry,
+    verifyWorkflowAccess,
+    verifyWorkflowInRepository,
+    workflowExists,
+};
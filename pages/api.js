@@ -1,20 +1,322 @@
 // GitHub Actions Dashboard API Client
 // Handles API calls to Azure Function backend
 
+/**
+ * Sign-in session for the dashboard
+ * Supports Microsoft Entra ID (authorization code + PKCE, no secret needed in the browser)
+ * and GitHub OAuth apps (the code is exchanged by the github-oauth-token function).
+ * The session is kept in sessionStorage so it ends when the tab is closed.
+ */
+class DashboardAuth {
+    constructor(authConfig, functionUrl) {
+        this.config = authConfig || {};
+        this.functionUrl = functionUrl;
+        this.sessionKey = 'dashboard-auth-session';
+        this.pendingKey = 'dashboard-auth-pending';
+        this.session = this.loadSession();
+    }
+
+    /**
+     * Check whether a sign-in provider has been configured
+     * @returns {boolean} - True if sign-in is available
+     */
+    isConfigured() {
+        const { provider, clientId } = this.config;
+        return (provider === 'entra' || provider === 'github') &&
+            typeof clientId === 'string' && clientId.length > 0 && !clientId.startsWith('__');
+    }
+
+    /**
+     * Load the stored session, discarding it if it has expired
+     * @returns {Object|null} - Session with provider, accessToken, expiresAt and userName
+     */
+    loadSession() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(this.sessionKey));
+            if (stored && stored.expiresAt > Date.now()) {
+                return stored;
+            }
+        } catch (error) {
+            console.warn('Failed to load sign-in session:', error);
+        }
+        return null;
+    }
+
+    /**
+     * Get the access token to send to the Azure Function
+     * @returns {string|null} - Access token, or null when signed out or expired
+     */
+    getToken() {
+        if (this.session && this.session.expiresAt <= Date.now()) {
+            this.logout();
+        }
+        return this.session ? this.session.accessToken : null;
+    }
+
+    /**
+     * Check whether the user is signed in
+     * @returns {boolean} - True if a valid session exists
+     */
+    isSignedIn() {
+        return this.getToken() !== null;
+    }
+
+    /**
+     * Get the signed-in user's display name
+     * @returns {string|null} - Display name
+     */
+    getUserName() {
+        return this.isSignedIn() ? this.session.userName : null;
+    }
+
+    /**
+     * Redirect URI registered with the identity provider (the dashboard page itself)
+     * @returns {string} - Redirect URI
+     */
+    getRedirectUri() {
+        return `${window.location.origin}${window.location.pathname}`;
+    }
+
+    /**
+     * Start the sign-in flow by redirecting to the identity provider
+     */
+    async login() {
+        if (!this.isConfigured()) {
+            throw new Error('Sign-in is not configured');
+        }
+
+        const pending = {
+            state: this.randomString(),
+            returnUrl: window.location.href
+        };
+        const params = new URLSearchParams({
+            client_id: this.config.clientId,
+            redirect_uri: this.getRedirectUri(),
+            state: pending.state
+        });
+
+        let authorizeUrl;
+        if (this.config.provider === 'entra') {
+            pending.codeVerifier = this.randomString();
+            params.set('response_type', 'code');
+            params.set('scope', this.getEntraScope());
+            params.set('code_challenge', await this.createCodeChallenge(pending.codeVerifier));
+            params.set('code_challenge_method', 'S256');
+            authorizeUrl = `https://login.microsoftonline.com/${this.config.tenantId}/oauth2/v2.0/authorize?${params}`;
+        } else {
+            authorizeUrl = `https://github.com/login/oauth/authorize?${params}`;
+        }
+
+        sessionStorage.setItem(this.pendingKey, JSON.stringify(pending));
+        window.location.assign(authorizeUrl);
+    }
+
+    /**
+     * Complete the sign-in flow when the identity provider redirects back to the page
+     * @returns {Promise<boolean>} - True if a sign-in was completed
+     */
+    async handleRedirect() {
+        const params = new URLSearchParams(window.location.search);
+        const code = params.get('code');
+        const state = params.get('state');
+        const providerError = params.get('error');
+        if (!state || (!code && !providerError)) {
+            return false;
+        }
+
+        const pending = JSON.parse(sessionStorage.getItem(this.pendingKey) || 'null');
+        sessionStorage.removeItem(this.pendingKey);
+
+        // Remove the OAuth parameters from the address bar
+        window.history.replaceState(null, '', pending?.returnUrl || this.getRedirectUri());
+
+        if (!pending || pending.state !== state) {
+            throw new Error('Sign-in failed: state mismatch. Please try again.');
+        }
+        if (providerError) {
+            throw new Error(`Sign-in failed: ${params.get('error_description') || providerError}`);
+        }
+
+        this.session = this.config.provider === 'entra'
+            ? await this.exchangeEntraCode(code, pending.codeVerifier)
+            : await this.exchangeGitHubCode(code);
+        sessionStorage.setItem(this.sessionKey, JSON.stringify(this.session));
+        return true;
+    }
+
+    /**
+     * Sign out (clears the local session)
+     */
+    logout() {
+        this.session = null;
+        sessionStorage.removeItem(this.sessionKey);
+    }
+
+    /**
+     * Scope requested from Entra ID for the Azure Function API
+     * @returns {string} - Space-separated scopes
+     */
+    getEntraScope() {
+        const scope = this.config.scope && !this.config.scope.startsWith('__')
+            ? this.config.scope
+            : `api://${this.config.clientId}/user_impersonation`;
+        return `openid profile ${scope}`;
+    }
+
+    /**
+     * Redeem an Entra ID authorization code (PKCE, public client)
+     * @param {string} code - Authorization code
+     * @param {string} codeVerifier - PKCE code verifier
+     * @returns {Promise<Object>} - Session
+     */
+    async exchangeEntraCode(code, codeVerifier) {
+        const response = await fetch(`https://login.microsoftonline.com/${this.config.tenantId}/oauth2/v2.0/token`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams({
+                client_id: this.config.clientId,
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: this.getRedirectUri(),
+                code_verifier: codeVerifier,
+                scope: this.getEntraScope()
+            })
+        });
+
+        const data = await response.json();
+        if (!response.ok || !data.access_token) {
+            throw new Error(`Sign-in failed: ${data.error_description || response.status}`);
+        }
+
+        const claims = this.decodeJwtPayload(data.access_token);
+        return {
+            provider: 'entra',
+            accessToken: data.access_token,
+            expiresAt: Date.now() + data.expires_in * 1000,
+            userName: claims.name || claims.preferred_username || claims.upn || 'Signed in'
+        };
+    }
+
+    /**
+     * Redeem a GitHub OAuth authorization code through the Azure Function
+     * @param {string} code - Authorization code
+     * @returns {Promise<Object>} - Session
+     */
+    async exchangeGitHubCode(code) {
+        const response = await fetch(`${this.functionUrl}/api/github-oauth-token`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ code, redirectUri: this.getRedirectUri() })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Sign-in failed: ${response.status}`);
+        }
+
+        // Look up the login to show in the UI
+        let userName = 'Signed in';
+        try {
+            const userResponse = await fetch('https://api.github.com/user', {
+                headers: {
+                    'Accept': 'application/vnd.github+json',
+                    'Authorization': `Bearer ${data.accessToken}`
+                }
+            });
+            if (userResponse.ok) {
+                userName = (await userResponse.json()).login;
+            }
+        } catch (error) {
+            console.warn('Failed to look up GitHub user:', error);
+        }
+
+        return {
+            provider: 'github',
+            accessToken: data.accessToken,
+            // OAuth app tokens do not expire; keep the session for a working day at most
+            expiresAt: Date.now() + (data.expiresIn || 8 * 60 * 60) * 1000,
+            userName
+        };
+    }
+
+    /**
+     * Decode the payload of a JWT (no verification; display purposes only)
+     * @param {string} token - JWT
+     * @returns {Object} - Claims
+     */
+    decodeJwtPayload(token) {
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(atob(payload));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Generate a random URL-safe string for state and PKCE verifiers
+     * @returns {string} - Random string
+     */
+    randomString() {
+        const bytes = crypto.getRandomValues(new Uint8Array(32));
+        return this.base64UrlEncode(bytes);
+    }
+
+    /**
+     * Create a PKCE S256 code challenge
+     * @param {string} verifier - Code verifier
+     * @returns {Promise<string>} - Code challenge
+     */
+    async createCodeChallenge(verifier) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+        return this.base64UrlEncode(new Uint8Array(digest));
+    }
+
+    /**
+     * Base64url-encode bytes
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} - Base64url string without padding
+     */
+    base64UrlEncode(bytes) {
+        return btoa(String.fromCharCode(...bytes))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+}
+
 class GitHubActionsAPI {
-    constructor(functionUrl) {
+    constructor(functionUrl, auth = null) {
         this.functionUrl = functionUrl;
+        this.auth = auth; // DashboardAuth instance used to attach bearer tokens
         this.debug = true; // Set to true to enable debug logging
         this.inflightRequest = null; // Track in-flight requests to prevent duplicates
+        this.inflightDashboardId = null; // Dashboard the in-flight request was made for
+        this.runHistory = 0; // Number of recent runs to request with each workflow status
+    }
+
+    /**
+     * Build request headers, adding the bearer token when signed in
+     * @param {Object} headers - Request-specific headers
+     * @returns {Object} - Headers including Authorization when available
+     */
+    buildHeaders(headers) {
+        const token = this.auth ? this.auth.getToken() : null;
+        return token ? { ...headers, 'Authorization': `Bearer ${token}` } : headers;
     }
 
     /**
      * Get all workflow statuses from Azure Function
-     * @returns {Promise<Object>} - Response object with workflows, dashboards, and activeDashboardId
+     * @param {string|null} dashboardId - Dashboard to load (defaults to the shared default dashboard)
+     * @returns {Promise<Object>} - Response object with workflows, dashboards, activeDashboardId and defaultDashboardId
      */
-    async getAllWorkflowStatuses() {
-        // If there's already a request in flight, return that promise
-        if (this.inflightRequest) {
+    async getAllWorkflowStatuses(dashboardId = null) {
+        // If there's already a request in flight for the same dashboard, return that promise
+        if (this.inflightRequest && this.inflightDashboardId === dashboardId) {
             if (this.debug) {
                 console.log('Request already in flight, waiting for it to complete');
             }
@@ -22,22 +324,31 @@ class GitHubActionsAPI {
         }
 
         // Create new request
-        this.inflightRequest = (async () => {
+        this.inflightDashboardId = dashboardId;
+        const request = (async () => {
             try {
                 // Add timestamp to URL to ensure cache-busting
-                const cacheBustingUrl = `${this.functionUrl}/api/get-workflow-statuses?t=${Date.now()}`;
+                let cacheBustingUrl = `${this.functionUrl}/api/get-workflow-statuses?t=${Date.now()}`;
+                if (dashboardId) {
+                    cacheBustingUrl += `&dashboardId=${encodeURIComponent(dashboardId)}`;
+                }
+                if (this.runHistory > 0) {
+                    cacheBustingUrl += `&history=${this.runHistory}`;
+                }
                 const response = await fetch(cacheBustingUrl, {
                     method: 'GET',
-                    headers: {
+                    headers: this.buildHeaders({
                         'Accept': 'application/json',
                         'Cache-Control': 'no-cache, no-store, must-revalidate',
                         'Pragma': 'no-cache',
                         'Expires': '0'
-                    }
+                    })
                 });
 
                 if (!response.ok) {
-                    if (response.status === 500) {
+                    if (response.status === 401) {
+                        throw new Error('Sign in to view this dashboard.');
+                    } else if (response.status === 500) {
                         throw new Error('Azure Function error. Check function configuration.');
                     } else if (response.status === 404) {
                         throw new Error('Azure Function not found. Check URL configuration.');
@@ -53,12 +364,270 @@ class GitHubActionsAPI {
 
                 return data;
             } finally {
-                // Clear the in-flight request tracker
-                this.inflightRequest = null;
+                // Clear the in-flight request tracker (unless a newer request replaced it)
+                if (this.inflightRequest === request) {
+                    this.inflightRequest = null;
+                    this.inflightDashboardId = null;
+                }
             }
         })();
 
-        return this.inflightRequest;
+        this.inflightRequest = request;
+        return request;
+    }
+
+    /**
+     * Stream workflow status changes from the Azure Function (Server-Sent Events)
+     * fetch is used instead of EventSource so the bearer token can be sent as a header.
+     * @param {string|null} dashboardId - Dashboard to watch (defaults to the shared default dashboard)
+     * @param {Function} onEvent - Called with (eventName, data) for every event received
+     * @param {AbortSignal} signal - Aborts the stream
+     * @returns {Promise<void>} - Resolves when the server ends the stream
+     */
+    async streamWorkflowStatuses(dashboardId, onEvent, signal) {
+        let streamUrl = `${this.functionUrl}/api/status-stream?t=${Date.now()}`;
+        if (dashboardId) {
+            streamUrl += `&dashboardId=${encodeURIComponent(dashboardId)}`;
+        }
+        if (this.runHistory > 0) {
+            streamUrl += `&history=${this.runHistory}`;
+        }
+        const response = await fetch(streamUrl, {
+            method: 'GET',
+            headers: this.buildHeaders({
+                'Accept': 'text/event-stream'
+            }),
+            cache: 'no-store',
+            signal
+        });
+
+        if (!response.ok || !response.body) {
+            throw new Error(`Status stream error: ${response.status} ${response.statusText}`);
+        }
+
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) {
+                return;
+            }
+
+            // Events are separated by a blank line
+            buffer += value.replace(/\r\n/g, '\n');
+            let separator;
+            while ((separator = buffer.indexOf('\n\n')) !== -1) {
+                const event = this.parseServerSentEvent(buffer.slice(0, separator));
+                buffer = buffer.slice(separator + 2);
+                if (event) {
+                    if (this.debug) {
+                        console.log(`Received ${event.name} event from status stream:`, event.data);
+                    }
+                    onEvent(event.name, event.data);
+                }
+            }
+        }
+    }
+
+    /**
+     * Parse one Server-Sent Event block
+     * @param {string} block - Lines of a single event
+     * @returns {Object|null} - { name, data } or null for comments and events without data
+     */
+    parseServerSentEvent(block) {
+        let name = 'message';
+        const dataLines = [];
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) {
+                name = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trimStart());
+            }
+        }
+        if (dataLines.length === 0) {
+            return null;
+        }
+        try {
+            return { name, data: JSON.parse(dataLines.join('\n')) };
+        } catch (error) {
+            console.warn('Ignoring malformed status stream event:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the jobs and steps of a workflow run from the Azure Function
+     * @param {Object} workflow - Tracked workflow with owner, repo and workflow properties
+     * @param {number} runId - Workflow run ID
+     * @param {string|null} dashboardId - Dashboard the workflow is on (defaults to the shared default dashboard)
+     * @returns {Promise<Object>} - Response object with run and jobs
+     */
+    async getWorkflowJobs(workflow, runId, dashboardId = null) {
+        try {
+            const params = new URLSearchParams({
+                repo: `${workflow.owner}/${workflow.repo}`,
+                workflow: workflow.workflow,
+                runId: String(runId)
+            });
+            if (workflow.host) {
+                params.set('host', workflow.host);
+            }
+            if (dashboardId) {
+                params.set('dashboardId', dashboardId);
+            }
+
+            const response = await fetch(`${this.functionUrl}/api/get-workflow-jobs?${params}`, {
+                method: 'GET',
+                headers: this.buildHeaders({
+                    'Accept': 'application/json'
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || `Failed to load workflow jobs: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (this.debug) {
+                console.log('Received workflow jobs:', data);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Failed to load workflow jobs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Re-run or cancel a workflow run via Azure Function
+     * @param {string} action - rerun-failed-jobs, rerun-workflow or cancel-workflow-run
+     * @param {Object} workflow - Tracked workflow with owner, repo and workflow properties
+     * @param {number} runId - Workflow run ID
+     * @param {string|null} dashboardId - Dashboard the workflow is on (defaults to the active dashboard)
+     * @returns {Promise<Object>} - Response object with success status and the run attempt that was acted on
+     */
+    async runWorkflowAction(action, workflow, runId, dashboardId = null) {
+        try {
+            const response = await fetch(`${this.functionUrl}/api/${action}`, {
+                method: 'POST',
+                headers: this.buildHeaders({
+                    'Content-Type': 'application/json'
+                }),
+                body: JSON.stringify({
+                    host: workflow.host || undefined,
+                    repo: `${workflow.owner}/${workflow.repo}`,
+                    workflow: workflow.workflow,
+                    runId: runId,
+                    dashboardId: dashboardId || undefined
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || `Failed to ${action}: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (this.debug) {
+                console.log(`Run action ${action} requested:`, data);
+            }
+
+            return data;
+        } catch (error) {
+            console.error(`Failed to ${action}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the workflow_dispatch inputs of a workflow from the Azure Function
+     * @param {Object} workflow - Tracked workflow with owner, repo and workflow properties
+     * @param {string|null} dashboardId - Dashboard the workflow is on (defaults to the active dashboard)
+     * @returns {Promise<Object>} - Response object with dispatchable, defaultBranch and inputs
+     */
+    async getWorkflowDispatch(workflow, dashboardId = null) {
+        try {
+            const params = new URLSearchParams({
+                repo: `${workflow.owner}/${workflow.repo}`,
+                workflow: workflow.workflow
+            });
+            if (workflow.host) {
+                params.set('host', workflow.host);
+            }
+            if (dashboardId) {
+                params.set('dashboardId', dashboardId);
+            }
+
+            const response = await fetch(`${this.functionUrl}/api/get-workflow-dispatch?${params}`, {
+                method: 'GET',
+                headers: this.buildHeaders({
+                    'Accept': 'application/json'
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || `Failed to load workflow inputs: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (this.debug) {
+                console.log('Received workflow dispatch inputs:', data);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Failed to load workflow inputs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Start a workflow through its workflow_dispatch trigger via Azure Function
+     * @param {Object} workflow - Tracked workflow with owner, repo and workflow properties
+     * @param {string} ref - Branch or tag to run the workflow on
+     * @param {Object} inputs - Input values by name
+     * @param {string|null} dashboardId - Dashboard the workflow is on (defaults to the active dashboard)
+     * @returns {Promise<Object>} - Response object with success status
+     */
+    async dispatchWorkflow(workflow, ref, inputs, dashboardId = null) {
+        try {
+            const response = await fetch(`${this.functionUrl}/api/dispatch-workflow`, {
+                method: 'POST',
+                headers: this.buildHeaders({
+                    'Content-Type': 'application/json'
+                }),
+                body: JSON.stringify({
+                    host: workflow.host || undefined,
+                    repo: `${workflow.owner}/${workflow.repo}`,
+                    workflow: workflow.workflow,
+                    ref: ref,
+                    inputs: inputs,
+                    dashboardId: dashboardId || undefined
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || `Failed to run workflow: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (this.debug) {
+                console.log('Workflow run requested:', data);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Failed to run workflow:', error);
+            throw error;
+        }
     }
 
     /**
@@ -66,15 +635,17 @@ class GitHubActionsAPI {
      * @param {string} owner - Repository owner
      * @param {string} repo - Repository name
      * @param {string} workflowFile - Workflow file name
+     * @param {string|null} host - GitHub Enterprise host of the repository (null for the default host)
      * @returns {Promise<Object>} - Status object with conclusion, status, and run URL
      */
-    async getWorkflowStatus(owner, repo, workflowFile) {
+    async getWorkflowStatus(owner, repo, workflowFile, host = null) {
         try {
             const data = await this.getAllWorkflowStatuses();
             const allStatuses = data.workflows || [];
             
             // Find the specific workflow in the results
             const workflow = allStatuses.find(w => 
+                (w.host || null) === host &&
                 w.owner === owner && 
                 w.repo === repo && 
                 w.workflow === workflowFile
@@ -93,38 +664,91 @@ class GitHubActionsAPI {
             return {
                 conclusion: 'unknown',
                 status: 'unknown',
-                url: `https://github.com/${owner}/${repo}/actions/workflows/${workflowFile}`
+                url: getWorkflowPageUrl({ host, owner, repo, workflow: workflowFile })
             };
         } catch (error) {
             console.error(`Failed to get status for ${owner}/${repo}/${workflowFile}:`, error);
             return {
                 conclusion: 'error',
                 status: 'error',
-                url: `https://github.com/${owner}/${repo}/actions/workflows/${workflowFile}`,
+                url: getWorkflowPageUrl({ host, owner, repo, workflow: workflowFile }),
                 error: error.message
             };
         }
     }
 
+    /**
+     * List the repositories the GitHub App can see, or the workflows in one of them, via Azure Function
+     * @param {string|null} repoPath - Repository in owner/repo format, or null to list repositories
+     * @param {string|null} dashboardId - Dashboard the workflows would be added to (defaults to the active dashboard)
+     * @param {string|null} host - GitHub Enterprise host of the repository (null for the default host)
+     * @returns {Promise<Object>} - Response object with repositories, or with workflows of the repository
+     */
+    async getAvailableWorkflows(repoPath = null, dashboardId = null, host = null) {
+        try {
+            const params = new URLSearchParams();
+            if (repoPath) {
+                params.set('repo', repoPath);
+            }
+            if (host) {
+                params.set('host', host);
+            }
+            if (dashboardId) {
+                params.set('dashboardId', dashboardId);
+            }
+
+            const response = await fetch(`${this.functionUrl}/api/get-available-workflows?${params}`, {
+                method: 'GET',
+                headers: this.buildHeaders({
+                    'Accept': 'application/json'
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || `Failed to list workflows: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (this.debug) {
+                console.log('Received available workflows:', data);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Failed to list workflows:', error);
+            throw error;
+        }
+    }
+
     /**
      * Add a workflow to the dashboard via Azure Function
      * @param {string} owner - Repository owner
      * @param {string} repo - Repository name
      * @param {string} workflow - Workflow file name
      * @param {string} label - Display label for the workflow
+     * @param {string|null} dashboardId - Dashboard to add to (defaults to the active dashboard)
+     * @param {Object} filters - Optional run filters: branch, event and actor
+     * @param {string|null} host - GitHub Enterprise host of the repository (null for the default host)
      * @returns {Promise<Object>} - Response object with success status
      */
-    async addWorkflow(owner, repo, workflow, label) {
+    async addWorkflow(owner, repo, workflow, label, dashboardId = null, filters = {}, host = null) {
         try {
             const response = await fetch(`${this.functionUrl}/api/add-workflow`, {
                 method: 'POST',
-                headers: {
+                headers: this.buildHeaders({
                     'Content-Type': 'application/json'
-                },
+                }),
                 body: JSON.stringify({
+                    host: host || undefined,
                     repo: `${owner}/${repo}`,
                     workflow: workflow,
-                    label: label
+                    label: label,
+                    dashboardId: dashboardId || undefined, // Dropped when unset; backend uses the active dashboard
+                    branch: filters.branch || undefined,
+                    event: filters.event || undefined,
+                    actor: filters.actor || undefined
                 })
             });
 
@@ -146,23 +770,65 @@ class GitHubActionsAPI {
         }
     }
 
+    /**
+     * Add many workflows to the dashboard in one request via Azure Function
+     * @param {Object} request - Exactly one of workflows (array of { host, repo, workflow, label, branch, event, actor }),
+     *   repo ("owner/repo") or org (login), plus optional host, include/exclude glob patterns and branch, event and actor filters
+     * @param {string|null} dashboardId - Dashboard to add to (defaults to the active dashboard)
+     * @returns {Promise<Object>} - Report with added, skipped and failed counts and a result per workflow
+     */
+    async addWorkflows(request, dashboardId = null) {
+        try {
+            const response = await fetch(`${this.functionUrl}/api/add-workflows`, {
+                method: 'POST',
+                headers: this.buildHeaders({
+                    'Content-Type': 'application/json'
+                }),
+                body: JSON.stringify({
+                    ...request,
+                    dashboardId: dashboardId || undefined
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || `Failed to add workflows: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (this.debug) {
+                console.log('Workflows added:', data);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Failed to add workflows:', error);
+            throw error;
+        }
+    }
+
     /**
      * Remove a workflow from the dashboard via Azure Function
      * @param {string} owner - Repository owner
      * @param {string} repo - Repository name
      * @param {string} workflow - Workflow file name
+     * @param {string|null} dashboardId - Dashboard to remove from (defaults to the active dashboard)
+     * @param {string|null} host - GitHub Enterprise host of the repository (null for the default host)
      * @returns {Promise<Object>} - Response object with success status
      */
-    async removeWorkflow(owner, repo, workflow) {
+    async removeWorkflow(owner, repo, workflow, dashboardId = null, host = null) {
         try {
             const response = await fetch(`${this.functionUrl}/api/remove-workflow`, {
                 method: 'POST',
-                headers: {
+                headers: this.buildHeaders({
                     'Content-Type': 'application/json'
-                },
+                }),
                 body: JSON.stringify({
+                    host: host || undefined,
                     repo: `${owner}/${repo}`,
-                    workflow: workflow
+                    workflow: workflow,
+                    dashboardId: dashboardId || undefined
                 })
             });
 
@@ -185,17 +851,17 @@ class GitHubActionsAPI {
     }
 
     /**
-     * Set the active dashboard
-     * @param {string} dashboardId - Dashboard ID to set as active
+     * Set the shared default dashboard (shown to viewers who have not picked one)
+     * @param {string} dashboardId - Dashboard ID to set as the default
      * @returns {Promise<Object>} - Response object with success status
      */
     async setActiveDashboard(dashboardId) {
         try {
             const response = await fetch(`${this.functionUrl}/api/set-active-dashboard`, {
                 method: 'POST',
-                headers: {
+                headers: this.buildHeaders({
                     'Content-Type': 'application/json'
-                },
+                }),
                 body: JSON.stringify({ dashboardId })
             });
 
@@ -227,9 +893,9 @@ class GitHubActionsAPI {
         try {
             const response = await fetch(`${this.functionUrl}/api/create-dashboard`, {
                 method: 'POST',
-                headers: {
+                headers: this.buildHeaders({
                     'Content-Type': 'application/json'
-                },
+                }),
                 body: JSON.stringify({ name, setAsActive })
             });
 
@@ -251,6 +917,80 @@ class GitHubActionsAPI {
         }
     }
 
+    /**
+     * Export dashboards as a JSON or YAML document
+     * @param {string|null} dashboardId - Dashboard to export (all dashboards the user can view when null)
+     * @param {string} format - 'json' or 'yaml'
+     * @returns {Promise<string>} - Document text
+     */
+    async exportDashboards(dashboardId = null, format = 'json') {
+        try {
+            const params = new URLSearchParams({ format });
+            if (dashboardId) {
+                params.set('dashboardId', dashboardId);
+            }
+
+            const response = await fetch(`${this.functionUrl}/api/export-dashboards?${params}`, {
+                method: 'GET',
+                headers: this.buildHeaders({
+                    'Accept': format === 'yaml' ? 'application/yaml' : 'application/json'
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || `Failed to export dashboards: ${response.status}`);
+            }
+
+            return await response.text();
+        } catch (error) {
+            console.error('Failed to export dashboards:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Import dashboards from a JSON or YAML document
+     * @param {string} content - Document text
+     * @param {string} format - 'json' or 'yaml'
+     * @param {string} mode - 'merge' adds missing workflows and rules; 'replace' swaps them for the imported ones
+     * @param {string|null} dashboardId - Dashboard to import a single-dashboard document into (matched by ID or name when null)
+     * @returns {Promise<Object>} - Response object with what happened to each dashboard
+     */
+    async importDashboards(content, format, mode = 'merge', dashboardId = null) {
+        try {
+            const response = await fetch(`${this.functionUrl}/api/import-dashboards`, {
+                method: 'POST',
+                headers: this.buildHeaders({
+                    'Content-Type': 'application/json'
+                }),
+                body: JSON.stringify({
+                    content,
+                    format,
+                    mode,
+                    dashboardId: dashboardId || undefined
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                const details = errorData.errors?.length > 1 ? ` (and ${errorData.errors.length - 1} more problems)` : '';
+                throw new Error(`${errorData.message || `Failed to import dashboards: ${response.status}`}${details}`);
+            }
+
+            const data = await response.json();
+
+            if (this.debug) {
+                console.log('Dashboards imported:', data);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Failed to import dashboards:', error);
+            throw error;
+        }
+    }
+
     /**
      * Rename a dashboard
      * @param {string} dashboardId - Dashboard ID to rename
@@ -261,9 +1001,9 @@ class GitHubActionsAPI {
         try {
             const response = await fetch(`${this.functionUrl}/api/rename-dashboard`, {
                 method: 'POST',
-                headers: {
+                headers: this.buildHeaders({
                     'Content-Type': 'application/json'
-                },
+                }),
                 body: JSON.stringify({ dashboardId, name })
             });
 
@@ -294,9 +1034,9 @@ class GitHubActionsAPI {
         try {
             const response = await fetch(`${this.functionUrl}/api/delete-dashboard`, {
                 method: 'POST',
-                headers: {
+                headers: this.buildHeaders({
                     'Content-Type': 'application/json'
-                },
+                }),
                 body: JSON.stringify({ dashboardId })
             });
 
@@ -319,18 +1059,166 @@ class GitHubActionsAPI {
     }
 
     /**
-     * Reorder workflows in the active dashboard
+     * Get the recorded versions of a dashboard, or compare two of them
+     * @param {string|null} dashboardId - Dashboard to get history for, or null to list deleted dashboards
+     * @param {string|null} from - Version to compare from (lists the versions when null)
+     * @param {string|null} to - Version to compare to (defaults to the dashboard as it is now)
+     * @returns {Promise<Object>} - Response object with versions, a diff, or deleted dashboards
+     */
+    async getDashboardHistory(dashboardId = null, from = null, to = null) {
+        try {
+            const params = new URLSearchParams();
+            if (dashboardId) {
+                params.set('dashboardId', dashboardId);
+            }
+            if (from) {
+                params.set('from', from);
+            }
+            if (to) {
+                params.set('to', to);
+            }
+
+            const response = await fetch(`${this.functionUrl}/api/get-dashboard-history?${params}`, {
+                method: 'GET',
+                headers: this.buildHeaders({
+                    'Accept': 'application/json'
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || `Failed to get dashboard history: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (this.debug) {
+                console.log('Received dashboard history:', data);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Failed to get dashboard history:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Restore a dashboard to a recorded version
+     * @param {string} dashboardId - Dashboard ID to restore (may be a deleted dashboard)
+     * @param {string} version - Version ID from the dashboard history
+     * @returns {Promise<Object>} - Response object with the restored dashboard
+     */
+    async restoreDashboard(dashboardId, version) {
+        try {
+            const response = await fetch(`${this.functionUrl}/api/restore-dashboard`, {
+                method: 'POST',
+                headers: this.buildHeaders({
+                    'Content-Type': 'application/json'
+                }),
+                body: JSON.stringify({ dashboardId, version })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || `Failed to restore dashboard: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (this.debug) {
+                console.log('Dashboard restored successfully:', data);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Failed to restore dashboard:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the deleted dashboards and workflows the user can see
+     * @returns {Promise<Object>} - Response object with retentionDays and items
+     */
+    async getTrash() {
+        try {
+            const response = await fetch(`${this.functionUrl}/api/get-trash`, {
+                method: 'GET',
+                headers: this.buildHeaders({
+                    'Accept': 'application/json'
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || `Failed to get trash: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (this.debug) {
+                console.log('Received trash:', data);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Failed to get trash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Restore an item from the trash, or purge it for good
+     * @param {string} action - restore-from-trash or purge-from-trash
+     * @param {string} trashId - Trash item ID
+     * @returns {Promise<Object>} - Response object with success status
+     */
+    async runTrashAction(action, trashId) {
+        try {
+            const response = await fetch(`${this.functionUrl}/api/${action}`, {
+                method: 'POST',
+                headers: this.buildHeaders({
+                    'Content-Type': 'application/json'
+                }),
+                body: JSON.stringify({ trashId })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || `Failed to ${action}: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (this.debug) {
+                console.log(`Trash action ${action} completed:`, data);
+            }
+
+            return data;
+        } catch (error) {
+            console.error(`Failed to ${action}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reorder workflows in a dashboard
      * @param {Array<Object>} workflows - Array of workflow objects in desired order with owner, repo, workflow fields
+     * @param {string|null} dashboardId - Dashboard to reorder (defaults to the active dashboard)
      * @returns {Promise<Object>} - Response object with success status
      */
-    async reorderWorkflows(workflows) {
+    async reorderWorkflows(workflows, dashboardId = null) {
         try {
             const response = await fetch(`${this.functionUrl}/api/reorder-workflows`, {
                 method: 'POST',
-                headers: {
+                headers: this.buildHeaders({
                     'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ workflows })
+                }),
+                body: JSON.stringify({
+                    workflows,
+                    dashboardId: dashboardId || undefined
+                })
             });
 
             if (!response.ok) {
@@ -350,6 +1238,47 @@ class GitHubActionsAPI {
             throw error;
         }
     }
+
+    /**
+     * Add, change or remove a dashboard member (owners only)
+     * @param {string} dashboardId - Dashboard ID
+     * @param {string} memberId - Member ID ('github:<user id>' or 'entra:<object id>')
+     * @param {string|null} role - 'viewer', 'editor', 'owner', or null to remove the member
+     * @param {string|null} name - Optional display name for the member
+     * @returns {Promise<Object>} - Response object with the updated members
+     */
+    async updateDashboardMember(dashboardId, memberId, role, name = null) {
+        try {
+            const response = await fetch(`${this.functionUrl}/api/update-dashboard-member`, {
+                method: 'POST',
+                headers: this.buildHeaders({
+                    'Content-Type': 'application/json'
+                }),
+                body: JSON.stringify({
+                    dashboardId,
+                    memberId,
+                    role,
+                    name: name || undefined
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || `Failed to update dashboard member: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (this.debug) {
+                console.log('Dashboard member updated successfully:', data);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Failed to update dashboard member:', error);
+            throw error;
+        }
+    }
 }
 
 /**
@@ -374,6 +1303,24 @@ function getDisplayStatus(conclusion, status, debug = false) {
         };
     }
     
+    // GitHub's rate limit was reached before the workflow's status could be fetched
+    if (status === 'rate_limited') {
+        return {
+            color: '#6c757d', // Gray for rate limited
+            text: 'rate limited',
+            class: 'status-unknown'
+        };
+    }
+    
+    // The workflow cannot show runs until its entry or the GitHub App is fixed
+    if (status === 'misconfigured') {
+        return {
+            color: '#9a6700', // Amber for misconfigured
+            text: 'misconfigured',
+            class: 'status-misconfigured'
+        };
+    }
+    
     // If workflow is queued or in progress
     if (status === 'queued' || status === 'in_progress' || status === 'waiting') {
         return {
@@ -439,3 +1386,37 @@ function getDisplayStatus(conclusion, status, debug = false) {
         class: 'status-unknown'
     };
 }
+
+/**
+ * Describe how to fix a misconfigured workflow
+ * @param {Object} workflow - Workflow with status 'misconfigured', as returned by get-workflow-statuses
+ * @returns {string} - Fix-it hint for the card
+ */
+function getMisconfigurationHint(workflow) {
+    const repository = workflow.owner && workflow.repo ? `${workflow.owner}/${workflow.repo}` : 'the repository';
+    switch (workflow.reason) {
+        case 'no_installation':
+            return `Install the GitHub App on ${repository}, or add the repository to its installation.`;
+        case 'workflow_not_found':
+            return `Check that ${workflow.workflow} still exists in ${repository}; remove the card and add the workflow again if it was renamed.`;
+        case 'forbidden':
+            return 'Grant the GitHub App the Actions: Read permission, then accept the new permissions on the installation.';
+        case 'unknown_host':
+            return `Add ${workflow.host} to GITHUB_ENTERPRISE_HOSTS in the function app settings, or remove this workflow.`;
+        case 'status_unavailable':
+            return 'No status could be fetched yet; check the function app logs if this does not clear on the next refresh.';
+        default:
+            return workflow.error || 'Check the workflow configuration.';
+    }
+}
+
+/**
+ * Build the link to a workflow's page on its GitHub host
+ * Used when there is no status, and so no link from the Azure Function, to show.
+ * @param {Object} workflow - Workflow with owner, repo and workflow properties, and host when not on github.com
+ * @returns {string} - Workflow page URL
+ */
+function getWorkflowPageUrl(workflow) {
+    const webUrl = workflow.host ? `https://${workflow.host}` : 'https://github.com';
+    return `${webUrl}/${workflow.owner}/${workflow.repo}/actions/workflows/${workflow.workflow}`;
+}
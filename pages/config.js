@@ -7,6 +7,18 @@ const DASHBOARD_CONFIG = {
         // Azure Function URL that will be injected at build time
         // This function handles authentication with GitHub App and returns workflow statuses
         url: '__AZURE_FUNCTION_URL__',
-        debug: false // Set to true to enable debug logging in browser console
+        debug: false, // Set to true to enable debug logging in browser console
+        liveUpdates: true, // Stream status changes from the function app; polling is used while the stream is down
+        runHistory: 10 // Number of recent runs shown as colored ticks on each card (0 to hide, at most 10)
+    },
+
+    // Sign-in Configuration (values injected at build time)
+    // provider: 'entra' (Microsoft Entra ID), 'github' (GitHub OAuth app), or empty to disable sign-in
+    auth: {
+        provider: '__AUTH_PROVIDER__',
+        clientId: '__AUTH_CLIENT_ID__',
+        // Entra ID only: directory (tenant) ID and the API scope exposed by the app registration
+        tenantId: '__AUTH_TENANT_ID__',
+        scope: '__AUTH_SCOPE__'
     }
 };
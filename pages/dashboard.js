@@ -1,17 +1,105 @@
 // GitHub Actions Dashboard Loader
 // Loads workflow statuses and renders them dynamically
 
+// Re-run and cancel actions on workflow runs, keyed by their function endpoint names
+const RUN_ACTIONS = {
+    'rerun-failed-jobs': { label: 'Re-run failed jobs', progress: 'Re-running failed jobs...' },
+    'rerun-workflow': { label: 'Re-run all jobs', progress: 'Re-running all jobs...' },
+    'cancel-workflow-run': { label: 'Cancel run', progress: 'Cancelling...' }
+};
+
+// How often, and how many times, a run is checked after an action until GitHub shows the change
+const RUN_ACTION_POLL_INTERVAL_MS = 3000;
+const RUN_ACTION_POLL_LIMIT = 40;
+
+// Most repositories suggested at once in the Add Workflow picker
+const REPOSITORY_OPTION_LIMIT = 50;
+
+// Auto-refresh waits this many times longer while the function app reports GitHub's rate limit as low
+const RATE_LIMIT_REFRESH_FACTOR = 3;
+
 class DashboardLoader {
     constructor(config, apiClient, workflowManager) {
         this.config = config;
         this.api = apiClient;
         this.workflowManager = workflowManager;
         this.dashboards = [];
-        this.activeDashboardId = null;
+        this.dashboardStorageKey = 'dashboard-active-id';
+        this.dashboardUrlParam = 'dashboard';
+        this.activeDashboardId = this.loadActiveDashboardId();
+        this.defaultDashboardId = null;
+        this.currentUser = null;
         this.selectedDashboardId = null;
         this.isEditMode = false;
         this.originalWorkflowOrder = null;
         this.draggedElement = null;
+        this.liveUpdatesController = null; // Aborts the status stream of the current dashboard
+        this.liveUpdatesConnected = false;
+        this.workflowDetailsRequest = null; // Pending get-workflow-jobs request of the details modal
+        this.workflowDetails = null; // Workflow and run shown in the details modal
+        this.pendingRunActions = new Map(); // Run ID -> action waiting for GitHub to show the change
+        this.dispatchTarget = null; // Workflow and declared inputs shown in the run workflow modal
+        this.repositoryCatalog = null; // Pending or loaded repository list of the Add Workflow picker
+        this.availableWorkflows = null; // Repository and workflows listed in the Add Workflow picker
+        this.selectedWorkflows = new Map(); // Workflow file or ID -> workflow picked in the Add Workflow picker
+        this.rateLimitHealth = null; // GitHub rate-limit health from the latest status response or stream event
+    }
+
+    /**
+     * Load this viewer's dashboard choice from the URL or localStorage
+     * The URL wins so shared links open the dashboard they point at
+     * @returns {string|null} - Dashboard ID, or null to use the shared default
+     */
+    loadActiveDashboardId() {
+        try {
+            const fromUrl = new URLSearchParams(window.location.search).get(this.dashboardUrlParam);
+            return fromUrl || localStorage.getItem(this.dashboardStorageKey);
+        } catch (error) {
+            console.warn('Failed to load dashboard selection:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remember this viewer's dashboard choice in the URL and localStorage
+     * @param {string|null} dashboardId - Dashboard ID, or null to forget the choice
+     */
+    saveActiveDashboardId(dashboardId) {
+        try {
+            const url = new URL(window.location.href);
+            if (dashboardId) {
+                localStorage.setItem(this.dashboardStorageKey, dashboardId);
+                url.searchParams.set(this.dashboardUrlParam, dashboardId);
+            } else {
+                localStorage.removeItem(this.dashboardStorageKey);
+                url.searchParams.delete(this.dashboardUrlParam);
+            }
+            window.history.replaceState(null, '', url);
+        } catch (error) {
+            console.warn('Failed to save dashboard selection:', error);
+        }
+    }
+
+    /**
+     * Switch the dashboard shown to this viewer (does not affect other viewers)
+     * @param {string} dashboardId - Dashboard ID to show
+     */
+    async switchDashboard(dashboardId) {
+        this.activeDashboardId = dashboardId;
+        this.saveActiveDashboardId(dashboardId);
+
+        // Clear the container and reload workflows for the new dashboard
+        const container = document.querySelector('.workflow-grids-container');
+        if (container) {
+            container.innerHTML = '';
+        }
+
+        await this.loadWorkflows();
+
+        // Watch the new dashboard instead of the previous one
+        if (this.liveUpdatesController) {
+            this.startLiveUpdates();
+        }
     }
 
     /**
@@ -24,11 +112,35 @@ class DashboardLoader {
         const workflowItem = document.createElement('div');
         workflowItem.className = 'workflow-item';
 
+        // Workflows matched by an auto-track rule come and go with the rule, so they cannot be removed or moved
+        const matchedByRule = typeof workflow.rule === 'number';
+        if (matchedByRule) {
+            workflowItem.classList.add('workflow-item-rule');
+            workflowItem.title = 'Tracked automatically by a dashboard rule';
+        }
+
+        if (status.status === 'misconfigured') {
+            workflowItem.classList.add('workflow-item-misconfigured');
+        }
+
         const link = document.createElement('a');
-        link.href = status.url;
+        if (status.url) {
+            link.href = status.url;
+        }
         link.className = 'workflow-card-link';
         link.setAttribute('aria-label', `View ${workflow.label} workflow runs`);
 
+        // Open the job drill-down for the latest run; modified clicks still open GitHub
+        if (workflow.runId) {
+            link.addEventListener('click', (e) => {
+                if (this.isEditMode || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+                    return;
+                }
+                e.preventDefault();
+                this.showWorkflowDetails(workflow);
+            });
+        }
+
         const label = document.createElement('div');
         label.className = 'workflow-label';
         label.textContent = workflow.label;
@@ -39,12 +151,52 @@ class DashboardLoader {
         const displayStatus = getDisplayStatus(status.conclusion, status.status, this.api.debug);
         statusBadge.classList.add(displayStatus.class);
         statusBadge.textContent = displayStatus.text;
+        if (status.error) {
+            statusBadge.title = status.error;
+        }
 
         link.appendChild(label);
+
+        const filterText = this.formatRunFilters(workflow);
+        if (filterText) {
+            const filter = document.createElement('div');
+            filter.className = 'workflow-filter';
+            filter.textContent = filterText;
+            link.appendChild(filter);
+        }
+
         link.appendChild(statusBadge);
+
+        // Say how to get a misconfigured workflow showing runs again
+        if (status.status === 'misconfigured') {
+            const hint = document.createElement('div');
+            hint.className = 'workflow-hint';
+            hint.textContent = getMisconfigurationHint(workflow);
+            link.appendChild(hint);
+        }
+
         workflowItem.appendChild(link);
 
-        // Add remove button for workflows (will always show for now, API handles permissions)
+        if (status.history && status.history.length > 0) {
+            workflowItem.appendChild(this.createRunHistory(workflow, status.history));
+        }
+
+        // Offer the action a red or running card usually needs (hidden by CSS when the viewer cannot edit)
+        const cardAction = this.getCardRunAction(workflow, displayStatus);
+        if (cardAction) {
+            workflowItem.appendChild(this.createRunActionButton(cardAction, workflow, workflow.runId, 'workflow-run-action-button'));
+        }
+
+        // Offer a manual run when the workflow has a workflow_dispatch trigger (hidden by CSS when the viewer cannot edit)
+        if (workflow.dispatchable) {
+            workflowItem.appendChild(this.createDispatchButton(workflow));
+        }
+
+        if (matchedByRule) {
+            return workflowItem;
+        }
+
+        // Add remove button for workflows (hidden by CSS when the viewer cannot edit)
         const removeButton = document.createElement('button');
         removeButton.className = 'workflow-remove-button';
         removeButton.setAttribute('aria-label', `Remove ${workflow.label} workflow`);
@@ -64,420 +216,428 @@ class DashboardLoader {
     }
 
     /**
-     * Create a loading placeholder card
+     * Create the run history strip: one colored tick per recent run, linking to the run
      * @param {Object} workflow - Workflow configuration
-     * @returns {HTMLElement} - Loading card element
+     * @param {Array<Object>} history - Recent runs, newest first
+     * @returns {HTMLElement} - Run history element
      */
-    createLoadingCard(workflow) {
-        const workflowItem = document.createElement('div');
-        workflowItem.className = 'workflow-item';
-
-        const link = document.createElement('a');
-        link.href = '#';
-        link.className = 'workflow-card-link';
-        link.setAttribute('aria-label', `Loading ${workflow.label} workflow status`);
-
-        const label = document.createElement('div');
-        label.className = 'workflow-label';
-        label.textContent = workflow.label;
+    createRunHistory(workflow, history) {
+        const strip = document.createElement('div');
+        strip.className = 'workflow-history';
+        strip.setAttribute('aria-label', `Recent runs of ${workflow.label}`);
+        strip.setAttribute('data-history-key', this.getRunHistoryKey(history));
+
+        [...history].reverse().forEach(run => {
+            const displayStatus = getDisplayStatus(run.conclusion, run.status, this.api.debug);
+            const details = [displayStatus.text];
+            if (typeof run.durationSeconds === 'number') {
+                details.push(this.formatDuration(run.durationSeconds));
+            }
+            if (run.actor) {
+                details.push(run.actor);
+            }
+            if (run.createdAt) {
+                details.push(new Date(run.createdAt).toLocaleString());
+            }
 
-        const statusBadge = document.createElement('span');
-        statusBadge.className = 'workflow-status status-loading';
-        statusBadge.textContent = 'loading...';
+            const tick = document.createElement('a');
+            tick.className = `workflow-history-tick ${displayStatus.class}`;
+            tick.href = run.url;
+            tick.title = details.join(' · ');
+            tick.setAttribute('aria-label', details.join(', '));
+            strip.appendChild(tick);
+        });
 
-        link.appendChild(label);
-        link.appendChild(statusBadge);
-        workflowItem.appendChild(link);
+        return strip;
+    }
 
-        return workflowItem;
+    /**
+     * Summarize a run history so changed histories can be detected
+     * @param {Array<Object>} history - Recent runs
+     * @returns {string} - Key that changes when any run's outcome changes
+     */
+    getRunHistoryKey(history) {
+        return (history || []).map(run => `${run.runId}:${run.conclusion || run.status}`).join(',');
     }
 
     /**
-     * Generate a unique key for a workflow
-     * @param {Object} workflow - Workflow object with owner, repo, and workflow properties
-     * @returns {string} - Unique workflow key
+     * Format a run duration for display
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} - Duration such as "45s", "3m 12s" or "1h 5m"
      */
-    getWorkflowKey(workflow) {
-        if (!workflow?.owner || !workflow?.repo || !workflow?.workflow) {
-            console.warn('Invalid workflow object:', workflow);
-            return '';
+    formatDuration(seconds) {
+        if (seconds < 60) {
+            return `${seconds}s`;
         }
-        return `${workflow.owner}/${workflow.repo}/${workflow.workflow}`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) {
+            return `${minutes}m ${seconds % 60}s`;
+        }
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
     }
 
     /**
-     * Check if the container has an error state displayed
-     * @param {HTMLElement} container - Workflow grids container element
-     * @returns {boolean} - True if container has error state
+     * Set up the workflow details modal (job drill-down)
      */
-    hasErrorState(container) {
-        return container.querySelector('.config-error') !== null;
+    setupWorkflowDetailsModal() {
+        const modal = document.getElementById('workflow-details-modal');
+        const closeButton = modal?.querySelector('.close-button');
+
+        if (!modal) return;
+
+        // Close modal
+        const closeModal = () => {
+            modal.style.display = 'none';
+            this.workflowDetailsRequest = null;
+            this.workflowDetails = null;
+        };
+
+        closeButton?.addEventListener('click', closeModal);
+
+        // Close on backdrop click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeModal();
+            }
+        });
     }
 
     /**
-     * Update refresh status indicator
-     * @param {boolean} isRefreshing - Whether a refresh is in progress
-     * @param {Date} lastRefreshTime - Last successful refresh time
+     * Show the jobs and steps of a workflow's latest run
+     * @param {Object} workflow - Workflow with status fields, as returned by get-workflow-statuses
      */
-    updateRefreshStatus(isRefreshing, lastRefreshTime = null) {
-        const refreshStatus = document.getElementById('refresh-status');
-        const refreshStatusText = refreshStatus?.querySelector('.refresh-status-text');
-        const refreshButton = document.getElementById('refresh-button');
-        
-        if (!refreshStatus || !refreshStatusText) {
+    async showWorkflowDetails(workflow) {
+        const modal = document.getElementById('workflow-details-modal');
+        const title = document.getElementById('workflow-details-title');
+        const body = document.getElementById('workflow-details-body');
+        if (!modal || !body) {
+            window.location.href = workflow.url;
             return;
         }
 
-        refreshStatus.style.display = 'flex';
-        
-        if (isRefreshing) {
-            refreshStatus.classList.add('refreshing');
-            refreshStatusText.textContent = 'Refreshing...';
-            // Disable refresh button during refresh
-            if (refreshButton) {
-                refreshButton.disabled = true;
-            }
-        } else {
-            refreshStatus.classList.remove('refreshing');
-            if (lastRefreshTime) {
-                try {
-                    // Use user's browser locale for localized time formatting
-                    const locale = navigator.language || 'en-US';
-                    const timeString = lastRefreshTime.toLocaleString(locale, {
-                        timeZoneName: 'short'
-                    });
-                    refreshStatusText.textContent = `Last updated: ${timeString}`;
-                } catch (error) {
-                    // Fallback to ISO string if locale formatting fails
-                    console.warn('Failed to format time with locale:', error);
-                    refreshStatusText.textContent = `Last updated: ${lastRefreshTime.toISOString()}`;
-                }
+        title.textContent = workflow.label;
+        body.innerHTML = '<p class="workflow-details-message">Loading jobs...</p>';
+        modal.style.display = 'block';
+        this.workflowDetails = { workflow, runId: workflow.runId };
+
+        // Ignore the response if the modal was closed or another card was opened meanwhile
+        const request = this.api.getWorkflowJobs(workflow, workflow.runId, this.activeDashboardId);
+        this.workflowDetailsRequest = request;
+
+        try {
+            const data = await request;
+            if (this.workflowDetailsRequest === request) {
+                this.renderWorkflowDetails(body, workflow, data);
             }
-            // Re-enable refresh button after refresh
-            if (refreshButton) {
-                refreshButton.disabled = false;
+        } catch (error) {
+            if (this.workflowDetailsRequest === request) {
+                body.innerHTML = '';
+                const message = document.createElement('p');
+                message.className = 'form-error';
+                message.textContent = error.message || 'Failed to load workflow jobs.';
+                body.appendChild(message);
+                body.appendChild(this.createGitHubLink(workflow.url, 'View run on GitHub'));
             }
         }
     }
 
     /**
-     * Group workflows by repository
-     * @param {Array} workflows - Array of workflow objects
-     * @returns {Map} - Map of repository keys to workflow arrays
+     * Render a run's jobs and steps into the workflow details modal
+     * @param {HTMLElement} body - Modal body element
+     * @param {Object} workflow - Tracked workflow the run belongs to
+     * @param {Object} data - Response from get-workflow-jobs
      */
-    groupWorkflowsByRepository(workflows) {
-        const grouped = new Map();
-        
-        workflows.forEach(workflow => {
-            const repoKey = `${workflow.owner}/${workflow.repo}`;
-            if (!grouped.has(repoKey)) {
-                grouped.set(repoKey, []);
+    renderWorkflowDetails(body, workflow, data) {
+        const { run, jobs } = data;
+        body.innerHTML = '';
+
+        const summary = document.createElement('div');
+        summary.className = 'workflow-details-summary';
+
+        const runTitle = document.createElement('div');
+        runTitle.className = 'workflow-details-run';
+        runTitle.textContent = `${run.title || run.name} #${run.runNumber}`;
+        summary.appendChild(runTitle);
+
+        const meta = [run.branch, run.event, run.actor && `@${run.actor}`, run.createdAt && new Date(run.createdAt).toLocaleString()];
+        if (run.runAttempt > 1) {
+            meta.push(`attempt ${run.runAttempt}`);
+        }
+        const runMeta = document.createElement('div');
+        runMeta.className = 'workflow-details-meta';
+        runMeta.textContent = meta.filter(Boolean).join(' · ');
+        summary.appendChild(runMeta);
+
+        summary.appendChild(this.createGitHubLink(run.url, 'View run on GitHub'));
+
+        // Actions that apply to the run in its current state (hidden by CSS when the viewer cannot edit)
+        const actions = document.createElement('div');
+        actions.className = 'workflow-details-actions';
+        const available = run.status === 'completed'
+            ? [...(run.conclusion !== 'success' ? ['rerun-failed-jobs'] : []), 'rerun-workflow']
+            : ['cancel-workflow-run'];
+        available.forEach(action => {
+            actions.appendChild(this.createRunActionButton(action, workflow, run.runId, 'modal-button modal-button-secondary'));
+        });
+        summary.appendChild(actions);
+
+        body.appendChild(summary);
+
+        if (jobs.length === 0) {
+            const message = document.createElement('p');
+            message.className = 'workflow-details-message';
+            message.textContent = 'No jobs have started yet.';
+            body.appendChild(message);
+            return;
+        }
+
+        const jobList = document.createElement('ul');
+        jobList.className = 'workflow-jobs';
+
+        jobs.forEach(job => {
+            const jobStatus = getDisplayStatus(job.conclusion, job.status, this.api.debug);
+            const item = document.createElement('li');
+            item.className = 'workflow-job';
+
+            // Failed jobs start expanded, since they are what the panel is usually opened for
+            const details = document.createElement('details');
+            details.open = jobStatus.class === 'status-failure';
+
+            const jobSummary = document.createElement('summary');
+            jobSummary.className = 'workflow-job-summary';
+
+            const badge = document.createElement('span');
+            badge.className = `workflow-status workflow-job-status ${jobStatus.class}`;
+            badge.textContent = jobStatus.text;
+
+            const name = document.createElement('span');
+            name.className = 'workflow-job-name';
+            name.textContent = job.name;
+
+            jobSummary.appendChild(badge);
+            jobSummary.appendChild(name);
+            if (typeof job.durationSeconds === 'number') {
+                const duration = document.createElement('span');
+                duration.className = 'workflow-job-duration';
+                duration.textContent = this.formatDuration(job.durationSeconds);
+                jobSummary.appendChild(duration);
             }
-            grouped.get(repoKey).push(workflow);
+            if (job.url) {
+                jobSummary.appendChild(this.createGitHubLink(job.url, 'Log', `Open the log of ${job.name}`));
+            }
+            details.appendChild(jobSummary);
+
+            const stepList = document.createElement('ol');
+            stepList.className = 'workflow-steps';
+            job.steps.forEach(step => {
+                const stepStatus = getDisplayStatus(step.conclusion, step.status, this.api.debug);
+                const stepItem = document.createElement('li');
+                stepItem.className = 'workflow-step';
+
+                const dot = document.createElement('span');
+                dot.className = `workflow-step-status ${stepStatus.class}`;
+                dot.title = stepStatus.text;
+                dot.setAttribute('aria-label', stepStatus.text);
+
+                const stepName = document.createElement('span');
+                stepName.className = 'workflow-step-name';
+                stepName.textContent = step.name;
+
+                stepItem.appendChild(dot);
+                stepItem.appendChild(stepName);
+                if (typeof step.durationSeconds === 'number') {
+                    const duration = document.createElement('span');
+                    duration.className = 'workflow-job-duration';
+                    duration.textContent = this.formatDuration(step.durationSeconds);
+                    stepItem.appendChild(duration);
+                }
+                if (step.url) {
+                    stepItem.appendChild(this.createGitHubLink(step.url, 'Log', `Open the log of step ${step.name}`));
+                }
+                stepList.appendChild(stepItem);
+            });
+            details.appendChild(stepList);
+
+            item.appendChild(details);
+            jobList.appendChild(item);
         });
-        
-        return grouped;
+
+        body.appendChild(jobList);
     }
 
     /**
-     * Create a repository section with header and grid
-     * @param {string} repoKey - Repository key (owner/repo)
-     * @param {Array} workflows - Array of workflows for this repository
-     * @returns {HTMLElement} - Repository section element
+     * Pick the run action offered on a card
+     * @param {Object} workflow - Workflow with status fields
+     * @param {Object} displayStatus - Result of getDisplayStatus for the card
+     * @returns {string|null} - Action name, or null when the card offers none
      */
-    createRepositorySection(repoKey, workflows) {
-        const section = document.createElement('div');
-        section.className = 'repo-section';
-        section.setAttribute('data-repo-key', repoKey);
-        
-        // Create repository header
-        const header = document.createElement('h2');
-        header.className = 'repo-header';
-        header.textContent = repoKey;
-        
-        // Create workflow grid for this repository
-        const grid = document.createElement('div');
-        grid.className = 'workflow-grid';
-        
-        // Add workflow cards to grid
-        workflows.forEach(workflow => {
-            const key = this.getWorkflowKey(workflow);
-            const card = this.createWorkflowCard(workflow, {
-                conclusion: workflow.conclusion,
-                status: workflow.status,
-                url: workflow.url,
-                updatedAt: workflow.updatedAt
-            });
-            card.setAttribute('data-workflow-key', key);
-            grid.appendChild(card);
-        });
-        
-        section.appendChild(header);
-        section.appendChild(grid);
-        
-        return section;
+    getCardRunAction(workflow, displayStatus) {
+        if (!workflow.runId) {
+            return null;
+        }
+        if (displayStatus.class === 'status-running') {
+            return 'cancel-workflow-run';
+        }
+        if (['status-failure', 'status-timeout', 'status-cancelled'].includes(displayStatus.class)) {
+            return 'rerun-failed-jobs';
+        }
+        return null;
     }
 
     /**
-     * Load all workflow statuses and render them
+     * Create a button that re-runs or cancels a run
+     * Buttons for a run with an action in progress are rendered disabled, so cards
+     * re-rendered while waiting keep showing the progress.
+     * @param {string} action - Key of RUN_ACTIONS
+     * @param {Object} workflow - Tracked workflow the run belongs to
+     * @param {number} runId - Workflow run ID
+     * @param {string} className - Button classes (icon button on cards, text button in the details modal)
+     * @returns {HTMLElement} - Button element
      */
-    async loadWorkflows() {
-        const container = document.querySelector('.workflow-grids-container');
-        
-        if (!container) {
-            console.error('Workflow grids container element not found');
+    createRunActionButton(action, workflow, runId, className) {
+        const button = document.createElement('button');
+        button.className = className;
+        button.setAttribute('data-run-id', runId);
+        button.setAttribute('data-run-action', action);
+
+        if (className === 'workflow-run-action-button') {
+            button.innerHTML = action === 'cancel-workflow-run'
+                ? `<svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <rect x="6" y="6" width="12" height="12" rx="1" stroke="currentColor" stroke-width="2"/>
+                </svg>`
+                : `<svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M20 12A8 8 0 1 1 17.66 6.34M20 4V9H15" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>`;
+        }
+
+        button.onclick = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.performRunAction(action, workflow, runId);
+        };
+
+        this.updateRunActionButton(button);
+        return button;
+    }
+
+    /**
+     * Show whether an action is in progress on a run action button
+     * @param {HTMLElement} button - Button created by createRunActionButton
+     */
+    updateRunActionButton(button) {
+        const action = button.getAttribute('data-run-action');
+        const pendingAction = this.pendingRunActions.get(Number(button.getAttribute('data-run-id')));
+        const text = pendingAction ? RUN_ACTIONS[pendingAction].progress : RUN_ACTIONS[action].label;
+
+        button.disabled = Boolean(pendingAction);
+        button.classList.toggle('in-progress', pendingAction === action);
+        button.title = text;
+        button.setAttribute('aria-label', text);
+        if (!button.querySelector('svg')) {
+            button.textContent = pendingAction === action ? text : RUN_ACTIONS[action].label;
+        }
+    }
+
+    /**
+     * Re-run or cancel a run, then wait until GitHub shows the change
+     * @param {string} action - Key of RUN_ACTIONS
+     * @param {Object} workflow - Tracked workflow the run belongs to
+     * @param {number} runId - Workflow run ID
+     */
+    async performRunAction(action, workflow, runId) {
+        if (this.pendingRunActions.has(runId)) {
             return;
         }
 
-        // Show refreshing status
-        this.updateRefreshStatus(true);
+        const updateButtons = () => {
+            document.querySelectorAll(`[data-run-id="${runId}"]`).forEach(button => this.updateRunActionButton(button));
+        };
+
+        this.pendingRunActions.set(runId, action);
+        updateButtons();
 
         try {
-            // Get all workflow statuses from Azure Function
-            // The function returns workflows with their statuses already populated
-            const data = await this.api.getAllWorkflowStatuses();
-            
-            // Update dashboards list
-            this.dashboards = data.dashboards || [];
-            this.activeDashboardId = data.activeDashboardId;
-            
-            // Update dashboard selector UI
-            this.updateDashboardSelector();
-            
-            const workflowStatuses = data.workflows || [];
-
-            if (!workflowStatuses || workflowStatuses.length === 0) {
-                // Only clear container if there are no workflows (first load scenario)
-                if (container.children.length === 0 || this.hasErrorState(container)) {
-                    container.innerHTML = '';
-                    this.showNoWorkflowsMessage(container);
-                }
-                this.updateRefreshStatus(false, new Date());
-                return;
-            }
-
-            // Group workflows by repository
-            const workflowsByRepo = this.groupWorkflowsByRepository(workflowStatuses);
-            
-            // Get existing repository sections
-            const existingSections = new Map();
-            Array.from(container.children).forEach(section => {
-                if (section.classList.contains('repo-section')) {
-                    const repoKey = section.getAttribute('data-repo-key');
-                    if (repoKey) {
-                        existingSections.set(repoKey, section);
-                    }
-                }
-            });
-
-            // Check if this is a first load or if we have an error state
-            const isFirstLoad = container.children.length === 0 || 
-                               this.hasErrorState(container) ||
-                               existingSections.size === 0;
-
-            if (isFirstLoad) {
-                // Clear and rebuild everything
-                container.innerHTML = '';
-                
-                // Create sections for each repository
-                workflowsByRepo.forEach((workflows, repoKey) => {
-                    const section = this.createRepositorySection(repoKey, workflows);
-                    container.appendChild(section);
-                });
-            } else {
-                // Update existing sections or add new ones
-                const updatedRepoKeys = new Set();
-                
-                // Process each repository
-                workflowsByRepo.forEach((workflows, repoKey) => {
-                    updatedRepoKeys.add(repoKey);
-                    const existingSection = existingSections.get(repoKey);
-                    
-                    if (existingSection) {
-                        // Update existing section
-                        const grid = existingSection.querySelector('.workflow-grid');
-                        if (grid) {
-                            // Update workflow cards in this grid
-                            const existingCards = new Map();
-                            Array.from(grid.children).forEach(card => {
-                                const key = card.getAttribute('data-workflow-key');
-                                if (key) {
-                                    existingCards.set(key, card);
-                                }
-                            });
-                            
-                            // Update or add workflow cards
-                            workflows.forEach(workflow => {
-                                const key = this.getWorkflowKey(workflow);
-                                const existingCard = existingCards.get(key);
-                                
-                                const newCard = this.createWorkflowCard(workflow, {
-                                    conclusion: workflow.conclusion,
-                                    status: workflow.status,
-                                    url: workflow.url,
-                                    updatedAt: workflow.updatedAt
-                                });
-                                newCard.setAttribute('data-workflow-key', key);
-                                
-                                if (existingCard) {
-                                    grid.replaceChild(newCard, existingCard);
-                                    existingCards.delete(key);
-                                } else {
-                                    grid.appendChild(newCard);
-                                }
-                            });
-                            
-                            // Remove cards that no longer exist
-                            existingCards.forEach(card => {
-                                grid.removeChild(card);
-                            });
-                        }
-                    } else {
-                        // Create new section
-                        const newSection = this.createRepositorySection(repoKey, workflows);
-                        container.appendChild(newSection);
-                    }
-                });
-                
-                // Remove sections for repositories that no longer exist
-                existingSections.forEach((section, repoKey) => {
-                    if (!updatedRepoKeys.has(repoKey)) {
-                        container.removeChild(section);
-                    }
-                });
-            }
-
-            // Update last updated time
-            const lastUpdatedElement = document.getElementById('last-updated');
-            const lastRefreshTime = new Date();
-            if (lastUpdatedElement) {
-                lastUpdatedElement.textContent = lastRefreshTime.toLocaleString();
+            const result = await this.api.runWorkflowAction(action, workflow, runId, this.activeDashboardId);
+            const data = await this.waitForRunUpdate(action, workflow, runId, result.runAttempt);
+
+            // Show the new attempt's jobs if the run is still open in the details modal
+            const body = document.getElementById('workflow-details-body');
+            if (data && body && this.workflowDetails?.runId === runId) {
+                this.pendingRunActions.delete(runId);
+                this.renderWorkflowDetails(body, workflow, data);
             }
-            
-            // Update refresh status
-            this.updateRefreshStatus(false, lastRefreshTime);
-
         } catch (error) {
-            console.error('Failed to load workflows:', error);
-            // Only show error if container is empty or already has an error
-            if (container.children.length === 0 || this.hasErrorState(container)) {
-                container.innerHTML = '';
-                this.showApiError(container, error);
-            }
-            // Clear the refreshing state but don't update timestamp to preserve last successful refresh time
-            this.updateRefreshStatus(false);
+            console.error(`Failed to ${action}:`, error);
+            alert(`${RUN_ACTIONS[action].label} failed: ${error.message}`);
+        } finally {
+            this.pendingRunActions.delete(runId);
+            updateButtons();
         }
-    }
-
-    /**
-     * Show a message when no workflows are configured
-     * @param {HTMLElement} container - Workflow grids container element
-     */
-    showNoWorkflowsMessage(container) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = 'config-error';
-        messageDiv.innerHTML = `
-            <h3>ℹ️ No Workflows Configured</h3>
-            <p>No workflows are currently configured for this dashboard.</p>
-            <p>To get started, click the (+ Add Workflow) button at the top right to configure your dashboards.</p>
-            <p>See the README documentation for more information.</p>
-        `;
-        container.appendChild(messageDiv);
-    }
-
-    /**
-     * Show an error message when Azure Function API fails
-     * @param {HTMLElement} container - Workflow grids container element
-     * @param {Error} error - Error that occurred
-     */
-    showApiError(container, error) {
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'config-error';
-        errorDiv.innerHTML = `
-            <h3>⚠️ API Error</h3>
-            <p>Failed to load workflow statuses from Azure Function.</p>
-            <p><strong>Error:</strong> ${error.message}</p>
-            <p>Please check:</p>
-            <ol>
-                <li>Azure Function is deployed and running</li>
-                <li>Azure Function URL is configured correctly</li>
-                <li>GitHub App credentials are stored in Key Vault</li>
-                <li>Workflow configurations are uploaded to Azure Storage</li>
-            </ol>
-        `;
-        container.appendChild(errorDiv);
-    }
 
-    /**
-     * Show an error card for a failed workflow
-     * @param {HTMLElement} grid - Workflow grid element
-     * @param {HTMLElement} card - Original card element
-     * @param {Object} workflow - Workflow configuration
-     * @param {Error} error - Error that occurred
-     */
-    showErrorCard(grid, card, workflow, error) {
-        const errorCard = this.createWorkflowCard(workflow, {
-            conclusion: 'unknown',
-            status: 'error',
-            url: `https://github.com/${workflow.owner}/${workflow.repo}/actions/workflows/${workflow.workflow}`
-        });
-        grid.replaceChild(errorCard, card);
+        await this.loadWorkflows();
     }
 
     /**
-     * Set up auto-refresh
-     * @param {number} intervalMinutes - Refresh interval in minutes
+     * Poll a run until an action on it shows up on GitHub
+     * @param {string} action - Key of RUN_ACTIONS
+     * @param {Object} workflow - Tracked workflow the run belongs to
+     * @param {number} runId - Workflow run ID
+     * @param {number} previousAttempt - Run attempt the action was requested on
+     * @returns {Promise<Object|null>} - Latest get-workflow-jobs response, or null if nothing changed in time
      */
-    setupAutoRefresh(intervalMinutes = 5) {
-        setInterval(() => {
-            console.log('Auto-refreshing workflow statuses...');
-            this.loadWorkflows();
-        }, intervalMinutes * 60 * 1000);
+    async waitForRunUpdate(action, workflow, runId, previousAttempt) {
+        for (let check = 0; check < RUN_ACTION_POLL_LIMIT; check++) {
+            await new Promise(resolve => setTimeout(resolve, RUN_ACTION_POLL_INTERVAL_MS));
+
+            const data = await this.api.getWorkflowJobs(workflow, runId, this.activeDashboardId);
+            const changed = action === 'cancel-workflow-run'
+                ? data.run.status === 'completed'
+                : data.run.runAttempt > previousAttempt;
+            if (changed) {
+                return data;
+            }
+        }
+        return null;
     }
 
     /**
-     * Set up manual refresh button
+     * Create the button that opens the run workflow modal for a card
+     * @param {Object} workflow - Tracked workflow with a workflow_dispatch trigger
+     * @returns {HTMLElement} - Button element
      */
-    setupRefreshButton() {
-        const refreshButton = document.getElementById('refresh-button');
-        if (refreshButton) {
-            refreshButton.addEventListener('click', () => {
-                console.log('Manual refresh triggered by user');
-                this.loadWorkflows();
-            });
-        }
+    createDispatchButton(workflow) {
+        const button = document.createElement('button');
+        button.className = 'workflow-run-action-button workflow-dispatch-button';
+        button.title = 'Run workflow';
+        button.setAttribute('aria-label', `Run ${workflow.label} workflow`);
+        button.innerHTML = `
+            <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M7 5V19L19 12L7 5Z" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/>
+            </svg>
+        `;
+        button.onclick = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.showDispatchWorkflow(workflow);
+        };
+        return button;
     }
 
     /**
-     * Set up add workflow button and modal
+     * Set up the run workflow modal (workflow_dispatch with inputs)
      */
-    setupAddWorkflowButton() {
-        const addButton = document.getElementById('add-workflow-button');
-        const modal = document.getElementById('add-workflow-modal');
+    setupDispatchWorkflowModal() {
+        const modal = document.getElementById('dispatch-workflow-modal');
         const closeButton = modal?.querySelector('.close-button');
-        const cancelButton = document.getElementById('add-workflow-cancel');
-        const applyButton = document.getElementById('add-workflow-apply');
-        const repoInput = document.getElementById('repo-input');
-        const workflowInput = document.getElementById('workflow-input');
-        const labelInput = document.getElementById('workflow-label-input');
-        const errorDiv = document.getElementById('add-workflow-error');
-
-        if (!addButton || !modal) return;
+        const cancelButton = document.getElementById('dispatch-workflow-cancel');
+        const applyButton = document.getElementById('dispatch-workflow-apply');
 
-        // Open modal
-        addButton.addEventListener('click', () => {
-            modal.style.display = 'block';
-            repoInput.value = '';
-            workflowInput.value = '';
-            labelInput.value = '';
-            errorDiv.style.display = 'none';
-            errorDiv.textContent = '';
-            repoInput.focus();
-        });
+        if (!modal) return;
 
         // Close modal
         const closeModal = () => {
             modal.style.display = 'none';
+            this.dispatchTarget = null;
         };
 
         closeButton?.addEventListener('click', closeModal);
@@ -492,331 +652,2272 @@ class DashboardLoader {
 
         // Handle apply button
         applyButton?.addEventListener('click', async () => {
-            await this.handleAddWorkflow(repoInput.value, workflowInput.value, labelInput.value, errorDiv, applyButton, closeModal);
+            await this.handleDispatchWorkflow(applyButton, closeModal);
         });
 
-        // Handle Enter key in inputs
-        const handleEnter = async (e) => {
-            if (e.key === 'Enter') {
-                await this.handleAddWorkflow(repoInput.value, workflowInput.value, labelInput.value, errorDiv, applyButton, closeModal);
+        // Handle Enter key in text inputs (the input list is rebuilt for every workflow)
+        modal.addEventListener('keypress', async (e) => {
+            if (e.key === 'Enter' && e.target.matches('input[type="text"]')) {
+                await this.handleDispatchWorkflow(applyButton, closeModal);
             }
-        };
-        repoInput?.addEventListener('keypress', handleEnter);
-        workflowInput?.addEventListener('keypress', handleEnter);
-        labelInput?.addEventListener('keypress', handleEnter);
+        });
     }
 
     /**
-     * Handle adding a workflow
-     * @param {string} repoPath - Repository path in format owner/repo
-     * @param {string} workflow - Workflow file name or ID
-     * @param {string} label - Display label for workflow
-     * @param {HTMLElement} errorDiv - Error message container
-     * @param {HTMLElement} applyButton - Apply button element
-     * @param {Function} closeModal - Function to close the modal
+     * Open the run workflow modal and load the inputs the workflow declares
+     * @param {Object} workflow - Tracked workflow with a workflow_dispatch trigger
      */
-    async handleAddWorkflow(repoPath, workflow, label, errorDiv, applyButton, closeModal) {
-        // Clear previous error
+    async showDispatchWorkflow(workflow) {
+        const modal = document.getElementById('dispatch-workflow-modal');
+        const title = document.getElementById('dispatch-workflow-title');
+        const refInput = document.getElementById('dispatch-ref-input');
+        const inputsContainer = document.getElementById('dispatch-inputs');
+        const errorDiv = document.getElementById('dispatch-workflow-error');
+        const applyButton = document.getElementById('dispatch-workflow-apply');
+        if (!modal) return;
+
+        title.textContent = `Run ${workflow.label}`;
+        refInput.value = '';
+        inputsContainer.innerHTML = '<p class="workflow-details-message">Loading inputs...</p>';
         errorDiv.style.display = 'none';
         errorDiv.textContent = '';
+        applyButton.disabled = true;
+        modal.style.display = 'block';
 
-        // Validate repo input
-        if (!repoPath || !repoPath.trim()) {
-            errorDiv.textContent = 'Please enter a repository';
-            errorDiv.style.display = 'block';
-            return;
-        }
+        // Ignore the response if the modal was closed or another card was opened meanwhile
+        const target = { workflow, inputs: null };
+        this.dispatchTarget = target;
 
-        // Parse repo path (owner/repo)
-        const repoParts = repoPath.trim().split('/');
-        if (repoParts.length !== 2) {
-            errorDiv.textContent = 'Invalid format. Expected: owner/repo';
-            errorDiv.style.display = 'block';
-            return;
+        try {
+            const data = await this.api.getWorkflowDispatch(workflow, this.activeDashboardId);
+            if (this.dispatchTarget !== target) {
+                return;
+            }
+            if (!data.dispatchable) {
+                throw new Error('This workflow no longer has a workflow_dispatch trigger.');
+            }
+
+            target.inputs = data.inputs;
+            refInput.value = data.defaultBranch || '';
+            this.renderDispatchInputs(inputsContainer, data.inputs);
+            applyButton.disabled = false;
+            refInput.focus();
+        } catch (error) {
+            if (this.dispatchTarget === target) {
+                inputsContainer.innerHTML = '';
+                errorDiv.textContent = error.message || 'Failed to load workflow inputs.';
+                errorDiv.style.display = 'block';
+            }
         }
+    }
 
-        const [owner, repo] = repoParts;
+    /**
+     * Render one form field per workflow_dispatch input
+     * Booleans become checkboxes and choices become selects; everything else is free text.
+     * @param {HTMLElement} container - Element to render the fields into
+     * @param {Array<Object>} inputs - Inputs from get-workflow-dispatch
+     */
+    renderDispatchInputs(container, inputs) {
+        container.innerHTML = '';
+
+        inputs.forEach((input, index) => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const id = `dispatch-input-${index}`;
+            const label = document.createElement('label');
+            label.htmlFor = id;
+            label.textContent = input.required ? `${input.name} *` : input.name;
+
+            let control;
+            if (input.type === 'boolean') {
+                control = document.createElement('input');
+                control.type = 'checkbox';
+                control.checked = String(input.default) === 'true';
+                label.className = 'form-checkbox';
+                label.prepend(control);
+                group.appendChild(label);
+            } else if (input.type === 'choice') {
+                control = document.createElement('select');
+                input.options.forEach(option => {
+                    const element = document.createElement('option');
+                    element.value = option;
+                    element.textContent = option;
+                    control.appendChild(element);
+                });
+                control.value = input.default !== null ? String(input.default) : input.options[0] || '';
+                group.append(label, control);
+            } else {
+                control = document.createElement('input');
+                control.type = 'text';
+                control.value = input.default !== null ? String(input.default) : '';
+                control.placeholder = input.type === 'number' ? '0' : '';
+                group.append(label, control);
+            }
+            control.id = id;
+            control.setAttribute('data-input-name', input.name);
+
+            if (input.description) {
+                const help = document.createElement('small');
+                help.className = 'form-help';
+                help.id = `${id}-help`;
+                help.textContent = input.description;
+                control.setAttribute('aria-describedby', help.id);
+                group.appendChild(help);
+            }
 
-        if (!owner || !repo) {
-            errorDiv.textContent = 'Both owner and repo are required';
-            errorDiv.style.display = 'block';
-            return;
-        }
+            container.appendChild(group);
+        });
+    }
 
-        // Validate workflow input
-        if (!workflow || !workflow.trim()) {
-            errorDiv.textContent = 'Please enter a workflow file or ID';
-            errorDiv.style.display = 'block';
+    /**
+     * Handle running a workflow from the run workflow modal
+     * @param {HTMLElement} applyButton - Apply button element
+     * @param {Function} closeModal - Function to close the modal
+     */
+    async handleDispatchWorkflow(applyButton, closeModal) {
+        const target = this.dispatchTarget;
+        const refInput = document.getElementById('dispatch-ref-input');
+        const errorDiv = document.getElementById('dispatch-workflow-error');
+        if (!target?.inputs || applyButton.disabled) {
             return;
         }
 
-        const workflowValue = workflow.trim();
-
-        // Validate workflow: if it looks like a file, check extension
-        // If it's numeric, accept it as an ID
-        const isNumeric = /^\d+$/.test(workflowValue);
-        const hasYamlExtension = workflowValue.endsWith('.yml') || workflowValue.endsWith('.yaml');
+        // Clear previous error
+        errorDiv.style.display = 'none';
+        errorDiv.textContent = '';
 
-        if (!isNumeric && !hasYamlExtension) {
-            errorDiv.textContent = 'Workflow must be a .yml/.yaml file or a numeric ID';
+        const ref = refInput.value.trim();
+        if (!ref) {
+            errorDiv.textContent = 'Please enter a branch or tag';
             errorDiv.style.display = 'block';
             return;
         }
 
-        // Validate label
-        if (!label || !label.trim()) {
-            errorDiv.textContent = 'Please enter a display label';
+        // Empty values are left out so GitHub applies the declared defaults
+        const inputs = {};
+        document.querySelectorAll('#dispatch-inputs [data-input-name]').forEach(control => {
+            const value = control.type === 'checkbox' ? control.checked : control.value.trim();
+            if (value !== '') {
+                inputs[control.getAttribute('data-input-name')] = value;
+            }
+        });
+
+        const missing = target.inputs.find(input => input.required && input.default === null && inputs[input.name] === undefined);
+        if (missing) {
+            errorDiv.textContent = `Please enter a value for ${missing.name}`;
             errorDiv.style.display = 'block';
             return;
         }
 
         // Disable button during API call
         applyButton.disabled = true;
-        applyButton.textContent = 'Adding...';
+        applyButton.textContent = 'Running...';
 
         try {
-            // Call API to add workflow
-            await this.api.addWorkflow(owner, repo, workflowValue, label.trim());
-
-            // Close modal
+            await this.api.dispatchWorkflow(target.workflow, ref, inputs, this.activeDashboardId);
             closeModal();
+            console.log(`Requested run of ${target.workflow.owner}/${target.workflow.repo}/${target.workflow.workflow} on ${ref}`);
 
-            // Reload workflows to show the new one
+            // The new run shows up through live updates or the next refresh once GitHub creates it
             await this.loadWorkflows();
-
-            console.log(`Successfully added workflow: ${owner}/${repo}/${workflowValue}`);
         } catch (error) {
-            console.error('Failed to add workflow:', error);
-            errorDiv.textContent = error.message || 'Failed to add workflow. Please try again.';
+            console.error('Failed to run workflow:', error);
+            errorDiv.textContent = error.message || 'Failed to run workflow. Please try again.';
             errorDiv.style.display = 'block';
         } finally {
-            // Re-enable button
             applyButton.disabled = false;
-            applyButton.textContent = 'Add Workflow';
+            applyButton.textContent = 'Run Workflow';
         }
     }
 
     /**
-     * Handle removing a workflow
-     * @param {Object} workflow - Workflow object with owner, repo, workflow properties
+     * Create a link to a page on GitHub that opens in a new tab
+     * @param {string} url - Link target
+     * @param {string} text - Link text
+     * @param {string|null} ariaLabel - Accessible label when the text alone is ambiguous
+     * @returns {HTMLElement} - Link element
      */
-    async handleRemoveWorkflow(workflow) {
-        // Confirm removal
-        // TODO: Replace with custom modal for better UX consistency
-        const confirmed = confirm(`Are you sure you want to remove "${workflow.label}"?`);
-        if (!confirmed) return;
+    createGitHubLink(url, text, ariaLabel = null) {
+        const link = document.createElement('a');
+        link.className = 'workflow-details-link';
+        link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = text;
+        if (ariaLabel) {
+            link.setAttribute('aria-label', ariaLabel);
+        }
+        return link;
+    }
+
+    /**
+     * Create a loading placeholder card
+     * @param {Object} workflow - Workflow configuration
+     * @returns {HTMLElement} - Loading card element
+     */
+    createLoadingCard(workflow) {
+        const workflowItem = document.createElement('div');
+        workflowItem.className = 'workflow-item';
+
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'workflow-card-link';
+        link.setAttribute('aria-label', `Loading ${workflow.label} workflow status`);
+
+        const label = document.createElement('div');
+        label.className = 'workflow-label';
+        label.textContent = workflow.label;
+
+        const statusBadge = document.createElement('span');
+        statusBadge.className = 'workflow-status status-loading';
+        statusBadge.textContent = 'loading...';
+
+        link.appendChild(label);
+
+        const filterText = this.formatRunFilters(workflow);
+        if (filterText) {
+            const filter = document.createElement('div');
+            filter.className = 'workflow-filter';
+            filter.textContent = filterText;
+            link.appendChild(filter);
+        }
+
+        link.appendChild(statusBadge);
+        workflowItem.appendChild(link);
+
+        return workflowItem;
+    }
+
+    /**
+     * Describe the run filters of a workflow for its card
+     * @param {Object} workflow - Workflow with optional branch, event and actor filters
+     * @returns {string} - e.g. "main · push · @octocat", or an empty string when no filter is set
+     */
+    formatRunFilters(workflow) {
+        return [workflow.branch, workflow.event, workflow.actor && `@${workflow.actor}`]
+            .filter(Boolean)
+            .join(' · ');
+    }
+
+    /**
+     * Generate a unique key for a workflow
+     * Workflows on a GitHub Enterprise host are prefixed with the host.
+     * @param {Object} workflow - Workflow object with owner, repo, and workflow properties
+     * @returns {string} - Unique workflow key
+     */
+    getWorkflowKey(workflow) {
+        if (!workflow?.owner || !workflow?.repo || !workflow?.workflow) {
+            console.warn('Invalid workflow object:', workflow);
+            return '';
+        }
+        return `${workflow.host ? `${workflow.host}/` : ''}${workflow.owner}/${workflow.repo}/${workflow.workflow}`;
+    }
+
+    /**
+     * Check if the container has an error state displayed
+     * @param {HTMLElement} container - Workflow grids container element
+     * @returns {boolean} - True if container has error state
+     */
+    hasErrorState(container) {
+        return container.querySelector('.config-error') !== null;
+    }
+
+    /**
+     * Update refresh status indicator
+     * @param {boolean} isRefreshing - Whether a refresh is in progress
+     * @param {Date} lastRefreshTime - Last successful refresh time
+     */
+    updateRefreshStatus(isRefreshing, lastRefreshTime = null) {
+        const refreshStatus = document.getElementById('refresh-status');
+        const refreshStatusText = refreshStatus?.querySelector('.refresh-status-text');
+        const refreshButton = document.getElementById('refresh-button');
+        
+        if (!refreshStatus || !refreshStatusText) {
+            return;
+        }
+
+        refreshStatus.style.display = 'flex';
+        
+        if (isRefreshing) {
+            refreshStatus.classList.add('refreshing');
+            refreshStatusText.textContent = 'Refreshing...';
+            // Disable refresh button during refresh
+            if (refreshButton) {
+                refreshButton.disabled = true;
+            }
+        } else {
+            refreshStatus.classList.remove('refreshing');
+            if (lastRefreshTime) {
+                try {
+                    // Use user's browser locale for localized time formatting
+                    const locale = navigator.language || 'en-US';
+                    const timeString = lastRefreshTime.toLocaleString(locale, {
+                        timeZoneName: 'short'
+                    });
+                    refreshStatusText.textContent = `Last updated: ${timeString}`;
+                } catch (error) {
+                    // Fallback to ISO string if locale formatting fails
+                    console.warn('Failed to format time with locale:', error);
+                    refreshStatusText.textContent = `Last updated: ${lastRefreshTime.toISOString()}`;
+                }
+            }
+            // Re-enable refresh button after refresh
+            if (refreshButton) {
+                refreshButton.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Group workflows by repository
+     * @param {Array} workflows - Array of workflow objects
+     * @returns {Map} - Map of repository keys to workflow arrays
+     */
+    groupWorkflowsByRepository(workflows) {
+        const grouped = new Map();
+        
+        workflows.forEach(workflow => {
+            const repoKey = `${workflow.host ? `${workflow.host}/` : ''}${workflow.owner}/${workflow.repo}`;
+            if (!grouped.has(repoKey)) {
+                grouped.set(repoKey, []);
+            }
+            grouped.get(repoKey).push(workflow);
+        });
+        
+        return grouped;
+    }
+
+    /**
+     * Create a repository section with header and grid
+     * @param {string} repoKey - Repository key (owner/repo, or host/owner/repo)
+     * @param {Array} workflows - Array of workflows for this repository
+     * @returns {HTMLElement} - Repository section element
+     */
+    createRepositorySection(repoKey, workflows) {
+        const section = document.createElement('div');
+        section.className = 'repo-section';
+        section.setAttribute('data-repo-key', repoKey);
+        
+        // Create repository header
+        const header = document.createElement('h2');
+        header.className = 'repo-header';
+        header.textContent = repoKey;
+        
+        // Create workflow grid for this repository
+        const grid = document.createElement('div');
+        grid.className = 'workflow-grid';
+        
+        // Add workflow cards to grid
+        workflows.forEach(workflow => {
+            const key = this.getWorkflowKey(workflow);
+            const card = this.createWorkflowCard(workflow, {
+                conclusion: workflow.conclusion,
+                status: workflow.status,
+                url: workflow.url,
+                updatedAt: workflow.updatedAt,
+                history: workflow.history,
+                error: workflow.error
+            });
+            card.setAttribute('data-workflow-key', key);
+            grid.appendChild(card);
+        });
+        
+        section.appendChild(header);
+        section.appendChild(grid);
+        
+        return section;
+    }
+
+    /**
+     * Load all workflow statuses and render them
+     */
+    async loadWorkflows() {
+        const container = document.querySelector('.workflow-grids-container');
+        
+        if (!container) {
+            console.error('Workflow grids container element not found');
+            return;
+        }
+
+        // Show refreshing status
+        this.updateRefreshStatus(true);
 
         try {
-            // Call API to remove workflow
-            await this.api.removeWorkflow(workflow.owner, workflow.repo, workflow.workflow);
+            // Get all workflow statuses from Azure Function
+            // The function returns workflows with their statuses already populated
+            const requestedDashboardId = this.activeDashboardId;
+            const data = await this.api.getAllWorkflowStatuses(requestedDashboardId);
+            
+            // Update dashboards list
+            this.dashboards = data.dashboards || [];
+            this.activeDashboardId = data.activeDashboardId;
+            this.defaultDashboardId = data.defaultDashboardId;
+            this.currentUser = data.user || null;
+            this.updateRateLimitHealth(data.health?.rateLimit);
 
-            // Reload workflows to update the display
-            await this.loadWorkflows();
+            // The requested dashboard no longer exists; forget it and follow the shared default
+            if (requestedDashboardId && data.activeDashboardId !== requestedDashboardId) {
+                this.saveActiveDashboardId(null);
+            }
+            
+            // Update dashboard selector UI
+            this.updateDashboardSelector();
+            this.applyPermissions();
+            
+            const workflowStatuses = data.workflows || [];
 
-            console.log(`Successfully removed workflow: ${workflow.owner}/${workflow.repo}/${workflow.workflow}`);
-        } catch (error) {
-            console.error('Failed to remove workflow:', error);
-            // TODO: Replace with toast notification or error modal for better UX
-            alert(`Failed to remove workflow: ${error.message}`);
+            if (!workflowStatuses || workflowStatuses.length === 0) {
+                // Only clear container if there are no workflows (first load scenario)
+                if (container.children.length === 0 || this.hasErrorState(container)) {
+                    container.innerHTML = '';
+                    this.showNoWorkflowsMessage(container);
+                }
+                this.updateRefreshStatus(false, new Date());
+                return;
+            }
+
+            // Group workflows by repository
+            const workflowsByRepo = this.groupWorkflowsByRepository(workflowStatuses);
+            
+            // Get existing repository sections
+            const existingSections = new Map();
+            Array.from(container.children).forEach(section => {
+                if (section.classList.contains('repo-section')) {
+                    const repoKey = section.getAttribute('data-repo-key');
+                    if (repoKey) {
+                        existingSections.set(repoKey, section);
+                    }
+                }
+            });
+
+            // Check if this is a first load or if we have an error state
+            const isFirstLoad = container.children.length === 0 || 
+                               this.hasErrorState(container) ||
+                               existingSections.size === 0;
+
+            if (isFirstLoad) {
+                // Clear and rebuild everything
+                container.innerHTML = '';
+                
+                // Create sections for each repository
+                workflowsByRepo.forEach((workflows, repoKey) => {
+                    const section = this.createRepositorySection(repoKey, workflows);
+                    container.appendChild(section);
+                });
+            } else {
+                // Update existing sections or add new ones
+                const updatedRepoKeys = new Set();
+                
+                // Process each repository
+                workflowsByRepo.forEach((workflows, repoKey) => {
+                    updatedRepoKeys.add(repoKey);
+                    const existingSection = existingSections.get(repoKey);
+                    
+                    if (existingSection) {
+                        // Update existing section
+                        const grid = existingSection.querySelector('.workflow-grid');
+                        if (grid) {
+                            // Update workflow cards in this grid
+                            const existingCards = new Map();
+                            Array.from(grid.children).forEach(card => {
+                                const key = card.getAttribute('data-workflow-key');
+                                if (key) {
+                                    existingCards.set(key, card);
+                                }
+                            });
+                            
+                            // Update or add workflow cards
+                            workflows.forEach(workflow => {
+                                const key = this.getWorkflowKey(workflow);
+                                const existingCard = existingCards.get(key);
+                                
+                                const newCard = this.createWorkflowCard(workflow, {
+                                    conclusion: workflow.conclusion,
+                                    status: workflow.status,
+                                    url: workflow.url,
+                                    updatedAt: workflow.updatedAt,
+                                    history: workflow.history,
+                                    error: workflow.error
+                                });
+                                newCard.setAttribute('data-workflow-key', key);
+                                
+                                if (existingCard) {
+                                    grid.replaceChild(newCard, existingCard);
+                                    existingCards.delete(key);
+                                } else {
+                                    grid.appendChild(newCard);
+                                }
+                            });
+                            
+                            // Remove cards that no longer exist
+                            existingCards.forEach(card => {
+                                grid.removeChild(card);
+                            });
+                        }
+                    } else {
+                        // Create new section
+                        const newSection = this.createRepositorySection(repoKey, workflows);
+                        container.appendChild(newSection);
+                    }
+                });
+                
+                // Remove sections for repositories that no longer exist
+                existingSections.forEach((section, repoKey) => {
+                    if (!updatedRepoKeys.has(repoKey)) {
+                        container.removeChild(section);
+                    }
+                });
+            }
+
+            // Update last updated time
+            const lastUpdatedElement = document.getElementById('last-updated');
+            const lastRefreshTime = new Date();
+            if (lastUpdatedElement) {
+                lastUpdatedElement.textContent = lastRefreshTime.toLocaleString();
+            }
+            
+            // Update refresh status
+            this.updateRefreshStatus(false, lastRefreshTime);
+
+        } catch (error) {
+            console.error('Failed to load workflows:', error);
+            // Only show error if container is empty or already has an error
+            if (container.children.length === 0 || this.hasErrorState(container)) {
+                container.innerHTML = '';
+                this.showApiError(container, error);
+            }
+            // Clear the refreshing state but don't update timestamp to preserve last successful refresh time
+            this.updateRefreshStatus(false);
+        }
+    }
+
+    /**
+     * Show a message when no workflows are configured
+     * @param {HTMLElement} container - Workflow grids container element
+     */
+    showNoWorkflowsMessage(container) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'config-error';
+        messageDiv.innerHTML = `
+            <h3>ℹ️ No Workflows Configured</h3>
+            <p>No workflows are currently configured for this dashboard.</p>
+            <p>To get started, click the (+ Add Workflow) button at the top right to configure your dashboards.</p>
+            <p>See the README documentation for more information.</p>
+        `;
+        container.appendChild(messageDiv);
+    }
+
+    /**
+     * Show an error message when Azure Function API fails
+     * @param {HTMLElement} container - Workflow grids container element
+     * @param {Error} error - Error that occurred
+     */
+    showApiError(container, error) {
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'config-error';
+        errorDiv.innerHTML = `
+            <h3>⚠️ API Error</h3>
+            <p>Failed to load workflow statuses from Azure Function.</p>
+            <p><strong>Error:</strong> ${error.message}</p>
+            <p>Please check:</p>
+            <ol>
+                <li>Azure Function is deployed and running</li>
+                <li>Azure Function URL is configured correctly</li>
+                <li>GitHub App credentials are stored in Key Vault</li>
+                <li>Workflow configurations are uploaded to Azure Storage</li>
+            </ol>
+        `;
+        container.appendChild(errorDiv);
+    }
+
+    /**
+     * Show an error card for a failed workflow
+     * @param {HTMLElement} grid - Workflow grid element
+     * @param {HTMLElement} card - Original card element
+     * @param {Object} workflow - Workflow configuration
+     * @param {Error} error - Error that occurred
+     */
+    showErrorCard(grid, card, workflow, error) {
+        const errorCard = this.createWorkflowCard(workflow, {
+            conclusion: 'unknown',
+            status: 'error',
+            url: getWorkflowPageUrl(workflow)
+        });
+        grid.replaceChild(errorCard, card);
+    }
+
+    /**
+     * Set up auto-refresh
+     * The interval is stretched while GitHub's rate limit is low (see getRefreshDelay)
+     * @param {number} intervalMinutes - Refresh interval in minutes
+     */
+    setupAutoRefresh(intervalMinutes = 5) {
+        const scheduleRefresh = () => {
+            setTimeout(() => {
+                // Live updates already keep the cards current
+                if (!this.liveUpdatesConnected) {
+                    console.log('Auto-refreshing workflow statuses...');
+                    this.loadWorkflows();
+                }
+                scheduleRefresh();
+            }, this.getRefreshDelay(intervalMinutes * 60 * 1000));
+        };
+        scheduleRefresh();
+    }
+
+    /**
+     * Work out how long to wait before the next auto-refresh
+     * @param {number} intervalMs - Configured refresh interval in milliseconds
+     * @returns {number} - Delay in milliseconds; longer while the rate limit is low, and at least until it resets once reached
+     */
+    getRefreshDelay(intervalMs) {
+        const rateLimit = this.rateLimitHealth;
+        if (rateLimit?.status === 'limited') {
+            const untilResume = Date.parse(rateLimit.resumeAt) - Date.now();
+            return Math.max(intervalMs * RATE_LIMIT_REFRESH_FACTOR, untilResume || 0);
+        }
+        if (rateLimit?.status === 'low') {
+            return intervalMs * RATE_LIMIT_REFRESH_FACTOR;
+        }
+        return intervalMs;
+    }
+
+    /**
+     * Remember the rate-limit health reported by the function app and show or hide the warning banner
+     * @param {Object|undefined} rateLimit - health.rateLimit from get-workflow-statuses or the status stream
+     */
+    updateRateLimitHealth(rateLimit) {
+        this.rateLimitHealth = rateLimit || null;
+
+        const banner = document.getElementById('rate-limit-banner');
+        const text = document.getElementById('rate-limit-banner-text');
+        if (!banner || !text) {
+            return;
+        }
+
+        if (rateLimit?.status === 'limited') {
+            const resumeAt = rateLimit.resumeAt ? new Date(rateLimit.resumeAt).toLocaleTimeString() : 'the limit resets';
+            text.textContent = `GitHub API rate limit reached. Statuses may be out of date until ${resumeAt}.`;
+        } else if (rateLimit?.status === 'low') {
+            const resetAt = rateLimit.resetAt ? new Date(rateLimit.resetAt).toLocaleTimeString() : 'the limit resets';
+            text.textContent = `GitHub API rate limit is running low (${rateLimit.remaining} of ${rateLimit.limit} requests left until ${resetAt}). Refreshing less often.`;
+        } else {
+            banner.style.display = 'none';
+            return;
+        }
+        banner.style.display = 'flex';
+    }
+
+    /**
+     * Stream status changes for the active dashboard and patch cards as they arrive
+     * Auto-refresh polling takes over whenever the stream is down; reconnects back off up to 5 minutes.
+     */
+    async startLiveUpdates() {
+        this.stopLiveUpdates();
+        const controller = new AbortController();
+        this.liveUpdatesController = controller;
+
+        let retryDelay = 5000;
+        let missedUpdates = false;
+
+        while (!controller.signal.aborted) {
+            try {
+                await this.api.streamWorkflowStatuses(this.activeDashboardId, (event, data) => {
+                    if (event === 'ready') {
+                        this.liveUpdatesConnected = true;
+                        retryDelay = 5000;
+                        // Catch up if the stream was down or someone changed the dashboard's workflows
+                        if (missedUpdates || !this.isShowingWorkflows(data.workflows || [])) {
+                            this.loadWorkflows();
+                        }
+                        missedUpdates = false;
+                    } else if (event === 'status') {
+                        this.patchWorkflowCard(data);
+                    } else if (event === 'health') {
+                        this.updateRateLimitHealth(data.rateLimit);
+                    }
+                }, controller.signal);
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    return;
+                }
+                console.warn('Live updates disconnected, falling back to polling:', error.message);
+                missedUpdates = true;
+                retryDelay = Math.min(retryDelay * 2, 5 * 60 * 1000);
+            }
+
+            this.liveUpdatesConnected = false;
+            if (controller.signal.aborted) {
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, retryDelay));
+        }
+    }
+
+    /**
+     * Close the status stream
+     */
+    stopLiveUpdates() {
+        if (this.liveUpdatesController) {
+            this.liveUpdatesController.abort();
+            this.liveUpdatesController = null;
+        }
+        this.liveUpdatesConnected = false;
+    }
+
+    /**
+     * Check whether the rendered cards are exactly the given workflows
+     * @param {Array<string>} workflowKeys - Workflow keys ([host/]owner/repo/workflow, lowercase) from the status stream
+     * @returns {boolean} - True if no card is missing or extra
+     */
+    isShowingWorkflows(workflowKeys) {
+        const rendered = Array.from(document.querySelectorAll('.workflow-item[data-workflow-key]'))
+            .map(element => element.getAttribute('data-workflow-key').toLowerCase())
+            .sort();
+        const expected = [...workflowKeys].sort();
+        return rendered.length === expected.length && rendered.every((key, index) => key === expected[index]);
+    }
+
+    /**
+     * Replace a single workflow card with a pushed status
+     * @param {Object} workflow - Workflow with status fields, as returned by get-workflow-statuses
+     */
+    patchWorkflowCard(workflow) {
+        // Leave cards alone while they are being dragged around
+        if (this.isEditMode) {
+            return;
+        }
+
+        const key = this.getWorkflowKey(workflow);
+        const card = Array.from(document.querySelectorAll('.workflow-item[data-workflow-key]'))
+            .find(element => element.getAttribute('data-workflow-key') === key);
+        if (!card) {
+            return;
+        }
+
+        // Every reconnect resends all statuses; only touch cards that actually changed
+        const link = card.querySelector('.workflow-card-link');
+        const badge = card.querySelector('.workflow-status');
+        const displayStatus = getDisplayStatus(workflow.conclusion, workflow.status, this.api.debug);
+        const historyKey = card.querySelector('.workflow-history')?.getAttribute('data-history-key') || '';
+        const filterText = card.querySelector('.workflow-filter')?.textContent || '';
+        const dispatchable = Boolean(card.querySelector('.workflow-dispatch-button'));
+        const hint = card.querySelector('.workflow-hint')?.textContent || '';
+        if (link?.getAttribute('href') === workflow.url && badge?.classList.contains(displayStatus.class) &&
+            hint === (workflow.status === 'misconfigured' ? getMisconfigurationHint(workflow) : '') &&
+            historyKey === this.getRunHistoryKey(workflow.history) && filterText === this.formatRunFilters(workflow) &&
+            dispatchable === Boolean(workflow.dispatchable)) {
+            return;
+        }
+
+        const newCard = this.createWorkflowCard(workflow, {
+            conclusion: workflow.conclusion,
+            status: workflow.status,
+            url: workflow.url,
+            updatedAt: workflow.updatedAt,
+            history: workflow.history,
+            error: workflow.error
+        });
+        newCard.setAttribute('data-workflow-key', key);
+        card.replaceWith(newCard);
+    }
+
+    /**
+     * Set up manual refresh button
+     */
+    setupRefreshButton() {
+        const refreshButton = document.getElementById('refresh-button');
+        if (refreshButton) {
+            refreshButton.addEventListener('click', () => {
+                console.log('Manual refresh triggered by user');
+                this.loadWorkflows();
+            });
+        }
+    }
+
+    /**
+     * Set up add workflow button and modal
+     */
+    setupAddWorkflowButton() {
+        const addButton = document.getElementById('add-workflow-button');
+        const modal = document.getElementById('add-workflow-modal');
+        const closeButton = modal?.querySelector('.close-button');
+        const cancelButton = document.getElementById('add-workflow-cancel');
+        const applyButton = document.getElementById('add-workflow-apply');
+        const repoInput = document.getElementById('repo-input');
+        const workflowInput = document.getElementById('workflow-input');
+        const labelInput = document.getElementById('workflow-label-input');
+        const branchInput = document.getElementById('workflow-branch-input');
+        const eventInput = document.getElementById('workflow-event-input');
+        const actorInput = document.getElementById('workflow-actor-input');
+        const errorDiv = document.getElementById('add-workflow-error');
+        const repoList = document.getElementById('repo-dropdown-list');
+        const workflowSearchInput = document.getElementById('workflow-search-input');
+        const modeInputs = modal?.querySelectorAll('input[name="add-mode"]') || [];
+        const bulkSourceInput = document.getElementById('bulk-source-input');
+        const bulkIncludeInput = document.getElementById('bulk-include-input');
+        const bulkExcludeInput = document.getElementById('bulk-exclude-input');
+        const resultsList = document.getElementById('add-workflow-results');
+
+        if (!addButton || !modal) return;
+
+        const isBulkMode = () => modal.querySelector('input[name="add-mode"]:checked')?.value === 'bulk';
+
+        // Switch between picking workflows and adding a whole repository or organization
+        const applyMode = () => {
+            document.getElementById('add-pick-fields').style.display = isBulkMode() ? 'none' : '';
+            document.getElementById('add-bulk-fields').style.display = isBulkMode() ? '' : 'none';
+            errorDiv.style.display = 'none';
+            resultsList.style.display = 'none';
+            if (isBulkMode()) {
+                applyButton.textContent = 'Add Workflows';
+                bulkSourceInput.focus();
+            } else {
+                this.applyWorkflowSelection();
+                repoInput.focus();
+            }
+        };
+        modeInputs.forEach(input => input.addEventListener('change', applyMode));
+
+        // Open modal
+        addButton.addEventListener('click', () => {
+            modal.style.display = 'block';
+            repoInput.value = '';
+            workflowInput.value = '';
+            delete workflowInput.dataset.autofill;
+            labelInput.value = '';
+            delete labelInput.dataset.autofill;
+            branchInput.value = '';
+            eventInput.value = '';
+            actorInput.value = '';
+            workflowSearchInput.value = '';
+            bulkSourceInput.value = '';
+            bulkIncludeInput.value = '';
+            bulkExcludeInput.value = '';
+            errorDiv.textContent = '';
+            resultsList.replaceChildren();
+            this.availableWorkflows = null;
+            this.selectedWorkflows.clear();
+            document.getElementById('workflow-picker').style.display = 'none';
+            modeInputs.forEach(input => {
+                input.checked = input.value === 'pick';
+            });
+            applyMode();
+
+            // Start loading repository suggestions; manual entry keeps working if this fails
+            this.loadRepositoryCatalog();
+        });
+
+        // Suggest repositories while typing, and list a repository's workflows once one is chosen
+        repoInput?.addEventListener('input', () => this.renderRepositoryOptions(repoInput.value));
+        repoInput?.addEventListener('focus', () => this.renderRepositoryOptions(repoInput.value));
+        repoInput?.addEventListener('change', () => this.loadRepositoryWorkflows(repoInput.value.trim()));
+        document.getElementById('repo-dropdown')?.addEventListener('focusout', (e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) {
+                this.hideRepositoryOptions();
+            }
+        });
+        repoInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && repoList.style.display !== 'none') {
+                e.stopPropagation();
+                this.hideRepositoryOptions();
+            } else if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                repoList.querySelector('.custom-dropdown-item')?.focus();
+            }
+        });
+        workflowSearchInput?.addEventListener('input', () => this.renderWorkflowOptions(workflowSearchInput.value));
+
+        // Default the label to the workflow's name until the user types their own
+        labelInput?.addEventListener('input', () => {
+            delete labelInput.dataset.autofill;
+        });
+        workflowInput?.addEventListener('change', () => {
+            const match = this.availableWorkflows?.workflows.find(w => w.workflow === workflowInput.value.trim());
+            if (match) {
+                this.autofillWorkflowLabel(match.name);
+            }
+        });
+
+        // Close modal
+        const closeModal = () => {
+            modal.style.display = 'none';
+        };
+
+        closeButton?.addEventListener('click', closeModal);
+        cancelButton?.addEventListener('click', closeModal);
+
+        // Close on backdrop click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeModal();
+            }
+        });
+
+        const getFilters = () => ({
+            branch: branchInput.value.trim(),
+            event: eventInput.value.trim(),
+            actor: actorInput.value.trim()
+        });
+
+        // Several picked workflows are added together; otherwise the (possibly prefilled) inputs are used
+        const addWorkflows = async () => {
+            if (isBulkMode()) {
+                await this.handleBulkAddWorkflows(bulkSourceInput.value, bulkIncludeInput.value, bulkExcludeInput.value, getFilters(), errorDiv, applyButton, closeModal);
+            } else if (this.selectedWorkflows.size > 1) {
+                await this.handleAddWorkflows(repoInput.value, [...this.selectedWorkflows.values()], getFilters(), errorDiv, applyButton, closeModal);
+            } else {
+                await this.handleAddWorkflow(repoInput.value, workflowInput.value, labelInput.value, getFilters(), errorDiv, applyButton, closeModal);
+            }
+        };
+
+        // Handle apply button
+        applyButton?.addEventListener('click', addWorkflows);
+
+        // Handle Enter key in inputs
+        const handleEnter = async (e) => {
+            if (e.key !== 'Enter') {
+                return;
+            }
+            // Enter in the repository field picks the first suggestion while suggestions are shown
+            if (e.target === repoInput && repoList.style.display !== 'none') {
+                repoList.querySelector('.custom-dropdown-item')?.click();
+                return;
+            }
+            await addWorkflows();
+        };
+        repoInput?.addEventListener('keypress', handleEnter);
+        workflowInput?.addEventListener('keypress', handleEnter);
+        labelInput?.addEventListener('keypress', handleEnter);
+        branchInput?.addEventListener('keypress', handleEnter);
+        eventInput?.addEventListener('keypress', handleEnter);
+        actorInput?.addEventListener('keypress', handleEnter);
+        bulkSourceInput?.addEventListener('keypress', handleEnter);
+        bulkIncludeInput?.addEventListener('keypress', handleEnter);
+        bulkExcludeInput?.addEventListener('keypress', handleEnter);
+    }
+
+    /**
+     * Load the repositories the GitHub App can see, once per page load
+     * @returns {Promise<Array<Object>>} - Repositories, or an empty list if they could not be loaded
+     */
+    loadRepositoryCatalog() {
+        if (!this.repositoryCatalog) {
+            this.repositoryCatalog = this.api.getAvailableWorkflows(null, this.activeDashboardId)
+                .then(data => data.repositories)
+                .catch(error => {
+                    // Try again next time the modal opens
+                    console.error('Failed to load repositories:', error);
+                    this.repositoryCatalog = null;
+                    return [];
+                });
+        }
+        return this.repositoryCatalog;
+    }
+
+    /**
+     * Split the GitHub host off a repository or organization typed as host/owner/repo
+     * Hosts are told apart from owners by the dot in their name, which GitHub logins cannot contain.
+     * @param {string} value - Repository or organization, optionally prefixed with a host
+     * @returns {Object} { host, path }, where host is null for the default GitHub host
+     */
+    splitHostPath(value) {
+        const [first, ...rest] = value.trim().split('/');
+        return first.includes('.') && rest.length > 0
+            ? { host: first.toLowerCase(), path: rest.join('/') }
+            : { host: null, path: value.trim() };
+    }
+
+    /**
+     * Show the repositories matching the repository field
+     * @param {string} searchTerm - Text typed into the repository field
+     */
+    async renderRepositoryOptions(searchTerm) {
+        const repoInput = document.getElementById('repo-input');
+        const repoList = document.getElementById('repo-dropdown-list');
+        if (!repoList) return;
+
+        const repositories = await this.loadRepositoryCatalog();
+
+        // Ignore results for text that has changed while loading, or after focus left the field
+        if (repoInput.value !== searchTerm || document.activeElement !== repoInput) {
+            return;
+        }
+
+        // Repositories on a GitHub Enterprise host are written host/owner/repo
+        const getRepositoryPath = (repository) => repository.host ? `${repository.host}/${repository.fullName}` : repository.fullName;
+        const searchLower = searchTerm.trim().toLowerCase();
+        const matches = repositories
+            .filter(repository => getRepositoryPath(repository).toLowerCase().includes(searchLower))
+            .slice(0, REPOSITORY_OPTION_LIMIT);
+
+        // Nothing to suggest, or the field already holds exactly the only match
+        if (matches.length === 0 || (matches.length === 1 && getRepositoryPath(matches[0]).toLowerCase() === searchLower)) {
+            this.hideRepositoryOptions();
+            return;
+        }
+
+        repoList.innerHTML = '';
+        matches.forEach(repository => {
+            const item = document.createElement('div');
+            item.className = 'custom-dropdown-item';
+            item.setAttribute('role', 'option');
+            item.setAttribute('tabindex', '-1');
+            item.title = repository.description;
+
+            const text = document.createElement('span');
+            text.className = 'item-text';
+            text.textContent = getRepositoryPath(repository);
+            item.appendChild(text);
+
+            if (repository.private || repository.archived) {
+                const tag = document.createElement('span');
+                tag.className = 'item-tag';
+                tag.textContent = repository.archived ? 'Archived' : 'Private';
+                item.appendChild(tag);
+            }
+
+            item.addEventListener('click', () => {
+                repoInput.value = getRepositoryPath(repository);
+                this.hideRepositoryOptions();
+                this.loadRepositoryWorkflows(getRepositoryPath(repository));
+                document.getElementById('workflow-search-input')?.focus();
+            });
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    item.click();
+                } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    const sibling = e.key === 'ArrowDown' ? item.nextElementSibling : item.previousElementSibling;
+                    (sibling || repoInput).focus();
+                } else if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    repoInput.focus();
+                    this.hideRepositoryOptions();
+                }
+            });
+
+            repoList.appendChild(item);
+        });
+
+        repoList.style.display = 'block';
+        repoInput.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Hide the repository suggestions
+     */
+    hideRepositoryOptions() {
+        const repoList = document.getElementById('repo-dropdown-list');
+        if (repoList) {
+            repoList.style.display = 'none';
+        }
+        document.getElementById('repo-input')?.setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * List the workflows of a repository in the Add Workflow picker
+     * @param {string} repoPath - Repository in owner/repo or host/owner/repo format
+     */
+    async loadRepositoryWorkflows(repoPath) {
+        const picker = document.getElementById('workflow-picker');
+        if (!picker || this.availableWorkflows?.repository.toLowerCase() === repoPath.toLowerCase()) {
+            return;
+        }
+
+        // Clear the previous repository's selection
+        this.selectedWorkflows.clear();
+        this.applyWorkflowSelection();
+
+        const { host, path } = this.splitHostPath(repoPath);
+        if (!/^[^/\s]+\/[^/\s]+$/.test(path)) {
+            this.availableWorkflows = null;
+            picker.style.display = 'none';
+            return;
+        }
+
+        const listing = { repository: repoPath, workflows: [], error: null, loading: true };
+        this.availableWorkflows = listing;
+        picker.style.display = 'block';
+        this.renderWorkflowOptions('');
+
+        try {
+            const data = await this.api.getAvailableWorkflows(path, this.activeDashboardId, host);
+            listing.workflows = data.workflows;
+        } catch (error) {
+            listing.error = error.message || 'Failed to list workflows';
+        }
+        listing.loading = false;
+
+        // Another repository may have been chosen meanwhile
+        if (this.availableWorkflows === listing) {
+            this.renderWorkflowOptions(document.getElementById('workflow-search-input')?.value || '');
+        }
+    }
+
+    /**
+     * Render the workflows of the chosen repository as a multi-select list
+     * @param {string} searchTerm - Filter on workflow name or path
+     */
+    renderWorkflowOptions(searchTerm) {
+        const workflowList = document.getElementById('workflow-dropdown-list');
+        const listing = this.availableWorkflows;
+        if (!workflowList || !listing) return;
+
+        workflowList.innerHTML = '';
+
+        const searchLower = searchTerm.trim().toLowerCase();
+        const workflows = listing.workflows.filter(workflow =>
+            workflow.name.toLowerCase().includes(searchLower) || workflow.path.toLowerCase().includes(searchLower)
+        );
+
+        if (listing.loading || listing.error || workflows.length === 0) {
+            const emptyDiv = document.createElement('div');
+            emptyDiv.className = 'custom-dropdown-empty';
+            emptyDiv.textContent = listing.loading ? 'Loading workflows...'
+                : listing.error || (listing.workflows.length === 0 ? 'No workflows in this repository' : 'No matching workflows');
+            workflowList.appendChild(emptyDiv);
+            return;
+        }
+
+        workflows.forEach(workflow => {
+            const selected = this.selectedWorkflows.has(workflow.workflow);
+            const item = document.createElement('div');
+            item.className = 'custom-dropdown-item';
+            item.setAttribute('role', 'option');
+            item.setAttribute('tabindex', '0');
+            item.setAttribute('aria-selected', String(selected));
+            item.classList.toggle('selected', selected);
+            item.title = workflow.path;
+
+            const text = document.createElement('span');
+            text.className = 'item-text';
+            text.textContent = workflow.name;
+
+            const detail = document.createElement('span');
+            detail.className = 'item-detail';
+            detail.textContent = workflow.workflow;
+            text.appendChild(detail);
+            item.appendChild(text);
+
+            // Workflows already on the dashboard, or disabled on GitHub, cannot be picked
+            const unavailable = workflow.tracked ? 'On dashboard' : workflow.state !== 'active' ? 'Disabled' : null;
+            if (unavailable) {
+                item.classList.add('disabled');
+                item.setAttribute('aria-disabled', 'true');
+                const tag = document.createElement('span');
+                tag.className = 'item-tag';
+                tag.textContent = unavailable;
+                item.appendChild(tag);
+            }
+
+            const checkmark = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            checkmark.classList.add('item-check');
+            checkmark.setAttribute('viewBox', '0 0 16 16');
+            checkmark.setAttribute('fill', 'currentColor');
+            checkmark.innerHTML = '<path fill-rule="evenodd" d="M13.78 4.22a.75.75 0 010 1.06l-7.25 7.25a.75.75 0 01-1.06 0L2.22 9.28a.75.75 0 011.06-1.06L6 10.94l6.72-6.72a.75.75 0 011.06 0z"></path>';
+            item.appendChild(checkmark);
+
+            if (!unavailable) {
+                const toggle = () => {
+                    if (this.selectedWorkflows.has(workflow.workflow)) {
+                        this.selectedWorkflows.delete(workflow.workflow);
+                    } else {
+                        this.selectedWorkflows.set(workflow.workflow, workflow);
+                    }
+                    const isSelected = this.selectedWorkflows.has(workflow.workflow);
+                    item.classList.toggle('selected', isSelected);
+                    item.setAttribute('aria-selected', String(isSelected));
+                    this.applyWorkflowSelection();
+                };
+                item.addEventListener('click', toggle);
+                item.addEventListener('keydown', (e) => {
+                    if (e.key === ' ') {
+                        e.preventDefault();
+                        toggle();
+                    }
+                });
+            }
+
+            workflowList.appendChild(item);
+        });
+    }
+
+    /**
+     * Reflect the picked workflows in the workflow and label fields
+     * One pick fills them in; several picks are added with their own names, so the fields are locked.
+     */
+    applyWorkflowSelection() {
+        const workflowInput = document.getElementById('workflow-input');
+        const labelInput = document.getElementById('workflow-label-input');
+        const applyButton = document.getElementById('add-workflow-apply');
+        if (!workflowInput || !labelInput) return;
+
+        const count = this.selectedWorkflows.size;
+        const [workflow] = this.selectedWorkflows.values();
+        if (count > 0 || workflowInput.value === workflowInput.dataset.autofill) {
+            workflowInput.value = count === 1 ? workflow.workflow : '';
+            workflowInput.dataset.autofill = workflowInput.value;
+        }
+        this.autofillWorkflowLabel(count === 1 ? workflow.name : '');
+
+        workflowInput.disabled = count > 1;
+        labelInput.disabled = count > 1;
+        if (applyButton) {
+            applyButton.textContent = count > 1 ? `Add ${count} Workflows` : 'Add Workflow';
+        }
+    }
+
+    /**
+     * Default the label to a workflow's name unless the user has typed their own
+     * @param {string} name - Workflow name
+     */
+    autofillWorkflowLabel(name) {
+        const labelInput = document.getElementById('workflow-label-input');
+        if (labelInput && (!labelInput.value || labelInput.dataset.autofill === labelInput.value)) {
+            labelInput.value = name;
+            labelInput.dataset.autofill = name;
+        }
+    }
+
+    /**
+     * Show the workflows a bulk add skipped or could not add
+     * @param {Object} report - Response from add-workflows
+     * @returns {boolean} True if every workflow was added
+     */
+    showBulkAddReport(report) {
+        const resultsList = document.getElementById('add-workflow-results');
+        const errorDiv = document.getElementById('add-workflow-error');
+        const problems = report.results.filter(result => result.status !== 'added');
+
+        resultsList.replaceChildren(...problems.map(result => {
+            const item = document.createElement('li');
+            const name = document.createElement('code');
+            name.textContent = result.workflow ? `${result.repo}/${result.workflow}` : result.repo;
+            item.append(name, ` ${result.status}: ${result.error}`);
+            return item;
+        }));
+        resultsList.style.display = problems.length > 0 ? 'block' : 'none';
+
+        if (problems.length > 0) {
+            errorDiv.textContent = `Added ${report.added} of ${report.results.length} workflows; ` +
+                `${report.skipped} skipped, ${report.failed} failed`;
+            errorDiv.style.display = 'block';
+        }
+        return problems.length === 0;
+    }
+
+    /**
+     * Handle adding several workflows picked from a repository
+     * Each workflow is labelled with its name and all are saved in one request; failures are listed at the end.
+     * @param {string} repoPath - Repository path in format owner/repo or host/owner/repo
+     * @param {Array<Object>} workflows - Picked workflows from get-available-workflows
+     * @param {Object} filters - Optional run filters applied to every workflow
+     * @param {HTMLElement} errorDiv - Error message container
+     * @param {HTMLElement} applyButton - Apply button element
+     * @param {Function} closeModal - Function to close the modal
+     */
+    async handleAddWorkflows(repoPath, workflows, filters, errorDiv, applyButton, closeModal) {
+        // Clear previous error
+        errorDiv.style.display = 'none';
+        errorDiv.textContent = '';
+        document.getElementById('add-workflow-results').style.display = 'none';
+
+        const repository = repoPath.trim();
+        const { host, path } = this.splitHostPath(repository);
+
+        // Disable button during API call
+        applyButton.disabled = true;
+        applyButton.textContent = 'Adding...';
+
+        let report;
+        try {
+            report = await this.api.addWorkflows({
+                workflows: workflows.map(workflow => ({
+                    ...(host && { host }),
+                    repo: path,
+                    workflow: workflow.workflow,
+                    label: workflow.name,
+                    ...filters
+                }))
+            }, this.activeDashboardId);
+        } catch (error) {
+            console.error('Failed to add workflows:', error);
+            errorDiv.textContent = error.message || 'Failed to add workflows. Please try again.';
+            errorDiv.style.display = 'block';
+            applyButton.disabled = false;
+            this.applyWorkflowSelection();
+            return;
+        }
+
+        applyButton.disabled = false;
+        await this.loadWorkflows();
+
+        if (this.showBulkAddReport(report)) {
+            console.log(`Successfully added ${workflows.length} workflows from ${repository}`);
+            closeModal();
+            return;
+        }
+
+        // Relist the repository so added workflows show as tracked, keeping the failed ones selected to retry
+        const failed = workflows.filter(workflow =>
+            report.results.some(result => result.status === 'failed' && result.workflow === workflow.workflow));
+        this.availableWorkflows = null;
+        await this.loadRepositoryWorkflows(repository);
+        failed.forEach(workflow => this.selectedWorkflows.set(workflow.workflow, workflow));
+        this.renderWorkflowOptions(document.getElementById('workflow-search-input')?.value || '');
+        this.applyWorkflowSelection();
+    }
+
+    /**
+     * Handle adding every workflow of a repository or organization
+     * @param {string} source - Repository (owner/repo) or organization or user login, optionally prefixed with host/
+     * @param {string} include - Comma-separated glob patterns of workflows to add
+     * @param {string} exclude - Comma-separated glob patterns of workflows to leave out
+     * @param {Object} filters - Optional run filters applied to every workflow
+     * @param {HTMLElement} errorDiv - Error message container
+     * @param {HTMLElement} applyButton - Apply button element
+     * @param {Function} closeModal - Function to close the modal
+     */
+    async handleBulkAddWorkflows(source, include, exclude, filters, errorDiv, applyButton, closeModal) {
+        // Clear previous error
+        errorDiv.style.display = 'none';
+        errorDiv.textContent = '';
+        document.getElementById('add-workflow-results').style.display = 'none';
+
+        const sourceValue = source.trim();
+        if (!sourceValue) {
+            errorDiv.textContent = 'Please enter a repository or organization';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
+        const { host, path } = this.splitHostPath(sourceValue);
+        const parsePatterns = (value) => value.split(',').map(pattern => pattern.trim()).filter(Boolean);
+
+        // Disable button during API call
+        applyButton.disabled = true;
+        applyButton.textContent = 'Adding...';
+
+        try {
+            const report = await this.api.addWorkflows({
+                ...(host && { host }),
+                ...(path.includes('/') ? { repo: path } : { org: path }),
+                include: parsePatterns(include),
+                exclude: parsePatterns(exclude),
+                ...filters
+            }, this.activeDashboardId);
+
+            if (report.results.length === 0) {
+                errorDiv.textContent = 'No active workflows matched';
+                errorDiv.style.display = 'block';
+                return;
+            }
+
+            if (report.added > 0) {
+                await this.loadWorkflows();
+            }
+
+            if (this.showBulkAddReport(report)) {
+                console.log(`Successfully added ${report.added} workflows from ${sourceValue}`);
+                closeModal();
+            }
+        } catch (error) {
+            console.error('Failed to add workflows:', error);
+            errorDiv.textContent = error.message || 'Failed to add workflows. Please try again.';
+            errorDiv.style.display = 'block';
+        } finally {
+            // Re-enable button
+            applyButton.disabled = false;
+            applyButton.textContent = 'Add Workflows';
+        }
+    }
+
+    /**
+     * Handle adding a workflow
+     * @param {string} repoPath - Repository path in format owner/repo or host/owner/repo
+     * @param {string} workflow - Workflow file name or ID
+     * @param {string} label - Display label for workflow
+     * @param {Object} filters - Optional run filters: branch, event and actor (empty strings are ignored)
+     * @param {HTMLElement} errorDiv - Error message container
+     * @param {HTMLElement} applyButton - Apply button element
+     * @param {Function} closeModal - Function to close the modal
+     */
+    async handleAddWorkflow(repoPath, workflow, label, filters, errorDiv, applyButton, closeModal) {
+        // Clear previous error
+        errorDiv.style.display = 'none';
+        errorDiv.textContent = '';
+
+        // Validate repo input
+        if (!repoPath || !repoPath.trim()) {
+            errorDiv.textContent = 'Please enter a repository';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
+        // Parse repo path (owner/repo, optionally prefixed with a GitHub Enterprise host)
+        const { host, path } = this.splitHostPath(repoPath);
+        const repoParts = path.split('/');
+        if (repoParts.length !== 2) {
+            errorDiv.textContent = 'Invalid format. Expected: owner/repo';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
+        const [owner, repo] = repoParts;
+
+        if (!owner || !repo) {
+            errorDiv.textContent = 'Both owner and repo are required';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
+        // Validate workflow input
+        if (!workflow || !workflow.trim()) {
+            errorDiv.textContent = 'Please enter a workflow file or ID';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
+        const workflowValue = workflow.trim();
+
+        // Validate workflow: if it looks like a file, check extension
+        // If it's numeric, accept it as an ID
+        const isNumeric = /^\d+$/.test(workflowValue);
+        const hasYamlExtension = workflowValue.endsWith('.yml') || workflowValue.endsWith('.yaml');
+
+        if (!isNumeric && !hasYamlExtension) {
+            errorDiv.textContent = 'Workflow must be a .yml/.yaml file or a numeric ID';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
+        // Validate label
+        if (!label || !label.trim()) {
+            errorDiv.textContent = 'Please enter a display label';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
+        // Disable button during API call
+        applyButton.disabled = true;
+        applyButton.textContent = 'Adding...';
+
+        try {
+            // Call API to add workflow
+            await this.api.addWorkflow(owner, repo, workflowValue, label.trim(), this.activeDashboardId, filters, host);
+
+            // Close modal
+            closeModal();
+
+            // Reload workflows to show the new one
+            await this.loadWorkflows();
+
+            console.log(`Successfully added workflow: ${repoPath.trim()}/${workflowValue}`);
+        } catch (error) {
+            console.error('Failed to add workflow:', error);
+            errorDiv.textContent = error.message || 'Failed to add workflow. Please try again.';
+            errorDiv.style.display = 'block';
+        } finally {
+            // Re-enable button
+            applyButton.disabled = false;
+            applyButton.textContent = 'Add Workflow';
+        }
+    }
+
+    /**
+     * Handle removing a workflow
+     * @param {Object} workflow - Workflow object with owner, repo, workflow properties
+     */
+    async handleRemoveWorkflow(workflow) {
+        // No confirmation: the workflow moves to the trash and the toast offers to undo the removal
+        try {
+            // Call API to remove workflow
+            const result = await this.api.removeWorkflow(workflow.owner, workflow.repo, workflow.workflow, this.activeDashboardId, workflow.host);
+
+            // Reload workflows to update the display
+            await this.loadWorkflows();
+            this.showUndoToast(`Removed "${workflow.label}"`, result.trashId);
+
+            console.log(`Successfully removed workflow: ${this.getWorkflowKey(workflow)}`);
+        } catch (error) {
+            console.error('Failed to remove workflow:', error);
+            // TODO: Replace with toast notification or error modal for better UX
+            alert(`Failed to remove workflow: ${error.message}`);
+        }
+    }
+
+    /**
+     * Hide editing controls when the viewer cannot edit the active dashboard
+     */
+    applyPermissions() {
+        const activeDashboard = this.dashboards.find(d => d.id === this.activeDashboardId);
+        document.body.classList.toggle('read-only', !activeDashboard?.canEdit);
+    }
+
+    /**
+     * Update the dashboard selector UI with available dashboards
+     */
+    updateDashboardSelector() {
+        // Update active dashboard name in header
+        const activeDashboardName = document.getElementById('active-dashboard-name');
+        if (activeDashboardName && this.dashboards.length > 0) {
+            const activeDashboard = this.dashboards.find(d => d.id === this.activeDashboardId);
+            if (activeDashboard) {
+                activeDashboardName.textContent = activeDashboard.name;
+                activeDashboardName.style.display = 'block';
+            } else {
+                activeDashboardName.style.display = 'none';
+            }
+        }
+
+        // Also update the modal custom dropdown
+        const dropdownList = document.getElementById('dashboard-dropdown-list');
+        if (dropdownList && this.dashboards.length > 0) {
+            this.renderCustomDropdown(this.dashboards);
+        }
+    }
+
+    /**
+     * Render the custom dropdown items
+     * @param {Array} dashboards - Array of dashboards to display
+     */
+    renderCustomDropdown(dashboards) {
+        const dropdownList = document.getElementById('dashboard-dropdown-list');
+        if (!dropdownList) return;
+
+        dropdownList.innerHTML = '';
+
+        if (dashboards.length === 0) {
+            const emptyDiv = document.createElement('div');
+            emptyDiv.className = 'custom-dropdown-empty';
+            emptyDiv.textContent = 'No dashboards found';
+            dropdownList.appendChild(emptyDiv);
+            return;
+        }
+
+        dashboards.forEach(dashboard => {
+            const item = document.createElement('div');
+            item.className = 'custom-dropdown-item';
+            item.setAttribute('role', 'option');
+            item.setAttribute('data-dashboard-id', dashboard.id);
+            
+            if (dashboard.id === this.activeDashboardId) {
+                item.classList.add('selected');
+                item.setAttribute('aria-selected', 'true');
+            } else {
+                item.setAttribute('aria-selected', 'false');
+            }
+
+            // Add icon
+            const icon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            icon.classList.add('item-icon');
+            icon.setAttribute('viewBox', '0 0 16 16');
+            icon.setAttribute('fill', 'currentColor');
+            icon.innerHTML = '<path fill-rule="evenodd" d="M2 2.5A2.5 2.5 0 014.5 0h8.75a.75.75 0 01.75.75v12.5a.75.75 0 01-.75.75h-2.5a.75.75 0 110-1.5h1.75v-2h-8a1 1 0 00-.714 1.7.75.75 0 01-1.072 1.05A2.495 2.495 0 012 11.5v-9zm10.5-1V9h-8c-.356 0-.694.074-1 .208V2.5a1 1 0 011-1h8zM5 12.25v3.25a.25.25 0 00.4.2l1.45-1.087a.25.25 0 01.3 0L8.6 15.7a.25.25 0 00.4-.2v-3.25a.25.25 0 00-.25-.25h-3.5a.25.25 0 00-.25.25z"></path>';
+
+            // Add text
+            const text = document.createElement('span');
+            text.className = 'item-text';
+            text.textContent = dashboard.name;
+
+            // Add checkmark for selected item
+            const checkmark = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            checkmark.classList.add('item-check');
+            checkmark.setAttribute('viewBox', '0 0 16 16');
+            checkmark.setAttribute('fill', 'currentColor');
+            checkmark.innerHTML = '<path fill-rule="evenodd" d="M13.78 4.22a.75.75 0 010 1.06l-7.25 7.25a.75.75 0 01-1.06 0L2.22 9.28a.75.75 0 011.06-1.06L6 10.94l6.72-6.72a.75.75 0 011.06 0z"></path>';
+
+            item.appendChild(icon);
+            item.appendChild(text);
+            item.appendChild(checkmark);
+
+            // Add click handler
+            item.addEventListener('click', () => {
+                this.selectDashboardFromDropdown(dashboard.id);
+            });
+
+            dropdownList.appendChild(item);
+        });
+    }
+
+    /**
+     * Select a dashboard from the custom dropdown
+     * @param {string} dashboardId - ID of the selected dashboard
+     */
+    selectDashboardFromDropdown(dashboardId) {
+        // Update selected state in the UI
+        const dropdownList = document.getElementById('dashboard-dropdown-list');
+        if (!dropdownList) return;
+        
+        const items = dropdownList.querySelectorAll('.custom-dropdown-item');
+        items.forEach(item => {
+            const itemId = item.getAttribute('data-dashboard-id');
+            if (itemId === dashboardId) {
+                item.classList.add('selected');
+                item.setAttribute('aria-selected', 'true');
+            } else {
+                item.classList.remove('selected');
+                item.setAttribute('aria-selected', 'false');
+            }
+        });
+
+        // Store the selected dashboard ID for later use
+        this.selectedDashboardId = dashboardId;
+    }
+
+    /**
+     * Filter dashboards based on search input
+     * @param {string} searchTerm - Search term to filter by
+     */
+    filterDashboards(searchTerm) {
+        if (!searchTerm?.trim()) {
+            // Show all dashboards
+            this.renderCustomDropdown(this.dashboards);
+            return;
+        }
+
+        const searchLower = searchTerm.toLowerCase();
+        const filtered = this.dashboards.filter(dashboard => 
+            dashboard.name.toLowerCase().includes(searchLower)
+        );
+
+        this.renderCustomDropdown(filtered);
+    }
+
+    /**
+     * Set up dashboard selector change handler
+     */
+    setupDashboardSelector() {
+        // This function is kept for compatibility but the UI now uses the modal
+        // The actual switching logic is in setupChangeDashboardModal
+    }
+
+    /**
+     * Set up change dashboard modal and button
+     */
+    setupChangeDashboardModal() {
+        const button = document.getElementById('change-dashboard-nav-button');
+        const modal = document.getElementById('change-dashboard-modal');
+        const closeButton = modal?.querySelector('.close-button');
+        const cancelButton = document.getElementById('change-dashboard-cancel');
+        const applyButton = document.getElementById('change-dashboard-apply');
+        const searchInput = document.getElementById('dashboard-search-input');
+        const errorDiv = document.getElementById('change-dashboard-error');
+
+        if (!button || !modal) return;
+
+        // Initialize selected dashboard ID
+        this.selectedDashboardId = this.activeDashboardId;
+
+        // Open modal
+        button.addEventListener('click', () => {
+            modal.style.display = 'block';
+            errorDiv.style.display = 'none';
+            errorDiv.textContent = '';
+            
+            // Reset selected dashboard to current active
+            this.selectedDashboardId = this.activeDashboardId;
+            
+            // Update dropdown options
+            this.updateDashboardSelector();
+            
+            // Clear search input and focus it
+            if (searchInput) {
+                searchInput.value = '';
+                searchInput.focus();
+            }
+            
+            // Close side nav
+            if (window.themeSwitcher) {
+                window.themeSwitcher.closeSideNav();
+            }
+        });
+
+        // Set up search input
+        if (searchInput) {
+            searchInput.addEventListener('input', (e) => {
+                this.filterDashboards(e.target.value);
+            });
+        }
+
+        // Close modal
+        const closeModal = () => {
+            modal.style.display = 'none';
+            if (searchInput) {
+                searchInput.value = '';
+            }
+        };
+
+        closeButton?.addEventListener('click', closeModal);
+        cancelButton?.addEventListener('click', closeModal);
+
+        // Close on backdrop click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeModal();
+            }
+        });
+
+        // Handle apply button
+        applyButton?.addEventListener('click', async () => {
+            const newDashboardId = this.selectedDashboardId || this.activeDashboardId;
+
+            // Don't do anything if same dashboard selected
+            if (newDashboardId === this.activeDashboardId) {
+                closeModal();
+                return;
+            }
+
+            applyButton.disabled = true;
+            applyButton.textContent = 'Switching...';
+            errorDiv.style.display = 'none';
+
+            try {
+                // Switch only this viewer's dashboard
+                await this.switchDashboard(newDashboardId);
+
+                console.log(`Switched to dashboard: ${newDashboardId}`);
+                closeModal();
+            } catch (error) {
+                console.error('Failed to switch dashboard:', error);
+                errorDiv.textContent = error.message || 'Failed to switch dashboard';
+                errorDiv.style.display = 'block';
+            } finally {
+                applyButton.disabled = false;
+                applyButton.textContent = 'Switch';
+            }
+        });
+    }
+
+    /**
+     * Set up the sign in / sign out button (side nav)
+     * Hidden when no sign-in provider is configured
+     */
+    setupAuthButton() {
+        const button = document.getElementById('auth-nav-button');
+        const auth = this.api.auth;
+
+        if (!button || !auth || !auth.isConfigured()) return;
+
+        const label = button.querySelector('.auth-nav-label');
+        const updateLabel = () => {
+            label.textContent = auth.isSignedIn() ? `Sign out (${auth.getUserName()})` : 'Sign in';
+        };
+
+        updateLabel();
+        button.style.display = '';
+
+        button.addEventListener('click', async () => {
+            if (auth.isSignedIn()) {
+                auth.logout();
+                updateLabel();
+                await this.loadWorkflows();
+            } else {
+                try {
+                    await auth.login();
+                } catch (error) {
+                    console.error('Failed to start sign-in:', error);
+                    alert(`Failed to sign in: ${error.message}`);
+                }
+            }
+
+            // Close side nav
+            if (window.themeSwitcher) {
+                window.themeSwitcher.closeSideNav();
+            }
+        });
+    }
+
+    /**
+     * Set up new dashboard button (side nav)
+     */
+    setupNewDashboardButton() {
+        const button = document.getElementById('new-dashboard-nav-button');
+        
+        if (!button) return;
+        
+        button.addEventListener('click', () => {
+            // Open the manage dashboards modal which has create functionality
+            const manageModal = document.getElementById('manage-dashboards-modal');
+            if (manageModal) {
+                manageModal.style.display = 'block';
+                const nameInput = document.getElementById('new-dashboard-input');
+                const errorDiv = document.getElementById('manage-dashboards-error');
+                if (nameInput) nameInput.value = '';
+                if (errorDiv) {
+                    errorDiv.style.display = 'none';
+                    errorDiv.textContent = '';
+                }
+                this.renderDashboardsList();
+                this.loadDeletedDashboards();
+            }
+            
+            // Close side nav
+            if (window.themeSwitcher) {
+                window.themeSwitcher.closeSideNav();
+            }
+        });
+    }
+
+    /**
+     * Set up manage dashboards button and modal
+     */
+    setupManageDashboardsButton() {
+        const button = document.getElementById('manage-dashboards-button');
+        const modal = document.getElementById('manage-dashboards-modal');
+        const closeButton = modal?.querySelector('.close-button');
+        const createButton = document.getElementById('create-dashboard-button');
+        const nameInput = document.getElementById('new-dashboard-input');
+        const errorDiv = document.getElementById('manage-dashboards-error');
+        
+        if (!modal) return;
+        
+        // Open modal (only if button exists)
+        if (button) {
+            button.addEventListener('click', () => {
+                modal.style.display = 'block';
+                nameInput.value = '';
+                errorDiv.style.display = 'none';
+                errorDiv.textContent = '';
+                this.renderDashboardsList();
+                this.loadDeletedDashboards();
+            });
+        }
+        
+        // Close modal
+        const closeModal = () => {
+            modal.style.display = 'none';
+        };
+        
+        closeButton?.addEventListener('click', closeModal);
+        
+        // Close on backdrop click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeModal();
+            }
+        });
+        
+        // Create dashboard
+        createButton?.addEventListener('click', async () => {
+            await this.handleCreateDashboard(nameInput.value, errorDiv, createButton);
+        });
+        
+        // Handle Enter key in input
+        nameInput?.addEventListener('keypress', async (e) => {
+            if (e.key === 'Enter') {
+                await this.handleCreateDashboard(nameInput.value, errorDiv, createButton);
+            }
+        });
+
+        // Export every dashboard, or import a file picked by the user
+        const importFileInput = document.getElementById('import-dashboards-file');
+        document.getElementById('export-dashboards-button')?.addEventListener('click', async () => {
+            await this.handleExportDashboards(null, errorDiv);
+        });
+        document.getElementById('import-dashboards-button')?.addEventListener('click', () => {
+            importFileInput.value = '';
+            importFileInput.click();
+        });
+        importFileInput?.addEventListener('change', async () => {
+            if (importFileInput.files.length > 0) {
+                await this.handleImportDashboards(importFileInput.files[0], errorDiv);
+            }
+        });
+    }
+
+    /**
+     * Render the list of dashboards in the manage modal
+     */
+    renderDashboardsList() {
+        const listContainer = document.getElementById('manage-dashboards-list');
+        if (!listContainer) return;
+        
+        listContainer.innerHTML = '';
+        
+        if (this.dashboards.length === 0) {
+            listContainer.innerHTML = '<p>No dashboards available.</p>';
+            return;
+        }
+        
+        this.dashboards.forEach(dashboard => {
+            const item = document.createElement('div');
+            item.className = 'dashboard-item';
+            if (dashboard.id === this.activeDashboardId) {
+                item.classList.add('active');
+            }
+            
+            const info = document.createElement('div');
+            info.className = 'dashboard-item-info';
+            
+            const name = document.createElement('span');
+            name.className = 'dashboard-item-name';
+            name.textContent = dashboard.name;
+            info.appendChild(name);
+            
+            if (dashboard.id === this.activeDashboardId) {
+                const badge = document.createElement('span');
+                badge.className = 'dashboard-item-badge';
+                badge.textContent = 'Active';
+                info.appendChild(badge);
+            }
+            
+            const actions = document.createElement('div');
+            actions.className = 'dashboard-item-actions';
+            
+            // Download button
+            const downloadBtn = document.createElement('button');
+            downloadBtn.className = 'dashboard-item-action';
+            downloadBtn.title = 'Download dashboard';
+            downloadBtn.innerHTML = `
+                <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M21 15V19C21 19.5304 20.7893 20.0391 20.4142 20.4142C20.0391 20.7893 19.5304 21 19 21H5C4.46957 21 3.96086 20.7893 3.58579 20.4142C3.21071 20.0391 3 19.5304 3 19V15" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    <path d="M7 10L12 15L17 10" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    <path d="M12 15V3" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+            `;
+            downloadBtn.onclick = () => this.handleExportDashboards(dashboard, document.getElementById('manage-dashboards-error'));
+            actions.appendChild(downloadBtn);
+            
+            // History button
+            actions.appendChild(this.createHistoryButton(dashboard));
+            
+            // Rename, members and delete actions are only offered to owners
+            if (!dashboard.canManage) {
+                item.appendChild(info);
+                item.appendChild(actions);
+                listContainer.appendChild(item);
+                return;
+            }
+            
+            // Rename button
+            const renameBtn = document.createElement('button');
+            renameBtn.className = 'dashboard-item-action';
+            renameBtn.title = 'Rename dashboard';
+            renameBtn.innerHTML = `
+                <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M11 4H4C3.46957 4 2.96086 4.21071 2.58579 4.58579C2.21071 4.96086 2 5.46957 2 6V20C2 20.5304 2.21071 21.0391 2.58579 21.4142C2.96086 21.7893 3.46957 22 4 22H18C18.5304 22 19.0391 21.7893 19.4142 21.4142C19.7893 21.0391 20 20.5304 20 20V13" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    <path d="M18.5 2.49998C18.8978 2.10216 19.4374 1.87866 20 1.87866C20.5626 1.87866 21.1022 2.10216 21.5 2.49998C21.8978 2.89781 22.1213 3.43737 22.1213 3.99998C22.1213 4.56259 21.8978 5.10216 21.5 5.49998L12 15L8 16L9 12L18.5 2.49998Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+            `;
+            renameBtn.onclick = () => this.handleRenameDashboard(dashboard);
+            actions.appendChild(renameBtn);
+            
+            // Members button
+            const membersBtn = document.createElement('button');
+            membersBtn.className = 'dashboard-item-action';
+            membersBtn.title = 'Manage members';
+            membersBtn.innerHTML = `
+                <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M17 21V19C17 17.9391 16.5786 16.9217 15.8284 16.1716C15.0783 15.4214 14.0609 15 13 15H5C3.93913 15 2.92172 15.4214 2.17157 16.1716C1.42143 16.9217 1 17.9391 1 19V21" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    <path d="M9 11C11.2091 11 13 9.20914 13 7C13 4.79086 11.2091 3 9 3C6.79086 3 5 4.79086 5 7C5 9.20914 6.79086 11 9 11Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    <path d="M23 21V19C22.9993 18.1137 22.7044 17.2528 22.1614 16.5523C21.6184 15.8519 20.8581 15.3516 20 15.13" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    <path d="M16 3.13C16.8604 3.35031 17.623 3.85071 18.1676 4.55232C18.7122 5.25392 19.0078 6.11683 19.0078 7.005C19.0078 7.89318 18.7122 8.75608 18.1676 9.45769C17.623 10.1593 16.8604 10.6597 16 10.88" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+            `;
+            membersBtn.onclick = () => this.handleManageMembers(dashboard);
+            actions.appendChild(membersBtn);
+            
+            // Delete button (only if not the last dashboard)
+            if (this.dashboards.length > 1) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'dashboard-item-action danger';
+                deleteBtn.title = 'Delete dashboard';
+                deleteBtn.innerHTML = `
+                    <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M3 6H5H21" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                        <path d="M8 6V4C8 3.46957 8.21071 2.96086 8.58579 2.58579C8.96086 2.21071 9.46957 2 10 2H14C14.5304 2 15.0391 2.21071 15.4142 2.58579C15.7893 2.96086 16 3.46957 16 4V6M19 6V20C19 20.5304 18.7893 21.0391 18.4142 21.4142C18.0391 21.7893 17.5304 22 17 22H7C6.46957 22 5.96086 21.7893 5.58579 21.4142C5.21071 21.0391 5 20.5304 5 20V6H19Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    </svg>
+                `;
+                deleteBtn.onclick = () => this.handleDeleteDashboard(dashboard);
+                actions.appendChild(deleteBtn);
+            }
+            
+            item.appendChild(info);
+            item.appendChild(actions);
+            listContainer.appendChild(item);
+        });
+    }
+
+    /**
+     * Handle creating a new dashboard
+     */
+    async handleCreateDashboard(name, errorDiv, createButton) {
+        errorDiv.style.display = 'none';
+        errorDiv.textContent = '';
+        
+        if (!name || !name.trim()) {
+            errorDiv.textContent = 'Please enter a dashboard name';
+            errorDiv.style.display = 'block';
+            return;
+        }
+        
+        createButton.disabled = true;
+        createButton.textContent = 'Creating...';
+        
+        try {
+            const result = await this.api.createDashboard(name.trim(), false);
+            
+            // Show the new dashboard to this viewer and reload to get updated dashboards list
+            await this.switchDashboard(result.dashboard.id);
+            
+            // Update the dashboards list in modal
+            this.renderDashboardsList();
+            
+            // Clear input
+            document.getElementById('new-dashboard-input').value = '';
+            
+            console.log(`Successfully created dashboard: ${name}`);
+        } catch (error) {
+            console.error('Failed to create dashboard:', error);
+            errorDiv.textContent = error.message || 'Failed to create dashboard';
+            errorDiv.style.display = 'block';
+        } finally {
+            createButton.disabled = false;
+            createButton.textContent = 'Create';
+        }
+    }
+
+    /**
+     * Handle renaming a dashboard
+     */
+    async handleRenameDashboard(dashboard) {
+        const newName = prompt(`Enter new name for "${dashboard.name}":`, dashboard.name);
+        if (!newName || newName.trim() === dashboard.name) return;
+        
+        try {
+            await this.api.renameDashboard(dashboard.id, newName.trim());
+            
+            // Reload to get updated dashboards list
+            await this.loadWorkflows();
+            
+            // Update the dashboards list in modal
+            this.renderDashboardsList();
+            
+            console.log(`Successfully renamed dashboard to: ${newName}`);
+        } catch (error) {
+            console.error('Failed to rename dashboard:', error);
+            alert(`Failed to rename dashboard: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle adding, changing or removing a dashboard member
+     */
+    async handleManageMembers(dashboard) {
+        const members = dashboard.members || [];
+        const memberLines = members.length > 0
+            ? members.map(m => `  ${m.name} (${m.id}): ${m.role}`).join('\n')
+            : '  Open to every signed-in user';
+        const yourId = this.currentUser ? `\n\nYour member ID: ${this.currentUser.id}` : '';
+        const input = prompt(
+            `Members of "${dashboard.name}":\n${memberLines}${yourId}\n\n` +
+            'Enter a member ID and a role (viewer, editor, owner, or remove), e.g. "github:12345 editor":'
+        );
+        if (!input || !input.trim()) return;
+        
+        const [memberId, roleInput] = input.trim().split(/\s+/);
+        const role = roleInput ? roleInput.toLowerCase() : '';
+        if (!['viewer', 'editor', 'owner', 'remove'].includes(role)) {
+            alert('Please enter a member ID followed by viewer, editor, owner, or remove');
+            return;
+        }
+        
+        try {
+            await this.api.updateDashboardMember(dashboard.id, memberId, role === 'remove' ? null : role);
+            
+            // Reload to get updated dashboards list and permissions
+            await this.loadWorkflows();
+            
+            // Update the dashboards list in modal
+            this.renderDashboardsList();
+            
+            console.log(`Successfully updated member ${memberId} on dashboard: ${dashboard.name}`);
+        } catch (error) {
+            console.error('Failed to update dashboard member:', error);
+            alert(`Failed to update member: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle deleting a dashboard
+     */
+    async handleDeleteDashboard(dashboard) {
+        const confirmed = confirm(`Are you sure you want to delete "${dashboard.name}"? It moves to the Trash together with its workflows, and owners can restore it from there.`);
+        if (!confirmed) return;
+        
+        try {
+            const result = await this.api.deleteDashboard(dashboard.id);
+            
+            // Reload to get updated dashboards list and possibly new active dashboard
+            await this.loadWorkflows();
+            
+            // Update the dashboards list in modal
+            this.renderDashboardsList();
+            this.showUndoToast(`Deleted "${dashboard.name}"`, result.trashId);
+            
+            console.log(`Successfully deleted dashboard: ${dashboard.name}`);
+        } catch (error) {
+            console.error('Failed to delete dashboard:', error);
+            alert(`Failed to delete dashboard: ${error.message}`);
         }
     }
 
     /**
-     * Update the dashboard selector UI with available dashboards
+     * Handle downloading dashboards as a JSON or YAML file
+     * @param {Object|null} dashboard - Dashboard to export (all dashboards when null)
+     * @param {HTMLElement} errorDiv - Error message container
      */
-    updateDashboardSelector() {
-        // Update active dashboard name in header
-        const activeDashboardName = document.getElementById('active-dashboard-name');
-        if (activeDashboardName && this.dashboards.length > 0) {
-            const activeDashboard = this.dashboards.find(d => d.id === this.activeDashboardId);
-            if (activeDashboard) {
-                activeDashboardName.textContent = activeDashboard.name;
-                activeDashboardName.style.display = 'block';
-            } else {
-                activeDashboardName.style.display = 'none';
-            }
-        }
+    async handleExportDashboards(dashboard, errorDiv) {
+        errorDiv.style.display = 'none';
+        errorDiv.textContent = '';
 
-        // Also update the modal custom dropdown
-        const dropdownList = document.getElementById('dashboard-dropdown-list');
-        if (dropdownList && this.dashboards.length > 0) {
-            this.renderCustomDropdown(this.dashboards);
+        const format = document.getElementById('export-dashboards-format')?.value || 'json';
+        try {
+            const content = await this.api.exportDashboards(dashboard?.id, format);
+
+            // Name the file after the dashboard, or after today's date for a full export
+            const baseName = dashboard
+                ? dashboard.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'dashboard'
+                : `dashboards-${new Date().toISOString().slice(0, 10)}`;
+            const blob = new Blob([content], { type: format === 'yaml' ? 'application/yaml' : 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${baseName}.${format}`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        } catch (error) {
+            console.error('Failed to export dashboards:', error);
+            errorDiv.textContent = error.message || 'Failed to export dashboards';
+            errorDiv.style.display = 'block';
         }
     }
 
     /**
-     * Render the custom dropdown items
-     * @param {Array} dashboards - Array of dashboards to display
+     * Handle uploading a JSON or YAML file of dashboards
+     * @param {File} file - File picked by the user (.json, .yaml or .yml)
+     * @param {HTMLElement} errorDiv - Error message container
      */
-    renderCustomDropdown(dashboards) {
-        const dropdownList = document.getElementById('dashboard-dropdown-list');
-        if (!dropdownList) return;
-
-        dropdownList.innerHTML = '';
+    async handleImportDashboards(file, errorDiv) {
+        errorDiv.style.display = 'none';
+        errorDiv.textContent = '';
 
-        if (dashboards.length === 0) {
-            const emptyDiv = document.createElement('div');
-            emptyDiv.className = 'custom-dropdown-empty';
-            emptyDiv.textContent = 'No dashboards found';
-            dropdownList.appendChild(emptyDiv);
-            return;
+        const format = /\.ya?ml$/i.test(file.name) ? 'yaml' : 'json';
+        const mode = document.getElementById('import-dashboards-mode')?.value || 'merge';
+        if (mode === 'replace') {
+            const confirmed = confirm(`Replace the workflows and rules of the dashboards in "${file.name}"? Dashboards with the same ID or name lose the workflows the file does not list.`);
+            if (!confirmed) return;
         }
 
-        dashboards.forEach(dashboard => {
-            const item = document.createElement('div');
-            item.className = 'custom-dropdown-item';
-            item.setAttribute('role', 'option');
-            item.setAttribute('data-dashboard-id', dashboard.id);
-            
-            if (dashboard.id === this.activeDashboardId) {
-                item.classList.add('selected');
-                item.setAttribute('aria-selected', 'true');
-            } else {
-                item.setAttribute('aria-selected', 'false');
-            }
-
-            // Add icon
-            const icon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-            icon.classList.add('item-icon');
-            icon.setAttribute('viewBox', '0 0 16 16');
-            icon.setAttribute('fill', 'currentColor');
-            icon.innerHTML = '<path fill-rule="evenodd" d="M2 2.5A2.5 2.5 0 014.5 0h8.75a.75.75 0 01.75.75v12.5a.75.75 0 01-.75.75h-2.5a.75.75 0 110-1.5h1.75v-2h-8a1 1 0 00-.714 1.7.75.75 0 01-1.072 1.05A2.495 2.495 0 012 11.5v-9zm10.5-1V9h-8c-.356 0-.694.074-1 .208V2.5a1 1 0 011-1h8zM5 12.25v3.25a.25.25 0 00.4.2l1.45-1.087a.25.25 0 01.3 0L8.6 15.7a.25.25 0 00.4-.2v-3.25a.25.25 0 00-.25-.25h-3.5a.25.25 0 00-.25.25z"></path>';
-
-            // Add text
-            const text = document.createElement('span');
-            text.className = 'item-text';
-            text.textContent = dashboard.name;
-
-            // Add checkmark for selected item
-            const checkmark = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-            checkmark.classList.add('item-check');
-            checkmark.setAttribute('viewBox', '0 0 16 16');
-            checkmark.setAttribute('fill', 'currentColor');
-            checkmark.innerHTML = '<path fill-rule="evenodd" d="M13.78 4.22a.75.75 0 010 1.06l-7.25 7.25a.75.75 0 01-1.06 0L2.22 9.28a.75.75 0 011.06-1.06L6 10.94l6.72-6.72a.75.75 0 011.06 0z"></path>';
+        const importButton = document.getElementById('import-dashboards-button');
+        importButton.disabled = true;
+        importButton.textContent = 'Uploading...';
 
-            item.appendChild(icon);
-            item.appendChild(text);
-            item.appendChild(checkmark);
+        try {
+            const result = await this.api.importDashboards(await file.text(), format, mode);
 
-            // Add click handler
-            item.addEventListener('click', () => {
-                this.selectDashboardFromDropdown(dashboard.id);
-            });
+            // Reload to pick up new dashboards and changed workflows
+            await this.loadWorkflows();
+            this.renderDashboardsList();
 
-            dropdownList.appendChild(item);
-        });
+            console.log(`Successfully imported dashboards from ${file.name}:`, result.dashboards);
+        } catch (error) {
+            console.error('Failed to import dashboards:', error);
+            errorDiv.textContent = error.message || 'Failed to import dashboards';
+            errorDiv.style.display = 'block';
+        } finally {
+            importButton.disabled = false;
+            importButton.textContent = 'Upload';
+        }
     }
 
     /**
-     * Select a dashboard from the custom dropdown
-     * @param {string} dashboardId - ID of the selected dashboard
+     * Set up the toast that offers to undo a removal
      */
-    selectDashboardFromDropdown(dashboardId) {
-        // Update selected state in the UI
-        const dropdownList = document.getElementById('dashboard-dropdown-list');
-        if (!dropdownList) return;
-        
-        const items = dropdownList.querySelectorAll('.custom-dropdown-item');
-        items.forEach(item => {
-            const itemId = item.getAttribute('data-dashboard-id');
-            if (itemId === dashboardId) {
-                item.classList.add('selected');
-                item.setAttribute('aria-selected', 'true');
-            } else {
-                item.classList.remove('selected');
-                item.setAttribute('aria-selected', 'false');
+    setupUndoToast() {
+        const toast = document.getElementById('undo-toast');
+        const undoButton = document.getElementById('undo-toast-button');
+
+        if (!toast || !undoButton) return;
+
+        undoButton.addEventListener('click', async () => {
+            const trashId = this.undoTrashId;
+            this.hideUndoToast();
+            if (!trashId) return;
+
+            try {
+                await this.api.runTrashAction('restore-from-trash', trashId);
+
+                // Reload to bring the restored dashboard or workflow back
+                await this.loadWorkflows();
+                this.renderDashboardsList();
+            } catch (error) {
+                console.error('Failed to undo removal:', error);
+                alert(`Failed to undo: ${error.message}`);
             }
         });
-
-        // Store the selected dashboard ID for later use
-        this.selectedDashboardId = dashboardId;
     }
 
     /**
-     * Filter dashboards based on search input
-     * @param {string} searchTerm - Search term to filter by
+     * Show the undo toast for an item that was just moved to the trash
+     * @param {string} message - What was removed
+     * @param {string} trashId - Trash item ID to restore on undo
      */
-    filterDashboards(searchTerm) {
-        if (!searchTerm?.trim()) {
-            // Show all dashboards
-            this.renderCustomDropdown(this.dashboards);
-            return;
-        }
+    showUndoToast(message, trashId) {
+        const toast = document.getElementById('undo-toast');
+        if (!toast || !trashId) return;
 
-        const searchLower = searchTerm.toLowerCase();
-        const filtered = this.dashboards.filter(dashboard => 
-            dashboard.name.toLowerCase().includes(searchLower)
-        );
+        document.getElementById('undo-toast-message').textContent = message;
+        toast.style.display = 'flex';
+        this.undoTrashId = trashId;
 
-        this.renderCustomDropdown(filtered);
+        // Later removals can still be undone from the Trash
+        clearTimeout(this.undoToastTimer);
+        this.undoToastTimer = setTimeout(() => this.hideUndoToast(), 10000);
     }
 
     /**
-     * Set up dashboard selector change handler
+     * Hide the undo toast
      */
-    setupDashboardSelector() {
-        // This function is kept for compatibility but the UI now uses the modal
-        // The actual switching logic is in setupChangeDashboardModal
+    hideUndoToast() {
+        const toast = document.getElementById('undo-toast');
+        if (toast) {
+            toast.style.display = 'none';
+        }
+        clearTimeout(this.undoToastTimer);
+        this.undoTrashId = null;
     }
 
     /**
-     * Set up change dashboard modal and button
+     * Set up the trash button and modal
      */
-    setupChangeDashboardModal() {
-        const button = document.getElementById('change-dashboard-nav-button');
-        const modal = document.getElementById('change-dashboard-modal');
+    setupTrashModal() {
+        const button = document.getElementById('trash-nav-button');
+        const modal = document.getElementById('trash-modal');
         const closeButton = modal?.querySelector('.close-button');
-        const cancelButton = document.getElementById('change-dashboard-cancel');
-        const applyButton = document.getElementById('change-dashboard-apply');
-        const searchInput = document.getElementById('dashboard-search-input');
-        const errorDiv = document.getElementById('change-dashboard-error');
 
         if (!button || !modal) return;
 
-        // Initialize selected dashboard ID
-        this.selectedDashboardId = this.activeDashboardId;
-
         // Open modal
         button.addEventListener('click', () => {
             modal.style.display = 'block';
-            errorDiv.style.display = 'none';
-            errorDiv.textContent = '';
-            
-            // Reset selected dashboard to current active
-            this.selectedDashboardId = this.activeDashboardId;
-            
-            // Update dropdown options
-            this.updateDashboardSelector();
-            
-            // Clear search input and focus it
-            if (searchInput) {
-                searchInput.value = '';
-                searchInput.focus();
-            }
-            
+            this.loadTrash();
+
             // Close side nav
             if (window.themeSwitcher) {
                 window.themeSwitcher.closeSideNav();
             }
         });
 
-        // Set up search input
-        if (searchInput) {
-            searchInput.addEventListener('input', (e) => {
-                this.filterDashboards(e.target.value);
-            });
-        }
-
         // Close modal
         const closeModal = () => {
             modal.style.display = 'none';
-            if (searchInput) {
-                searchInput.value = '';
-            }
         };
 
         closeButton?.addEventListener('click', closeModal);
-        cancelButton?.addEventListener('click', closeModal);
 
         // Close on backdrop click
         modal.addEventListener('click', (e) => {
@@ -824,195 +2925,309 @@ class DashboardLoader {
                 closeModal();
             }
         });
+    }
 
-        // Handle apply button
-        applyButton?.addEventListener('click', async () => {
-            const newDashboardId = this.selectedDashboardId || this.activeDashboardId;
+    /**
+     * Load the trash into the trash modal
+     */
+    async loadTrash() {
+        const listContainer = document.getElementById('trash-list');
+        const description = document.getElementById('trash-description');
+        const errorDiv = document.getElementById('trash-error');
+        if (!listContainer) return;
 
-            // Don't do anything if same dashboard selected
-            if (newDashboardId === this.activeDashboardId) {
-                closeModal();
-                return;
-            }
+        listContainer.innerHTML = '<p>Loading trash...</p>';
+        errorDiv.style.display = 'none';
+        errorDiv.textContent = '';
 
-            applyButton.disabled = true;
-            applyButton.textContent = 'Switching...';
-            errorDiv.style.display = 'none';
+        let trash;
+        try {
+            trash = await this.api.getTrash();
+        } catch (error) {
+            listContainer.innerHTML = '';
+            errorDiv.textContent = error.message || 'Failed to load trash';
+            errorDiv.style.display = 'block';
+            return;
+        }
 
-            try {
-                // Set as active dashboard
-                await this.api.setActiveDashboard(newDashboardId);
+        description.textContent = `Deleted dashboards and removed workflows are kept here for ${trash.retentionDays} days before they are purged for good.`;
+        listContainer.innerHTML = '';
+        if (trash.items.length === 0) {
+            listContainer.innerHTML = '<p>The trash is empty.</p>';
+            return;
+        }
 
-                // Clear the container and reload workflows
-                const container = document.querySelector('.workflow-grids-container');
-                if (container) {
-                    container.innerHTML = '';
-                }
+        trash.items.forEach(trashItem => {
+            const item = document.createElement('div');
+            item.className = 'dashboard-item history-item';
 
-                // Reload workflows for new dashboard
-                await this.loadWorkflows();
+            const info = document.createElement('div');
+            info.className = 'dashboard-item-info';
 
-                console.log(`Switched to dashboard: ${newDashboardId}`);
-                closeModal();
-            } catch (error) {
-                console.error('Failed to switch dashboard:', error);
-                errorDiv.textContent = error.message || 'Failed to switch dashboard';
-                errorDiv.style.display = 'block';
-            } finally {
-                applyButton.disabled = false;
-                applyButton.textContent = 'Switch';
+            const name = document.createElement('span');
+            name.className = 'dashboard-item-name';
+            name.textContent = trashItem.type === 'dashboard'
+                ? `Dashboard "${trashItem.name}"`
+                : `${trashItem.name} (${trashItem.workflow.owner}/${trashItem.workflow.repo}) on ${trashItem.dashboardName}`;
+            info.appendChild(name);
+
+            const meta = document.createElement('small');
+            meta.className = 'form-help';
+            meta.textContent = [
+                `Deleted ${new Date(trashItem.deletedAt).toLocaleString()}`,
+                trashItem.deletedBy && `by ${trashItem.deletedBy.name}`,
+                `· purged ${new Date(trashItem.expiresAt).toLocaleDateString()}`
+            ].filter(Boolean).join(' ');
+            info.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'dashboard-item-actions';
+
+            if (trashItem.canRestore) {
+                const restoreBtn = document.createElement('button');
+                restoreBtn.className = 'dashboard-item-action';
+                restoreBtn.title = 'Restore';
+                restoreBtn.innerHTML = `
+                    <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M1 4V10H7" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                        <path d="M3.51 15C4.15839 16.8404 5.38734 18.4202 7.01166 19.5014C8.63598 20.5826 10.5677 21.1066 12.5157 20.9945C14.4637 20.8823 16.3226 20.1402 17.8121 18.8798C19.3017 17.6193 20.3413 15.909 20.7742 14.0064C21.2072 12.1037 21.0101 10.1119 20.2126 8.33111C19.4152 6.55025 18.0605 5.07713 16.3528 4.13277C14.6451 3.18841 12.6769 2.82336 10.7447 3.09264C8.81245 3.36192 7.02091 4.25098 5.64 5.63L1 10" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    </svg>
+                `;
+                restoreBtn.onclick = () => this.handleTrashAction(trashItem, 'restore-from-trash');
+                actions.appendChild(restoreBtn);
+
+                const purgeBtn = document.createElement('button');
+                purgeBtn.className = 'dashboard-item-action danger';
+                purgeBtn.title = 'Delete permanently';
+                purgeBtn.innerHTML = `
+                    <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M3 6H5H21" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                        <path d="M8 6V4C8 3.46957 8.21071 2.96086 8.58579 2.58579C8.96086 2.21071 9.46957 2 10 2H14C14.5304 2 15.0391 2.21071 15.4142 2.58579C15.7893 2.96086 16 3.46957 16 4V6M19 6V20C19 20.5304 18.7893 21.0391 18.4142 21.4142C18.0391 21.7893 17.5304 22 17 22H7C6.46957 22 5.96086 21.7893 5.58579 21.4142C5.21071 21.0391 5 20.5304 5 20V6H19Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    </svg>
+                `;
+                purgeBtn.onclick = () => this.handleTrashAction(trashItem, 'purge-from-trash');
+                actions.appendChild(purgeBtn);
             }
+
+            item.appendChild(info);
+            item.appendChild(actions);
+            listContainer.appendChild(item);
         });
     }
 
     /**
-     * Set up new dashboard button (side nav)
+     * Handle restoring or purging a trash item
+     * @param {Object} trashItem - Item from the trash
+     * @param {string} action - restore-from-trash or purge-from-trash
+     */
+    async handleTrashAction(trashItem, action) {
+        if (action === 'purge-from-trash') {
+            const confirmed = confirm(`Permanently delete "${trashItem.name}"? It can no longer be restored from the Trash.`);
+            if (!confirmed) return;
+        }
+
+        const errorDiv = document.getElementById('trash-error');
+        errorDiv.style.display = 'none';
+        errorDiv.textContent = '';
+
+        try {
+            await this.api.runTrashAction(action, trashItem.id);
+
+            if (action === 'restore-from-trash') {
+                // Reload to bring the restored dashboard or workflow back
+                await this.loadWorkflows();
+                this.renderDashboardsList();
+            }
+            await this.loadTrash();
+
+            console.log(`Successfully completed ${action} for trash item ${trashItem.id}`);
+        } catch (error) {
+            console.error(`Failed to ${action}:`, error);
+            errorDiv.textContent = error.message || 'Failed to update the trash';
+            errorDiv.style.display = 'block';
+        }
+    }
+
+    /**
+     * Create the button that opens a dashboard's history
+     * @param {Object} dashboard - Dashboard with id and name
+     * @returns {HTMLButtonElement} History button
+     */
+    createHistoryButton(dashboard) {
+        const historyBtn = document.createElement('button');
+        historyBtn.className = 'dashboard-item-action';
+        historyBtn.title = 'Dashboard history';
+        historyBtn.innerHTML = `
+            <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M12 22C17.5228 22 22 17.5228 22 12C22 6.47715 17.5228 2 12 2C6.47715 2 2 6.47715 2 12C2 17.5228 6.47715 22 12 22Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                <path d="M12 6V12L16 14" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+        `;
+        historyBtn.onclick = () => this.showDashboardHistory(dashboard);
+        return historyBtn;
+    }
+
+    /**
+     * Load the deleted dashboards the user can see into the manage modal
      */
-    setupNewDashboardButton() {
-        const button = document.getElementById('new-dashboard-nav-button');
-        
-        if (!button) return;
-        
-        button.addEventListener('click', () => {
-            // Open the manage dashboards modal which has create functionality
-            const manageModal = document.getElementById('manage-dashboards-modal');
-            if (manageModal) {
-                manageModal.style.display = 'block';
-                const nameInput = document.getElementById('new-dashboard-input');
-                const errorDiv = document.getElementById('manage-dashboards-error');
-                if (nameInput) nameInput.value = '';
-                if (errorDiv) {
-                    errorDiv.style.display = 'none';
-                    errorDiv.textContent = '';
-                }
-                this.renderDashboardsList();
-            }
-            
-            // Close side nav
-            if (window.themeSwitcher) {
-                window.themeSwitcher.closeSideNav();
-            }
+    async loadDeletedDashboards() {
+        const group = document.getElementById('deleted-dashboards-group');
+        const listContainer = document.getElementById('deleted-dashboards-list');
+        if (!group || !listContainer) return;
+
+        let deletedDashboards;
+        try {
+            ({ deletedDashboards } = await this.api.getDashboardHistory());
+        } catch (error) {
+            console.error('Failed to load deleted dashboards:', error);
+            return;
+        }
+
+        listContainer.innerHTML = '';
+        group.style.display = deletedDashboards.length > 0 ? 'block' : 'none';
+
+        deletedDashboards.forEach(dashboard => {
+            const item = document.createElement('div');
+            item.className = 'dashboard-item history-item';
+
+            const info = document.createElement('div');
+            info.className = 'dashboard-item-info';
+
+            const name = document.createElement('span');
+            name.className = 'dashboard-item-name';
+            name.textContent = dashboard.name;
+            info.appendChild(name);
+
+            const meta = document.createElement('small');
+            meta.className = 'form-help';
+            meta.textContent = [
+                `Deleted ${new Date(dashboard.deletedAt).toLocaleString()}`,
+                dashboard.deletedBy && `by ${dashboard.deletedBy.name}`
+            ].filter(Boolean).join(' ');
+            info.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'dashboard-item-actions';
+            actions.appendChild(this.createHistoryButton(dashboard));
+
+            item.appendChild(info);
+            item.appendChild(actions);
+            listContainer.appendChild(item);
         });
     }
 
     /**
-     * Set up manage dashboards button and modal
+     * Set up the dashboard history modal
      */
-    setupManageDashboardsButton() {
-        const button = document.getElementById('manage-dashboards-button');
-        const modal = document.getElementById('manage-dashboards-modal');
+    setupDashboardHistoryModal() {
+        const modal = document.getElementById('dashboard-history-modal');
         const closeButton = modal?.querySelector('.close-button');
-        const createButton = document.getElementById('create-dashboard-button');
-        const nameInput = document.getElementById('new-dashboard-input');
-        const errorDiv = document.getElementById('manage-dashboards-error');
-        
+
         if (!modal) return;
-        
-        // Open modal (only if button exists)
-        if (button) {
-            button.addEventListener('click', () => {
-                modal.style.display = 'block';
-                nameInput.value = '';
-                errorDiv.style.display = 'none';
-                errorDiv.textContent = '';
-                this.renderDashboardsList();
-            });
-        }
-        
+
         // Close modal
         const closeModal = () => {
             modal.style.display = 'none';
         };
-        
+
         closeButton?.addEventListener('click', closeModal);
-        
+
         // Close on backdrop click
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
                 closeModal();
             }
         });
-        
-        // Create dashboard
-        createButton?.addEventListener('click', async () => {
-            await this.handleCreateDashboard(nameInput.value, errorDiv, createButton);
-        });
-        
-        // Handle Enter key in input
-        nameInput?.addEventListener('keypress', async (e) => {
-            if (e.key === 'Enter') {
-                await this.handleCreateDashboard(nameInput.value, errorDiv, createButton);
-            }
-        });
     }
 
     /**
-     * Render the list of dashboards in the manage modal
+     * Show the recorded versions of a dashboard
+     * @param {Object} dashboard - Dashboard with id and name (may be a deleted dashboard)
      */
-    renderDashboardsList() {
-        const listContainer = document.getElementById('manage-dashboards-list');
-        if (!listContainer) return;
-        
+    async showDashboardHistory(dashboard) {
+        const modal = document.getElementById('dashboard-history-modal');
+        const title = document.getElementById('dashboard-history-title');
+        const listContainer = document.getElementById('dashboard-history-list');
+        const changesList = document.getElementById('dashboard-history-changes');
+        const errorDiv = document.getElementById('dashboard-history-error');
+        if (!modal || !listContainer) return;
+
+        title.textContent = `History of ${dashboard.name}`;
+        listContainer.innerHTML = '<p>Loading history...</p>';
+        changesList.style.display = 'none';
+        errorDiv.style.display = 'none';
+        errorDiv.textContent = '';
+        modal.style.display = 'block';
+
+        let history;
+        try {
+            history = await this.api.getDashboardHistory(dashboard.id);
+        } catch (error) {
+            listContainer.innerHTML = '';
+            errorDiv.textContent = error.message || 'Failed to load dashboard history';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
         listContainer.innerHTML = '';
-        
-        if (this.dashboards.length === 0) {
-            listContainer.innerHTML = '<p>No dashboards available.</p>';
+        if (history.versions.length === 0) {
+            listContainer.innerHTML = '<p>No changes have been recorded yet.</p>';
             return;
         }
-        
-        this.dashboards.forEach(dashboard => {
+
+        history.versions.forEach((version, index) => {
             const item = document.createElement('div');
-            item.className = 'dashboard-item';
-            if (dashboard.id === this.activeDashboardId) {
-                item.classList.add('active');
-            }
-            
+            item.className = 'dashboard-item history-item';
+
             const info = document.createElement('div');
             info.className = 'dashboard-item-info';
-            
-            const name = document.createElement('span');
-            name.className = 'dashboard-item-name';
-            name.textContent = dashboard.name;
-            info.appendChild(name);
-            
-            if (dashboard.id === this.activeDashboardId) {
-                const badge = document.createElement('span');
-                badge.className = 'dashboard-item-badge';
-                badge.textContent = 'Active';
-                info.appendChild(badge);
-            }
-            
+
+            const summary = document.createElement('span');
+            summary.className = 'dashboard-item-name';
+            summary.textContent = version.summary;
+            info.appendChild(summary);
+
+            const meta = document.createElement('small');
+            meta.className = 'form-help';
+            meta.textContent = [
+                new Date(version.savedAt).toLocaleString(),
+                version.user && `by ${version.user.name}`
+            ].filter(Boolean).join(' ');
+            info.appendChild(meta);
+
             const actions = document.createElement('div');
             actions.className = 'dashboard-item-actions';
-            
-            // Rename button
-            const renameBtn = document.createElement('button');
-            renameBtn.className = 'dashboard-item-action';
-            renameBtn.title = 'Rename dashboard';
-            renameBtn.innerHTML = `
-                <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                    <path d="M11 4H4C3.46957 4 2.96086 4.21071 2.58579 4.58579C2.21071 4.96086 2 5.46957 2 6V20C2 20.5304 2.21071 21.0391 2.58579 21.4142C2.96086 21.7893 3.46957 22 4 22H18C18.5304 22 19.0391 21.7893 19.4142 21.4142C19.7893 21.0391 20 20.5304 20 20V13" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                    <path d="M18.5 2.49998C18.8978 2.10216 19.4374 1.87866 20 1.87866C20.5626 1.87866 21.1022 2.10216 21.5 2.49998C21.8978 2.89781 22.1213 3.43737 22.1213 3.99998C22.1213 4.56259 21.8978 5.10216 21.5 5.49998L12 15L8 16L9 12L18.5 2.49998Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                </svg>
-            `;
-            renameBtn.onclick = () => this.handleRenameDashboard(dashboard);
-            actions.appendChild(renameBtn);
-            
-            // Delete button (only if not the last dashboard)
-            if (this.dashboards.length > 1) {
-                const deleteBtn = document.createElement('button');
-                deleteBtn.className = 'dashboard-item-action danger';
-                deleteBtn.title = 'Delete dashboard';
-                deleteBtn.innerHTML = `
+
+            // Versions are listed newest first, so the one before is the next in the list
+            const previous = history.versions[index + 1];
+            if (previous) {
+                const changesBtn = document.createElement('button');
+                changesBtn.className = 'dashboard-item-action';
+                changesBtn.title = 'Show changes';
+                changesBtn.innerHTML = `
                     <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                        <path d="M3 6H5H21" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                        <path d="M8 6V4C8 3.46957 8.21071 2.96086 8.58579 2.58579C8.96086 2.21071 9.46957 2 10 2H14C14.5304 2 15.0391 2.21071 15.4142 2.58579C15.7893 2.96086 16 3.46957 16 4V6M19 6V20C19 20.5304 18.7893 21.0391 18.4142 21.4142C18.0391 21.7893 17.5304 22 17 22H7C6.46957 22 5.96086 21.7893 5.58579 21.4142C5.21071 21.0391 5 20.5304 5 20V6H19Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                        <path d="M8 6H21M8 12H21M8 18H21M3 6H3.01M3 12H3.01M3 18H3.01" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
                     </svg>
                 `;
-                deleteBtn.onclick = () => this.handleDeleteDashboard(dashboard);
-                actions.appendChild(deleteBtn);
+                changesBtn.onclick = () => this.showDashboardVersionChanges(dashboard, previous, version);
+                actions.appendChild(changesBtn);
             }
-            
+
+            // The newest version is what the dashboard looks like now, and a deletion cannot be restored
+            if (history.canRestore && !version.deleted && (index > 0 || history.deleted)) {
+                const restoreBtn = document.createElement('button');
+                restoreBtn.className = 'dashboard-item-action';
+                restoreBtn.title = 'Restore this version';
+                restoreBtn.innerHTML = `
+                    <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M1 4V10H7" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                        <path d="M3.51 15C4.15839 16.8404 5.38734 18.4202 7.01166 19.5014C8.63598 20.5826 10.5677 21.1066 12.5157 20.9945C14.4637 20.8823 16.3226 20.1402 17.8121 18.8798C19.3017 17.6193 20.3413 15.909 20.7742 14.0064C21.2072 12.1037 21.0101 10.1119 20.2126 8.33111C19.4152 6.55025 18.0605 5.07713 16.3528 4.13277C14.6451 3.18841 12.6769 2.82336 10.7447 3.09264C8.81245 3.36192 7.02091 4.25098 5.64 5.63L1 10" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    </svg>
+                `;
+                restoreBtn.onclick = () => this.handleRestoreDashboard(dashboard, version);
+                actions.appendChild(restoreBtn);
+            }
+
             item.appendChild(info);
             item.appendChild(actions);
             listContainer.appendChild(item);
@@ -1020,93 +3235,98 @@ class DashboardLoader {
     }
 
     /**
-     * Handle creating a new dashboard
+     * Describe the differences between two versions of a dashboard, one line per change
+     * @param {Object} diff - Diff returned by get-dashboard-history
+     * @returns {Array<string>} Lines describing the changes
      */
-    async handleCreateDashboard(name, errorDiv, createButton) {
-        errorDiv.style.display = 'none';
-        errorDiv.textContent = '';
-        
-        if (!name || !name.trim()) {
-            errorDiv.textContent = 'Please enter a dashboard name';
-            errorDiv.style.display = 'block';
-            return;
+    describeDashboardDiff(diff) {
+        const describeWorkflow = w => `${w.label} (${w.owner}/${w.repo}/${w.workflow})`;
+        const describeRule = r => `${r.org}/${r.repo || '*'}: ${r.workflow}`;
+        const lines = [];
+
+        if (diff.name) {
+            lines.push(`Renamed from "${diff.name.from}" to "${diff.name.to}"`);
         }
-        
-        createButton.disabled = true;
-        createButton.textContent = 'Creating...';
-        
-        try {
-            await this.api.createDashboard(name.trim(), true);
-            
-            // Clear the container before reloading to ensure clean UI state
-            const container = document.querySelector('.workflow-grids-container');
-            if (container) {
-                container.innerHTML = '';
-            }
-            
-            // Reload to get updated dashboards list
-            await this.loadWorkflows();
-            
-            // Update the dashboards list in modal
-            this.renderDashboardsList();
-            
-            // Clear input
-            document.getElementById('new-dashboard-input').value = '';
-            
-            console.log(`Successfully created dashboard: ${name}`);
-        } catch (error) {
-            console.error('Failed to create dashboard:', error);
-            errorDiv.textContent = error.message || 'Failed to create dashboard';
-            errorDiv.style.display = 'block';
-        } finally {
-            createButton.disabled = false;
-            createButton.textContent = 'Create';
+        diff.workflows.added.forEach(w => lines.push(`Added workflow ${describeWorkflow(w)}`));
+        diff.workflows.removed.forEach(w => lines.push(`Removed workflow ${describeWorkflow(w)}`));
+        diff.workflows.changed.forEach(({ from, to }) => {
+            const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])]
+                .filter(field => field !== 'order' && JSON.stringify(from[field]) !== JSON.stringify(to[field]));
+            lines.push(`Changed ${fields.join(', ')} of workflow ${describeWorkflow(to)}`);
+        });
+        if (diff.workflows.reordered) {
+            lines.push('Reordered workflows');
+        }
+        diff.rules.added.forEach(r => lines.push(`Added rule ${describeRule(r)}`));
+        diff.rules.removed.forEach(r => lines.push(`Removed rule ${describeRule(r)}`));
+        if (diff.members) {
+            diff.members.added.forEach(m => lines.push(`Added member ${m.name} as ${m.role}`));
+            diff.members.removed.forEach(m => lines.push(`Removed member ${m.name}`));
+            diff.members.changed.forEach(({ from, to }) => lines.push(`Changed member ${to.name} from ${from.role} to ${to.role}`));
         }
+
+        return lines.length > 0 ? lines : ['No changes'];
     }
 
     /**
-     * Handle renaming a dashboard
+     * Show what changed between two versions of a dashboard
+     * @param {Object} dashboard - Dashboard with id and name
+     * @param {Object} from - Older version from the history
+     * @param {Object} to - Newer version from the history
      */
-    async handleRenameDashboard(dashboard) {
-        const newName = prompt(`Enter new name for "${dashboard.name}":`, dashboard.name);
-        if (!newName || newName.trim() === dashboard.name) return;
-        
+    async showDashboardVersionChanges(dashboard, from, to) {
+        const changesList = document.getElementById('dashboard-history-changes');
+        const errorDiv = document.getElementById('dashboard-history-error');
+        errorDiv.style.display = 'none';
+        errorDiv.textContent = '';
+
         try {
-            await this.api.renameDashboard(dashboard.id, newName.trim());
-            
-            // Reload to get updated dashboards list
-            await this.loadWorkflows();
-            
-            // Update the dashboards list in modal
-            this.renderDashboardsList();
-            
-            console.log(`Successfully renamed dashboard to: ${newName}`);
+            const { diff } = await this.api.getDashboardHistory(dashboard.id, from.version, to.version);
+
+            changesList.innerHTML = '';
+            const heading = document.createElement('li');
+            heading.textContent = `${to.summary} (${new Date(to.savedAt).toLocaleString()}):`;
+            changesList.appendChild(heading);
+            this.describeDashboardDiff(diff).forEach(line => {
+                const item = document.createElement('li');
+                item.textContent = line;
+                changesList.appendChild(item);
+            });
+            changesList.style.display = 'block';
         } catch (error) {
-            console.error('Failed to rename dashboard:', error);
-            alert(`Failed to rename dashboard: ${error.message}`);
+            console.error('Failed to compare dashboard versions:', error);
+            errorDiv.textContent = error.message || 'Failed to compare dashboard versions';
+            errorDiv.style.display = 'block';
         }
     }
 
     /**
-     * Handle deleting a dashboard
+     * Handle restoring a dashboard to a recorded version
+     * @param {Object} dashboard - Dashboard with id and name (may be a deleted dashboard)
+     * @param {Object} version - Version from the history
      */
-    async handleDeleteDashboard(dashboard) {
-        const confirmed = confirm(`Are you sure you want to delete "${dashboard.name}"? This will also delete all workflows in this dashboard.`);
+    async handleRestoreDashboard(dashboard, version) {
+        const confirmed = confirm(`Restore "${dashboard.name}" to how it was on ${new Date(version.savedAt).toLocaleString()}? Its name, workflows, rules and members are replaced; the current version stays in the history.`);
         if (!confirmed) return;
-        
+
+        const errorDiv = document.getElementById('dashboard-history-error');
+        errorDiv.style.display = 'none';
+        errorDiv.textContent = '';
+
         try {
-            await this.api.deleteDashboard(dashboard.id);
-            
-            // Reload to get updated dashboards list and possibly new active dashboard
+            const result = await this.api.restoreDashboard(dashboard.id, version.version);
+
+            // Reload to pick up the restored dashboard
             await this.loadWorkflows();
-            
-            // Update the dashboards list in modal
             this.renderDashboardsList();
-            
-            console.log(`Successfully deleted dashboard: ${dashboard.name}`);
+            this.loadDeletedDashboards();
+            await this.showDashboardHistory(result.dashboard);
+
+            console.log(`Successfully restored dashboard ${result.dashboard.name} to version ${version.version}`);
         } catch (error) {
-            console.error('Failed to delete dashboard:', error);
-            alert(`Failed to delete dashboard: ${error.message}`);
+            console.error('Failed to restore dashboard:', error);
+            errorDiv.textContent = error.message || 'Failed to restore dashboard';
+            errorDiv.style.display = 'block';
         }
     }
 
@@ -1218,7 +3438,7 @@ class DashboardLoader {
             });
 
             // Call API to save order
-            await this.api.reorderWorkflows(workflowsToSave);
+            await this.api.reorderWorkflows(workflowsToSave, this.activeDashboardId);
 
             // Exit edit mode
             this.isEditMode = false;
@@ -1267,15 +3487,18 @@ class DashboardLoader {
             const grid = section.querySelector('.workflow-grid');
             if (!grid) return;
 
-            const cards = grid.querySelectorAll('.workflow-item');
+            const cards = grid.querySelectorAll('.workflow-item:not(.workflow-item-rule)');
             const workflows = [];
             
             cards.forEach(card => {
                 const key = card.getAttribute('data-workflow-key');
                 if (key) {
-                    const [owner, repo, workflow] = key.split('/');
+                    // Keys of workflows on a GitHub Enterprise host start with the host
+                    const parts = key.split('/');
+                    const host = parts.length === 4 ? parts.shift() : undefined;
+                    const [owner, repo, workflow] = parts;
                     const label = card.querySelector('.workflow-label')?.textContent || '';
-                    workflows.push({ owner, repo, workflow, label });
+                    workflows.push({ ...(host && { host }), owner, repo, workflow, label });
                 }
             });
 
@@ -1314,7 +3537,7 @@ class DashboardLoader {
 
             // Reorder cards
             workflows.forEach(workflow => {
-                const key = `${workflow.owner}/${workflow.repo}/${workflow.workflow}`;
+                const key = this.getWorkflowKey(workflow);
                 const card = cardsMap.get(key);
                 if (card) {
                     grid.appendChild(card);
@@ -1330,7 +3553,7 @@ class DashboardLoader {
         const container = document.querySelector('.workflow-grids-container');
         if (!container) return;
 
-        const cards = container.querySelectorAll('.workflow-item');
+        const cards = container.querySelectorAll('.workflow-item:not(.workflow-item-rule)');
         cards.forEach(card => {
             card.setAttribute('draggable', 'true');
             
@@ -1506,16 +3729,30 @@ let dashboardInstance = null;
 // Initialize dashboard when DOM is ready
 document.addEventListener('DOMContentLoaded', async () => {
     try {
+        const functionUrl = DASHBOARD_CONFIG.azureFunction.url || '__AZURE_FUNCTION_URL__';
+
+        // Initialize sign-in and finish a sign-in redirect if we are returning from one
+        const auth = new DashboardAuth(DASHBOARD_CONFIG.auth, functionUrl);
+        try {
+            await auth.handleRedirect();
+        } catch (error) {
+            console.error('Failed to complete sign-in:', error);
+            alert(error.message);
+        }
+
         // Initialize API client with Azure Function URL (even if not configured yet)
-        const apiClient = new GitHubActionsAPI(
-            DASHBOARD_CONFIG.azureFunction.url || '__AZURE_FUNCTION_URL__'
-        );
+        const apiClient = new GitHubActionsAPI(functionUrl, auth);
         
         // Enable debug mode if configured
         if (DASHBOARD_CONFIG.azureFunction.debug) {
             apiClient.debug = true;
         }
 
+        // Request recent runs for the history strip on each card
+        if (DASHBOARD_CONFIG.azureFunction.runHistory) {
+            apiClient.runHistory = DASHBOARD_CONFIG.azureFunction.runHistory;
+        }
+
         // Initialize workflow manager with config workflows (for backward compatibility)
         const workflowManager = new WorkflowManager(DASHBOARD_CONFIG.workflows);
 
@@ -1527,6 +3764,12 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         // Set up add workflow button and modal (always available)
         dashboard.setupAddWorkflowButton();
+
+        // Set up the job drill-down opened from workflow cards
+        dashboard.setupWorkflowDetailsModal();
+
+        // Set up the run workflow form opened from workflow cards
+        dashboard.setupDispatchWorkflowModal();
         
         // Set up edit mode button and handlers
         dashboard.setupEditModeButton();
@@ -1535,6 +3778,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         dashboard.setupChangeDashboardModal();
         dashboard.setupNewDashboardButton();
         dashboard.setupManageDashboardsButton();
+        dashboard.setupDashboardHistoryModal();
+        dashboard.setupTrashModal();
+        dashboard.setupUndoToast();
+        dashboard.setupAuthButton();
 
         // Check if Azure Function URL is configured
         if (!DASHBOARD_CONFIG.azureFunction.url || DASHBOARD_CONFIG.azureFunction.url === '__AZURE_FUNCTION_URL__') {
@@ -1563,9 +3810,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Set up manual refresh button
         dashboard.setupRefreshButton();
 
-        // Set up auto-refresh every 5 minutes
+        // Set up auto-refresh every 5 minutes (used while live updates are unavailable)
         dashboard.setupAutoRefresh(5);
 
+        // Push status changes to the cards as they happen
+        if (DASHBOARD_CONFIG.azureFunction.liveUpdates !== false) {
+            dashboard.startLiveUpdates();
+        }
+
         console.log('Dashboard initialized successfully');
         console.log('Using Azure Function backend for workflow statuses');
         console.log('Tip: Workflows are now managed in Azure Storage');